@@ -5,44 +5,170 @@
 
 // Create DTIBacktest module
 const DTIBacktest = (function() {
+    // Warm-up length for intraday data, where 6 calendar months would swallow the whole series
+    const INTRADAY_WARMUP_BARS = 100;
+    
+    // Indicators are a global in the browser and in workers, a module in Node
+    const Indicators = typeof DTIIndicators !== 'undefined' ? DTIIndicators : require('./dti-indicators');
+    
+    // Default engine configuration, matching the inputs on the backtester page
+    const DEFAULT_CONFIG = Object.freeze({
+        r: 14,
+        s: 10,
+        u: 5,
+        entryThreshold: 0,
+        takeProfitPercent: 8,
+        stopLossPercent: 5,
+        maxHoldingDays: 30,
+        enable7DayDTI: true
+    });
+    
+    /**
+     * Build a complete engine configuration
+     * @param {Object} [overrides] - Any of the DEFAULT_CONFIG keys; undefined values are ignored
+     * @returns {Object} - Configuration with every key set
+     */
+    function createConfig(overrides) {
+        const config = { ...DEFAULT_CONFIG };
+        
+        Object.keys(overrides || {}).forEach(key => {
+            if (overrides[key] !== undefined) {
+                config[key] = overrides[key];
+            }
+        });
+        
+        return config;
+    }
+    
+    // Grid searched by findOptimalParameters when no ranges are given (3^7 = 2,187 combinations)
+    const DEFAULT_PARAM_RANGES = Object.freeze({
+        r: [7, 14, 21],
+        s: [5, 10, 15],
+        u: [3, 5, 7],
+        entryThreshold: [-50, -40, -30],
+        takeProfitPercent: [5, 8, 10],
+        stopLossPercent: [3, 5, 7],
+        maxHoldingDays: [15, 30, 45]
+    });
+    
+    /**
+     * Resolve parameter ranges to a list of values for every searched parameter
+     * @param {Object} [paramRanges] - Values to test per parameter; DEFAULT_PARAM_RANGES when omitted
+     * @param {Object} [baseConfig] - Configuration supplying the value of parameters without a range
+     * @returns {Object} - { r, s, u, entryThreshold, takeProfitPercent, stopLossPercent, maxHoldingDays } arrays
+     */
+    function resolveParamRanges(paramRanges, baseConfig) {
+        const ranges = paramRanges || DEFAULT_PARAM_RANGES;
+        const base = createConfig(baseConfig);
+        const resolved = {};
+        
+        Object.keys(DEFAULT_PARAM_RANGES).forEach(key => {
+            resolved[key] = ranges[key] && ranges[key].length > 0 ? ranges[key] : [base[key]];
+        });
+        
+        return resolved;
+    }
+    
+    /**
+     * Check whether dates carry a time of day (intraday bars)
+     * @param {Array} dates - Array of date strings
+     * @returns {boolean} - True for intraday data
+     */
+    function isIntradayData(dates) {
+        return dates.length > 0 && /\d{1,2}:\d{2}/.test(String(dates[0]));
+    }
+    
+    /**
+     * Check whether a bar date falls inside any index membership period
+     * @param {string} date - Bar date (YYYY-MM-DD, optionally with a time)
+     * @param {Array} periods - [{ from, to }] as YYYY-MM-DD; from inclusive, to exclusive, null = open
+     * @returns {boolean} - True if the stock was an index member on that date
+     */
+    function isMemberOnDate(date, periods) {
+        const parsed = new Date(date);
+        const day = /^\d{4}-\d{2}-\d{2}/.test(String(date))
+            ? String(date).slice(0, 10)
+            : (isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10));
+        
+        if (!day) return true;
+        
+        return periods.some(period => (!period.from || period.from <= day) && (!period.to || day < period.to));
+    }
+    
+    /**
+     * Keep only the trades entered while the stock was in the index
+     * Used for survivorship-free scans: a stock that joined or left the index during the
+     * backtest only contributes trades from its membership periods
+     * @param {Object} result - { completedTrades, activeTrade } from backtestWithActiveDetection
+     * @param {Array} [periods] - Membership periods; the result is returned unchanged without them
+     * @returns {Object} - Filtered { completedTrades, activeTrade }
+     */
+    function applyMembership(result, periods) {
+        if (!periods || periods.length === 0) {
+            return result;
+        }
+        
+        return {
+            ...result,
+            completedTrades: result.completedTrades.filter(trade => isMemberOnDate(trade.entryDate, periods)),
+            activeTrade: result.activeTrade && isMemberOnDate(result.activeTrade.entryDate, periods)
+                ? result.activeTrade
+                : null
+        };
+    }
+    
     /**
      * Modified backtest function that detects active trades
      * @param {Array} dates - Array of date strings
      * @param {Array} prices - Close prices
      * @param {Array} dti - DTI values
      * @param {Object} sevenDayDTIData - 7-day DTI data
-     * @returns {Object} - Object containing completed trades and active trade
+     * @param {Object} [params] - Trading parameters; missing values use DEFAULT_CONFIG
+     * @param {number} [startIndex] - First bar a trade may be entered on (after the warm-up either way)
+     * @returns {Object} - { completedTrades, activeTrade, warmupInfo } where warmupInfo is
+     *                     { startDate, endDate, enabled } for the charts (null for invalid inputs)
      */
-    function backtestWithActiveDetection(dates, prices, dti, sevenDayDTIData) {
+    function backtestWithActiveDetection(dates, prices, dti, sevenDayDTIData, params, startIndex = 0) {
         // Validate inputs
         if (!dates || !prices || !dti || !sevenDayDTIData || 
             dates.length !== prices.length || dates.length !== dti.length) {
             console.error('Invalid inputs for backtesting');
-            return { completedTrades: [], activeTrade: null };
+            return { completedTrades: [], activeTrade: null, warmupInfo: null };
         }
         
-        // Get trading parameters from UI
-        const entryThreshold = parseFloat(document.getElementById('entry-threshold').value);
-        const takeProfitPercent = parseFloat(document.getElementById('take-profit').value);
-        const stopLossPercent = parseFloat(document.getElementById('stop-loss').value);
-        const maxHoldingDays = parseInt(document.getElementById('max-days').value);
-        const enable7DayDTI = document.getElementById('enable-weekly-dti').checked;
+        // Get trading parameters from the caller
+        const {
+            entryThreshold,
+            takeProfitPercent,
+            stopLossPercent,
+            maxHoldingDays,
+            enable7DayDTI
+        } = createConfig(params);
         
         const daily7DayDTI = sevenDayDTIData.daily7DayDTI;
         const sevenDayData = sevenDayDTIData.sevenDayData;
         const sevenDayDTI = sevenDayDTIData.sevenDayDTI;
         
-        // Calculate the earliest allowed trade date (6 months after the first date)
+        // Intraday bars measure warm-up and holding time in bars rather than calendar days
+        const intraday = isIntradayData(dates);
+        
+        // Calculate the earliest allowed trade date (6 months after the first date,
+        // or a fixed number of bars for intraday data)
         const firstDate = new Date(dates[0]);
-        const earliestAllowableDate = new Date(firstDate);
-        earliestAllowableDate.setMonth(firstDate.getMonth() + 6);
+        let earliestAllowableDate = new Date(firstDate);
+        if (intraday) {
+            earliestAllowableDate = new Date(dates[Math.min(INTRADAY_WARMUP_BARS, dates.length - 1)]);
+        } else {
+            earliestAllowableDate.setMonth(firstDate.getMonth() + 6);
+        }
         
         let completedTrades = [];
+        let entryIndex = -1; // Bar index of the active trade's entry
         let activeTrade = null;
         let previousTradeCompleted = false; // Flag to track if we've completed a trade
         
-        // Store the warm-up period info for visualization
-        DTIBacktester.warmupInfo = {
+        // Warm-up period, returned so the charts can shade it
+        const warmupInfo = {
             startDate: firstDate,
             endDate: earliestAllowableDate,
             enabled: true
@@ -76,10 +202,12 @@ const DTIBacktest = (function() {
             
             // If we have an active trade, check exit conditions
             if (activeTrade) {
-                // Calculate holding period in days
+                // Calculate holding period in days (in bars for intraday data)
                 const entryDateObj = new Date(activeTrade.entryDate);
                 const currentDateObj = new Date(currentDate);
-                const holdingDays = Math.floor((currentDateObj - entryDateObj) / (24 * 60 * 60 * 1000));
+                const holdingDays = intraday
+                    ? i - entryIndex
+                    : Math.floor((currentDateObj - entryDateObj) / (24 * 60 * 60 * 1000));
                 
                 // Calculate profit/loss percentage
                 const plPercent = (currentPrice - activeTrade.entryPrice) / activeTrade.entryPrice * 100;
@@ -111,7 +239,7 @@ const DTIBacktest = (function() {
                     activeTrade = null;
                     previousTradeCompleted = true;
                 } else if (holdingDays >= maxHoldingDays) {
-                    // Time-based exit (max days elapsed)
+                    // Time-based exit (max days or bars elapsed)
                     activeTrade.exitDate = currentDate;
                     activeTrade.exitPrice = currentPrice;
                     activeTrade.plPercent = plPercent;
@@ -138,12 +266,14 @@ const DTIBacktest = (function() {
                 // 2. Current DTI should be higher than previous DTI (improving)
                 // 3. 7-day DTI condition should be met (if enabled)
                 // 4. Either no trades yet or previous trade has been completed
-                // 5. Current date must be after the warm-up period (6 months)
+                // 5. Current date must be after the warm-up period (6 months, or bars for intraday)
+                const pastWarmup = i >= startIndex &&
+                    (intraday ? i >= INTRADAY_WARMUP_BARS : currentDateObj >= earliestAllowableDate);
                 if (currentDTI < entryThreshold && 
                     currentDTI > previousDTI && 
                     sevenDayConditionMet && 
                     (completedTrades.length === 0 || previousTradeCompleted) &&
-                    currentDateObj >= earliestAllowableDate) {
+                    pastWarmup) {
                     // Enter new trade
                     activeTrade = {
                         entryDate: currentDate,
@@ -155,6 +285,7 @@ const DTIBacktest = (function() {
                         holdingDays: 0,
                         signalDate: new Date(currentDate)
                     };
+                    entryIndex = i;
                     
                     previousTradeCompleted = false; // Reset flag since we're in a new trade
                 }
@@ -166,7 +297,40 @@ const DTIBacktest = (function() {
         
         return {
             completedTrades: completedTrades,
-            activeTrade: activeTrade
+            activeTrade: activeTrade,
+            warmupInfo: warmupInfo
+        };
+    }
+    
+    /**
+     * Run the whole engine on one price series: indicators, backtest and metrics
+     * Doesn't touch the DOM, so it runs the same in the page, in a worker and in Node
+     * @param {Object} data - { dates, high, low, close } arrays in chronological order
+     * @param {Object} [config] - Engine configuration (see DEFAULT_CONFIG)
+     * @returns {Object} - { config, dti, sevenDayDTIData, completedTrades, activeTrade, warmupInfo, metrics }
+     * @throws {Error} - If the configuration is invalid
+     */
+    function runBacktest(data, config) {
+        const fullConfig = createConfig(config);
+        const validation = validateParameters(fullConfig);
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join('; '));
+        }
+        
+        const { dates, high, low, close } = data;
+        const { r, s, u } = fullConfig;
+        const dti = Indicators.calculateDTI(high, low, r, s, u);
+        const sevenDayDTIData = Indicators.calculate7DayDTI(dates, high, low, r, s, u);
+        const { completedTrades, activeTrade, warmupInfo } = backtestWithActiveDetection(dates, close, dti, sevenDayDTIData, fullConfig);
+        
+        return {
+            config: fullConfig,
+            dti,
+            sevenDayDTIData,
+            completedTrades,
+            activeTrade,
+            warmupInfo,
+            metrics: calculatePerformanceMetrics(completedTrades)
         };
     }
     
@@ -176,10 +340,11 @@ const DTIBacktest = (function() {
      * @param {Array} prices - Close prices
      * @param {Array} dti - DTI values
      * @param {Object} sevenDayDTIData - 7-day DTI data
+     * @param {Object} [params] - Trading parameters; missing values use DEFAULT_CONFIG
      * @returns {Array} - Array of all trades (completed and active)
      */
-    function backtest(dates, prices, dti, sevenDayDTIData) {
-        const result = backtestWithActiveDetection(dates, prices, dti, sevenDayDTIData);
+    function backtest(dates, prices, dti, sevenDayDTIData, params) {
+        const result = backtestWithActiveDetection(dates, prices, dti, sevenDayDTIData, params);
         return [...result.completedTrades, ...(result.activeTrade ? [result.activeTrade] : [])];
     }
     
@@ -199,6 +364,9 @@ const DTIBacktest = (function() {
                 totalReturn: 0,
                 profitFactor: 0,
                 maxDrawdown: 0,
+                sharpeRatio: 0,
+                cagr: 0,
+                returnOverMaxDrawdown: 0,
                 avgHoldingPeriod: 0,
                 takeProfitCount: 0,
                 stopLossCount: 0,
@@ -221,11 +389,10 @@ const DTIBacktest = (function() {
         let timeExitCount = 0;
         let endOfDataCount = 0;
         
-        // Calculate equity curve for drawdown
-        let peak = 0;
-        let drawdown = 0;
-        let maxDrawdown = 0;
-        let equityCurve = [100]; // Start with $100
+        // Equity curve from $100 and its drawdown, measured as in the Monte Carlo simulation
+        const equityPath = new Float64Array(completedTrades.length + 1);
+        const { maxDrawdown } = measureTradeSequence(completedTrades.map(trade => trade.plPercent), equityPath);
+        const equityCurve = Array.from(equityPath);
         
         completedTrades.forEach((trade, index) => {
             // Count winning/losing trades
@@ -240,20 +407,6 @@ const DTIBacktest = (function() {
             // Calculate total profit
             totalProfit += trade.plPercent;
             
-            // Update equity curve
-            const equityChange = equityCurve[equityCurve.length - 1] * (1 + (trade.plPercent / 100));
-            equityCurve.push(equityChange);
-            
-            // Update peak and calculate drawdown
-            if (equityChange > peak) {
-                peak = equityChange;
-            }
-            
-            if (peak > 0) {
-                drawdown = (peak - equityChange) / peak * 100;
-                maxDrawdown = Math.max(maxDrawdown, drawdown);
-            }
-            
             // Calculate holding period
             const entryDate = new Date(trade.entryDate);
             const exitDate = new Date(trade.exitDate);
@@ -283,6 +436,26 @@ const DTIBacktest = (function() {
         const profitFactor = grossLoss > 0 ? (grossProfit / grossLoss) : grossProfit > 0 ? Infinity : 0;
         const avgHoldingPeriod = totalTrades > 0 ? (totalHoldingDays / totalTrades) : 0;
         
+        // Annualise over the span from the first entry to the last exit
+        const entryTimes = completedTrades.map(trade => new Date(trade.entryDate).getTime());
+        const exitTimes = completedTrades.map(trade => new Date(trade.exitDate).getTime());
+        const years = totalTrades > 0
+            ? (Math.max(...exitTimes) - Math.min(...entryTimes)) / (365.25 * 24 * 60 * 60 * 1000)
+            : 0;
+        const finalEquity = equityCurve[equityCurve.length - 1];
+        const cagr = years > 0 && finalEquity > 0 ? (Math.pow(finalEquity / 100, 1 / years) - 1) * 100 : 0;
+        
+        // Per-trade Sharpe ratio (no risk-free rate), scaled by the number of trades per year
+        const variance = totalTrades > 1
+            ? completedTrades.reduce((sum, trade) => sum + Math.pow(trade.plPercent - avgProfit, 2), 0) / (totalTrades - 1)
+            : 0;
+        const tradesPerYear = years > 0 ? totalTrades / years : totalTrades;
+        const sharpeRatio = variance > 0 ? (avgProfit / Math.sqrt(variance)) * Math.sqrt(tradesPerYear) : 0;
+        
+        // Both sides come from the compounded equity curve (totalReturn is a plain sum of trade returns)
+        const compoundedReturn = finalEquity - 100;
+        const returnOverMaxDrawdown = maxDrawdown > 0 ? compoundedReturn / maxDrawdown : compoundedReturn > 0 ? Infinity : 0;
+        
         return {
             totalTrades,
             winningTrades,
@@ -292,6 +465,9 @@ const DTIBacktest = (function() {
             totalReturn: totalProfit,
             profitFactor,
             maxDrawdown,
+            sharpeRatio,
+            cagr,
+            returnOverMaxDrawdown,
             avgHoldingPeriod,
             takeProfitCount,
             stopLossCount,
@@ -456,45 +632,41 @@ const DTIBacktest = (function() {
     }
     
     /**
-     * Validate trading parameters
+     * Validate an engine configuration
+     * @param {Object} config - { r, s, u, entryThreshold, takeProfitPercent, stopLossPercent, maxHoldingDays }
      * @returns {Object} - Validation results
      */
-    function validateParameters() {
-        const r = parseInt(document.getElementById('r').value);
-        const s = parseInt(document.getElementById('s').value);
-        const u = parseInt(document.getElementById('u').value);
-        const entryThreshold = parseFloat(document.getElementById('entry-threshold').value);
-        const takeProfitPercent = parseFloat(document.getElementById('take-profit').value);
-        const stopLossPercent = parseFloat(document.getElementById('stop-loss').value);
-        const maxHoldingDays = parseInt(document.getElementById('max-days').value);
+    function validateParameters(config) {
+        const { r, s, u, entryThreshold, takeProfitPercent, stopLossPercent, maxHoldingDays } = config || {};
+        const isNumber = value => typeof value === 'number' && !isNaN(value);
         
         const errors = [];
         
-        if (isNaN(r) || r <= 0) {
+        if (!isNumber(r) || r <= 0) {
             errors.push('EMA Period (r) must be a positive number');
         }
         
-        if (isNaN(s) || s <= 0) {
+        if (!isNumber(s) || s <= 0) {
             errors.push('EMA Period (s) must be a positive number');
         }
         
-        if (isNaN(u) || u <= 0) {
+        if (!isNumber(u) || u <= 0) {
             errors.push('EMA Period (u) must be a positive number');
         }
         
-        if (isNaN(entryThreshold)) {
+        if (!isNumber(entryThreshold)) {
             errors.push('Entry Threshold must be a number');
         }
         
-        if (isNaN(takeProfitPercent) || takeProfitPercent <= 0) {
+        if (!isNumber(takeProfitPercent) || takeProfitPercent <= 0) {
             errors.push('Take Profit must be a positive number');
         }
         
-        if (isNaN(stopLossPercent) || stopLossPercent <= 0) {
+        if (!isNumber(stopLossPercent) || stopLossPercent <= 0) {
             errors.push('Stop Loss must be a positive number');
         }
         
-        if (isNaN(maxHoldingDays) || maxHoldingDays <= 0) {
+        if (!isNumber(maxHoldingDays) || maxHoldingDays <= 0) {
             errors.push('Max Holding Period must be a positive number');
         }
         
@@ -504,37 +676,157 @@ const DTIBacktest = (function() {
         };
     }
     
+    // Fewest completed trades for a parameter set to be picked as the best
+    const MIN_TRADES = 5;
+    
+    // What the optimizer maximises; each objective turns performance metrics into a score
+    const OBJECTIVES = Object.freeze({
+        score: {
+            label: 'Return × win rate × profit factor',
+            evaluate: metrics => metrics.totalReturn * (metrics.winRate / 100) * metrics.profitFactor
+        },
+        sharpeRatio: { label: 'Sharpe ratio', evaluate: metrics => metrics.sharpeRatio },
+        cagr: { label: 'CAGR', evaluate: metrics => metrics.cagr },
+        profitFactor: { label: 'Profit factor', evaluate: metrics => metrics.profitFactor },
+        returnOverMaxDrawdown: { label: 'Compounded return / max drawdown', evaluate: metrics => metrics.returnOverMaxDrawdown }
+    });
+    
+    // Ways to search the parameter ranges; every strategy but grid stops at a budget
+    const SEARCH_STRATEGIES = Object.freeze({
+        grid: { label: 'Grid (every combination)', budgeted: false },
+        random: { label: 'Random sampling', budgeted: true },
+        genetic: { label: 'Genetic algorithm', budgeted: true },
+        halving: { label: 'Successive halving', budgeted: true }
+    });
+    
+    // Backtests run by a budgeted search when no budget is given
+    const DEFAULT_MAX_EVALUATIONS = 500;
+    
+    // Indicator series kept per search; wide EMA ranges would otherwise hold one per r/s/u
+    const INDICATOR_CACHE_SIZE = 64;
+    
+    // Genetic algorithm settings
+    const GENETIC_POPULATION_SIZE = 24;
+    const GENETIC_ELITE_COUNT = 2;
+    const GENETIC_TOURNAMENT_SIZE = 3;
+    
+    // Successive halving keeps the best 1/HALVING_ETA of the candidates at each rung,
+    // on HALVING_ETA times as many of the most recent bars as the rung before
+    const HALVING_ETA = 3;
+    const HALVING_RUNGS = 3;
+    const HALVING_MIN_BARS = 250;
+    
+    /**
+     * Look up an objective
+     * @param {string} [key] - Key of OBJECTIVES; score when omitted
+     * @returns {string} - The objective key
+     * @throws {Error} - If there is no such objective
+     */
+    function resolveObjective(key) {
+        const objective = key || 'score';
+        if (!OBJECTIVES[objective]) {
+            throw new Error(`Unknown objective "${objective}". Valid values: ${Object.keys(OBJECTIVES).join(', ')}`);
+        }
+        return objective;
+    }
+    
     /**
-     * Find optimal parameters using a simple grid search
-     * @param {Array} dates - Array of date strings
-     * @param {Array} prices - Close prices
-     * @param {Object} paramRanges - Parameter ranges to test
-     * @returns {Object} - Optimal parameters and results
+     * Score a parameter set for the optimizer
+     * @param {Object} metrics - Performance metrics
+     * @param {string} [objective] - Key of OBJECTIVES; the original totalReturn * winRate * profitFactor when omitted
+     * @returns {number} - Score, higher is better
      */
-    function findOptimalParameters(dates, high, low, close, paramRanges) {
-        // Default parameter ranges if not provided
-        const ranges = paramRanges || {
-            r: [7, 14, 21],
-            s: [5, 10, 15],
-            u: [3, 5, 7],
-            entryThreshold: [-50, -40, -30],
-            takeProfitPercent: [5, 8, 10],
-            stopLossPercent: [3, 5, 7],
-            maxHoldingDays: [15, 30, 45]
-        };
-        
-        let bestResult = {
+    function scoreMetrics(metrics, objective) {
+        const score = OBJECTIVES[resolveObjective(objective)].evaluate(metrics);
+        return isNaN(score) ? -Infinity : score;
+    }
+    
+    /**
+     * Placeholder best result before any parameter set qualifies
+     * @returns {Object} - Result that every qualifying parameter set beats
+     */
+    function createEmptyBestResult() {
+        return {
             params: null,
             metrics: {
                 totalReturn: -Infinity,
                 winRate: 0,
                 profitFactor: 0
+            },
+            score: -Infinity
+        };
+    }
+    
+    /**
+     * Check whether a result should replace the current best (needs at least MIN_TRADES trades)
+     * @param {Object} result - Candidate { params, metrics, score }
+     * @param {Object} bestResult - Current best result
+     * @returns {boolean} - True if the candidate is better
+     */
+    function isBetterResult(result, bestResult) {
+        if (result.metrics.totalTrades < MIN_TRADES) {
+            return false;
+        }
+        
+        return !bestResult.params || result.score > bestResult.score;
+    }
+    
+    /**
+     * Create a function that backtests parameter sets on one price series
+     * Indicators only depend on r, s and u, so they're cached and reused across the other parameters
+     * @param {Object} data - { dates, high, low, close } arrays in chronological order
+     * @param {Object} base - Engine configuration for everything not searched
+     * @param {string} objective - Key of OBJECTIVES
+     * @returns {function} - (params) => { params, metrics, score }
+     */
+    function createEvaluator(data, base, objective) {
+        const { dates, high, low, close } = data;
+        const indicatorCache = new Map();
+        
+        return function evaluate(params) {
+            const indicatorKey = `${params.r}|${params.s}|${params.u}`;
+            let indicators = indicatorCache.get(indicatorKey);
+            
+            if (!indicators) {
+                if (indicatorCache.size >= INDICATOR_CACHE_SIZE) {
+                    indicatorCache.delete(indicatorCache.keys().next().value);
+                }
+                indicators = {
+                    dti: Indicators.calculateDTI(high, low, params.r, params.s, params.u),
+                    sevenDayDTIData: Indicators.calculate7DayDTI(dates, high, low, params.r, params.s, params.u)
+                };
+                indicatorCache.set(indicatorKey, indicators);
             }
+            
+            const { completedTrades } = backtestWithActiveDetection(
+                dates, close, indicators.dti, indicators.sevenDayDTIData, { ...base, ...params }
+            );
+            const metrics = calculatePerformanceMetrics(completedTrades);
+            
+            return { params, metrics, score: scoreMetrics(metrics, objective) };
         };
+    }
+    
+    /**
+     * Find optimal parameters using a simple grid search
+     * @param {Object} data - { dates, high, low, close } arrays in chronological order
+     * @param {Object} [paramRanges] - Values to test for each parameter; parameters without a
+     *                                 range keep their value from baseConfig
+     * @param {Object} [baseConfig] - Engine configuration for everything not searched
+     * @param {function} [onProgress] - Called with (completed, total) after each combination
+     * @param {string} [objective] - Key of OBJECTIVES to maximise; score when omitted
+     * @returns {Object} - Optimal parameters and results
+     */
+    function findOptimalParameters(data, paramRanges, baseConfig, onProgress, objective) {
+        const base = createConfig(baseConfig);
+        const ranges = resolveParamRanges(paramRanges, base);
+        const total = Object.keys(ranges).reduce((count, key) => count * ranges[key].length, 1);
+        const evaluate = createEvaluator(data, base, resolveObjective(objective));
         
+        let bestResult = createEmptyBestResult();
         let results = [];
         
-        // Generate all combinations of parameters
+        // Generate all combinations of parameters, r/s/u outermost so the indicator cache hits
         for (const r of ranges.r) {
             for (const s of ranges.s) {
                 for (const u of ranges.u) {
@@ -542,63 +834,21 @@ const DTIBacktest = (function() {
                         for (const takeProfitPercent of ranges.takeProfitPercent) {
                             for (const stopLossPercent of ranges.stopLossPercent) {
                                 for (const maxHoldingDays of ranges.maxHoldingDays) {
-                                    // Calculate DTI with current parameters
-                                    const dti = DTIIndicators.calculateDTI(high, low, r, s, u);
-                                    const sevenDayDTIData = DTIIndicators.calculate7DayDTI(dates, high, low, r, s, u);
-                                    
-                                    // Set UI parameters temporarily
-                                    const origR = document.getElementById('r').value;
-                                    const origS = document.getElementById('s').value;
-                                    const origU = document.getElementById('u').value;
-                                    const origEntryThreshold = document.getElementById('entry-threshold').value;
-                                    const origTakeProfit = document.getElementById('take-profit').value;
-                                    const origStopLoss = document.getElementById('stop-loss').value;
-                                    const origMaxDays = document.getElementById('max-days').value;
-                                    
-                                    document.getElementById('r').value = r;
-                                    document.getElementById('s').value = s;
-                                    document.getElementById('u').value = u;
-                                    document.getElementById('entry-threshold').value = entryThreshold;
-                                    document.getElementById('take-profit').value = takeProfitPercent;
-                                    document.getElementById('stop-loss').value = stopLossPercent;
-                                    document.getElementById('max-days').value = maxHoldingDays;
-                                    
-                                    // Run backtest with current parameters
-                                    const { completedTrades } = backtestWithActiveDetection(dates, close, dti, sevenDayDTIData);
-                                    
-                                    // Calculate metrics
-                                    const metrics = calculatePerformanceMetrics(completedTrades);
+                                    const result = evaluate({
+                                        r, s, u, entryThreshold, takeProfitPercent, stopLossPercent, maxHoldingDays
+                                    });
                                     
                                     // Store this result
-                                    results.push({
-                                        params: {
-                                            r, s, u, entryThreshold, takeProfitPercent, stopLossPercent, maxHoldingDays
-                                        },
-                                        metrics
-                                    });
+                                    results.push(result);
                                     
                                     // Update best result if this is better
-                                    // Using a simple scoring system: totalReturn * winRate * profitFactor
-                                    const currentScore = metrics.totalReturn * (metrics.winRate / 100) * metrics.profitFactor;
-                                    const bestScore = bestResult.metrics.totalReturn * (bestResult.metrics.winRate / 100) * bestResult.metrics.profitFactor;
-                                    
-                                    if (currentScore > bestScore && metrics.totalTrades >= 5) {
-                                        bestResult = {
-                                            params: {
-                                                r, s, u, entryThreshold, takeProfitPercent, stopLossPercent, maxHoldingDays
-                                            },
-                                            metrics
-                                        };
+                                    if (isBetterResult(result, bestResult)) {
+                                        bestResult = result;
                                     }
                                     
-                                    // Restore original parameters
-                                    document.getElementById('r').value = origR;
-                                    document.getElementById('s').value = origS;
-                                    document.getElementById('u').value = origU;
-                                    document.getElementById('entry-threshold').value = origEntryThreshold;
-                                    document.getElementById('take-profit').value = origTakeProfit;
-                                    document.getElementById('stop-loss').value = origStopLoss;
-                                    document.getElementById('max-days').value = origMaxDays;
+                                    if (onProgress) {
+                                        onProgress(results.length, total);
+                                    }
                                 }
                             }
                         }
@@ -613,18 +863,781 @@ const DTIBacktest = (function() {
         };
     }
     
+    /**
+     * Combine grid searches run over parts of the grid (e.g. one per r/s/u in a worker pool)
+     * The merged result is the same as searching the whole grid in the parts' order
+     * @param {Array} parts - findOptimalParameters results, all for the same objective
+     * @returns {Object} - { bestResult, allResults }
+     */
+    function mergeOptimizationResults(parts) {
+        let bestResult = createEmptyBestResult();
+        const allResults = [];
+        
+        parts.forEach(part => {
+            allResults.push(...part.allResults);
+            if (part.bestResult.params && isBetterResult(part.bestResult, bestResult)) {
+                bestResult = part.bestResult;
+            }
+        });
+        
+        return {
+            bestResult,
+            allResults
+        };
+    }
+    
+    /**
+     * Seeded random number generator (mulberry32), so a search can be repeated exactly
+     * @param {number} seed - 32-bit seed
+     * @returns {function} - () => number in [0, 1)
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        
+        return function random() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    /**
+     * Shared state for a budgeted search
+     * Parameter sets are handled as genes: one index into each parameter's value list.
+     * The budget counts full-history backtests; a backtest on part of the history counts
+     * as that fraction of one.
+     * @param {Object} data - { dates, high, low, close } arrays in chronological order
+     * @param {Object} paramRanges - Values to test for each parameter
+     * @param {Object} baseConfig - Engine configuration for everything not searched
+     * @param {Object} options - See searchParameters
+     * @param {function} [onProgress] - Called with (completed, total) as the budget is spent
+     * @returns {Object} - Search helpers used by the strategies
+     */
+    function createSearch(data, paramRanges, baseConfig, options, onProgress) {
+        const base = createConfig(baseConfig);
+        const ranges = resolveParamRanges(paramRanges, base);
+        const keys = Object.keys(ranges);
+        const spaceSize = keys.reduce((count, key) => count * ranges[key].length, 1);
+        const objective = resolveObjective(options.objective);
+        const seed = options.seed !== undefined ? options.seed >>> 0 : Math.floor(Math.random() * 4294967296);
+        const budget = countSearchBacktests(ranges, base, options);
+        const timeLimitMs = options.timeLimitMs > 0 ? options.timeLimitMs : Infinity;
+        const startedAt = Date.now();
+        const evaluateFull = createEvaluator(data, base, objective);
+        
+        // Full-history results by gene key, in the order they were evaluated
+        const evaluated = new Map();
+        let bestResult = createEmptyBestResult();
+        let spent = 0;
+        let stoppedBy = null;
+        
+        const search = {
+            data,
+            base,
+            ranges,
+            keys,
+            spaceSize,
+            objective,
+            budget,
+            random: createRandom(seed),
+            
+            // Gene helpers
+            randomGenes() {
+                return keys.map(key => Math.floor(search.random() * ranges[key].length));
+            },
+            toParams(genes) {
+                const params = {};
+                keys.forEach((key, index) => {
+                    params[key] = ranges[key][genes[index]];
+                });
+                return params;
+            },
+            isEvaluated(genes) {
+                return evaluated.has(genes.join(','));
+            },
+            
+            /**
+             * Check whether another backtest fits the budget and time limit
+             * @param {number} [cost] - Fraction of a full-history backtest
+             * @returns {boolean} - True if the search can go on
+             */
+            hasBudget(cost = 1) {
+                if (evaluated.size >= spaceSize) {
+                    stoppedBy = stoppedBy || 'exhausted';
+                } else if (spent + cost > budget + 1e-9) {
+                    stoppedBy = stoppedBy || 'budget';
+                } else if (Date.now() - startedAt >= timeLimitMs) {
+                    stoppedBy = stoppedBy || 'time';
+                }
+                return !stoppedBy;
+            },
+            spend(cost) {
+                spent += cost;
+                if (onProgress) {
+                    onProgress(Math.min(budget, Math.round(spent)), budget);
+                }
+            },
+            
+            /**
+             * Backtest a parameter set on the full history; repeats come from the cache for free
+             * @param {Array} genes - Value index per parameter
+             * @returns {Object} - { params, metrics, score }
+             */
+            evaluate(genes) {
+                const geneKey = genes.join(',');
+                if (evaluated.has(geneKey)) {
+                    return evaluated.get(geneKey);
+                }
+                
+                const result = evaluateFull(search.toParams(genes));
+                evaluated.set(geneKey, result);
+                if (isBetterResult(result, bestResult)) {
+                    bestResult = result;
+                }
+                search.spend(1);
+                return result;
+            },
+            
+            /**
+             * Build the search result
+             * @param {string} strategy - Key of SEARCH_STRATEGIES
+             * @returns {Object} - { bestResult, allResults, search }
+             */
+            finish(strategy) {
+                return {
+                    bestResult,
+                    allResults: [...evaluated.values()],
+                    search: {
+                        strategy,
+                        objective,
+                        seed,
+                        budget,
+                        spent: Math.round(spent * 100) / 100,
+                        spaceSize,
+                        stoppedBy: stoppedBy || 'done',
+                        elapsedMs: Date.now() - startedAt
+                    }
+                };
+            }
+        };
+        
+        return search;
+    }
+    
+    /**
+     * Fitness used to rank candidates within a search: the score, or -Infinity with too few trades
+     * @param {Object} result - { metrics, score }
+     * @param {number} [minTrades] - Trades needed to rank (MIN_TRADES by default)
+     * @returns {number} - Fitness, higher is better
+     */
+    function getFitness(result, minTrades = MIN_TRADES) {
+        return result.metrics.totalTrades >= minTrades ? result.score : -Infinity;
+    }
+    
+    /**
+     * Random search: evaluate distinct random parameter sets until the budget runs out
+     * @param {Object} search - From createSearch
+     */
+    function runRandomSearch(search) {
+        while (search.hasBudget()) {
+            search.evaluate(search.randomGenes());
+        }
+    }
+    
+    /**
+     * Genetic search: tournament selection, uniform crossover and small mutations that step a
+     * value to one of its neighbours in the range, keeping the best members each generation
+     * @param {Object} search - From createSearch
+     * @param {Object} options - { populationSize, mutationRate }
+     */
+    function runGeneticSearch(search, options) {
+        const { random, ranges, keys } = search;
+        const populationSize = Math.max(4, Math.round(options.populationSize || GENETIC_POPULATION_SIZE));
+        const mutationRate = options.mutationRate > 0 ? options.mutationRate : 1 / keys.length;
+        
+        const createMember = genes => ({ genes, fitness: getFitness(search.evaluate(genes)) });
+        
+        const select = population => {
+            let winner = population[Math.floor(random() * population.length)];
+            for (let i = 1; i < GENETIC_TOURNAMENT_SIZE; i++) {
+                const challenger = population[Math.floor(random() * population.length)];
+                if (challenger.fitness > winner.fitness) winner = challenger;
+            }
+            return winner;
+        };
+        
+        const breed = (a, b) => a.genes.map((gene, index) => {
+            let value = random() < 0.5 ? gene : b.genes[index];
+            const size = ranges[keys[index]].length;
+            
+            if (size > 1 && random() < mutationRate) {
+                const reach = Math.max(1, Math.round(size / 10));
+                const step = 1 + Math.floor(random() * reach);
+                value = Math.min(size - 1, Math.max(0, value + (random() < 0.5 ? -step : step)));
+            }
+            return value;
+        });
+        
+        let population = [];
+        while (population.length < populationSize && search.hasBudget()) {
+            population.push(createMember(search.randomGenes()));
+        }
+        
+        while (search.hasBudget()) {
+            population.sort((a, b) => b.fitness - a.fitness);
+            const next = population.slice(0, GENETIC_ELITE_COUNT);
+            let newMembers = 0;
+            
+            while (next.length < populationSize && search.hasBudget()) {
+                const genes = breed(select(population), select(population));
+                if (!search.isEvaluated(genes)) newMembers++;
+                next.push(createMember(genes));
+            }
+            
+            // A converged population only breeds parameter sets it has already tried;
+            // replace its weaker half with random newcomers
+            if (newMembers === 0) {
+                for (let i = Math.ceil(next.length / 2); i < next.length && search.hasBudget(); i++) {
+                    next[i] = createMember(search.randomGenes());
+                }
+            }
+            
+            population = next;
+        }
+    }
+    
+    /**
+     * Take part of a price series
+     * @param {Object} data - { dates, high, low, close } arrays
+     * @param {number} start - First bar index
+     * @param {number} end - Bar index to stop before
+     * @returns {Object} - The same arrays, sliced
+     */
+    function sliceBars(data, start, end) {
+        return {
+            dates: data.dates.slice(start, end),
+            high: data.high.slice(start, end),
+            low: data.low.slice(start, end),
+            close: data.close.slice(start, end)
+        };
+    }
+    
+    /**
+     * Successive halving: screen many random candidates on the most recent bars, keep the best
+     * 1/HALVING_ETA and retest them on HALVING_ETA times as much history, finishing on the full series
+     * Short rungs are cheap, so the same budget screens several times more candidates than random search
+     * @param {Object} search - From createSearch
+     */
+    function runSuccessiveHalving(search) {
+        const totalBars = search.data.dates.length;
+        const fractions = [];
+        for (let rung = HALVING_RUNGS - 1; rung >= 0; rung--) {
+            fractions.push(1 / Math.pow(HALVING_ETA, rung));
+        }
+        
+        // Largest starting field whose rungs fit the budget
+        const rungSizes = start => fractions.map((_, rung) => Math.max(1, Math.ceil(start / Math.pow(HALVING_ETA, rung))));
+        const rungCost = start => rungSizes(start).reduce((sum, size, rung) => sum + size * fractions[rung], 0);
+        let candidateCount = Math.min(search.spaceSize, Math.floor(search.budget / fractions[0]));
+        while (candidateCount > 1 && rungCost(candidateCount) > search.budget + 1e-9) {
+            candidateCount--;
+        }
+        
+        // Distinct random candidates; the loop is bounded as candidateCount never exceeds spaceSize
+        const candidateKeys = new Set();
+        let candidates = [];
+        while (candidates.length < candidateCount) {
+            const genes = search.randomGenes();
+            if (!candidateKeys.has(genes.join(','))) {
+                candidateKeys.add(genes.join(','));
+                candidates.push(genes);
+            }
+        }
+        
+        for (let rung = 0; rung < fractions.length - 1 && candidates.length > 1; rung++) {
+            const bars = Math.max(HALVING_MIN_BARS, Math.ceil(totalBars * fractions[rung]));
+            
+            // Series too short to split any further; go straight to the full history
+            if (bars >= totalBars) break;
+            
+            const evaluatePart = createEvaluator(sliceBars(search.data, totalBars - bars, totalBars), search.base, search.objective);
+            const minTrades = Math.max(1, Math.floor(MIN_TRADES * fractions[rung]));
+            const ranked = [];
+            
+            for (const genes of candidates) {
+                if (!search.hasBudget(fractions[rung])) break;
+                ranked.push({ genes, fitness: getFitness(evaluatePart(search.toParams(genes)), minTrades) });
+                search.spend(fractions[rung]);
+            }
+            
+            // Out of time before this rung started: carry the first candidate through unranked
+            if (ranked.length === 0) {
+                candidates = candidates.slice(0, 1);
+                break;
+            }
+            
+            // Out of time part-way through: only the leader so far goes on
+            const keep = ranked.length < candidates.length ? 1 : Math.ceil(candidates.length / HALVING_ETA);
+            candidates = ranked
+                .sort((a, b) => b.fitness - a.fitness)
+                .slice(0, keep)
+                .map(member => member.genes);
+        }
+        
+        // Final rung on the full history; the first finalist is evaluated even past the time limit
+        candidates.forEach((genes, index) => {
+            if (index === 0 || search.hasBudget()) {
+                search.evaluate(genes);
+            }
+        });
+    }
+    
+    // Strategy implementations by SEARCH_STRATEGIES key (grid uses findOptimalParameters)
+    const STRATEGY_RUNNERS = {
+        random: runRandomSearch,
+        genetic: runGeneticSearch,
+        halving: runSuccessiveHalving
+    };
+    
+    /**
+     * Most full-history backtests a search will run: every combination for a grid search,
+     * otherwise the budget
+     * @param {Object} [paramRanges] - Values to test for each parameter
+     * @param {Object} [baseConfig] - Engine configuration for everything not searched
+     * @param {Object} [options] - Search options (see searchParameters)
+     * @returns {number} - Number of backtests
+     */
+    function countSearchBacktests(paramRanges, baseConfig, options) {
+        const { strategy = 'grid', maxEvaluations } = options || {};
+        const ranges = resolveParamRanges(paramRanges, baseConfig);
+        const spaceSize = Object.keys(ranges).reduce((count, key) => count * ranges[key].length, 1);
+        
+        if (strategy === 'grid') {
+            return spaceSize;
+        }
+        return Math.min(spaceSize, maxEvaluations > 0 ? Math.floor(maxEvaluations) : DEFAULT_MAX_EVALUATIONS);
+    }
+    
+    /**
+     * Search parameter ranges with a chosen strategy and objective
+     * @param {Object} data - { dates, high, low, close } arrays in chronological order
+     * @param {Object} [paramRanges] - Values to test for each parameter (see findOptimalParameters)
+     * @param {Object} [baseConfig] - Engine configuration for everything not searched
+     * @param {Object} [options] - { strategy, objective, maxEvaluations, timeLimitMs, seed,
+     *                             populationSize, mutationRate }; strategy and objective are keys
+     *                             of SEARCH_STRATEGIES and OBJECTIVES (grid and score by default)
+     * @param {function} [onProgress] - Called with (completed, total) backtests
+     * @returns {Object} - { bestResult, allResults, search } where search describes the run
+     * @throws {Error} - For an unknown strategy or objective
+     */
+    function searchParameters(data, paramRanges, baseConfig, options, onProgress) {
+        const searchOptions = options || {};
+        const strategy = searchOptions.strategy || 'grid';
+        
+        if (!SEARCH_STRATEGIES[strategy]) {
+            throw new Error(`Unknown search strategy "${strategy}". Valid values: ${Object.keys(SEARCH_STRATEGIES).join(', ')}`);
+        }
+        
+        if (strategy === 'grid') {
+            const startedAt = Date.now();
+            const objective = resolveObjective(searchOptions.objective);
+            const result = findOptimalParameters(data, paramRanges, baseConfig, onProgress, objective);
+            
+            return {
+                ...result,
+                search: {
+                    strategy,
+                    objective,
+                    spent: result.allResults.length,
+                    spaceSize: result.allResults.length,
+                    stoppedBy: 'done',
+                    elapsedMs: Date.now() - startedAt
+                }
+            };
+        }
+        
+        const search = createSearch(data, paramRanges, baseConfig, searchOptions, onProgress);
+        STRATEGY_RUNNERS[strategy](search, searchOptions);
+        return search.finish(strategy);
+    }
+    
+    // Default walk-forward windows in bars: about two years in-sample, then six months out-of-sample
+    const DEFAULT_IN_SAMPLE_BARS = 504;
+    const DEFAULT_OUT_OF_SAMPLE_BARS = 126;
+    
+    /**
+     * Split a series into walk-forward windows
+     * Each out-of-sample window directly follows its in-sample window, and the next pair starts
+     * one out-of-sample length later, so the out-of-sample windows cover the rest of the history
+     * @param {number} bars - Length of the series
+     * @param {Object} [options] - { inSampleBars, outOfSampleBars, anchored }; anchored in-sample
+     *                             windows all start at the first bar and grow instead of rolling
+     * @returns {Array} - [{ inSample: { start, end }, outOfSample: { start, end } }] bar indexes, end exclusive
+     * @throws {Error} - If the lengths aren't whole numbers or the series is too short for one window
+     */
+    function createWalkForwardWindows(bars, options) {
+        const {
+            inSampleBars = DEFAULT_IN_SAMPLE_BARS,
+            outOfSampleBars = DEFAULT_OUT_OF_SAMPLE_BARS,
+            anchored = false
+        } = options || {};
+        
+        if (!Number.isInteger(inSampleBars) || inSampleBars <= 0 || !Number.isInteger(outOfSampleBars) || outOfSampleBars <= 0) {
+            throw new Error('In-sample and out-of-sample lengths must be whole numbers of bars');
+        }
+        if (bars <= inSampleBars) {
+            throw new Error(`Walk-forward needs more than ${inSampleBars} bars; the series has ${bars}`);
+        }
+        
+        const windows = [];
+        for (let start = inSampleBars; start < bars; start += outOfSampleBars) {
+            windows.push({
+                inSample: { start: anchored ? 0 : start - inSampleBars, end: start },
+                outOfSample: { start, end: Math.min(bars, start + outOfSampleBars) }
+            });
+        }
+        
+        return windows;
+    }
+    
+    /**
+     * Trade one out-of-sample window with fixed parameters
+     * The backtest starts at the in-sample window so the indicators are warmed up, but only
+     * enters trades in the out-of-sample window. A trade still open when the window ends is
+     * closed at its last close, as the next window may trade different parameters.
+     * @param {Object} data - { dates, high, low, close } arrays for the whole series
+     * @param {Object} windowRange - Entry from createWalkForwardWindows
+     * @param {Object} config - Engine configuration
+     * @returns {Array} - Completed trades entered in the window
+     */
+    function tradeOutOfSample(data, windowRange, config) {
+        const { dates, high, low, close } = sliceBars(data, windowRange.inSample.start, windowRange.outOfSample.end);
+        const dti = Indicators.calculateDTI(high, low, config.r, config.s, config.u);
+        const sevenDayDTIData = Indicators.calculate7DayDTI(dates, high, low, config.r, config.s, config.u);
+        const { completedTrades, activeTrade } = backtestWithActiveDetection(
+            dates, close, dti, sevenDayDTIData, config, windowRange.outOfSample.start - windowRange.inSample.start
+        );
+        
+        if (!activeTrade) {
+            return completedTrades;
+        }
+        
+        const last = dates.length - 1;
+        return [...completedTrades, {
+            ...activeTrade,
+            exitDate: dates[last],
+            exitPrice: close[last],
+            plPercent: (close[last] - activeTrade.entryPrice) / activeTrade.entryPrice * 100,
+            exitReason: 'End of Data'
+        }];
+    }
+    
+    /**
+     * Trade each out-of-sample window with the parameters its in-sample search chose and
+     * stitch the windows together
+     * Efficiency is out-of-sample return per bar over in-sample return per bar: near 1 means the
+     * parameters kept working on unseen data, near 0 or negative means they were fitted to noise.
+     * It's null for windows whose in-sample return wasn't positive.
+     * @param {Object} data - { dates, high, low, close } arrays for the whole series
+     * @param {Array} windows - From createWalkForwardWindows
+     * @param {Array} searches - searchParameters result for each window's in-sample bars
+     * @param {Object} [baseConfig] - Engine configuration for everything not searched
+     * @returns {Object} - { windows, trades, metrics, equityCurve: [{ date, equity }], efficiency }
+     */
+    function buildWalkForwardReport(data, windows, searches, baseConfig) {
+        const base = createConfig(baseConfig);
+        const trades = [];
+        let inSampleReturnPerBar = 0;
+        let outOfSampleReturnPerBar = 0;
+        let optimizedWindows = 0;
+        
+        const windowReports = windows.map((windowRange, index) => {
+            const { bestResult } = searches[index];
+            const inSampleBars = windowRange.inSample.end - windowRange.inSample.start;
+            const outOfSampleBars = windowRange.outOfSample.end - windowRange.outOfSample.start;
+            
+            // No parameter set made enough in-sample trades: sit the window out
+            const windowTrades = bestResult.params ? tradeOutOfSample(data, windowRange, { ...base, ...bestResult.params }) : [];
+            const { equityCurve, ...outOfSampleMetrics } = calculatePerformanceMetrics(windowTrades);
+            windowTrades.forEach(trade => trades.push({ ...trade, window: index }));
+            
+            let inSampleMetrics = null;
+            let efficiency = null;
+            if (bestResult.params) {
+                inSampleMetrics = { ...bestResult.metrics };
+                delete inSampleMetrics.equityCurve;
+                inSampleReturnPerBar += inSampleMetrics.totalReturn / inSampleBars;
+                outOfSampleReturnPerBar += outOfSampleMetrics.totalReturn / outOfSampleBars;
+                optimizedWindows++;
+                
+                if (inSampleMetrics.totalReturn > 0) {
+                    efficiency = (outOfSampleMetrics.totalReturn / outOfSampleBars) / (inSampleMetrics.totalReturn / inSampleBars);
+                }
+            }
+            
+            return {
+                inSample: {
+                    start: data.dates[windowRange.inSample.start],
+                    end: data.dates[windowRange.inSample.end - 1],
+                    bars: inSampleBars
+                },
+                outOfSample: {
+                    start: data.dates[windowRange.outOfSample.start],
+                    end: data.dates[windowRange.outOfSample.end - 1],
+                    bars: outOfSampleBars
+                },
+                params: bestResult.params,
+                inSampleScore: bestResult.params ? bestResult.score : null,
+                inSampleMetrics,
+                outOfSampleMetrics,
+                efficiency
+            };
+        });
+        
+        const { equityCurve, ...metrics } = calculatePerformanceMetrics(trades);
+        
+        return {
+            windows: windowReports,
+            trades,
+            metrics,
+            equityCurve: [
+                { date: data.dates[windows[0].outOfSample.start], equity: 100 },
+                ...trades.map((trade, index) => ({ date: trade.exitDate, equity: equityCurve[index + 1] }))
+            ],
+            efficiency: optimizedWindows > 0 && inSampleReturnPerBar > 0
+                ? outOfSampleReturnPerBar / inSampleReturnPerBar
+                : null
+        };
+    }
+    
+    /**
+     * Walk-forward optimization: search each in-sample window, trade the out-of-sample window
+     * after it with the winner, and report the stitched out-of-sample results
+     * @param {Object} data - { dates, high, low, close } arrays in chronological order
+     * @param {Object} [paramRanges] - Values to test for each parameter (see findOptimalParameters)
+     * @param {Object} [baseConfig] - Engine configuration for everything not searched
+     * @param {Object} [options] - Window options (see createWalkForwardWindows) and search options
+     *                             (see searchParameters), used for every window
+     * @param {function} [onProgress] - Called with (completed, total) backtests across all windows
+     * @returns {Object} - See buildWalkForwardReport
+     * @throws {Error} - If the series is too short or an option is invalid
+     */
+    function walkForward(data, paramRanges, baseConfig, options, onProgress) {
+        const windows = createWalkForwardWindows(data.dates.length, options);
+        const perWindow = countSearchBacktests(paramRanges, baseConfig, options);
+        const total = perWindow * windows.length;
+        
+        const searches = windows.map((windowRange, index) => searchParameters(
+            sliceBars(data, windowRange.inSample.start, windowRange.inSample.end),
+            paramRanges,
+            baseConfig,
+            options,
+            onProgress ? completed => onProgress(index * perWindow + completed, total) : undefined
+        ));
+        
+        return buildWalkForwardReport(data, windows, searches, baseConfig);
+    }
+    
+    // Monte Carlo settings: percentiles reported for every distribution, and the default run size
+    const MONTE_CARLO_PERCENTILES = [5, 25, 50, 75, 95];
+    const DEFAULT_SIMULATIONS = 2000;
+    
+    // How simulated trade sequences are drawn: resample picks trades with replacement, so the
+    // final return varies too; shuffle only reorders them, so only the path (drawdown, streaks) varies
+    const MONTE_CARLO_METHODS = ['resample', 'shuffle'];
+    
+    /**
+     * Follow one sequence of trade returns from an equity of 100
+     * @param {ArrayLike} returns - Trade P/L percentages in order
+     * @param {Float64Array} [path] - Receives the equity after each trade (starting value first)
+     * @param {number} [offset] - Where this sequence's equity starts in path
+     * @returns {Object} - { finalReturn, maxDrawdown, longestLosingStreak }
+     */
+    function measureTradeSequence(returns, path, offset = 0) {
+        let equity = 100;
+        let peak = 100;
+        let maxDrawdown = 0;
+        let losingStreak = 0;
+        let longestLosingStreak = 0;
+        
+        if (path) path[offset] = equity;
+        
+        for (let i = 0; i < returns.length; i++) {
+            equity *= 1 + returns[i] / 100;
+            peak = Math.max(peak, equity);
+            maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak * 100);
+            
+            // Break-even trades count as losses, as in calculatePerformanceMetrics
+            losingStreak = returns[i] > 0 ? 0 : losingStreak + 1;
+            longestLosingStreak = Math.max(longestLosingStreak, losingStreak);
+            
+            if (path) path[offset + i + 1] = equity;
+        }
+        
+        return { finalReturn: equity - 100, maxDrawdown, longestLosingStreak };
+    }
+    
+    /**
+     * Value at a percentile of sorted values, interpolating between neighbours
+     * @param {ArrayLike} sorted - Values in ascending order
+     * @param {number} p - Percentile, 0 to 100
+     * @returns {number} - The percentile value
+     */
+    function percentileOf(sorted, p) {
+        const position = (sorted.length - 1) * p / 100;
+        const lower = Math.floor(position);
+        const upper = Math.min(sorted.length - 1, lower + 1);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+    
+    /**
+     * Summarise simulated values
+     * @param {Float64Array} values - One value per simulation (sorted in place)
+     * @returns {Object} - { mean, min, max, percentiles: { 5, 25, 50, 75, 95 } }
+     */
+    function summarizeDistribution(values) {
+        values.sort();
+        const percentiles = {};
+        MONTE_CARLO_PERCENTILES.forEach(p => {
+            percentiles[p] = percentileOf(values, p);
+        });
+        
+        return {
+            mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+            min: values[0],
+            max: values[values.length - 1],
+            percentiles
+        };
+    }
+    
+    /**
+     * Monte Carlo robustness check: replay the completed trades in many random sequences
+     * A single backtest's max drawdown depends on the order its trades happened to come in;
+     * the simulated distribution shows how bad it could plausibly have been (e.g. the 95th
+     * percentile drawdown for position sizing). Equity compounds each trade's P/L from 100.
+     * @param {Array} trades - Trades from a backtest; only completed trades are used
+     * @param {Object} [options] - { simulations, method: 'resample' | 'shuffle', seed }
+     * @returns {Object} - { method, simulations, tradeCount, original, finalReturn, maxDrawdown,
+     *                     longestLosingStreak, equityCurve, equityBands }; original measures the
+     *                     trades in their real order, equityBands holds an equity path per percentile
+     * @throws {Error} - If there are no completed trades or an option is invalid
+     */
+    function runMonteCarlo(trades, options) {
+        const { simulations = DEFAULT_SIMULATIONS, method = 'resample', seed } = options || {};
+        
+        if (!MONTE_CARLO_METHODS.includes(method)) {
+            throw new Error(`Unknown Monte Carlo method "${method}". Valid values: ${MONTE_CARLO_METHODS.join(', ')}`);
+        }
+        if (!Number.isInteger(simulations) || simulations <= 0) {
+            throw new Error('Simulations must be a positive whole number');
+        }
+        
+        const returns = (trades || [])
+            .filter(trade => trade.exitDate && trade.exitReason)
+            .map(trade => trade.plPercent);
+        if (returns.length === 0) {
+            throw new Error('Monte Carlo needs at least one completed trade');
+        }
+        
+        const random = createRandom(seed !== undefined ? seed : Math.floor(Math.random() * 4294967296));
+        const steps = returns.length + 1;
+        const paths = new Float64Array(simulations * steps);
+        const finalReturns = new Float64Array(simulations);
+        const maxDrawdowns = new Float64Array(simulations);
+        const losingStreaks = new Float64Array(simulations);
+        const sequence = returns.slice();
+        
+        for (let simulation = 0; simulation < simulations; simulation++) {
+            if (method === 'shuffle') {
+                // Fisher-Yates, continuing from the previous simulation's order
+                for (let i = sequence.length - 1; i > 0; i--) {
+                    const j = Math.floor(random() * (i + 1));
+                    [sequence[i], sequence[j]] = [sequence[j], sequence[i]];
+                }
+            } else {
+                for (let i = 0; i < sequence.length; i++) {
+                    sequence[i] = returns[Math.floor(random() * returns.length)];
+                }
+            }
+            
+            const result = measureTradeSequence(sequence, paths, simulation * steps);
+            finalReturns[simulation] = result.finalReturn;
+            maxDrawdowns[simulation] = result.maxDrawdown;
+            losingStreaks[simulation] = result.longestLosingStreak;
+        }
+        
+        // Percentile of equity after each trade, across simulations
+        const equityBands = {};
+        MONTE_CARLO_PERCENTILES.forEach(p => {
+            equityBands[p] = [];
+        });
+        const column = new Float64Array(simulations);
+        for (let step = 0; step < steps; step++) {
+            for (let simulation = 0; simulation < simulations; simulation++) {
+                column[simulation] = paths[simulation * steps + step];
+            }
+            column.sort();
+            MONTE_CARLO_PERCENTILES.forEach(p => {
+                equityBands[p].push(percentileOf(column, p));
+            });
+        }
+        
+        const originalPath = new Float64Array(steps);
+        const original = measureTradeSequence(returns, originalPath);
+        
+        return {
+            method,
+            simulations,
+            tradeCount: returns.length,
+            original,
+            finalReturn: summarizeDistribution(finalReturns),
+            maxDrawdown: summarizeDistribution(maxDrawdowns),
+            longestLosingStreak: summarizeDistribution(losingStreaks),
+            equityCurve: Array.from(originalPath),
+            equityBands
+        };
+    }
+    
+    
     // Return public API
     return {
+        DEFAULT_CONFIG,
+        DEFAULT_PARAM_RANGES,
+        OBJECTIVES,
+        SEARCH_STRATEGIES,
+        createConfig,
+        resolveParamRanges,
+        runBacktest,
         backtestWithActiveDetection,
+        isIntradayData,
+        isMemberOnDate,
+        applyMembership,
         backtest,
         calculatePerformanceMetrics,
         customEntryPointStyle,
         customExitPointStyle,
         generateTradeMarkers,
         validateParameters,
-        findOptimalParameters
+        findOptimalParameters,
+        mergeOptimizationResults,
+        countSearchBacktests,
+        searchParameters,
+        sliceBars,
+        createWalkForwardWindows,
+        buildWalkForwardReport,
+        walkForward,
+        runMonteCarlo
     };
 })();
 
 // Make DTIBacktest available globally
-window.DTIBacktest = DTIBacktest;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.DTIBacktest = DTIBacktest;
+}
+
+// Allow the module to be required from Node (server-side scans)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DTIBacktest;
+}
\ No newline at end of file
@@ -0,0 +1,25 @@
+/**
+ * DTI Backtester - Configuration Module
+ * Settings shared by the backtester and the trades page
+ */
+
+// Create DTIConfig module
+const DTIConfig = (function() {
+    // Backend service location (use your deployed URL in production)
+    const BACKEND_URL = 'http://localhost:3000';
+    
+    // Return public API
+    return {
+        BACKEND_URL
+    };
+})();
+
+// Make DTIConfig available globally
+if (typeof window !== 'undefined') {
+    window.DTIConfig = DTIConfig;
+}
+
+// Allow the module to be required from Node (server-side scans)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DTIConfig;
+}
@@ -10,11 +10,7 @@ const DTIBacktester = {
     allStocksData: [],
     activeTradeOpportunities: [],
     currentStockIndex: 'nifty50', // Default to Nifty 50
-    warmupInfo: {
-        startDate: null,
-        endDate: null,
-        enabled: true
-    },
+    currentSeries: null, // { dates, high, low, close } of the backtested stock, for the optimizer
     
     // Charts
     priceChart: null,
@@ -220,7 +216,7 @@ const DTIBacktester = {
                 complete: (results) => {
                     // We'll import the data processing function from dti-data.js
                     if (typeof DTIData !== 'undefined' && DTIData.processCSV) {
-                        DTIData.processCSV(results);
+                        DTIData.processCSV(results, DTIUI.getBacktestConfig());
                     } else {
                         console.error("DTIData module not loaded");
                         this.utils.showNotification('Error: Data processing module not loaded', 'error');
@@ -291,7 +287,7 @@ const DTIBacktester = {
                         complete: (results) => {
                             // We'll import the data processing function from dti-data.js
                             if (typeof DTIData !== 'undefined' && DTIData.processCSV) {
-                                DTIData.processCSV(results);
+                                DTIData.processCSV(results, DTIUI.getBacktestConfig());
                             } else {
                                 console.error("DTIData module not loaded");
                                 DTIBacktester.utils.showNotification('Error: Data processing module not loaded', 'error');
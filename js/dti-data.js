@@ -5,1784 +5,185 @@
 
 // Create DTIData module
 const DTIData = (function() {
-    // Stock lists
-    const nifty50Stocks = [
-        { name: "Adani Enterprises", symbol: "ADANIENT.NS" },
-        { name: "Adani Ports", symbol: "ADANIPORTS.NS" },
-        { name: "Apollo Hospitals", symbol: "APOLLOHOSP.NS" },
-        { name: "Asian Paints", symbol: "ASIANPAINT.NS" },
-        { name: "Axis Bank", symbol: "AXISBANK.NS" },
-        { name: "Bajaj Auto", symbol: "BAJAJ-AUTO.NS" },
-        { name: "Bajaj Finance", symbol: "BAJFINANCE.NS" },
-        { name: "Bajaj Finserv", symbol: "BAJAJFINSV.NS" },
-        { name: "BPCL", symbol: "BPCL.NS" },
-        { name: "Bharti Airtel", symbol: "BHARTIARTL.NS" },
-        { name: "Britannia", symbol: "BRITANNIA.NS" },
-        { name: "CIPLA", symbol: "CIPLA.NS" },
-        { name: "Coal India", symbol: "COALINDIA.NS" },
-        { name: "Divis Labs", symbol: "DIVISLAB.NS" },
-        { name: "Dr Reddy's Labs", symbol: "DRREDDY.NS" },
-        { name: "Eicher Motors", symbol: "EICHERMOT.NS" },
-        { name: "Grasim", symbol: "GRASIM.NS" },
-        { name: "HCL Tech", symbol: "HCLTECH.NS" },
-        { name: "HDFC Bank", symbol: "HDFCBANK.NS" },
-        { name: "Hero MotoCorp", symbol: "HEROMOTOCO.NS" },
-        { name: "Hindalco", symbol: "HINDALCO.NS" },
-        { name: "HUL", symbol: "HINDUNILVR.NS" },
-        { name: "ICICI Bank", symbol: "ICICIBANK.NS" },
-        { name: "IndusInd Bank", symbol: "INDUSINDBK.NS" },
-        { name: "InfoEdge", symbol: "NAUKRI.NS" },
-        { name: "Infosys", symbol: "INFY.NS" },
-        { name: "ITC", symbol: "ITC.NS" },
-        { name: "JSW Steel", symbol: "JSWSTEEL.NS" },
-        { name: "Kotak Mahindra", symbol: "KOTAKBANK.NS" },
-        { name: "L&T", symbol: "LT.NS" },
-        { name: "M&M", symbol: "M&M.NS" },
-        { name: "Maruti Suzuki", symbol: "MARUTI.NS" },
-        { name: "Nestle India", symbol: "NESTLEIND.NS" },
-        { name: "NTPC", symbol: "NTPC.NS" },
-        { name: "ONGC", symbol: "ONGC.NS" },
-        { name: "Power Grid", symbol: "POWERGRID.NS" },
-        { name: "Reliance", symbol: "RELIANCE.NS" },
-        { name: "SBI", symbol: "SBIN.NS" },
-        { name: "SBI Life", symbol: "SBILIFE.NS" },
-        { name: "Shree Cement", symbol: "SHREECEM.NS" },
-        { name: "Sun Pharma", symbol: "SUNPHARMA.NS" },
-        { name: "TCS", symbol: "TCS.NS" },
-        { name: "Tata Consumer", symbol: "TATACONSUM.NS" },
-        { name: "Tata Motors", symbol: "TATAMOTORS.NS" },
-        { name: "Tata Steel", symbol: "TATASTEEL.NS" },
-        { name: "Tech Mahindra", symbol: "TECHM.NS" },
-        { name: "Titan", symbol: "TITAN.NS" },
-        { name: "UltraTech Cement", symbol: "ULTRACEMCO.NS" },
-        { name: "UPL", symbol: "UPL.NS" },
-        { name: "Wipro", symbol: "WIPRO.NS" }
-    ];
-
-    const niftyNext50Stocks = [
-        { name: "Abbott India", symbol: "ABBOTINDIA.NS" },
-        { name: "Adani Green Energy", symbol: "ADANIGREEN.NS" },
-        { name: "Adani Total Gas", symbol: "ATGL.NS" },
-        { name: "Adani Wilmar", symbol: "AWL.NS" },
-        { name: "Ambuja Cements", symbol: "AMBUJACEM.NS" },
-        { name: "Apollo Hospitals", symbol: "APOLLOHOSP.NS" },
-        { name: "Ashok Leyland", symbol: "ASHOKLEY.NS" },
-        { name: "AU Small Finance Bank", symbol: "AUBANK.NS" },
-        { name: "Avenue Supermarts", symbol: "DMART.NS" },
-        { name: "Bajaj Holdings", symbol: "BAJAJHLDNG.NS" },
-        { name: "Balkrishna Industries", symbol: "BALKRISIND.NS" },
-        { name: "Bandhan Bank", symbol: "BANDHANBNK.NS" },
-        { name: "Bata India", symbol: "BATAINDIA.NS" },
-        { name: "Berger Paints", symbol: "BERGEPAINT.NS" },
-        { name: "Bharat Electronics", symbol: "BEL.NS" },
-        { name: "Bharat Forge", symbol: "BHARATFORG.NS" },
-        { name: "Biocon", symbol: "BIOCON.NS" },
-        { name: "Bosch", symbol: "BOSCHLTD.NS" },
-        { name: "Cholamandalam Investment", symbol: "CHOLAFIN.NS" },
-        { name: "Colgate Palmolive", symbol: "COLPAL.NS" },
-        { name: "Container Corporation", symbol: "CONCOR.NS" },
-        { name: "Dabur India", symbol: "DABUR.NS" },
-        { name: "Dalmia Bharat", symbol: "DALBHARAT.NS" },
-        { name: "DLF", symbol: "DLF.NS" },
-        { name: "Federal Bank", symbol: "FEDERALBNK.NS" },
-        { name: "Godrej Consumer Products", symbol: "GODREJCP.NS" },
-        { name: "Godrej Properties", symbol: "GODREJPROP.NS" },
-        { name: "Havells India", symbol: "HAVELLS.NS" },
-        { name: "HDFC Asset Management", symbol: "HDFCAMC.NS" },
-        { name: "HDFC Life Insurance", symbol: "HDFCLIFE.NS" },
-        { name: "ICICI Lombard", symbol: "ICICIGI.NS" },
-        { name: "ICICI Prudential Life", symbol: "ICICIPRULI.NS" },
-        { name: "Indian Hotels", symbol: "INDHOTEL.NS" },
-        { name: "Indian Railway Catering", symbol: "IRCTC.NS" },
-        { name: "Indus Towers", symbol: "INDUSTOWER.NS" },
-        { name: "Info Edge", symbol: "NAUKRI.NS" },
-        { name: "LIC Housing Finance", symbol: "LICHSGFIN.NS" },
-        { name: "LTIMindtree", symbol: "LTIM.NS" },
-        { name: "Lupin", symbol: "LUPIN.NS" },
-        { name: "Marico", symbol: "MARICO.NS" },
-        { name: "Muthoot Finance", symbol: "MUTHOOTFIN.NS" },
-        { name: "Pidilite Industries", symbol: "PIDILITIND.NS" },
-        { name: "Procter & Gamble Hygiene", symbol: "PGHH.NS" },
-        { name: "SBI Cards", symbol: "SBICARD.NS" },
-        { name: "Siemens", symbol: "SIEMENS.NS" },
-        { name: "SRF", symbol: "SRF.NS" },
-        { name: "Tata Power", symbol: "TATAPOWER.NS" },
-        { name: "Zydus Lifesciences", symbol: "ZYDUSLIFE.NS" }
-    ];
-
-    // Full Nifty Midcap 150 stock list
-    const niftyMidcap150Stocks = [
-        { name: "Aditya Birla Capital", symbol: "ABCAPITAL.NS" },
-        { name: "Aarti Industries", symbol: "AARTIIND.NS" },
-        { name: "Abbott India", symbol: "ABBOTINDIA.NS" },
-        { name: "Adani Power", symbol: "ADANIPOWER.NS" },
-        { name: "Ajanta Pharma", symbol: "AJANTPHARM.NS" },
-        { name: "Alkem Laboratories", symbol: "ALKEM.NS" },
-        { name: "APL Apollo Tubes", symbol: "APLAPOLLO.NS" },
-        { name: "Aether Industries", symbol: "AETHER.NS" },
-        { name: "Affle India", symbol: "AFFLE.NS" },
-        { name: "Atul Ltd", symbol: "ATUL.NS" },
-        { name: "Aurobindo Pharma", symbol: "AUROPHARMA.NS" },
-        { name: "Astral Limited", symbol: "ASTRAL.NS" },
-        { name: "Balkrishna Industries", symbol: "BALKRISIND.NS" },
-        { name: "Bank of India", symbol: "BANKINDIA.NS" },
-        { name: "Bharat Dynamics", symbol: "BDL.NS" },
-        { name: "Bharat Electronics", symbol: "BEL.NS" },
-        { name: "Bharat Heavy Electricals", symbol: "BHEL.NS" },
-        { name: "Biocon", symbol: "BIOCON.NS" },
-        { name: "Blue Dart Express", symbol: "BLUEDART.NS" },
-        { name: "Bosch", symbol: "BOSCHLTD.NS" },
-        { name: "Brigade Enterprises", symbol: "BRIGADE.NS" },
-        { name: "Bata India", symbol: "BATAINDIA.NS" },
-        { name: "Canara Bank", symbol: "CANBK.NS" },
-        { name: "Cholamandalam Investment", symbol: "CHOLAFIN.NS" },
-        { name: "City Union Bank", symbol: "CUB.NS" },
-        { name: "CG Power and Industrial", symbol: "CGPOWER.NS" },
-        { name: "Container Corporation", symbol: "CONCOR.NS" },
-        { name: "Coforge", symbol: "COFORGE.NS" },
-        { name: "Crompton Greaves Consumer", symbol: "CROMPTON.NS" },
-        { name: "Cyient", symbol: "CYIENT.NS" },
-        { name: "Deepak Nitrite", symbol: "DEEPAKNTR.NS" },
-        { name: "Dhani Services", symbol: "DHANI.NS" },
-        { name: "Dixon Technologies", symbol: "DIXON.NS" },
-        { name: "Dr. Lal PathLabs", symbol: "LALPATHLAB.NS" },
-        { name: "Emami", symbol: "EMAMILTD.NS" },
-        { name: "Federal Bank", symbol: "FEDERALBNK.NS" },
-        { name: "FSN E-Commerce (Nykaa)", symbol: "NYKAA.NS" },
-        { name: "Fortis Healthcare", symbol: "FORTIS.NS" },
-        { name: "Godrej Properties", symbol: "GODREJPROP.NS" },
-        { name: "Gujarat Gas", symbol: "GUJGASLTD.NS" },
-        { name: "Hindustan Aeronautics", symbol: "HAL.NS" },
-        { name: "Havells India", symbol: "HAVELLS.NS" },
-        { name: "HDFC Asset Management", symbol: "HDFCAMC.NS" },
-        { name: "IDFC First Bank", symbol: "IDFCFIRSTB.NS" },
-        { name: "India Cements", symbol: "INDIACEM.NS" },
-        { name: "Indian Hotels Company", symbol: "INDHOTEL.NS" },
-        { name: "IndiaMART InterMESH", symbol: "INDIAMART.NS" },
-        { name: "Indian Railway Catering", symbol: "IRCTC.NS" },
-        { name: "Indus Towers", symbol: "INDUSTOWER.NS" },
-        { name: "Ipca Laboratories", symbol: "IPCALAB.NS" },
-        { name: "IRCON International", symbol: "IRCON.NS" },
-        { name: "JSW Energy", symbol: "JSWENERGY.NS" },
-        { name: "Jubilant Foodworks", symbol: "JUBLFOOD.NS" },
-        { name: "Kalyan Jewellers", symbol: "KALYANKJIL.NS" },
-        { name: "Kansai Nerolac Paints", symbol: "KANSAINER.NS" },
-        { name: "L&T Technology Services", symbol: "LTTS.NS" },
-        { name: "Laurus Labs", symbol: "LAURUSLABS.NS" },
-        { name: "LIC Housing Finance", symbol: "LICHSGFIN.NS" },
-        { name: "Lupin", symbol: "LUPIN.NS" },
-        { name: "MRF", symbol: "MRF.NS" },
-        { name: "Manappuram Finance", symbol: "MANAPPURAM.NS" },
-        { name: "Marico", symbol: "MARICO.NS" },
-        { name: "Max Financial Services", symbol: "MFSL.NS" },
-        { name: "MphasiS", symbol: "MPHASIS.NS" },
-        { name: "Muthoot Finance", symbol: "MUTHOOTFIN.NS" },
-        { name: "NBCC (India)", symbol: "NBCC.NS" },
-        { name: "NHPC", symbol: "NHPC.NS" },
-        { name: "NMDC", symbol: "NMDC.NS" },
-        { name: "Oil India", symbol: "OIL.NS" },
-        { name: "Page Industries", symbol: "PAGEIND.NS" },
-        { name: "Petronet LNG", symbol: "PETRONET.NS" },
-        { name: "PFC", symbol: "PFC.NS" },
-        { name: "Prestige Estates Projects", symbol: "PRESTIGE.NS" },
-        { name: "PVR Inox", symbol: "PVRINOX.NS" },
-        { name: "REC", symbol: "RECLTD.NS" },
-        { name: "Sundaram Finance", symbol: "SUNDARMFIN.NS" },
-        { name: "Syngene International", symbol: "SYNGENE.NS" },
-        { name: "Tata Chemicals", symbol: "TATACHEM.NS" },
-        { name: "Tata Communications", symbol: "TATACOMM.NS" },
-        { name: "Tata Elxsi", symbol: "TATAELXSI.NS" },
-        { name: "TVS Motor Company", symbol: "TVSMOTOR.NS" },
-        { name: "Torrent Power", symbol: "TORNTPOWER.NS" },
-        { name: "Triveni Turbine", symbol: "TRITURBINE.NS" },
-        { name: "UTI Asset Management", symbol: "UTIAMC.NS" },
-        { name: "Vedanta", symbol: "VEDL.NS" },
-        { name: "Voltas", symbol: "VOLTAS.NS" },
-        { name: "Whirlpool of India", symbol: "WHIRLPOOL.NS" },
-        { name: "Zydus Lifesciences", symbol: "ZYDUSLIFE.NS" },
-        { name: "Zee Entertainment", symbol: "ZEEL.NS" },
-        { name: "Adani Total Gas", symbol: "ATGL.NS" },
-        { name: "Aditya Birla Fashion", symbol: "ABFRL.NS" },
-        { name: "Apollo Tyres", symbol: "APOLLOTYRE.NS" },
-        { name: "Ashok Leyland", symbol: "ASHOKLEY.NS" },
-        { name: "AU Small Finance Bank", symbol: "AUBANK.NS" },
-        { name: "Bandhan Bank", symbol: "BANDHANBNK.NS" },
-        { name: "Berger Paints", symbol: "BERGEPAINT.NS" },
-        { name: "Bharti Airtel", symbol: "BHARTIARTL.NS" },
-        { name: "Bharat Forge", symbol: "BHARATFORG.NS" },
-        { name: "Bombay Burmah Trading", symbol: "BBTC.NS" },
-        { name: "Cummins India", symbol: "CUMMINSIND.NS" },
-        { name: "Dabur India", symbol: "DABUR.NS" },
-        { name: "Dalmia Bharat", symbol: "DALBHARAT.NS" },
-        { name: "DLF", symbol: "DLF.NS" },
-        { name: "Engineers India", symbol: "ENGINERSIN.NS" },
-        { name: "Exide Industries", symbol: "EXIDEIND.NS" },
-        { name: "Gujarat Fluorochemicals", symbol: "FLUOROCHEM.NS" },
-        { name: "Godrej Agrovet", symbol: "GODREJAGRO.NS" },
-        { name: "Godrej Consumer Products", symbol: "GODREJCP.NS" },
-        { name: "Godrej Industries", symbol: "GODREJIND.NS" },
-        { name: "Granules India", symbol: "GRANULES.NS" },
-        { name: "Grindwell Norton", symbol: "GRINDWELL.NS" },
-        { name: "ICICI Lombard", symbol: "ICICIGI.NS" },
-        { name: "ICICI Prudential Life", symbol: "ICICIPRULI.NS" },
-        { name: "Info Edge", symbol: "NAUKRI.NS" },
-        { name: "Jindal Steel & Power", symbol: "JINDALSTEL.NS" },
-        { name: "Jindal Stainless", symbol: "JSL.NS" },
-        { name: "LTIMindtree", symbol: "LTIM.NS" },
-        { name: "Mahindra & Mahindra Financial", symbol: "M&MFIN.NS" },
-        { name: "Mazagon Dock Shipbuilders", symbol: "MAZDOCK.NS" },
-        { name: "Oberoi Realty", symbol: "OBEROIRLTY.NS" },
-        { name: "Phoenix Mills", symbol: "PHOENIXLTD.NS" },
-        { name: "Pidilite Industries", symbol: "PIDILITIND.NS" },
-        { name: "Polycab India", symbol: "POLYCAB.NS" },
-        { name: "SBI Cards & Payment Services", symbol: "SBICARD.NS" },
-        { name: "Siemens", symbol: "SIEMENS.NS" },
-        { name: "SRF", symbol: "SRF.NS" },
-        { name: "Tata Power", symbol: "TATAPOWER.NS" },
-        { name: "Thermax", symbol: "THERMAX.NS" },
-        { name: "Trent", symbol: "TRENT.NS" },
-        { name: "United Breweries", symbol: "UBL.NS" },
-        { name: "Union Bank of India", symbol: "UNIONBANK.NS" },
-        { name: "Vodafone Idea", symbol: "IDEA.NS" },
-        { name: "Bharat Petroleum", symbol: "BPCL.NS" },
-        { name: "GAIL India", symbol: "GAIL.NS" },
-        { name: "Hindustan Petroleum", symbol: "HINDPETRO.NS" },
-        { name: "Indian Oil Corporation", symbol: "IOC.NS" },
-        { name: "Shriram Finance", symbol: "SHRIRAMFIN.NS" },
-        { name: "National Aluminium", symbol: "NATIONALUM.NS" },
-        { name: "RBL Bank", symbol: "RBLBANK.NS" },
-        { name: "Steel Authority of India", symbol: "SAIL.NS" },
-        { name: "Sun TV Network", symbol: "SUNTV.NS" },
-        { name: "Tata Teleservices", symbol: "TTML.NS" }
-    ];
-
-    // Full FTSE 250 stock list
-    const ftse250Stocks = [
-        { name: "3i Infrastructure", symbol: "3IN.L" },
-        { name: "Aberforth Smaller Companies Trust", symbol: "ASL.L" },
-        { name: "Abrdn", symbol: "ABDN.L" },
-        { name: "Abrdn European Logistics Income", symbol: "ASLI.L" },
-        { name: "Airtel Africa", symbol: "AAF.L" },
-        { name: "Allianz Technology Trust", symbol: "ATT.L" },
-        { name: "Apax Global Alpha", symbol: "APAX.L" },
-        { name: "Ashmore Group", symbol: "ASHM.L" },
-        { name: "Aston Martin Lagonda", symbol: "AML.L" },
-        { name: "AVI Global Trust", symbol: "AGT.L" },
-        { name: "B&M European Value Retail", symbol: "BME.L" },
-        { name: "Babcock International", symbol: "BAB.L" },
-        { name: "Baillie Gifford Japan Trust", symbol: "BGFD.L" },
-        { name: "Balanced Commercial Property Trust", symbol: "BCPT.L" },
-        { name: "Baltic Classifieds Group", symbol: "BCG.L" },
-        { name: "Bankers Investment Trust", symbol: "BNKR.L" },
-        { name: "Bank of Georgia Group", symbol: "BGEO.L" },
-        { name: "Beazley", symbol: "BEZ.L" },
-        { name: "Bellway", symbol: "BWY.L" },
-        { name: "Bellevue Healthcare Trust", symbol: "BBH.L" },
-        { name: "Big Yellow Group", symbol: "BYG.L" },
-        { name: "BlackRock Greater Europe Investment Trust", symbol: "BRGE.L" },
-        { name: "BlackRock Smaller Companies Trust", symbol: "BRSC.L" },
-        { name: "BlackRock Throgmorton Trust", symbol: "THRG.L" },
-        { name: "BlackRock World Mining Trust", symbol: "BRWM.L" },
-        { name: "Bodycote", symbol: "BOY.L" },
-        { name: "Bridgepoint Group", symbol: "BPT.L" },
-        { name: "BT Group", symbol: "BT-A.L" },
-        { name: "Bytes Technology Group", symbol: "BYIT.L" },
-        { name: "C&C Group", symbol: "CCR.L" },
-        { name: "Caledonia Investments", symbol: "CLDN.L" },
-        { name: "Capita", symbol: "CPI.L" },
-        { name: "Capital Gearing Trust", symbol: "CGT.L" },
-        { name: "Carnival Corporation & plc", symbol: "CCL.L" },
-        { name: "Centrica", symbol: "CNA.L" },
-        { name: "Chemring Group", symbol: "CHG.L" },
-        { name: "City of London Investment Trust", symbol: "CTY.L" },
-        { name: "Civitas Social Housing", symbol: "CSH.L" },
-        { name: "Clarkson", symbol: "CKN.L" },
-        { name: "Close Brothers Group", symbol: "CBG.L" },
-        { name: "Coats Group", symbol: "COA.L" },
-        { name: "Computacenter", symbol: "CCC.L" },
-        { name: "Cranswick", symbol: "CWK.L" },
-        { name: "Crest Nicholson Holdings", symbol: "CRST.L" },
-        { name: "CVC Income & Growth", symbol: "CVCE.L" },
-        { name: "Currys", symbol: "CURY.L" },
-        { name: "Derwent London", symbol: "DLN.L" },
-        { name: "Diploma", symbol: "DPLM.L" },
-        { name: "Direct Line Insurance Group", symbol: "DLG.L" },
-        { name: "Discoverie Group", symbol: "DSCV.L" },
-        { name: "Domino's Pizza Group", symbol: "DOM.L" },
-        { name: "Dr. Martens", symbol: "DOCS.L" },
-        { name: "Drax Group", symbol: "DRX.L" },
-        { name: "Dunelm Group", symbol: "DNLM.L" },
-        { name: "easyJet", symbol: "EZJ.L" },
-        { name: "Edinburgh Investment Trust", symbol: "EDIN.L" },
-        { name: "Elementis", symbol: "ELM.L" },
-        { name: "Empiric Student Property", symbol: "ESP.L" },
-        { name: "Energean", symbol: "ENOG.L" },
-        { name: "F&C Investment Trust", symbol: "FCIT.L" },
-        { name: "FDM Group", symbol: "FDM.L" },
-        { name: "Ferrexpo", symbol: "FXPO.L" },
-        { name: "Fidelity China Special Situations", symbol: "FCSS.L" },
-        { name: "Fidelity European Trust", symbol: "FEV.L" },
-        { name: "Fidelity Special Values", symbol: "FSV.L" },
-        { name: "Finsbury Growth & Income Trust", symbol: "FGT.L" },
-        { name: "FirstGroup", symbol: "FGP.L" },
-        { name: "FRP Advisory Group", symbol: "FRP.L" },
-        { name: "Future", symbol: "FUTR.L" },
-        { name: "Galliford Try Holdings", symbol: "GFRD.L" },
-        { name: "Games Workshop Group", symbol: "GAW.L" },
-        { name: "Genus", symbol: "GNS.L" },
-        { name: "GCP Infrastructure Investments", symbol: "GCP.L" },
-        { name: "Grafton Group", symbol: "GFTU.L" },
-        { name: "Grainger", symbol: "GRI.L" },
-        { name: "Greencoat UK Wind", symbol: "UKW.L" },
-        { name: "Greggs", symbol: "GRG.L" },
-        { name: "Gulf Keystone Petroleum", symbol: "GKP.L" },
-        { name: "Hammerson", symbol: "HMSO.L" },
-        { name: "Harbour Energy", symbol: "HBR.L" },
-        { name: "Hays", symbol: "HAS.L" },
-        { name: "Helios Towers", symbol: "HTWS.L" },
-        { name: "Henderson Far East Income", symbol: "HFEL.L" },
-        { name: "Henderson Smaller Companies Investment Trust", symbol: "HSL.L" },
-        { name: "Hill & Smith Holdings", symbol: "HILS.L" },
-        { name: "HICL Infrastructure", symbol: "HICL.L" },
-        { name: "Hochschild Mining", symbol: "HOC.L" },
-        { name: "Hollywood Bowl Group", symbol: "BOWL.L" },
-        { name: "Howden Joinery Group", symbol: "HWDN.L" },
-        { name: "HSS Hire Group", symbol: "HSS.L" },
-        { name: "HSBC ETFS", symbol: "HMAF.L" },
-        { name: "ICG Enterprise Trust", symbol: "ICGT.L" },
-        { name: "IG Group Holdings", symbol: "IGG.L" },
-        { name: "IMI", symbol: "IMI.L" },
-        { name: "Impax Asset Management Group", symbol: "IPX.L" },
-        { name: "Impax Environmental Markets", symbol: "IEM.L" },
-        { name: "Imperial Brands", symbol: "IMB.L" },
-        { name: "Indivior", symbol: "INDV.L" },
-        { name: "Informa", symbol: "INF.L" },
-        { name: "IntegraFin Holdings", symbol: "IHP.L" },
-        { name: "International Public Partnerships", symbol: "INPP.L" },
-        { name: "Investec", symbol: "INVP.L" },
-        { name: "IP Group", symbol: "IPO.L" },
-        { name: "ITV", symbol: "ITV.L" },
-        { name: "IWG", symbol: "IWG.L" },
-        { name: "JD Wetherspoon", symbol: "JDW.L" },
-        { name: "Johnson Matthey", symbol: "JMAT.L" },
-        { name: "JPMorgan American Investment Trust", symbol: "JAM.L" },
-        { name: "JPMorgan Emerging Markets Investment Trust", symbol: "JMG.L" },
-        { name: "JPMorgan European Discovery Trust", symbol: "JEDT.L" },
-        { name: "JPMorgan Global Growth & Income", symbol: "JGGI.L" },
-        { name: "JPMorgan Indian Investment Trust", symbol: "JII.L" },
-        { name: "JPMorgan Japan Small Cap Growth & Income", symbol: "JSGI.L" },
-        { name: "Jupiter Fund Management", symbol: "JUP.L" },
-        { name: "Just Group", symbol: "JUST.L" },
-        { name: "Kainos Group", symbol: "KNOS.L" },
-        { name: "Keller Group", symbol: "KLR.L" },
-        { name: "Kingfisher", symbol: "KGF.L" },
-        { name: "Lancashire Holdings", symbol: "LRE.L" },
-        { name: "Law Debenture Corporation", symbol: "LWDB.L" },
-        { name: "LondonMetric Property", symbol: "LMP.L" },
-        { name: "Marks & Spencer Group", symbol: "MKS.L" },
-        { name: "Marston's", symbol: "MARS.L" },
-        { name: "Merchants Trust", symbol: "MRCH.L" },
-        { name: "Mercantile Investment Trust", symbol: "MRC.L" },
-        { name: "Mitchells & Butlers", symbol: "MAB.L" },
-        { name: "Mitie Group", symbol: "MTO.L" },
-        { name: "Molten Ventures", symbol: "GROW.L" },
-        { name: "Monks Investment Trust", symbol: "MNKS.L" },
-        { name: "Morgan Advanced Materials", symbol: "MGAM.L" },
-        { name: "Morgan Sindall Group", symbol: "MGNS.L" },
-        { name: "Murray Income Trust", symbol: "MUT.L" },
-        { name: "Murray International Trust", symbol: "MYI.L" },
-        { name: "NB Private Equity Partners", symbol: "NBPE.L" },
-        { name: "Ocean Wilsons Holdings", symbol: "OCN.L" },
-        { name: "Oxford Instruments", symbol: "OXIG.L" },
-        { name: "Pagegroup", symbol: "PAGE.L" },
-        { name: "Palace Capital", symbol: "PCA.L" },
-        { name: "PayPoint", symbol: "PAY.L" },
-        { name: "Pennon Group", symbol: "PNN.L" },
-        { name: "Petrofac", symbol: "PFC.L" },
-        { name: "Phoenix Group Holdings", symbol: "PHNX.L" },
-        { name: "Playtech", symbol: "PTEC.L" },
-        { name: "PZ Cussons", symbol: "PZC.L" },
-        { name: "QinetiQ Group", symbol: "QQ.L" },
-        { name: "Rank Group", symbol: "RNK.L" },
-        { name: "Rathbone Brothers", symbol: "RAT.L" },
-        { name: "Renewables Infrastructure Group", symbol: "TRIG.L" },
-        { name: "Riverstone Energy", symbol: "RSE.L" },
-        { name: "Rotork", symbol: "ROR.L" },
-        { name: "RWS Holdings", symbol: "RWS.L" },
-        { name: "Sabre Insurance Group", symbol: "SBRE.L" },
-        { name: "Savills", symbol: "SVS.L" },
-        { name: "Schroder AsiaPacific Fund", symbol: "SDP.L" },
-        { name: "Schroder Asia Total Return Investment Company", symbol: "ATR.L" },
-        { name: "Schroder Income Growth Fund", symbol: "SCF.L" },
-        { name: "Schroder Japan Growth Fund", symbol: "SJG.L" },
-        { name: "Schroder Oriental Income Fund", symbol: "SOI.L" },
-        { name: "Schroder UK Mid Cap Fund", symbol: "SCP.L" },
-        { name: "Senior", symbol: "SNR.L" },
-        { name: "Sequoia Economic Infrastructure Income Fund", symbol: "SEQI.L" },
-        { name: "Serco Group", symbol: "SRP.L" },
-        { name: "SIG", symbol: "SHI.L" },
-        { name: "Smith & Nephew", symbol: "SN.L" },
-        { name: "Smiths Group", symbol: "SMIN.L" },
-        { name: "Softcat", symbol: "SCT.L" },
-        { name: "Spectris", symbol: "SXS.L" },
-        { name: "Spire Healthcare Group", symbol: "SPI.L" },
-        { name: "SSP Group", symbol: "SSPG.L" },
-        { name: "St. James's Place", symbol: "STJ.L" }
-    ];
-
-    const ftse100Stocks = [
-        { name: "3i", symbol: "III.L" },
-        { name: "Admiral Group", symbol: "ADM.L" },
-        { name: "Anglo American", symbol: "AAL.L" },
-        { name: "Antofagasta", symbol: "ANTO.L" },
-        { name: "Ashtead Group", symbol: "AHT.L" },
-        { name: "Associated British Foods", symbol: "ABF.L" },
-        { name: "AstraZeneca", symbol: "AZN.L" },
-        { name: "Auto Trader Group", symbol: "AUTO.L" },
-        { name: "Aviva", symbol: "AV.L" },
-        { name: "B&M European Value Retail", symbol: "BME.L" },
-        { name: "BAE Systems", symbol: "BA.L" },
-        { name: "Barclays", symbol: "BARC.L" },
-        { name: "Berkeley Group Holdings", symbol: "BKG.L" },
-        { name: "BP", symbol: "BP.L" },
-        { name: "British American Tobacco", symbol: "BATS.L" },
-        { name: "British Land Company", symbol: "BLND.L" },
-        { name: "BT Group", symbol: "BT-A.L" },
-        { name: "Bunzl", symbol: "BNZL.L" },
-        { name: "Burberry Group", symbol: "BRBY.L" },
-        { name: "Coca-Cola HBC", symbol: "CCH.L" },
-        { name: "Compass Group", symbol: "CPG.L" },
-        { name: "CRH", symbol: "CRH.L" },
-        { name: "Croda International", symbol: "CRDA.L" },
-        { name: "DCC", symbol: "DCC.L" },
-        { name: "Diageo", symbol: "DGE.L" },
-        { name: "Entain", symbol: "ENT.L" },
-        { name: "Experian", symbol: "EXPN.L" },
-        { name: "Flutter Entertainment", symbol: "FLTR.L" },
-        { name: "Frasers Group", symbol: "FRAS.L" },
-        { name: "Fresnillo", symbol: "FRES.L" },
-        { name: "GlaxoSmithKline", symbol: "GSK.L" },
-        { name: "Glencore", symbol: "GLEN.L" },
-        { name: "Halma", symbol: "HLMA.L" },
-        { name: "Hargreaves Lansdown", symbol: "HL.L" },
-        { name: "HSBC Holdings", symbol: "HSBA.L" },
-        { name: "Imperial Brands", symbol: "IMB.L" },
-        { name: "Informa", symbol: "INF.L" },
-        { name: "InterContinental Hotels Group", symbol: "IHG.L" },
-        { name: "International Consolidated Airlines Group", symbol: "IAG.L" },
-        { name: "Intertek Group", symbol: "ITRK.L" },
-        { name: "JD Sports Fashion", symbol: "JD.L" },
-        { name: "Johnson Matthey", symbol: "JMAT.L" },
-        { name: "Kingfisher", symbol: "KGF.L" },
-        { name: "Land Securities Group", symbol: "LAND.L" },
-        { name: "Legal & General Group", symbol: "LGEN.L" },
-        { name: "Lloyds Banking Group", symbol: "LLOY.L" },
-        { name: "London Stock Exchange Group", symbol: "LSEG.L" },
-        { name: "M&G", symbol: "MNG.L" },
-        { name: "Melrose Industries", symbol: "MRO.L" },
-        { name: "Mondi", symbol: "MNDI.L" },
-        { name: "National Grid", symbol: "NG.L" },
-        { name: "NatWest Group", symbol: "NWG.L" },
-        { name: "Next", symbol: "NXT.L" },
-        { name: "Ocado Group", symbol: "OCDO.L" },
-        { name: "Pearson", symbol: "PSON.L" },
-        { name: "Pershing Square Holdings", symbol: "PSH.L" },
-        { name: "Persimmon", symbol: "PSN.L" },
-        { name: "Phoenix Group Holdings", symbol: "PHNX.L" },
-        { name: "Prudential", symbol: "PRU.L" },
-        { name: "Reckitt Benckiser Group", symbol: "RKT.L" },
-        { name: "RELX", symbol: "REL.L" },
-        { name: "Rentokil Initial", symbol: "RTO.L" },
-        { name: "Rio Tinto", symbol: "RIO.L" },
-        { name: "Rolls-Royce Holdings", symbol: "RR.L" },
-        { name: "RS Group", symbol: "RS1.L" },
-        { name: "Sage Group", symbol: "SGE.L" },
-        { name: "Sainsbury's", symbol: "SBRY.L" },
-        { name: "Schroders", symbol: "SDR.L" },
-        { name: "Scottish Mortgage Investment Trust", symbol: "SMT.L" },
-        { name: "Segro", symbol: "SGRO.L" },
-        { name: "Severn Trent", symbol: "SVT.L" },
-        { name: "Shell", symbol: "SHEL.L" },
-        { name: "Smith & Nephew", symbol: "SN.L" },
-        { name: "Smiths Group", symbol: "SMIN.L" },
-        { name: "Smurfit Kappa Group", symbol: "SKG.L" },
-        { name: "Spirax-Sarco Engineering", symbol: "SPX.L" },
-        { name: "SSE", symbol: "SSE.L" },
-        { name: "St. James's Place", symbol: "STJ.L" },
-        { name: "Standard Chartered", symbol: "STAN.L" },
-        { name: "Taylor Wimpey", symbol: "TW.L" },
-        { name: "Tesco", symbol: "TSCO.L" },
-        { name: "Unilever", symbol: "ULVR.L" },
-        { name: "United Utilities Group", symbol: "UU.L" },
-        { name: "Vodafone Group", symbol: "VOD.L" },
-        { name: "Weir Group", symbol: "WEIR.L" },
-        { name: "Whitbread", symbol: "WTB.L" },
-        { name: "WPP", symbol: "WPP.L" },
-        { name: "Stellantis", symbol: "STLA" }
-    ];
-    
-
-const usStocks = [
-    { name: "Apple", symbol: "AAPL" },
-    { name: "Tesla", symbol: "TSLA" },
-    { name: "AMD", symbol: "AMD" },
-    { name: "NVIDIA", symbol: "NVDA" },
-    { name: "Ford Motor Company", symbol: "F" },
-    { name: "Bank of America", symbol: "BAC" },
-    { name: "Intel", symbol: "INTC" },
-    { name: "Amazon", symbol: "AMZN" },
-    { name: "AT&T", symbol: "T" },
-    { name: "Microsoft", symbol: "MSFT" },
-    { name: "Lucid Group", symbol: "LCID" },
-    { name: "Palantir Technologies", symbol: "PLTR" },
-    { name: "Meta Platforms", symbol: "META" },
-    { name: "Pfizer", symbol: "PFE" },
-    { name: "Verizon", symbol: "VZ" },
-    { name: "Snap Inc.", symbol: "SNAP" },
-    { name: "Coca-Cola", symbol: "KO" },
-    { name: "NIO Inc.", symbol: "NIO" },
-    { name: "Alibaba Group", symbol: "BABA" },
-    { name: "General Electric", symbol: "GE" },
-    { name: "Carnival Corporation", symbol: "CCL" },
-    { name: "GameStop", symbol: "GME" },
-    { name: "Alphabet/Google", symbol: "GOOGL" },
-    { name: "SPDR S&P 500 ETF", symbol: "SPY" },
-    { name: "Citigroup", symbol: "C" },
-    { name: "Norwegian Cruise Line", symbol: "NCLH" },
-    { name: "Uber Technologies", symbol: "UBER" },
-    { name: "Walt Disney", symbol: "DIS" },
-    { name: "SoFi Technologies", symbol: "SOFI" },
-    { name: "JPMorgan Chase", symbol: "JPM" },
-    { name: "Marathon Digital", symbol: "MARA" },
-    { name: "Coinbase", symbol: "COIN" },
-    { name: "Wells Fargo", symbol: "WFC" },
-    { name: "Exxon Mobil", symbol: "XOM" },
-    { name: "Walmart", symbol: "WMT" },
-    { name: "Robinhood Markets", symbol: "HOOD" },
-    { name: "AMC Entertainment", symbol: "AMC" },
-    { name: "Invesco QQQ Trust", symbol: "QQQ" },
-    { name: "Micron Technology", symbol: "MU" },
-    { name: "Rivian Automotive", symbol: "RIVN" },
-    { name: "Johnson & Johnson", symbol: "JNJ" },
-    { name: "Annaly Capital Management", symbol: "NLY" },
-    { name: "ContextLogic", symbol: "WISH" },
-    { name: "Delta Air Lines", symbol: "DAL" },
-    { name: "United Airlines", symbol: "UAL" },
-    { name: "Chevron Corporation", symbol: "CVX" },
-    { name: "Visa", symbol: "V" },
-    { name: "Petrobras", symbol: "PBR" },
-    { name: "PayPal", symbol: "PYPL" },
-    { name: "Boeing", symbol: "BA" },
-    
-    // Large Cap Technology & Communications
-    { name: "Adobe", symbol: "ADBE" },
-    { name: "Salesforce", symbol: "CRM" },
-    { name: "Oracle", symbol: "ORCL" },
-    { name: "IBM", symbol: "IBM" },
-    { name: "Qualcomm", symbol: "QCOM" },
-    { name: "Texas Instruments", symbol: "TXN" },
-    { name: "Broadcom", symbol: "AVGO" },
-    { name: "Cisco Systems", symbol: "CSCO" },
-    { name: "ServiceNow", symbol: "NOW" },
-    { name: "Intuit", symbol: "INTU" },
-    { name: "Accenture", symbol: "ACN" },
-    { name: "Netflix", symbol: "NFLX" },
-    { name: "Comcast", symbol: "CMCSA" },
-    { name: "Charter Communications", symbol: "CHTR" },
-    { name: "T-Mobile", symbol: "TMUS" },
-    { name: "Electronic Arts", symbol: "EA" },
-    { name: "Autodesk", symbol: "ADSK" },
-    { name: "Analog Devices", symbol: "ADI" },
-    { name: "Microchip Technology", symbol: "MCHP" },
-    { name: "KLA Corporation", symbol: "KLAC" },
-    { name: "Motorola Solutions", symbol: "MSI" },
-    { name: "Synopsys", symbol: "SNPS" },
-    
-    // Large Cap Healthcare
-    { name: "UnitedHealth Group", symbol: "UNH" },
-    { name: "Merck", symbol: "MRK" },
-    { name: "AbbVie", symbol: "ABBV" },
-    { name: "Eli Lilly", symbol: "LLY" },
-    { name: "Bristol-Myers Squibb", symbol: "BMY" },
-    { name: "Abbott Laboratories", symbol: "ABT" },
-    { name: "Amgen", symbol: "AMGN" },
-    { name: "Gilead Sciences", symbol: "GILD" },
-    { name: "Moderna", symbol: "MRNA" },
-    { name: "Thermo Fisher Scientific", symbol: "TMO" },
-    { name: "Medtronic", symbol: "MDT" },
-    { name: "Zoetis", symbol: "ZTS" },
-    { name: "CVS Health", symbol: "CVS" },
-    { name: "Cigna", symbol: "CI" },
-    { name: "Regeneron Pharmaceuticals", symbol: "REGN" },
-    { name: "Vertex Pharmaceuticals", symbol: "VRTX" },
-    { name: "Illumina", symbol: "ILMN" },
-    { name: "Biogen", symbol: "BIIB" },
-    { name: "HCA Healthcare", symbol: "HCA" },
-    { name: "Becton Dickinson", symbol: "BDX" },
-    
-    // Large Cap Financial
-    { name: "Berkshire Hathaway", symbol: "BRK-B" },
-    { name: "Mastercard", symbol: "MA" },
-    { name: "American Express", symbol: "AXP" },
-    { name: "Morgan Stanley", symbol: "MS" },
-    { name: "Goldman Sachs", symbol: "GS" },
-    { name: "BlackRock", symbol: "BLK" },
-    { name: "Charles Schwab", symbol: "SCHW" },
-    { name: "PNC Financial Services", symbol: "PNC" },
-    { name: "U.S. Bancorp", symbol: "USB" },
-    { name: "Truist Financial", symbol: "TFC" },
-    { name: "Bank of New York Mellon", symbol: "BK" },
-    { name: "Capital One Financial", symbol: "COF" },
-    { name: "State Street", symbol: "STT" },
-    { name: "Synchrony Financial", symbol: "SYF" },
-    { name: "Ameriprise Financial", symbol: "AMP" },
-    { name: "Intercontinental Exchange", symbol: "ICE" },
-    { name: "CME Group", symbol: "CME" },
-    { name: "Progressive", symbol: "PGR" },
-    { name: "Allstate", symbol: "ALL" },
-    { name: "MetLife", symbol: "MET" },
-    { name: "Chubb", symbol: "CB" },
-    { name: "S&P Global", symbol: "SPGI" },
-    { name: "Moody's", symbol: "MCO" },
-    
-    // Large Cap Consumer
-    { name: "Procter & Gamble", symbol: "PG" },
-    { name: "PepsiCo", symbol: "PEP" },
-    { name: "Costco", symbol: "COST" },
-    { name: "Home Depot", symbol: "HD" },
-    { name: "Nike", symbol: "NKE" },
-    { name: "Starbucks", symbol: "SBUX" },
-    { name: "McDonald's", symbol: "MCD" },
-    { name: "Target", symbol: "TGT" },
-    { name: "Lowe's", symbol: "LOW" },
-    { name: "Colgate-Palmolive", symbol: "CL" },
-    { name: "Chipotle Mexican Grill", symbol: "CMG" },
-    { name: "Estee Lauder", symbol: "EL" },
-    { name: "Darden Restaurants", symbol: "DRI" },
-    { name: "Dollar General", symbol: "DG" },
-    { name: "eBay", symbol: "EBAY" },
-    { name: "Expedia Group", symbol: "EXPE" },
-    { name: "Hilton Worldwide", symbol: "HLT" },
-    { name: "Marriott International", symbol: "MAR" },
-    { name: "Mondelez International", symbol: "MDLZ" },
-    { name: "Kraft Heinz", symbol: "KHC" },
-    { name: "Altria Group", symbol: "MO" },
-    { name: "Philip Morris International", symbol: "PM" },
-    { name: "Kimberly-Clark", symbol: "KMB" },
-    { name: "General Mills", symbol: "GIS" },
-    { name: "Kellogg Company", symbol: "K" },
-    
-    // Large Cap Energy & Utilities
-    { name: "ConocoPhillips", symbol: "COP" },
-    { name: "Schlumberger", symbol: "SLB" },
-    { name: "EOG Resources", symbol: "EOG" },
-    { name: "NextEra Energy", symbol: "NEE" },
-    { name: "Duke Energy", symbol: "DUK" },
-    { name: "Southern Company", symbol: "SO" },
-    { name: "Dominion Energy", symbol: "D" },
-    { name: "Kinder Morgan", symbol: "KMI" },
-    { name: "Phillips 66", symbol: "PSX" },
-    { name: "Marathon Petroleum", symbol: "MPC" },
-    { name: "Occidental Petroleum", symbol: "OXY" },
-    { name: "Williams Companies", symbol: "WMB" },
-    { name: "Devon Energy", symbol: "DVN" },
-    { name: "Valero Energy", symbol: "VLO" },
-    { name: "Exelon", symbol: "EXC" },
-    { name: "American Electric Power", symbol: "AEP" },
-    { name: "Public Service Enterprise Group", symbol: "PEG" },
-    { name: "Sempra Energy", symbol: "SRE" },
-    
-    // Large Cap Industrials
-    { name: "Union Pacific", symbol: "UNP" },
-    { name: "Caterpillar", symbol: "CAT" },
-    { name: "Honeywell", symbol: "HON" },
-    { name: "Deere & Company", symbol: "DE" },
-    { name: "Lockheed Martin", symbol: "LMT" },
-    { name: "General Dynamics", symbol: "GD" },
-    { name: "3M", symbol: "MMM" },
-    { name: "Raytheon Technologies", symbol: "RTX" },
-    { name: "FedEx", symbol: "FDX" },
-    { name: "United Parcel Service", symbol: "UPS" },
-    { name: "Emerson Electric", symbol: "EMR" },
-    { name: "CSX", symbol: "CSX" },
-    { name: "Norfolk Southern", symbol: "NSC" },
-    { name: "Illinois Tool Works", symbol: "ITW" },
-    { name: "Northrop Grumman", symbol: "NOC" },
-    { name: "L3Harris Technologies", symbol: "LHX" },
-    { name: "General Electric", symbol: "GE" },
-    { name: "Eaton", symbol: "ETN" },
-    { name: "Parker-Hannifin", symbol: "PH" },
-    { name: "Cummins", symbol: "CMI" },
-    { name: "Stanley Black & Decker", symbol: "SWK" },
-    { name: "Otis Worldwide", symbol: "OTIS" },
-    { name: "Carrier Global", symbol: "CARR" },
-    { name: "Paccar", symbol: "PCAR" },
-    
-    // Mid Cap Technology
-    { name: "Palo Alto Networks", symbol: "PANW" },
-    { name: "Cloudflare", symbol: "NET" },
-    { name: "Crowdstrike", symbol: "CRWD" },
-    { name: "Datadog", symbol: "DDOG" },
-    { name: "Zscaler", symbol: "ZS" },
-    { name: "Fortinet", symbol: "FTNT" },
-    { name: "Zoom Video", symbol: "ZM" },
-    { name: "DocuSign", symbol: "DOCU" },
-    { name: "MongoDB", symbol: "MDB" },
-    { name: "Snowflake", symbol: "SNOW" },
-    { name: "Workday", symbol: "WDAY" },
-    { name: "Okta", symbol: "OKTA" },
-    { name: "HubSpot", symbol: "HUBS" },
-    { name: "Atlassian", symbol: "TEAM" },
-    { name: "Twilio", symbol: "TWLO" },
-    { name: "Pinterest", symbol: "PINS" },
-    { name: "Shopify", symbol: "SHOP" },
-    { name: "Trade Desk", symbol: "TTD" },
-    { name: "Spotify", symbol: "SPOT" },
-    { name: "Arista Networks", symbol: "ANET" },
-    { name: "Cognizant Technology", symbol: "CTSH" },
-    { name: "CDW", symbol: "CDW" },
-    { name: "Akamai Technologies", symbol: "AKAM" },
-    { name: "Juniper Networks", symbol: "JNPR" },
-    { name: "GoDaddy", symbol: "GDDY" },
-    { name: "Match Group", symbol: "MTCH" },
-    { name: "Zillow Group", symbol: "Z" },
-    { name: "Dropbox", symbol: "DBX" },
-    { name: "Box", symbol: "BOX" },
-    
-    // Mid Cap Healthcare
-    { name: "IQVIA Holdings", symbol: "IQV" },
-    { name: "IDEXX Laboratories", symbol: "IDXX" },
-    { name: "DexCom", symbol: "DXCM" },
-    { name: "Exact Sciences", symbol: "EXAS" },
-    { name: "Alnylam Pharmaceuticals", symbol: "ALNY" },
-    { name: "Bio-Rad Laboratories", symbol: "BIO" },
-    { name: "Insulet", symbol: "PODD" },
-    { name: "Agilent Technologies", symbol: "A" },
-    { name: "ResMed", symbol: "RMD" },
-    { name: "Waters Corporation", symbol: "WAT" },
-    { name: "Align Technology", symbol: "ALGN" },
-    { name: "Mettler-Toledo", symbol: "MTD" },
-    { name: "Incyte", symbol: "INCY" },
-    { name: "Jazz Pharmaceuticals", symbol: "JAZZ" },
-    { name: "STERIS", symbol: "STE" },
-    { name: "Veeva Systems", symbol: "VEEV" },
-    { name: "West Pharmaceutical", symbol: "WST" },
-    { name: "Universal Health Services", symbol: "UHS" },
-    { name: "Laboratory Corp of America", symbol: "LH" },
-    { name: "Quest Diagnostics", symbol: "DGX" },
-    { name: "Cooper Companies", symbol: "COO" },
-    { name: "Bio-Techne", symbol: "TECH" },
-    
-    // Mid Cap Financial
-    { name: "MarketAxess Holdings", symbol: "MKTX" },
-    { name: "FactSet Research Systems", symbol: "FDS" },
-    { name: "Cboe Global Markets", symbol: "CBOE" },
-    { name: "Nasdaq", symbol: "NDAQ" },
-    { name: "M&T Bank", symbol: "MTB" },
-    { name: "Cincinnati Financial", symbol: "CINF" },
-    { name: "Huntington Bancshares", symbol: "HBAN" },
-    { name: "Citizens Financial Group", symbol: "CFG" },
-    { name: "KeyCorp", symbol: "KEY" },
-    { name: "Fifth Third Bancorp", symbol: "FITB" },
-    { name: "Regions Financial", symbol: "RF" },
-    { name: "Raymond James Financial", symbol: "RJF" },
-    { name: "Comerica", symbol: "CMA" },
-    { name: "Northern Trust", symbol: "NTRS" },
-    { name: "T. Rowe Price", symbol: "TROW" },
-    { name: "Franklin Resources", symbol: "BEN" },
-    { name: "Invesco", symbol: "IVZ" },
-    { name: "Hartford Financial", symbol: "HIG" },
-    { name: "Lincoln National", symbol: "LNC" },
-    { name: "Unum Group", symbol: "UNM" },
-    { name: "Prudential Financial", symbol: "PRU" },
+    // Backend service the stock lists and prices are loaded from
+    const BACKEND_URL = (typeof DTIConfig !== 'undefined' ? DTIConfig : require('./dti-config')).BACKEND_URL;
     
-    // Mid Cap Consumer
-    { name: "Etsy", symbol: "ETSY" },
-    { name: "Wayfair", symbol: "W" },
-    { name: "Under Armour", symbol: "UAA" },
-    { name: "Lululemon Athletica", symbol: "LULU" },
-    { name: "Williams-Sonoma", symbol: "WSM" },
-    { name: "Chewy", symbol: "CHWY" },
-    { name: "Peloton", symbol: "PTON" },
-    { name: "Ulta Beauty", symbol: "ULTA" },
-    { name: "Bath & Body Works", symbol: "BBWI" },
-    { name: "Dollar Tree", symbol: "DLTR" },
-    { name: "Tractor Supply", symbol: "TSCO" },
-    { name: "Domino's Pizza", symbol: "DPZ" },
-    { name: "Yum! Brands", symbol: "YUM" },
-    { name: "Yum China", symbol: "YUMC" },
-    { name: "Wynn Resorts", symbol: "WYNN" },
-    { name: "Las Vegas Sands", symbol: "LVS" },
-    { name: "MGM Resorts", symbol: "MGM" },
-    { name: "VF Corporation", symbol: "VFC" },
-    { name: "Ralph Lauren", symbol: "RL" },
-    { name: "Tapestry", symbol: "TPR" },
-    { name: "Hasbro", symbol: "HAS" },
-    { name: "Mattel", symbol: "MAT" },
-    { name: "Harley-Davidson", symbol: "HOG" },
-    { name: "BorgWarner", symbol: "BWA" },
-    { name: "CarMax", symbol: "KMX" },
-    { name: "Advance Auto Parts", symbol: "AAP" },
-    { name: "O'Reilly Automotive", symbol: "ORLY" },
-    { name: "AutoZone", symbol: "AZO" },
+    // Index constituent lists, loaded from the backend's /api/universes
+    let universes = [];      // [{ id, name, label, count, updatedAt }] in display order
+    let scanTypes = [];      // [{ id, name, label, universes }] for multi-index scans
+    let stockLists = {};     // universe id -> current members [{ name, symbol }]
+    let membership = {};     // universe id -> every past and present member [{ name, symbol, periods }]
+    let universesPromise = null;
     
-    // Small Cap Technology
-    { name: "Upstart Holdings", symbol: "UPST" },
-    { name: "Carvana", symbol: "CVNA" },
-    { name: "Affirm Holdings", symbol: "AFRM" },
-    { name: "Fastly", symbol: "FSLY" },
-    { name: "Unity Software", symbol: "U" },
-    { name: "Intellia Therapeutics", symbol: "NTLA" },
-    { name: "BigCommerce", symbol: "BIGC" },
-    { name: "C3.ai", symbol: "AI" },
-    { name: "SentinelOne", symbol: "S" },
-    { name: "UiPath", symbol: "PATH" },
-    { name: "Toast", symbol: "TOST" },
-    { name: "GitLab", symbol: "GTLB" },
-    { name: "SolarWinds", symbol: "SWI" },
-    { name: "Bumble", symbol: "BMBL" },
-    { name: "AppLovin", symbol: "APP" },
-    { name: "PagerDuty", symbol: "PD" },
-    { name: "Asana", symbol: "ASAN" },
-    { name: "Monday.com", symbol: "MNDY" },
-    { name: "Confluent", symbol: "CFLT" },
-    { name: "Amplitude", symbol: "AMPL" },
-    { name: "HashiCorp", symbol: "HCP" },
-    { name: "DigitalOcean", symbol: "DOCN" },
-    { name: "Nutanix", symbol: "NTNX" },
-    { name: "Procore Technologies", symbol: "PCOR" },
-    { name: "Snap", symbol: "SNAP" },
-    { name: "Coupang", symbol: "CPNG" },
-    { name: "Lyft", symbol: "LYFT" },
-    { name: "TripAdvisor", symbol: "TRIP" },
-    { name: "Yelp", symbol: "YELP" },
-    
-    // Small Cap Healthcare
-    { name: "Guardant Health", symbol: "GH" },
-    { name: "Veracyte", symbol: "VCYT" },
-    { name: "NanoString Technologies", symbol: "NSTG" },
-    { name: "Iovance Biotherapeutics", symbol: "IOVA" },
-    { name: "Twist Bioscience", symbol: "TWST" },
-    { name: "Sage Therapeutics", symbol: "SAGE" },
-    { name: "Denali Therapeutics", symbol: "DNLI" },
-    { name: "Adaptive Biotechnologies", symbol: "ADPT" },
-    { name: "Kura Oncology", symbol: "KURA" },
-    { name: "Editas Medicine", symbol: "EDIT" },
-    { name: "CRISPR Therapeutics", symbol: "CRSP" },
-    { name: "Beam Therapeutics", symbol: "BEAM" },
-    { name: "10x Genomics", symbol: "TXG" },
-    { name: "Schrodinger", symbol: "SDGR" },
-    { name: "BioNTech", symbol: "BNTX" },
-    { name: "CureVac", symbol: "CVAC" },
-    { name: "Exelixis", symbol: "EXEL" },
-    { name: "Halozyme Therapeutics", symbol: "HALO" },
-    { name: "Natera", symbol: "NTRA" },
-    { name: "Ultragenyx Pharmaceutical", symbol: "RARE" },
-    { name: "Pacira BioSciences", symbol: "PCRX" },
-    { name: "Acadia Healthcare", symbol: "ACHC" },
-    { name: "Inspire Medical Systems", symbol: "INSP" },
-    { name: "Tandem Diabetes Care", symbol: "TNDM" },
+    // Data caching
+    const dataCache = new Map();
     
-    // Small Cap Consumer
-    { name: "Beyond Meat", symbol: "BYND" },
-    { name: "Stitch Fix", symbol: "SFIX" },
-    { name: "Groupon", symbol: "GRPN" },
-    { name: "Fiverr", symbol: "FVRR" },
-    { name: "Upwork", symbol: "UPWK" },
-    { name: "Funko", symbol: "FNKO" },
-    { name: "Roku", symbol: "ROKU" },
-    { name: "iRobot", symbol: "IRBT" },
-    { name: "Lovesac", symbol: "LOVE" },
-    { name: "Purple Innovation", symbol: "PRPL" },
-    { name: "1-800-FLOWERS.COM", symbol: "FLWS" },
-    { name: "Zumiez", symbol: "ZUMZ" },
-    { name: "Revolve Group", symbol: "RVLV" },
-    { name: "Crocs", symbol: "CROX" },
-    { name: "Ollie's Bargain Outlet", symbol: "OLLI" },
-    { name: "Sonos", symbol: "SONO" },
-    { name: "Central Garden & Pet", symbol: "CENT" },
-    { name: "Shake Shack", symbol: "SHAK" },
-    { name: "Planet Fitness", symbol: "PLNT" },
-    { name: "Dave & Buster's", symbol: "PLAY" },
-    { name: "El Pollo Loco", symbol: "LOCO" },
-    { name: "Fossil Group", symbol: "FOSL" },
-    { name: "Dine Brands Global", symbol: "DIN" },
-    { name: "Potbelly", symbol: "PBPB" },
+    // Exchange, timezone and currency reported by the backend for each symbol
+    const symbolMeta = new Map();
     
-    // Real Estate
-    { name: "American Tower", symbol: "AMT" },
-    { name: "Prologis", symbol: "PLD" },
-    { name: "Crown Castle", symbol: "CCI" },
-    { name: "Equinix", symbol: "EQIX" },
-    { name: "Digital Realty Trust", symbol: "DLR" },
-    { name: "Public Storage", symbol: "PSA" },
-    { name: "Welltower", symbol: "WELL" },
-    { name: "Simon Property Group", symbol: "SPG" },
-    { name: "AvalonBay Communities", symbol: "AVB" },
-    { name: "Boston Properties", symbol: "BXP" },
-    { name: "Ventas", symbol: "VTR" },
-    { name: "Alexandria Real Estate", symbol: "ARE" },
-    { name: "Realty Income", symbol: "O" },
-    { name: "Essex Property Trust", symbol: "ESS" },
-    { name: "Equity Residential", symbol: "EQR" },
-    { name: "SBA Communications", symbol: "SBAC" },
-    { name: "Vornado Realty Trust", symbol: "VNO" },
-    { name: "Host Hotels & Resorts", symbol: "HST" },
-    { name: "Kimco Realty", symbol: "KIM" },
-    { name: "Federal Realty", symbol: "FRT" },
+    // Constants
+    const MAX_RETRIES = 3;
+    const CONCURRENT_REQUESTS_LIMIT = 5; // Limit for concurrent API requests
     
-    // Materials
-    { name: "Freeport-McMoRan", symbol: "FCX" },
-    { name: "Newmont", symbol: "NEM" },
-    { name: "Air Products and Chemicals", symbol: "APD" },
-    { name: "Ecolab", symbol: "ECL" },
-    { name: "Sherwin-Williams", symbol: "SHW" },
-    { name: "Nucor", symbol: "NUE" },
-    { name: "Dow", symbol: "DOW" },
-    { name: "International Paper", symbol: "IP" },
-    { name: "Ball Corporation", symbol: "BALL" },
-    { name: "CF Industries", symbol: "CF" },
-    { name: "Albemarle", symbol: "ALB" },
-    { name: "Mosaic", symbol: "MOS" },
-    { name: "FMC", symbol: "FMC" },
-    { name: "Eastman Chemical", symbol: "EMN" },
-    { name: "Celanese", symbol: "CE" },
-    { name: "International Flavors & Fragrances", symbol: "IFF" },
-    { name: "Vulcan Materials", symbol: "VMC" },
-    { name: "Martin Marietta Materials", symbol: "MLM" },
-    { name: "Alcoa", symbol: "AA" },
-    { name: "Steel Dynamics", symbol: "STLD" },
+    // Backend error codes worth retrying (anything else, e.g. SYMBOL_NOT_FOUND, fails straight away)
+    const RETRYABLE_ERROR_CODES = ['UPSTREAM_RATE_LIMITED', 'UPSTREAM_UNAVAILABLE', 'RATE_LIMITED'];
     
-    // Top ETFs
-    { name: "iShares Russell 2000 ETF", symbol: "IWM" },
-    { name: "Vanguard Total Stock Market ETF", symbol: "VTI" },
-    { name: "iShares Core S&P 500 ETF", symbol: "IVV" },
-    { name: "Vanguard S&P 500 ETF", symbol: "VOO" },
-    { name: "Vanguard Information Technology ETF", symbol: "VGT" },
-    { name: "Financial Select Sector SPDR Fund", symbol: "XLF" },
-    { name: "Health Care Select Sector SPDR Fund", symbol: "XLV" },
-    { name: "iShares Russell 1000 Growth ETF", symbol: "IWF" },
-    { name: "iShares Russell 3000 ETF", symbol: "IWV" },
-    { name: "Technology Select Sector SPDR Fund", symbol: "XLK" },
-    { name: "Consumer Discretionary Select Sector SPDR Fund", symbol: "XLY" },
-    { name: "Energy Select Sector SPDR Fund", symbol: "XLE" },
-    { name: "Industrial Select Sector SPDR Fund", symbol: "XLI" },
-    { name: "Utilities Select Sector SPDR Fund", symbol: "XLU" },
-    { name: "Consumer Staples Select Sector SPDR Fund", symbol: "XLP" },
-    { name: "ARK Innovation ETF", symbol: "ARKK" },
-    { name: "ARK Genomic Revolution ETF", symbol: "ARKG" },
-    { name: "VanEck Semiconductor ETF", symbol: "SMH" },
-    { name: "iShares MSCI Emerging Markets ETF", symbol: "EEM" },
-    { name: "Vanguard FTSE Emerging Markets ETF", symbol: "VWO" },
+    /**
+     * Load the universes and their constituents from the backend
+     * Later calls share the first request; a failed load can be retried
+     * @returns {Promise<Array>} List of universes
+     */
+    function loadUniverses() {
+        if (!universesPromise) {
+            universesPromise = fetch(`${BACKEND_URL}/api/universes?constituents=true&history=true`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load stock lists (${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    universes = data.universes.map(({ constituents, ...universe }) => universe);
+                    scanTypes = data.scanTypes || [];
+                    const today = new Date().toISOString().slice(0, 10);
+                    stockLists = {};
+                    membership = {};
+                    data.universes.forEach(universe => {
+                        membership[universe.id] = universe.constituents;
+                        stockLists[universe.id] = universe.constituents
+                            .filter(stock => DTIBacktest.isMemberOnDate(today, stock.periods))
+                            .map(({ name, symbol }) => ({ name, symbol }));
+                    });
+                    return universes;
+                })
+                .catch(error => {
+                    universesPromise = null;
+                    throw error;
+                });
+        }
+        
+        return universesPromise;
+    }
     
-    // Technology - Software & Services (Additional)
-    { name: "RingCentral", symbol: "RNG" },
-    { name: "Dynatrace", symbol: "DT" },
-    { name: "Elastic", symbol: "ESTC" },
-    { name: "Paycom Software", symbol: "PAYC" },
-    { name: "Paylocity", symbol: "PCTY" },
-    { name: "Paychex", symbol: "PAYX" },
-    { name: "Five9", symbol: "FIVN" },
-    { name: "Guidewire Software", symbol: "GWRE" },
-    { name: "Manhattan Associates", symbol: "MANH" },
-    { name: "Pegasystems", symbol: "PEGA" },
-    { name: "Qualys", symbol: "QLYS" },
-    { name: "SPS Commerce", symbol: "SPSC" },
-    { name: "Tyler Technologies", symbol: "TYL" },
-    { name: "Zoominfo", symbol: "ZI" },
-    { name: "SolarWinds", symbol: "SWI" },
-    { name: "CommVault Systems", symbol: "CVLT" },
-    { name: "Progress Software", symbol: "PRGS" },
-    { name: "Enfusion", symbol: "ENFN" },
-    { name: "Doximity", symbol: "DOCS" },
-
-    // Technology - Hardware & Equipment (Additional)
-    { name: "Pure Storage", symbol: "PSTG" },
-    { name: "Jabil", symbol: "JBL" },
-    { name: "Western Digital", symbol: "WDC" },
-    { name: "Seagate Technology", symbol: "STX" },
-    { name: "HP Inc.", symbol: "HPQ" },
-    { name: "Hewlett Packard Enterprise", symbol: "HPE" },
-    { name: "Xerox Holdings", symbol: "XRX" },
-    { name: "Diebold Nixdorf", symbol: "DBD" },
-    { name: "NetApp", symbol: "NTAP" },
-    { name: "Teradata", symbol: "TDC" },
-    { name: "Lumentum Holdings", symbol: "LITE" },
-    { name: "Ciena", symbol: "CIEN" },
-    { name: "Coherent", symbol: "COHR" },
-    { name: "CommScope", symbol: "COMM" },
-    { name: "F5 Networks", symbol: "FFIV" },
-    { name: "NetScout Systems", symbol: "NTCT" },
-    { name: "Calix", symbol: "CALX" },
-    { name: "Viavi Solutions", symbol: "VIAV" },
-    { name: "Harmonic", symbol: "HLIT" },
-    { name: "A10 Networks", symbol: "ATEN" },
-    { name: "Super Micro Computer", symbol: "SMCI" },
-
-    // Semiconductor Companies (Additional)
-    { name: "ON Semiconductor", symbol: "ON" },
-    { name: "Skyworks Solutions", symbol: "SWKS" },
-    { name: "Qorvo", symbol: "QRVO" },
-    { name: "Marvell Technology", symbol: "MRVL" },
-    { name: "Monolithic Power Systems", symbol: "MPWR" },
-    { name: "Silicon Laboratories", symbol: "SLAB" },
-    { name: "Cirrus Logic", symbol: "CRUS" },
-    { name: "Lattice Semiconductor", symbol: "LSCC" },
-    { name: "Cree (Wolfspeed)", symbol: "WOLF" },
-    { name: "Semtech", symbol: "SMTC" },
-    { name: "Diodes", symbol: "DIOD" },
-    { name: "Vishay Intertechnology", symbol: "VSH" },
-    { name: "Power Integrations", symbol: "POWI" },
-    { name: "Rambus", symbol: "RMBS" },
-    { name: "Axcelis Technologies", symbol: "ACLS" },
-    { name: "Kulicke and Soffa", symbol: "KLIC" },
-    { name: "FormFactor", symbol: "FORM" },
-    { name: "Photronics", symbol: "PLAB" },
-    { name: "MACOM Technology Solutions", symbol: "MTSI" },
-    { name: "MaxLinear", symbol: "MXL" },
-    { name: "Ambarella", symbol: "AMBA" },
-    { name: "Universal Display", symbol: "OLED" },
-    { name: "SiTime", symbol: "SITM" },
-
-    // Healthcare - Biotechnology (Additional)
-    { name: "Fate Therapeutics", symbol: "FATE" },
-    { name: "Sana Biotechnology", symbol: "SANA" },
-    { name: "Repligen", symbol: "RGEN" },
-    { name: "Sarepta Therapeutics", symbol: "SRPT" },
-    { name: "Ionis Pharmaceuticals", symbol: "IONS" },
-    { name: "Neurocrine Biosciences", symbol: "NBIX" },
-    { name: "Alkermes", symbol: "ALKS" },
-    { name: "Ironwood Pharmaceuticals", symbol: "IRWD" },
-    { name: "Blueprint Medicines", symbol: "BPMC" },
-    { name: "Agios Pharmaceuticals", symbol: "AGIO" },
-    { name: "Allogene Therapeutics", symbol: "ALLO" },
-    { name: "Apellis Pharmaceuticals", symbol: "APLS" },
-    { name: "Arcus Biosciences", symbol: "RCUS" },
-    { name: "Arvinas", symbol: "ARVN" },
-    { name: "Atara Biotherapeutics", symbol: "ATRA" },
-    { name: "Immunovant", symbol: "IMVT" },
-    { name: "Insmed", symbol: "INSM" },
-    { name: "Intellia Therapeutics", symbol: "NTLA" },
-    { name: "Kodiak Sciences", symbol: "KOD" },
-    { name: "Krystal Biotech", symbol: "KRYS" },
-    { name: "Moderna", symbol: "MRNA" },
-    { name: "Relay Therapeutics", symbol: "RLAY" },
-    { name: "Seres Therapeutics", symbol: "MCRB" },
-    { name: "TG Therapeutics", symbol: "TGTX" },
-    { name: "United Therapeutics", symbol: "UTHR" },
-    { name: "Vir Biotechnology", symbol: "VIR" },
-
-    // Healthcare - Pharmaceuticals (Additional)
-    { name: "Amarin", symbol: "AMRN" },
-    { name: "Amneal Pharmaceuticals", symbol: "AMRX" },
-    { name: "Amphastar Pharmaceuticals", symbol: "AMPH" },
-    { name: "ANI Pharmaceuticals", symbol: "ANIP" },
-    { name: "Assertio Holdings", symbol: "ASRT" },
-    { name: "Collegium Pharmaceutical", symbol: "COLL" },
-    { name: "Corcept Therapeutics", symbol: "CORT" },
-    { name: "Organon", symbol: "OGN" },
-    { name: "Prestige Consumer Healthcare", symbol: "PBH" },
-    { name: "Supernus Pharmaceuticals", symbol: "SUPN" },
-    { name: "Teva Pharmaceutical Industries", symbol: "TEVA" },
-    { name: "Viatris", symbol: "VTRS" },
-
-    // Healthcare - Equipment & Supplies (Additional)
-    { name: "Integra LifeSciences", symbol: "IART" },
-    { name: "Nevro", symbol: "NVRO" },
-    { name: "Penumbra", symbol: "PEN" },
-    { name: "Quidel", symbol: "QDEL" },
-    { name: "Globus Medical", symbol: "GMED" },
-    { name: "Haemonetics", symbol: "HAE" },
-    { name: "Hologic", symbol: "HOLX" },
-    { name: "Integer Holdings", symbol: "ITGR" },
-    { name: "iRhythm Technologies", symbol: "IRTC" },
-    { name: "Masimo", symbol: "MASI" },
-    { name: "Outset Medical", symbol: "OM" },
-    { name: "Teleflex", symbol: "TFX" },
-    { name: "Zimmer Biomet Holdings", symbol: "ZBH" },
-    { name: "Cutera", symbol: "CUTR" },
-    { name: "Glaukos", symbol: "GKOS" },
-
-    // Healthcare - Providers & Services (Additional)
-    { name: "Amedisys", symbol: "AMED" },
-    { name: "Alignment Healthcare", symbol: "ALHC" },
-    { name: "Addus HomeCare", symbol: "ADUS" },
-    { name: "Brookdale Senior Living", symbol: "BKD" },
-    { name: "Chemed", symbol: "CHE" },
-    { name: "Cross Country Healthcare", symbol: "CCRN" },
-    { name: "Encompass Health", symbol: "EHC" },
-    { name: "Ensign Group", symbol: "ENSG" },
-    { name: "HealthEquity", symbol: "HQY" },
-    { name: "Molina Healthcare", symbol: "MOH" },
-    { name: "Select Medical Holdings", symbol: "SEM" },
-    { name: "Tenet Healthcare", symbol: "THC" },
-
-    // Financials - Banks (Additional)
-    { name: "Ally Financial", symbol: "ALLY" },
-    { name: "Associated Banc-Corp", symbol: "ASB" },
-    { name: "Bank OZK", symbol: "OZK" },
-    { name: "BOK Financial", symbol: "BOKF" },
-    { name: "Cathay General Bancorp", symbol: "CATY" },
-    { name: "Columbia Banking System", symbol: "COLB" },
-    { name: "Cullen/Frost Bankers", symbol: "CFR" },
-    { name: "East West Bancorp", symbol: "EWBC" },
-    { name: "F.N.B. Corporation", symbol: "FNB" },
-    { name: "First Financial Bankshares", symbol: "FFIN" },
-    { name: "First Hawaiian", symbol: "FHB" },
-    { name: "First Horizon", symbol: "FHN" },
-    { name: "Fulton Financial", symbol: "FULT" },
-    { name: "Glacier Bancorp", symbol: "GBCI" },
-    { name: "Old National Bancorp", symbol: "ONB" },
-    { name: "Pinnacle Financial Partners", symbol: "PNFP" },
-    { name: "Prosperity Bancshares", symbol: "PB" },
-    { name: "Simmons First National", symbol: "SFNC" },
-    { name: "Synovus Financial", symbol: "SNV" },
-    { name: "Trustmark", symbol: "TRMK" },
-    { name: "United Bankshares", symbol: "UBSI" },
-    { name: "Valley National Bancorp", symbol: "VLY" },
-    { name: "Webster Financial", symbol: "WBS" },
-    { name: "Western Alliance Bancorp", symbol: "WAL" },
-    { name: "Wintrust Financial", symbol: "WTFC" },
-
-    // Financials - Capital Markets (Additional)
-    { name: "Ares Management", symbol: "ARES" },
-    { name: "Cohen & Steers", symbol: "CNS" },
-    { name: "Diamond Hill Investment Group", symbol: "DHIL" },
-    { name: "Evercore", symbol: "EVR" },
-    { name: "Hamilton Lane", symbol: "HLNE" },
-    { name: "Interactive Brokers Group", symbol: "IBKR" },
-    { name: "Janus Henderson Group", symbol: "JHG" },
-    { name: "KKR & Co", symbol: "KKR" },
-    { name: "LPL Financial Holdings", symbol: "LPLA" },
-    { name: "MarketAxess Holdings", symbol: "MKTX" },
-    { name: "Moelis & Company", symbol: "MC" },
-    { name: "Morningstar", symbol: "MORN" },
-    { name: "MSCI", symbol: "MSCI" },
-    { name: "PJT Partners", symbol: "PJT" },
-    { name: "SEI Investments", symbol: "SEIC" },
-    { name: "Stifel Financial", symbol: "SF" },
-    { name: "Virtu Financial", symbol: "VIRT" },
-
-    // Financials - Insurance (Additional)
-    { name: "Ambac Financial Group", symbol: "AMBC" },
-    { name: "American Financial Group", symbol: "AFG" },
-    { name: "Assurant", symbol: "AIZ" },
-    { name: "Brighthouse Financial", symbol: "BHF" },
-    { name: "Brown & Brown", symbol: "BRO" },
-    { name: "Citizens", symbol: "CIA" },
-    { name: "CNO Financial Group", symbol: "CNO" },
-    { name: "eHealth", symbol: "EHTH" },
-    { name: "Enstar Group", symbol: "ESGR" },
-    { name: "First American Financial", symbol: "FAF" },
-    { name: "Genworth Financial", symbol: "GNW" },
-    { name: "Globe Life", symbol: "GL" },
-    { name: "Goosehead Insurance", symbol: "GSHD" },
-    { name: "Hanover Insurance Group", symbol: "THG" },
-    { name: "James River Group Holdings", symbol: "JRVR" },
-    { name: "Kemper", symbol: "KMPR" },
-    { name: "Kinsale Capital Group", symbol: "KNSL" },
-    { name: "Mercury General", symbol: "MCY" },
-    { name: "NMI Holdings", symbol: "NMIH" },
-    { name: "Old Republic International", symbol: "ORI" },
-    { name: "Palomar Holdings", symbol: "PLMR" },
-    { name: "ProAssurance", symbol: "PRA" },
-    { name: "Radian Group", symbol: "RDN" },
-    { name: "Reinsurance Group of America", symbol: "RGA" },
-    { name: "RLI Corp", symbol: "RLI" },
-    { name: "Selective Insurance Group", symbol: "SIGI" },
-    { name: "Stewart Information Services", symbol: "STC" },
-    { name: "Trupanion", symbol: "TRUP" },
-    { name: "United Fire Group", symbol: "UFCS" },
-    { name: "Universal Insurance Holdings", symbol: "UVE" },
-
-    // Consumer Discretionary - Retail (Additional)
-    { name: "Abercrombie & Fitch", symbol: "ANF" },
-    { name: "Academy Sports and Outdoors", symbol: "ASO" },
-    { name: "American Eagle Outfitters", symbol: "AEO" },
-    { name: "At Home Group", symbol: "HOME" },
-    { name: "Bed Bath & Beyond", symbol: "BBBY" },
-    { name: "Best Buy", symbol: "BBY" },
-    { name: "Big Lots", symbol: "BIG" },
-    { name: "Boot Barn Holdings", symbol: "BOOT" },
-    { name: "Burlington Stores", symbol: "BURL" },
-    { name: "Caleres", symbol: "CAL" },
-    { name: "Cato", symbol: "CATO" },
-    { name: "Chico's FAS", symbol: "CHS" },
-    { name: "Children's Place", symbol: "PLCE" },
-    { name: "Container Store Group", symbol: "TCS" },
-    { name: "Designer Brands", symbol: "DBI" },
-    { name: "Dick's Sporting Goods", symbol: "DKS" },
-    { name: "Dillard's", symbol: "DDS" },
-    { name: "Express", symbol: "EXPR" },
-    { name: "Five Below", symbol: "FIVE" },
-    { name: "Foot Locker", symbol: "FL" },
-    { name: "Genesco", symbol: "GCO" },
-    { name: "Group 1 Automotive", symbol: "GPI" },
-    { name: "Hibbett Sports", symbol: "HIBB" },
-    { name: "Kohl's", symbol: "KSS" },
-    { name: "L Brands", symbol: "LB" },
-    { name: "Macy's", symbol: "M" },
-    { name: "Murphy USA", symbol: "MUSA" },
-    { name: "National Vision Holdings", symbol: "EYE" },
-    { name: "Nordstrom", symbol: "JWN" },
-    { name: "Penske Automotive Group", symbol: "PAG" },
-    { name: "Ross Stores", symbol: "ROST" },
-    { name: "RH", symbol: "RH" },
-    { name: "Sally Beauty Holdings", symbol: "SBH" },
-    { name: "Signet Jewelers", symbol: "SIG" },
-    { name: "Sonic Automotive", symbol: "SAH" },
-    { name: "The Buckle", symbol: "BKE" },
-    { name: "TJX Companies", symbol: "TJX" },
-    { name: "Urban Outfitters", symbol: "URBN" },
-    { name: "Victoria's Secret", symbol: "VSCO" },
-
-    // Consumer Discretionary - Automobiles & Components (Additional)
-    { name: "Adient", symbol: "ADNT" },
-    { name: "American Axle & Manufacturing", symbol: "AXL" },
-    { name: "Aptiv", symbol: "APTV" },
-    { name: "AutoNation", symbol: "AN" },
-    { name: "Autoliv", symbol: "ALV" },
-    { name: "Cooper-Standard Holdings", symbol: "CPS" },
-    { name: "Dana", symbol: "DAN" },
-    { name: "Dorman Products", symbol: "DORM" },
-    { name: "Ferrari", symbol: "RACE" },
-    { name: "Gentex", symbol: "GNTX" },
-    { name: "Gentherm", symbol: "THRM" },
-    { name: "Goodyear Tire & Rubber", symbol: "GT" },
-    { name: "LCI Industries", symbol: "LCII" },
-    { name: "Lear", symbol: "LEA" },
-    { name: "LKQ", symbol: "LKQ" },
-    { name: "Modine Manufacturing", symbol: "MOD" },
-    { name: "Motorcar Parts of America", symbol: "MPAA" },
-    { name: "Standard Motor Products", symbol: "SMP" },
-    { name: "Tenneco", symbol: "TEN" },
-    { name: "Tesla", symbol: "TSLA" },
-    { name: "Thor Industries", symbol: "THO" },
-    { name: "Visteon", symbol: "VC" },
-    { name: "Winnebago Industries", symbol: "WGO" },
-
-    // Consumer Staples (Additional)
-    { name: "B&G Foods", symbol: "BGS" },
-    { name: "Boston Beer Company", symbol: "SAM" },
-    { name: "BJ's Wholesale Club", symbol: "BJ" },
-    { name: "Campbell Soup", symbol: "CPB" },
-    { name: "Clorox", symbol: "CLX" },
-    { name: "Conagra Brands", symbol: "CAG" },
-    { name: "Constellation Brands", symbol: "STZ" },
-    { name: "Darling Ingredients", symbol: "DAR" },
-    { name: "Estee Lauder", symbol: "EL" },
-    { name: "Flowers Foods", symbol: "FLO" },
-    { name: "Fresh Del Monte Produce", symbol: "FDP" },
-    { name: "Grocery Outlet", symbol: "GO" },
-    { name: "Hain Celestial Group", symbol: "HAIN" },
-    { name: "Herbalife Nutrition", symbol: "HLF" },
-    { name: "Hershey", symbol: "HSY" },
-    { name: "Hormel Foods", symbol: "HRL" },
-    { name: "J.M. Smucker", symbol: "SJM" },
-    { name: "Keurig Dr Pepper", symbol: "KDP" },
-    { name: "Kroger", symbol: "KR" },
-    { name: "Lancaster Colony", symbol: "LANC" },
-    { name: "McCormick & Company", symbol: "MKC" },
-    { name: "Medifast", symbol: "MED" },
-    { name: "Molson Coors Beverage", symbol: "TAP" },
-    { name: "Monster Beverage", symbol: "MNST" },
-    { name: "Nu Skin Enterprises", symbol: "NUS" },
-    { name: "Pilgrim's Pride", symbol: "PPC" },
-    { name: "Post Holdings", symbol: "POST" },
-    { name: "Sprouts Farmers Market", symbol: "SFM" },
-    { name: "TreeHouse Foods", symbol: "THS" },
-    { name: "Tyson Foods", symbol: "TSN" },
-    { name: "United Natural Foods", symbol: "UNFI" },
-    { name: "Walgreens Boots Alliance", symbol: "WBA" },
-    { name: "WD-40 Company", symbol: "WDFC" },
-
-    // Energy (Additional)
-    { name: "Antero Resources", symbol: "AR" },
-    { name: "Apache Corporation", symbol: "APA" },
-    { name: "Baker Hughes", symbol: "BKR" },
-    { name: "Cheniere Energy", symbol: "LNG" },
-    { name: "Clean Energy Fuels", symbol: "CLNE" },
-    { name: "CNX Resources", symbol: "CNX" },
-    { name: "Core Laboratories", symbol: "CLB" },
-    { name: "Devon Energy", symbol: "DVN" },
-    { name: "EQT Corporation", symbol: "EQT" },
-    { name: "FuelCell Energy", symbol: "FCEL" },
-    { name: "Halliburton", symbol: "HAL" },
-    { name: "Helmerich & Payne", symbol: "HP" },
-    { name: "Hess Corporation", symbol: "HES" },
-    { name: "Murphy Oil", symbol: "MUR" },
-    { name: "National Oilwell Varco", symbol: "NOV" },
-    { name: "Occidental Petroleum", symbol: "OXY" },
-    { name: "ONEOK", symbol: "OKE" },
-    { name: "Ovintiv", symbol: "OVV" },
-    { name: "Range Resources", symbol: "RRC" },
-    { name: "SM Energy", symbol: "SM" },
-    { name: "Sunrun", symbol: "RUN" },
-    { name: "Sunnova Energy", symbol: "NOVA" },
-    { name: "TechnipFMC", symbol: "FTI" },
-    { name: "Transocean", symbol: "RIG" },
-    { name: "Valaris", symbol: "VAL" },
-
-    // Industrials - Aerospace & Defense (Additional)
-    { name: "AeroVironment", symbol: "AVAV" },
-    { name: "AerSale", symbol: "ASLE" },
-    { name: "Axon Enterprise", symbol: "AXON" },
-    { name: "Cubic", symbol: "CUB" },
-    { name: "Curtiss-Wright", symbol: "CW" },
-    { name: "Ducommun", symbol: "DCO" },
-    { name: "Hexcel", symbol: "HXL" },
-    { name: "Howmet Aerospace", symbol: "HWM" },
-    { name: "Huntington Ingalls Industries", symbol: "HII" },
-    { name: "Joby Aviation", symbol: "JOBY" },
-    { name: "Kratos Defense & Security", symbol: "KTOS" },
-    { name: "Leidos Holdings", symbol: "LDOS" },
-    { name: "Mercury Systems", symbol: "MRCY" },
-    { name: "Spirit AeroSystems", symbol: "SPR" },
-    { name: "SAIC", symbol: "SAIC" },
-    { name: "Textron", symbol: "TXT" },
-    { name: "TransDigm Group", symbol: "TDG" },
-    { name: "Triumph Group", symbol: "TGI" },
-    { name: "Virgin Galactic", symbol: "SPCE" },
-    { name: "Woodward", symbol: "WWD" },
-
-    // Industrials - Machinery & Equipment (Additional)
-    { name: "AGCO", symbol: "AGCO" },
-    { name: "Albany International", symbol: "AIN" },
-    { name: "Chart Industries", symbol: "GTLS" },
-    { name: "Columbus McKinnon", symbol: "CMCO" },
-    { name: "Crane Co.", symbol: "CR" },
-    { name: "Donaldson Company", symbol: "DCI" },
-    { name: "Dover", symbol: "DOV" },
-    { name: "Enerpac Tool Group", symbol: "EPAC" },
-    { name: "EnPro Industries", symbol: "NPO" },
-    { name: "ESCO Technologies", symbol: "ESE" },
-    { name: "Federal Signal", symbol: "FSS" },
-    { name: "Flowserve", symbol: "FLS" },
-    { name: "Fortive", symbol: "FTV" },
-    { name: "Gencor Industries", symbol: "GENC" },
-    { name: "Graco", symbol: "GGG" },
-    { name: "Granite Construction", symbol: "GVA" },
-    { name: "Hillenbrand", symbol: "HI" },
-    { name: "Hubbell", symbol: "HUBB" },
-    { name: "Hyster-Yale Materials Handling", symbol: "HY" },
-    { name: "IDEX Corporation", symbol: "IEX" },
-    { name: "Ingersoll Rand", symbol: "IR" },
-    { name: "ITT Inc.", symbol: "ITT" },
-    { name: "Lincoln Electric Holdings", symbol: "LECO" },
-    { name: "Manitowoc Company", symbol: "MTW" },
-    { name: "Mueller Industries", symbol: "MLI" },
-    { name: "Mueller Water Products", symbol: "MWA" },
-    { name: "Nordson", symbol: "NDSN" },
-    { name: "Pentair", symbol: "PNR" },
-    { name: "RBC Bearings", symbol: "RBC" },
-    { name: "Snap-on", symbol: "SNA" },
-    { name: "Stanley Black & Decker", symbol: "SWK" },
-    { name: "Terex", symbol: "TEX" },
-    { name: "Timken", symbol: "TKR" },
-    { name: "Trex Company", symbol: "TREX" },
-    { name: "Toro Company", symbol: "TTC" },
-    { name: "Watts Water Technologies", symbol: "WTS" },
-    { name: "Xylem", symbol: "XYL" },
-
-    // Industrials - Transportation (Additional)
-    { name: "ArcBest", symbol: "ARCB" },
-    { name: "Atlas Air Worldwide", symbol: "AAWW" },
-    { name: "C.H. Robinson Worldwide", symbol: "CHRW" },
-    { name: "Covenant Logistics Group", symbol: "CVLG" },
-    { name: "Expeditors International", symbol: "EXPD" },
-    { name: "Forward Air", symbol: "FWRD" },
-    { name: "Heartland Express", symbol: "HTLD" },
-    { name: "Hub Group", symbol: "HUBG" },
-    { name: "J.B. Hunt Transport Services", symbol: "JBHT" },
-    { name: "Kansas City Southern", symbol: "KSU" },
-    { name: "Kirby", symbol: "KEX" },
-    { name: "Knight-Swift Transportation", symbol: "KNX" },
-    { name: "Landstar System", symbol: "LSTR" },
-    { name: "Matson", symbol: "MATX" },
-    { name: "Norfolk Southern", symbol: "NSC" },
-    { name: "Old Dominion Freight Line", symbol: "ODFL" },
-    { name: "Ryder System", symbol: "R" },
-    { name: "Saia", symbol: "SAIA" },
-    { name: "SkyWest", symbol: "SKYW" },
-    { name: "Southwest Airlines", symbol: "LUV" },
-    { name: "Spirit Airlines", symbol: "SAVE" },
-    { name: "Trinity Industries", symbol: "TRN" },
-    { name: "Uber Technologies", symbol: "UBER" },
-    { name: "United Airlines", symbol: "UAL" },
-    { name: "USA Truck", symbol: "USAK" },
-    { name: "Werner Enterprises", symbol: "WERN" },
-    { name: "XPO Logistics", symbol: "XPO" },
-    { name: "Yellow Corporation", symbol: "YELL" },
-
-    // Industrials - Business Services (Additional)
-    { name: "ABM Industries", symbol: "ABM" },
-    { name: "ACCO Brands", symbol: "ACCO" },
-    { name: "ADT Inc.", symbol: "ADT" },
-    { name: "ADP", symbol: "ADP" },
-    { name: "Brink's Company", symbol: "BCO" },
-    { name: "Bright Horizons Family Solutions", symbol: "BFAM" },
-    { name: "CBIZ", symbol: "CBZ" },
-    { name: "Cintas", symbol: "CTAS" },
-    { name: "Clean Harbors", symbol: "CLH" },
-    { name: "Copart", symbol: "CPRT" },
-    { name: "CorVel", symbol: "CRVL" },
-    { name: "Deluxe", symbol: "DLX" },
-    { name: "Equifax", symbol: "EFX" },
-    { name: "Exponent", symbol: "EXPO" },
-    { name: "FTI Consulting", symbol: "FCN" },
-    { name: "H&R Block", symbol: "HRB" },
-    { name: "Healthcare Services Group", symbol: "HCSG" },
-    { name: "Heidrick & Struggles", symbol: "HSII" },
-    { name: "ICF International", symbol: "ICFI" },
-    { name: "IHS Markit", symbol: "INFO" },
-    { name: "Iron Mountain", symbol: "IRM" },
-    { name: "Kelly Services", symbol: "KELYA" },
-    { name: "Kforce", symbol: "KFRC" },
-    { name: "Korn Ferry", symbol: "KFY" },
-    { name: "ManpowerGroup", symbol: "MAN" },
-    { name: "Moody's", symbol: "MCO" },
-    { name: "Nielsen Holdings", symbol: "NLSN" },
-    { name: "Pitney Bowes", symbol: "PBI" },
-    { name: "Republic Services", symbol: "RSG" },
-    { name: "Resources Connection", symbol: "RGP" },
-    { name: "Robert Half International", symbol: "RHI" },
-    { name: "ServiceMaster Global Holdings", symbol: "SERV" },
-    { name: "Stericycle", symbol: "SRCL" },
-    { name: "Thomson Reuters", symbol: "TRI" },
-    { name: "TransUnion", symbol: "TRU" },
-    { name: "TriNet Group", symbol: "TNET" },
-    { name: "UniFirst", symbol: "UNF" },
-    { name: "United Rentals", symbol: "URI" },
-    { name: "Verisk Analytics", symbol: "VRSK" },
-    { name: "Waste Connections", symbol: "WCN" },
-    { name: "Waste Management", symbol: "WM" },
-    { name: "WEX Inc.", symbol: "WEX" },
-
-    // Materials (Additional)
-    { name: "AdvanSix", symbol: "ASIX" },
-    { name: "Arconic", symbol: "ARNC" },
-    { name: "Avery Dennison", symbol: "AVY" },
-    { name: "Axalta Coating Systems", symbol: "AXTA" },
-    { name: "AZZ Inc.", symbol: "AZZ" },
-    { name: "Berry Global Group", symbol: "BERY" },
-    { name: "Cabot Corporation", symbol: "CBT" },
-    { name: "Century Aluminum", symbol: "CENX" },
-    { name: "Clearwater Paper", symbol: "CLW" },
-    { name: "Cleveland-Cliffs", symbol: "CLF" },
-    { name: "Commercial Metals", symbol: "CMC" },
-    { name: "Compass Minerals International", symbol: "CMP" },
-    { name: "Crown Holdings", symbol: "CCK" },
-    { name: "Domtar", symbol: "UFS" },
-    { name: "DuPont de Nemours", symbol: "DD" },
-    { name: "Ferro", symbol: "FOE" },
-    { name: "FutureFuel", symbol: "FF" },
-    { name: "Glatfelter", symbol: "GLT" },
-    { name: "Graphic Packaging Holding", symbol: "GPK" },
-    { name: "Greif", symbol: "GEF" },
-    { name: "Haynes International", symbol: "HAYN" },
-    { name: "H.B. Fuller", symbol: "FUL" },
-    { name: "Ingevity", symbol: "NGVT" },
-    { name: "Innospec", symbol: "IOSP" },
-    { name: "Kaiser Aluminum", symbol: "KALU" },
-    { name: "Koppers Holdings", symbol: "KOP" },
-    { name: "Kronos Worldwide", symbol: "KRO" },
-    { name: "LSB Industries", symbol: "LXU" },
-    { name: "Lydall", symbol: "LDL" },
-    { name: "Minerals Technologies", symbol: "MTX" },
-    { name: "MP Materials", symbol: "MP" },
-    { name: "Myers Industries", symbol: "MYE" },
-    { name: "NewMarket", symbol: "NEU" },
-    { name: "Olin", symbol: "OLN" },
-    { name: "O-I Glass", symbol: "OI" },
-    { name: "Packaging Corporation of America", symbol: "PKG" },
-    { name: "PolyOne", symbol: "POL" },
-    { name: "PPG Industries", symbol: "PPG" },
-    { name: "Quaker Chemical", symbol: "KWR" },
-    { name: "Reliance Steel & Aluminum", symbol: "RS" },
-    { name: "RPM International", symbol: "RPM" },
-    { name: "Sealed Air", symbol: "SEE" },
-    { name: "Sensient Technologies", symbol: "SXT" },
-    { name: "Silgan Holdings", symbol: "SLGN" },
-    { name: "Sonoco Products", symbol: "SON" },
-    { name: "Stepan", symbol: "SCL" },
-    { name: "Tredegar", symbol: "TG" },
-    { name: "United States Steel", symbol: "X" },
-    { name: "Valhi", symbol: "VHI" },
-    { name: "Worthington Industries", symbol: "WOR" },
-
-    // Utilities (Additional)
-    { name: "Algonquin Power & Utilities", symbol: "AQN" },
-    { name: "ALLETE", symbol: "ALE" },
-    { name: "American States Water", symbol: "AWR" },
-    { name: "American Water Works", symbol: "AWK" },
-    { name: "Atlantica Sustainable Infrastructure", symbol: "AY" },
-    { name: "Avangrid", symbol: "AGR" },
-    { name: "Avista", symbol: "AVA" },
-    { name: "Black Hills", symbol: "BKH" },
-    { name: "Brookfield Infrastructure Partners", symbol: "BIP" },
-    { name: "Brookfield Renewable Partners", symbol: "BEP" },
-    { name: "California Water Service Group", symbol: "CWT" },
-    { name: "CenterPoint Energy", symbol: "CNP" },
-    { name: "Consolidated Edison", symbol: "ED" },
-    { name: "DTE Energy", symbol: "DTE" },
-    { name: "Edison International", symbol: "EIX" },
-    { name: "Entergy", symbol: "ETR" },
-    { name: "Essential Utilities", symbol: "WTRG" },
-    { name: "Evergy", symbol: "EVRG" },
-    { name: "FirstEnergy", symbol: "FE" },
-    { name: "Hawaiian Electric Industries", symbol: "HE" },
-    { name: "IdaCorp", symbol: "IDA" },
-    { name: "MDU Resources Group", symbol: "MDU" },
-    { name: "National Fuel Gas", symbol: "NFG" },
-    { name: "New Jersey Resources", symbol: "NJR" },
-    { name: "NiSource", symbol: "NI" },
-    { name: "Northwest Natural Holding", symbol: "NWN" },
-    { name: "NRG Energy", symbol: "NRG" },
-    { name: "OGE Energy", symbol: "OGE" },
-    { name: "Ormat Technologies", symbol: "ORA" },
-    { name: "PG&E", symbol: "PCG" },
-    { name: "Pinnacle West Capital", symbol: "PNW" },
-    { name: "Portland General Electric", symbol: "POR" },
-    { name: "PPL Corporation", symbol: "PPL" },
-    { name: "South Jersey Industries", symbol: "SJI" },
-    { name: "Southwest Gas Holdings", symbol: "SWX" },
-    { name: "Spire", symbol: "SR" },
-    { name: "UGI Corporation", symbol: "UGI" },
-    { name: "Vistra", symbol: "VST" },
-    { name: "WEC Energy Group", symbol: "WEC" },
-    { name: "Xcel Energy", symbol: "XEL" },
-
-    // Real Estate (Additional REITs)
-    { name: "Agree Realty", symbol: "ADC" },
-    { name: "Alexander & Baldwin", symbol: "ALEX" },
-    { name: "American Campus Communities", symbol: "ACC" },
-    { name: "American Homes 4 Rent", symbol: "AMH" },
-    { name: "Apartment Investment and Management", symbol: "AIV" },
-    { name: "Armada Hoffler Properties", symbol: "AHH" },
-    { name: "Brixmor Property Group", symbol: "BRX" },
-    { name: "Camden Property Trust", symbol: "CPT" },
-    { name: "CareTrust REIT", symbol: "CTRE" },
-    { name: "CBL & Associates Properties", symbol: "CBL" },
-    { name: "CoreCivic", symbol: "CXW" },
-    { name: "Corporate Office Properties Trust", symbol: "OFC" },
-    { name: "Cousins Properties", symbol: "CUZ" },
-    { name: "CubeSmart", symbol: "CUBE" },
-    { name: "CyrusOne", symbol: "CONE" },
-    { name: "DiamondRock Hospitality", symbol: "DRH" },
-    { name: "Douglas Emmett", symbol: "DEI" },
-    { name: "Duke Realty", symbol: "DRE" },
-    { name: "EastGroup Properties", symbol: "EGP" },
-    { name: "EPR Properties", symbol: "EPR" },
-    { name: "Equity Commonwealth", symbol: "EQC" },
-    { name: "Equity LifeStyle Properties", symbol: "ELS" },
-    { name: "Extra Space Storage", symbol: "EXR" },
-    { name: "First Industrial Realty Trust", symbol: "FR" },
-    { name: "Four Corners Property Trust", symbol: "FCPT" },
-    { name: "Gaming and Leisure Properties", symbol: "GLPI" },
-    { name: "Getty Realty", symbol: "GTY" },
-    { name: "Global Net Lease", symbol: "GNL" },
-    { name: "Healthcare Realty Trust", symbol: "HR" },
-    { name: "Healthpeak Properties", symbol: "PEAK" },
-    { name: "Highwoods Properties", symbol: "HIW" },
-    { name: "Hudson Pacific Properties", symbol: "HPP" },
-    { name: "Independence Realty Trust", symbol: "IRT" },
-    { name: "Invitation Homes", symbol: "INVH" },
-    { name: "Iron Mountain", symbol: "IRM" },
-    { name: "JBG SMITH Properties", symbol: "JBGS" },
-    { name: "Kilroy Realty", symbol: "KRC" },
-    { name: "Kite Realty Group Trust", symbol: "KRG" },
-    { name: "Lamar Advertising", symbol: "LAMR" },
-    { name: "LTC Properties", symbol: "LTC" },
-    { name: "Macerich", symbol: "MAC" },
-    { name: "Medical Properties Trust", symbol: "MPW" },
-    { name: "Mid-America Apartment Communities", symbol: "MAA" },
-    { name: "National Health Investors", symbol: "NHI" },
-    { name: "National Retail Properties", symbol: "NNN" },
-    { name: "National Storage Affiliates Trust", symbol: "NSA" },
-    { name: "Omega Healthcare Investors", symbol: "OHI" },
-    { name: "Outfront Media", symbol: "OUT" },
-    { name: "Paramount Group", symbol: "PGRE" },
-    { name: "Park Hotels & Resorts", symbol: "PK" },
-    { name: "Pebblebrook Hotel Trust", symbol: "PEB" },
-    { name: "Pennsylvania REIT", symbol: "PEI" },
-    { name: "Physicians Realty Trust", symbol: "DOC" },
-    { name: "Piedmont Office Realty Trust", symbol: "PDM" },
-    { name: "PotlatchDeltic", symbol: "PCH" },
-    { name: "Rayonier", symbol: "RYN" },
-    { name: "Regency Centers", symbol: "REG" },
-    { name: "Retail Opportunity Investments", symbol: "ROIC" },
-    { name: "Retail Properties of America", symbol: "RPAI" },
-    { name: "Rexford Industrial Realty", symbol: "REXR" },
-    { name: "Ryman Hospitality Properties", symbol: "RHP" },
-    { name: "Sabra Health Care REIT", symbol: "SBRA" },
-    { name: "Safehold", symbol: "SAFE" },
-    { name: "SL Green Realty", symbol: "SLG" },
-    { name: "Spirit Realty Capital", symbol: "SRC" },
-    { name: "STAG Industrial", symbol: "STAG" },
-    { name: "Store Capital", symbol: "STOR" },
-    { name: "Summit Hotel Properties", symbol: "INN" },
-    { name: "Sun Communities", symbol: "SUI" },
-    { name: "Sunstone Hotel Investors", symbol: "SHO" },
-    { name: "Tanger Factory Outlet Centers", symbol: "SKT" },
-    { name: "Taubman Centers", symbol: "TCO" },
-    { name: "UDR", symbol: "UDR" },
-    { name: "Urban Edge Properties", symbol: "UE" },
-    { name: "VEREIT", symbol: "VER" },
-    { name: "Washington Real Estate Investment Trust", symbol: "WRE" },
-    { name: "Weingarten Realty Investors", symbol: "WRI" },
-    { name: "WP Carey", symbol: "WPC" },
-    { name: "Xenia Hotels & Resorts", symbol: "XHR" },
-
-    // Technology - Small Cap/Emerging
-    { name: "ACI Worldwide", symbol: "ACIW" },
-    { name: "Adtran", symbol: "ADTN" },
-    { name: "Agilysys", symbol: "AGYS" },
-    { name: "Airgain", symbol: "AIRG" },
-    { name: "Alpha and Omega Semiconductor", symbol: "AOSL" },
-    { name: "Applied Optoelectronics", symbol: "AAOI" },
-    { name: "Appfolio", symbol: "APPF" },
-    { name: "AudioCodes", symbol: "AUDC" },
-    { name: "Avid Technology", symbol: "AVID" },
-    { name: "Bandwidth", symbol: "BAND" },
-    { name: "Benefitfocus", symbol: "BNFT" },
-    { name: "Brightcove", symbol: "BCOV" },
-    { name: "Brooks Automation", symbol: "BRKS" },
-    { name: "Calamp", symbol: "CAMP" },
-    { name: "Cantaloupe", symbol: "CTLP" },
-    { name: "Casa Systems", symbol: "CASA" },
-    { name: "Cerence", symbol: "CRNC" },
-    { name: "ChannelAdvisor", symbol: "ECOM" },
-    { name: "Clearfield", symbol: "CLFD" },
-    { name: "Comtech Telecommunications", symbol: "CMTL" },
-    { name: "Credo Technology Group", symbol: "CRDO" },
-    { name: "CTS Corporation", symbol: "CTS" },
-    { name: "Daktronics", symbol: "DAKT" },
-    { name: "Digimarc", symbol: "DMRC" },
-    { name: "Digital Turbine", symbol: "APPS" },
-    { name: "Domo", symbol: "DOMO" },
-    { name: "Ebix", symbol: "EBIX" },
-    { name: "Everspin Technologies", symbol: "MRAM" },
-    { name: "Evolving Systems", symbol: "EVOL" },
-    { name: "Extreme Networks", symbol: "EXTR" },
-    { name: "FARO Technologies", symbol: "FARO" },
-    { name: "Glu Mobile", symbol: "GLUU" },
-    { name: "Immersion", symbol: "IMMR" },
-    { name: "Infinera", symbol: "INFN" },
-    { name: "Inseego", symbol: "INSG" },
-    { name: "Intrusion", symbol: "INTZ" },
-    { name: "Intevac", symbol: "IVAC" },
-    { name: "Iteris", symbol: "ITI" },
-    { name: "Kopin", symbol: "KOPN" },
-    { name: "Lantronix", symbol: "LTRX" },
-    { name: "Liveramp Holdings", symbol: "RAMP" },
-    { name: "LivePerson", symbol: "LPSN" },
-    { name: "Materialise NV", symbol: "MTLS" },
-    { name: "NETGEAR", symbol: "NTGR" },
-    { name: "Ondas Holdings", symbol: "ONDS" },
-    { name: "OneSpan", symbol: "OSPN" },
-    { name: "PAR Technology", symbol: "PAR" },
-    { name: "Phunware", symbol: "PHUN" },
-    { name: "Plexus", symbol: "PLXS" },
-    { name: "PROS Holdings", symbol: "PRO" },
-    { name: "Q2 Holdings", symbol: "QTWO" },
-    { name: "QAD", symbol: "QADA" },
-    { name: "Quantum", symbol: "QMCO" },
-    { name: "QuickLogic", symbol: "QUIK" },
-    { name: "Ribbon Communications", symbol: "RBBN" },
-    { name: "SMART Global Holdings", symbol: "SGH" },
-    { name: "Smith Micro Software", symbol: "SMSI" },
-    { name: "Socket Mobile", symbol: "SCKT" },
-    { name: "Spok Holdings", symbol: "SPOK" },
-    { name: "Stride", symbol: "LRN" },
-    { name: "Sumo Logic", symbol: "SUMO" },
-    { name: "Support.com", symbol: "SPRT" },
-    { name: "SUSE", symbol: "SUSE" },
-    { name: "Synchronoss Technologies", symbol: "SNCR" },
-    { name: "Telenav", symbol: "TNAV" },
-    { name: "TrueCar", symbol: "TRUE" },
-    { name: "Tucows", symbol: "TCX" },
-    { name: "Unisys", symbol: "UIS" },
-    { name: "Veritone", symbol: "VERI" },
-    { name: "Vuzix", symbol: "VUZI" },
-    { name: "Zuora", symbol: "ZUO" }
-];
-
-    // New market indices list
-    const marketIndices = [
-        { name: "Nifty 50 Index", symbol: "^NSEI" },
-        { name: "S&P 500 Index", symbol: "^GSPC" },
-        { name: "FTSE 100 Index", symbol: "^FTSE" },
-        { name: "Bank Nifty Index", symbol: "^NSEBANK" }
-    ];
+    /**
+     * Get the loaded universes in display order
+     * @returns {Array} List of { id, name, label, count, updatedAt }
+     */
+    function getUniverses() {
+        return universes;
+    }
     
-    // Data caching
-    const dataCache = new Map();
+    /**
+     * Get the multi-index scan types
+     * @returns {Array} List of { id, name, label, universes }
+     */
+    function getScanTypes() {
+        return scanTypes;
+    }
     
-    // Constants
-    const MAX_RETRIES = 3;
-    const CONCURRENT_REQUESTS_LIMIT = 5; // Limit for concurrent API requests
+    /**
+     * Get the display name of a universe
+     * @param {string} id - Universe id (e.g. 'nifty50')
+     * @returns {string} Universe name, or 'Selected Stocks' if unknown
+     */
+    function getUniverseName(id) {
+        const universe = universes.find(item => item.id === id);
+        return universe ? universe.name : 'Selected Stocks';
+    }
     
     /**
      * Get the current stock list based on selection
      * @returns {Array} List of stock objects
      */
     function getCurrentStockList() {
-        switch (DTIBacktester.currentStockIndex) {
-            case 'nifty50':
-                return nifty50Stocks;
-            case 'niftyNext50':
-                return niftyNext50Stocks;
-            case 'niftyMidcap150':
-                return niftyMidcap150Stocks;
-            case 'ftse100':
-                return ftse100Stocks;
-            case 'ftse250':
-                return ftse250Stocks;
-            case 'usStocks':
-                return usStocks;
-            case 'indices':
-                return marketIndices;
-            default:
-                return nifty50Stocks;
-        }
+        return stockLists[DTIBacktester.currentStockIndex] ||
+            (universes.length > 0 ? stockLists[universes[0].id] : []);
     }
     
     /**
      * Get stock lists for multi-index scan
-     * @param {string} scanType - Type of scan to perform
+     * @param {string} scanType - Scan type id (e.g. 'indian') or 'current'
      * @returns {Array} Combined list of stock objects
      */
     function getStocksForScanType(scanType) {
-        if (typeof DTIUI !== 'undefined' && DTIUI.getStocksForSelectedScanType) {
-            return DTIUI.getStocksForSelectedScanType();
+        const type = scanTypes.find(item => item.id === scanType);
+        if (!type) {
+            return getCurrentStockList();
         }
         
-        switch(scanType) {
-            case 'all':
-                return [
-                    ...nifty50Stocks,
-                    ...niftyNext50Stocks,
-                    ...niftyMidcap150Stocks,
-                    ...ftse100Stocks,
-                    ...ftse250Stocks,
-                    ...usStocks
-                ];
-            case 'indian':
-                return [
-                    ...nifty50Stocks,
-                    ...niftyNext50Stocks,
-                    ...niftyMidcap150Stocks
-                ];
-            case 'uk':
-                return [
-                    ...ftse100Stocks,
-                    ...ftse250Stocks
-                ];
-            case 'us':
-                return usStocks;
-            default:
-                return getCurrentStockList();
+        return deduplicateStocks(type.universes.flatMap(id => stockLists[id] || []));
+    }
+    
+    /**
+     * Fetch the newest stored server-side scan of a universe
+     * @param {string} universe - Universe id
+     * @returns {Promise<Object|null>} Scan run with its opportunities, or null if none is stored
+     */
+    async function fetchLatestScan(universe) {
+        const response = await fetch(`${BACKEND_URL}/api/scans/latest?universe=${encodeURIComponent(universe)}`);
+        
+        if (response.status === 404) {
+            return null;
         }
+        if (!response.ok) {
+            throw new Error(`Failed to load the latest scan (${response.status})`);
+        }
+        
+        return response.json();
+    }
+    
+    /**
+     * Get the first date covered by a period such as '5y' or 'ytd'
+     * @param {string} period - Period string
+     * @returns {string|null} YYYY-MM-DD, or null for 'max'
+     */
+    function getPeriodStartDate(period) {
+        const start = new Date();
+        const match = /^(\d+)(d|mo|y)$/.exec(period);
+        
+        if (period === 'ytd') {
+            return `${start.getUTCFullYear()}-01-01`;
+        }
+        if (!match) {
+            return null;
+        }
+        
+        const amount = parseInt(match[1], 10);
+        if (match[2] === 'd') start.setUTCDate(start.getUTCDate() - amount);
+        if (match[2] === 'mo') start.setUTCMonth(start.getUTCMonth() - amount);
+        if (match[2] === 'y') start.setUTCFullYear(start.getUTCFullYear() - amount);
+        
+        return start.toISOString().slice(0, 10);
+    }
+    
+    /**
+     * Get the stocks to scan with their index membership periods
+     * Includes every stock that was a member at some point in the period, not just
+     * today's members, so scan statistics aren't biased toward survivors
+     * @param {string} scanType - Scan type id, or 'current' for the selected index
+     * @param {string} period - Period being scanned (e.g. '5y')
+     * @returns {Array} List of { name, symbol, periods } objects, one per symbol
+     */
+    function getPointInTimeStocks(scanType, period) {
+        const type = scanTypes.find(item => item.id === scanType);
+        const ids = type ? type.universes : [DTIBacktester.currentStockIndex];
+        const from = getPeriodStartDate(period);
+        const stocks = new Map();
+        
+        ids.forEach(id => {
+            (membership[id] || []).forEach(stock => {
+                const periods = stock.periods.filter(item => !from || !item.to || item.to > from);
+                if (periods.length === 0) return;
+                
+                if (stocks.has(stock.symbol)) {
+                    stocks.get(stock.symbol).periods.push(...periods);
+                } else {
+                    stocks.set(stock.symbol, { name: stock.name, symbol: stock.symbol, periods: [...periods] });
+                }
+            });
+        });
+        
+        return [...stocks.values()];
     }
     
     /**
@@ -1815,8 +216,11 @@ const usStocks = [
  * @returns {Promise<Array>} - Array of price data
  */
 async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount = 0) {
+    // Use split/dividend-adjusted prices when the option is ticked
+    const adjusted = isAdjustedPricesEnabled();
+    
     // Check cache first
-    const cacheKey = `${symbol}_${period}_${interval}`;
+    const cacheKey = `${symbol}_${period}_${interval}${adjusted ? '_adj' : ''}`;
     if (dataCache.has(cacheKey)) {
         return dataCache.get(cacheKey);
     }
@@ -1845,18 +249,38 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
         
         // Update this URL to match your backend service location
         // Use localhost during development and your deployed URL in production
-        const backendUrl = 'http://localhost:3000';
-        const requestUrl = `${backendUrl}/api/stock/${symbol}?period=${period}&interval=${interval}`;
+        const requestUrl = `${BACKEND_URL}/api/stock/${encodeURIComponent(symbol)}?period=${period}&interval=${interval}&meta=true${adjusted ? '&adjusted=true' : ''}`;
         
         console.log(`Requesting data from backend: ${requestUrl}`);
         const response = await fetch(requestUrl);
         
         if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.message || `HTTP error! Status: ${response.status}`);
+            const errorData = await response.json().catch(() => ({}));
+            const error = new Error(errorData.message || `HTTP error! Status: ${response.status}`);
+            error.code = errorData.code;
+            error.retryable = errorData.code
+                ? RETRYABLE_ERROR_CODES.includes(errorData.code)
+                : response.status === 429 || response.status >= 500;
+            error.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 0;
+            throw error;
+        }
+        
+        // The response carries exchange metadata alongside the rows
+        const result = await response.json();
+        const data = result.data;
+        
+        if (result.stale) {
+            console.warn(`Backend served stale data for ${symbol}; the data provider is rate limited or down`);
         }
         
-        const data = await response.json();
+        if (result.meta) {
+            symbolMeta.set(symbol, result.meta);
+            
+            // Let trade management use the exchange's real currency
+            if (result.meta.currency && typeof TradeCore !== 'undefined' && TradeCore.setSymbolCurrency) {
+                TradeCore.setSymbolCurrency(symbol, result.meta.currency);
+            }
+        }
         
         // Update status on success
         if (statusElement) {
@@ -1865,7 +289,9 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
                     <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                         <polyline points="20 6 9 17 4 12"></polyline>
                     </svg>
-                    Data fetched successfully for ${symbol}
+                    ${result.stale
+                        ? `Showing cached data for ${symbol} (data provider temporarily unavailable)`
+                        : `Data fetched successfully for ${symbol}`}
                 </div>
             `;
             
@@ -1875,8 +301,10 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
             }, 3000);
         }
         
-        // Store in cache
-        dataCache.set(cacheKey, data);
+        // Store in cache (stale data is fetched again next time)
+        if (!result.stale) {
+            dataCache.set(cacheKey, data);
+        }
         
         return data;
     } catch (error) {
@@ -1897,8 +325,9 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
             `;
         }
         
-        // Implement retry logic
-        if (retryCount < MAX_RETRIES) {
+        // Retry only failures that can succeed later (network errors, rate limits, upstream outages)
+        const retryable = error.retryable !== undefined ? error.retryable : true;
+        if (retryable && retryCount < MAX_RETRIES) {
             console.log(`Retrying fetch for ${symbol} (attempt ${retryCount + 1}/${MAX_RETRIES})...`);
             
             // Update status to show retry
@@ -1915,8 +344,8 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
                 `;
             }
             
-            // Exponential backoff
-            const delay = Math.pow(2, retryCount) * 1000;
+            // Exponential backoff, or longer if the server asked us to wait
+            const delay = Math.max(Math.pow(2, retryCount) * 1000, (error.retryAfter || 0) * 1000);
             await new Promise(resolve => setTimeout(resolve, delay));
             return fetchStockData(symbol, period, interval, retryCount + 1);
         }
@@ -1926,6 +355,57 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
     }
 }
     
+    /**
+     * Check whether the adjusted prices option is ticked
+     * @returns {boolean} - True if split/dividend-adjusted prices should be used
+     */
+    function isAdjustedPricesEnabled() {
+        const checkbox = document.getElementById('adjusted-prices');
+        return checkbox ? checkbox.checked : false;
+    }
+    
+    /**
+     * Get the bar interval chosen in the interval selector
+     * @returns {string} - Interval such as '1d' or '15m'
+     */
+    function getSelectedInterval() {
+        const selector = document.getElementById('interval-selector');
+        return selector ? selector.value : '1d';
+    }
+    
+    /**
+     * Get exchange metadata for a symbol fetched from the backend
+     * @param {string} symbol - Stock symbol
+     * @returns {Object|null} - { exchange, timezone, currency } or null if not fetched yet
+     */
+    function getSymbolMeta(symbol) {
+        return symbolMeta.get(symbol) || null;
+    }
+    
+    /**
+     * Format a Unix timestamp as the exchange's local trading date
+     * @param {number} timestamp - Unix seconds
+     * @param {string} timezone - IANA timezone of the exchange
+     * @param {number} gmtoffset - Offset from UTC in seconds (fallback)
+     * @returns {string} - Date as YYYY-MM-DD
+     */
+    function formatExchangeDate(timestamp, timezone, gmtoffset) {
+        if (timezone) {
+            try {
+                return new Intl.DateTimeFormat('en-CA', {
+                    timeZone: timezone,
+                    year: 'numeric',
+                    month: '2-digit',
+                    day: '2-digit'
+                }).format(new Date(timestamp * 1000));
+            } catch (error) {
+                console.warn(`Unknown exchange timezone ${timezone}, using GMT offset`);
+            }
+        }
+        
+        return new Date((timestamp + (gmtoffset || 0)) * 1000).toISOString().split('T')[0];
+    }
+    
     /**
      * Process Yahoo Finance data into CSV format
      * @param {Object} yahooData - Yahoo Finance API response
@@ -1935,6 +415,7 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
         const result = yahooData.chart.result[0];
         const quotes = result.indicators.quote[0];
         const timestamps = result.timestamp;
+        const meta = result.meta || {};
         
         // Create CSV data
         let csvData = [
@@ -1942,8 +423,8 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
         ];
         
         for (let i = 0; i < timestamps.length; i++) {
-            const date = new Date(timestamps[i] * 1000);
-            const dateString = date.toISOString().split('T')[0];
+            // Stamp each bar with the exchange's local trading date, not the UTC date
+            const dateString = formatExchangeDate(timestamps[i], meta.exchangeTimezoneName, meta.gmtoffset);
             
             // Skip points with null/undefined values
             if (quotes.open[i] === null || quotes.high[i] === null || 
@@ -1974,109 +455,148 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
     }
     
     /**
-     * Process CSV data for a single stock
-     * @param {Array} data - CSV data
-     * @param {Object} stock - Stock object
-     * @returns {Object|null} - Processed stock data or null if error
+     * Extract chronological price arrays from CSV rows
+     * @param {Array} data - CSV data with a header row
+     * @returns {Object|null} - { dates, high, low, close } or null if the columns are missing
      */
-    function processStockCSV(data, stock) {
-        try {
-            if (!data || data.length < 2) {
-                return null;
-            }
-            
-            // Extract columns
-            const headers = data[0];
-            const dateIndex = headers.indexOf('date');
-            const openIndex = headers.indexOf('open');
-            const highIndex = headers.indexOf('high');
-            const lowIndex = headers.indexOf('low');
-            const closeIndex = headers.indexOf('close');
+    function parsePriceSeries(data) {
+        if (!data || data.length < 2) {
+            return null;
+        }
+        
+        // Extract columns
+        const headers = data[0];
+        const dateIndex = headers.indexOf('date');
+        const openIndex = headers.indexOf('open');
+        const highIndex = headers.indexOf('high');
+        const lowIndex = headers.indexOf('low');
+        const closeIndex = headers.indexOf('close');
+        
+        if (dateIndex === -1 || openIndex === -1 || highIndex === -1 || 
+            lowIndex === -1 || closeIndex === -1) {
+            console.error('Missing required columns in data');
+            return null;
+        }
+        
+        // Process data rows
+        let parsedData = [];
+        
+        for (let i = 1; i < data.length; i++) {
+            const row = data[i];
             
-            if (dateIndex === -1 || openIndex === -1 || highIndex === -1 || 
-                lowIndex === -1 || closeIndex === -1) {
-                console.error('Missing required columns in data');
-                return null;
+            if (!row || row.length <= Math.max(dateIndex, openIndex, highIndex, lowIndex, closeIndex)) {
+                continue;
             }
             
-            // Process data rows
-            let parsedData = [];
-            
-            for (let i = 1; i < data.length; i++) {
-                const row = data[i];
-                
-                if (!row || row.length <= Math.max(dateIndex, openIndex, highIndex, lowIndex, closeIndex)) {
-                    continue;
-                }
-                
-                const dateStr = row[dateIndex];
-                if (!dateStr) continue;
-                
-                const dateObj = new Date(dateStr);
-                const openVal = parseFloat(row[openIndex]);
-                const highVal = parseFloat(row[highIndex]);
-                const lowVal = parseFloat(row[lowIndex]);
-                const closeVal = parseFloat(row[closeIndex]);
-                
-                if (isNaN(openVal) || isNaN(highVal) || isNaN(lowVal) || isNaN(closeVal)) {
-                    continue;
-                }
-                
-                parsedData.push({
-                    date: dateObj,
-                    dateStr: dateStr,
-                    open: openVal,
-                    high: highVal,
-                    low: lowVal,
-                    close: closeVal
-                });
-            }
+            const dateStr = row[dateIndex];
+            if (!dateStr) continue;
             
-            // Sort data chronologically
-            parsedData.sort((a, b) => a.date - b.date);
+            const dateObj = new Date(dateStr);
+            const openVal = parseFloat(row[openIndex]);
+            const highVal = parseFloat(row[highIndex]);
+            const lowVal = parseFloat(row[lowIndex]);
+            const closeVal = parseFloat(row[closeIndex]);
             
-            // Extract sorted arrays
-            const dates = parsedData.map(item => item.dateStr);
-            const open = parsedData.map(item => item.open);
-            const high = parsedData.map(item => item.high);
-            const low = parsedData.map(item => item.low);
-            const close = parsedData.map(item => item.close);
-            
-            // Get DTI parameters
-            const r = parseInt(document.getElementById('r').value);
-            const s = parseInt(document.getElementById('s').value);
-            const u = parseInt(document.getElementById('u').value);
-            
-            // Calculate daily DTI - calling function from DTI indicators module
-            const dti = DTIIndicators.calculateDTI(high, low, r, s, u);
-            const sevenDayDTIData = DTIIndicators.calculate7DayDTI(dates, high, low, r, s, u);
+            if (isNaN(openVal) || isNaN(highVal) || isNaN(lowVal) || isNaN(closeVal)) {
+                continue;
+            }
             
-            // Run backtest with active trade detection - calling from backtest module
-            const { completedTrades, activeTrade } = DTIBacktest.backtestWithActiveDetection(dates, close, dti, sevenDayDTIData);
+            parsedData.push({
+                date: dateObj,
+                dateStr: dateStr,
+                open: openVal,
+                high: highVal,
+                low: lowVal,
+                close: closeVal
+            });
+        }
+        
+        // Sort data chronologically
+        parsedData.sort((a, b) => a.date - b.date);
+        
+        // Extract sorted arrays
+        return {
+            dates: parsedData.map(item => item.dateStr),
+            high: parsedData.map(item => item.high),
+            low: parsedData.map(item => item.low),
+            close: parsedData.map(item => item.close)
+        };
+    }
+    
+    /**
+     * Shape an engine result for the scan, keeping only trades taken while the stock was in the index
+     * @param {Object} stock - Stock object
+     * @param {Object} series - { dates, high, low, close }
+     * @param {Object} result - DTIBacktest.runBacktest result
+     * @returns {Object} - Processed stock data
+     */
+    function buildStockResult(stock, series, result) {
+        const { completedTrades, activeTrade } = DTIBacktest.applyMembership(result, stock.periods);
+        
+        return {
+            stock: stock,
+            dates: series.dates,
+            close: series.close,
+            dti: result.dti,
+            sevenDayDTIData: result.sevenDayDTIData,
+            trades: completedTrades,
+            activeTrade: activeTrade
+        };
+    }
+    
+    /**
+     * Process CSV data for a single stock on the main thread
+     * @param {Array} data - CSV data
+     * @param {Object} stock - Stock object
+     * @param {Object} config - Engine configuration (see DTIBacktest.runBacktest)
+     * @returns {Object|null} - Processed stock data or null if error
+     */
+    function processStockCSV(data, stock, config) {
+        try {
+            const series = parsePriceSeries(data);
+            if (!series) {
+                return null;
+            }
             
-            return {
-                stock: stock,
-                dates: dates,
-                close: close,
-                dti: dti,
-                sevenDayDTIData: sevenDayDTIData,
-                trades: completedTrades,
-                activeTrade: activeTrade
-            };
+            // Calculate DTI and run the backtest with active trade detection
+            return buildStockResult(stock, series, DTIBacktest.runBacktest(series, config));
         } catch (error) {
             console.error('Error processing stock data:', error);
             return null;
         }
     }
     
+    /**
+     * Process CSV data for a single stock in the worker pool
+     * @param {Array} data - CSV data
+     * @param {Object} stock - Stock object
+     * @param {Object} config - Engine configuration
+     * @returns {Promise<Object|null>} - Processed stock data or null if error
+     */
+    async function processStockCSVInWorker(data, stock, config) {
+        const series = parsePriceSeries(data);
+        if (!series) {
+            return null;
+        }
+        
+        try {
+            return buildStockResult(stock, series, await DTIWorkers.runBacktest(series, config));
+        } catch (error) {
+            console.error(`Error processing ${stock.symbol}:`, error);
+            return null;
+        }
+    }
+    
     /**
      * Process stocks in batches with a throttled approach
      * @param {Array} stockList - List of stocks to process
      * @param {function} progressCallback - Callback to update progress
      * @param {string} period - Time period
+     * @param {string} interval - Bar interval
+     * @param {Object} config - Engine configuration
      * @returns {Promise<Array>} - Array of processed stock data
      */
-    async function processStocksBatch(stockList, progressCallback, period = '5y') {
+    async function processStocksBatch(stockList, progressCallback, period = '5y', interval = '1d', config) {
         const processedData = [];
         let successCount = 0;
         let errorCount = 0;
@@ -2095,14 +615,9 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
         for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
             const batch = batches[batchIndex];
             const batchPromises = batch.map(stock => 
-                fetchStockData(stock.symbol, period)
-                .then(data => {
-                    if (!data || data.length <= 1) {
-                        errorCount++;
-                        return null;
-                    }
-                    
-                    const parsed = processStockCSV(data, stock);
+                fetchStockData(stock.symbol, period, interval)
+                .then(data => (data && data.length > 1 ? processStockCSVInWorker(data, stock, config) : null))
+                .then(parsed => {
                     if (parsed) {
                         successCount++;
                         return parsed;
@@ -2145,9 +660,10 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
     
     /**
      * Fetch data for all stocks in the current index or selected scan type
+     * @param {Object} config - Engine configuration, built by the UI
      * @returns {Promise} Promise that resolves when all data is fetched
      */
-    async function fetchAllStocksData() {
+    async function fetchAllStocksData(config) {
         // Prevent multiple runs
         if (DTIBacktester.isProcessing) {
             DTIBacktester.utils.showNotification('Scan already in progress, please wait', 'info');
@@ -2159,32 +675,20 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
         // Get the selected period from the dropdown
         const periodSelector = document.getElementById('period-selector');
         const period = periodSelector ? periodSelector.value : '5y';
+        const interval = getSelectedInterval();
         
         // Check for scan type selector (for multi-index scans)
         const scanTypeSelector = document.getElementById('scan-type-selector');
         const scanType = scanTypeSelector ? scanTypeSelector.value : 'current';
         
-        // Get stock list based on scan type
-        let stockList;
-        if (scanType === 'current') {
-            stockList = getCurrentStockList();
-        } else {
-            stockList = getStocksForScanType(scanType);
-            // Deduplicate in case there are overlapping stocks
-            stockList = deduplicateStocks(stockList);
-        }
+        // Get stock list based on scan type, including stocks that were index members
+        // during the period but have since left
+        const stockList = getPointInTimeStocks(scanType, period);
         
         // Get display name for the current scan
         let scanDisplayName;
         if (scanType === 'current') {
-            scanDisplayName = 
-                DTIBacktester.currentStockIndex === 'nifty50' ? 'Nifty 50' : 
-                DTIBacktester.currentStockIndex === 'niftyNext50' ? 'Nifty Next 50' : 
-                DTIBacktester.currentStockIndex === 'niftyMidcap150' ? 'Nifty Midcap 150' : 
-                DTIBacktester.currentStockIndex === 'ftse100' ? 'FTSE 100' :
-                DTIBacktester.currentStockIndex === 'ftse250' ? 'FTSE 250' :
-                DTIBacktester.currentStockIndex === 'usStocks' ? 'US Stocks' :
-                DTIBacktester.currentStockIndex === 'indices' ? 'Market Indices' : 'Selected Stocks';
+            scanDisplayName = getUniverseName(DTIBacktester.currentStockIndex);
         } else {
             scanDisplayName = scanTypeSelector.options[scanTypeSelector.selectedIndex].text;
         }
@@ -2221,7 +725,7 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
                 };
                 
                 // Process stocks in batches
-                const processedData = await processStocksBatch(stockList, updateProgress, period);
+                const processedData = await processStocksBatch(stockList, updateProgress, period, interval, config);
                 
                 // Store the stock data
                 DTIBacktester.allStocksData = processedData;
@@ -2297,8 +801,9 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
     /**
      * Process CSV data from a file upload
      * @param {Object} results - Papa Parse results
+     * @param {Object} config - Engine configuration, built by the UI
      */
-    function processCSV(results) {
+    function processCSV(results, config) {
         // Prevent multiple processing
         if (DTIBacktester.isProcessing) {
             DTIBacktester.utils.showNotification('Processing in progress, please wait', 'info');
@@ -2375,7 +880,7 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
                 if (typeof dateStr === 'string' && dateStr.includes('-')) {
                     // Handle format like "22-Apr-25"
                     const dateParts = dateStr.split('-');
-                    if (dateParts.length === 3) {
+                    if (dateParts.length === 3 && /^[A-Za-z]+$/.test(dateParts[1])) {
                         const day = parseInt(dateParts[0], 10);
                         const month = DTIBacktester.utils.parseMonth(dateParts[1]);
                         // Handle 2-digit year, assume 20xx
@@ -2434,19 +939,9 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
                 throw new Error('Not enough valid data points found in CSV. Please ensure you have at least 30 valid rows.');
             }
             
-            // Get parameters for DTI calculation
-            const r = parseInt(document.getElementById('r').value);
-            const s = parseInt(document.getElementById('s').value);
-            const u = parseInt(document.getElementById('u').value);
-            
-            // Calculate daily DTI - using DTIIndicators module
-            const dti = DTIIndicators.calculateDTI(high, low, r, s, u);
-            
-            // Calculate 7-day DTI - using DTIIndicators module
-            const sevenDayDTIData = DTIIndicators.calculate7DayDTI(dates, high, low, r, s, u);
-            
-            // Run backtest - using DTIBacktest module
-            const { completedTrades, activeTrade } = DTIBacktest.backtestWithActiveDetection(dates, close, dti, sevenDayDTIData);
+            // Calculate DTI and run the backtest - using DTIBacktest module
+            const { dti, sevenDayDTIData, completedTrades, activeTrade } = DTIBacktest.runBacktest({ dates, high, low, close }, config);
+            DTIBacktester.currentSeries = { dates, high, low, close };
             const allTrades = [...completedTrades];
             if (activeTrade) allTrades.push(activeTrade);
             
@@ -2477,9 +972,10 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
     /**
      * Detect CSV format and extract data
      * @param {Array} data - CSV data
+     * @param {Object} [logger] - Where the detected layout is logged (default console)
      * @returns {Object} - Format information
      */
-    function detectCSVFormat(data) {
+    function detectCSVFormat(data, logger = console) {
         if (!data || data.length < 2) {
             throw new Error('CSV file appears to be empty or invalid');
         }
@@ -2487,7 +983,7 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
         const headers = data[0].map(h => (h || '').toString().trim().toLowerCase());
         const formatInfo = { headers: headers };
         
-        console.log("Detected headers:", headers);
+        logger.log("Detected headers:", headers);
         
         // For the new format with named columns
         if (headers.includes('open') || headers.includes('high') || headers.includes('low') || 
@@ -2523,7 +1019,7 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
             throw new Error('Unrecognized CSV format. Please ensure your data includes date, open, high, low, close columns.');
         }
         
-        console.log("Format detection results:", {
+        logger.log("Format detection results:", {
             format: formatInfo.format,
             dateIndex: formatInfo.dateIndex,
             openIndex: formatInfo.openIndex,
@@ -2549,6 +1045,9 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
     return {
         getCurrentStockList,
         fetchStockData,
+        getSymbolMeta,
+        getSelectedInterval,
+        processYahooFinanceData,
         arrayToCSV,
         processStockCSV,
         fetchAllStocksData,
@@ -2556,20 +1055,27 @@ async function fetchStockData(symbol, period = '5y', interval = '1d', retryCount
         detectCSVFormat,
         clearDataCache,
         
-        // Stock lists exposed for access by other modules
+        loadUniverses,
+        getUniverses,
+        getScanTypes,
+        getUniverseName,
+        getStocksForScanType,
+        getPointInTimeStocks,
+        fetchLatestScan,
+        
+        // Stock lists keyed by universe id, for access by other modules
         getStockLists() {
-            return {
-                nifty50: nifty50Stocks,
-                niftyNext50: niftyNext50Stocks,
-                niftyMidcap150: niftyMidcap150Stocks,
-                ftse100: ftse100Stocks,
-                ftse250: ftse250Stocks,
-                usStocks: usStocks,
-                indices: marketIndices
-            };
+            return stockLists;
         }
     };
 })();
 
 // Make DTIData available globally
-window.DTIData = DTIData;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.DTIData = DTIData;
+}
+
+// Allow the module to be required from Node (server-side scans)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DTIData;
+}
\ No newline at end of file
@@ -110,7 +110,17 @@ const DTIIndicators = (function() {
     }
 
     /**
-     * Aggregate daily data to 7-day periods
+     * Get the trading day a bar belongs to
+     * Intraday bars ('YYYY-MM-DD HH:mm') share the day of their date part
+     * @param {string} date - Bar date string
+     * @returns {string} - Trading day key
+     */
+    function getTradingDay(date) {
+        return String(date).split(/[ T]/)[0];
+    }
+
+    /**
+     * Aggregate daily or intraday data to 7-trading-day periods
      * @param {Array} dates - Array of date strings
      * @param {Array} high - High prices
      * @param {Array} low - Low prices
@@ -127,12 +137,19 @@ const DTIIndicators = (function() {
         let currentPeriodHigh = -Infinity;
         let currentPeriodLow = Infinity;
         let periodStartIndex = 0;
+        let dayCount = 0; // Trading days seen so far
         
         // Initialize 7-day data structure
         for (let i = 0; i < dates.length; i++) {
+            // Count trading days (one per bar for daily data, many bars per day intraday)
+            const isNewDay = i === 0 || getTradingDay(dates[i]) !== getTradingDay(dates[i - 1]);
+            if (isNewDay) {
+                dayCount++;
+            }
+            
             // Check if we need to start a new 7-day period
-            // We start a new period every 7 days
-            if (i % 7 === 0 && i > 0) {
+            // We start a new period every 7 trading days
+            if (isNewDay && (dayCount - 1) % 7 === 0 && i > 0) {
                 // Save the previous period's data
                 sevenDayData.push({
                     startDate: dates[periodStartIndex],
@@ -419,6 +436,7 @@ const DTIIndicators = (function() {
     return {
         EMA,
         calculateDTI,
+        getTradingDay,
         aggregateTo7Day,
         calculate7DayDTI,
         calculateROC,
@@ -428,4 +446,11 @@ const DTIIndicators = (function() {
 })();
 
 // Make DTIIndicators available globally
-window.DTIIndicators = DTIIndicators;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.DTIIndicators = DTIIndicators;
+}
+
+// Allow the module to be required from Node (server-side scans)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DTIIndicators;
+}
\ No newline at end of file
@@ -44,21 +44,8 @@ const DTIUI = (function() {
         const scanTypeSelect = document.createElement('select');
         scanTypeSelect.id = 'scan-type-selector';
         
-        // Add scan type options
-        const scanTypes = [
-            { value: 'current', text: 'Current Index Only' },
-            { value: 'indian', text: 'All Indian Stocks (Nifty)' },
-            { value: 'uk', text: 'All UK Stocks (FTSE)' },
-            { value: 'us', text: 'All US Stocks' },
-            { value: 'all', text: 'All Global Stocks' }
-        ];
-        
-        scanTypes.forEach(type => {
-            const option = document.createElement('option');
-            option.value = type.value;
-            option.textContent = type.text;
-            scanTypeSelect.appendChild(option);
-        });
+        // Add scan type options (filled in again once the universes have loaded)
+        populateScanTypeSelector(scanTypeSelect);
         
         // Add event listener for scan type change
         scanTypeSelect.addEventListener('change', function() {
@@ -94,6 +81,45 @@ const DTIUI = (function() {
         return scanTypeSelectorDiv;
     }
     
+    /**
+     * Fill the scan type selector from the scan types served by the backend
+     * @param {HTMLElement} selectElement - The scan type select element
+     */
+    function populateScanTypeSelector(selectElement) {
+        const selected = selectElement.value || 'current';
+        selectElement.innerHTML = '';
+        
+        const scanTypes = [
+            { id: 'current', label: 'Current Index Only' },
+            ...DTIData.getScanTypes()
+        ];
+        
+        scanTypes.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type.id;
+            option.textContent = type.label;
+            selectElement.appendChild(option);
+        });
+        
+        selectElement.value = scanTypes.some(type => type.id === selected) ? selected : 'current';
+    }
+    
+    /**
+     * Fill the index selector from the universes served by the backend
+     * @param {HTMLElement} selectElement - The index select element
+     */
+    function populateIndexSelector(selectElement) {
+        selectElement.innerHTML = '';
+        
+        DTIData.getUniverses().forEach(universe => {
+            const option = document.createElement('option');
+            option.value = universe.id;
+            option.textContent = universe.label || universe.name;
+            option.selected = universe.id === DTIBacktester.currentStockIndex;
+            selectElement.appendChild(option);
+        });
+    }
+    
     /**
      * Get stocks for the selected scan type
      * @returns {Array} Combined list of stocks based on scan type
@@ -103,36 +129,12 @@ const DTIUI = (function() {
         if (!scanTypeSelector) return DTIData.getCurrentStockList();
         
         const scanType = scanTypeSelector.value;
-        const stockLists = DTIData.getStockLists();
         
-        switch(scanType) {
-            case 'current':
-                return DTIData.getCurrentStockList();
-            case 'indian':
-                return [
-                    ...stockLists.nifty50,
-                    ...stockLists.niftyNext50,
-                    ...stockLists.niftyMidcap150
-                ];
-            case 'uk':
-                return [
-                    ...stockLists.ftse100,
-                    ...stockLists.ftse250
-                ];
-            case 'us':
-                return stockLists.usStocks;
-            case 'all':
-                return [
-                    ...stockLists.nifty50,
-                    ...stockLists.niftyNext50,
-                    ...stockLists.niftyMidcap150,
-                    ...stockLists.ftse100,
-                    ...stockLists.ftse250,
-                    ...stockLists.usStocks
-                ];
-            default:
-                return DTIData.getCurrentStockList();
+        if (scanType === 'current') {
+            return DTIData.getCurrentStockList();
         }
+        
+        return DTIData.getStocksForScanType(scanType);
     }
     
     /**
@@ -146,34 +148,15 @@ const DTIUI = (function() {
         if (!scanTypeSelector) return;
         
         const scanType = scanTypeSelector.value;
+        const scanTypeInfo = DTIData.getScanTypes().find(type => type.id === scanType);
         let buttonText = '';
         
-        switch(scanType) {
-            case 'current':
-                const indexName = 
-                    DTIBacktester.currentStockIndex === 'nifty50' ? 'Nifty 50' : 
-                    DTIBacktester.currentStockIndex === 'niftyNext50' ? 'Nifty Next 50' : 
-                    DTIBacktester.currentStockIndex === 'niftyMidcap150' ? 'Nifty Midcap 150' :
-                    DTIBacktester.currentStockIndex === 'ftse100' ? 'FTSE 100' :
-                    DTIBacktester.currentStockIndex === 'ftse250' ? 'FTSE 250' :
-                    DTIBacktester.currentStockIndex === 'usStocks' ? 'US Stocks' :
-                    DTIBacktester.currentStockIndex === 'indices' ? 'Market Indices' : 'Nifty 50';
-                buttonText = `Scan All ${indexName}`;
-                break;
-            case 'indian':
-                buttonText = 'Scan All Indian Stocks';
-                break;
-            case 'uk':
-                buttonText = 'Scan All UK Stocks';
-                break;
-            case 'us':
-                buttonText = 'Scan All US Stocks';
-                break;
-            case 'all':
-                buttonText = 'Scan All Global Stocks';
-                break;
-            default:
-                buttonText = 'Scan Selected Stocks';
+        if (scanType === 'current') {
+            buttonText = `Scan All ${DTIData.getUniverseName(DTIBacktester.currentStockIndex)}`;
+        } else if (scanTypeInfo) {
+            buttonText = `Scan All ${scanTypeInfo.name}`;
+        } else {
+            buttonText = 'Scan Selected Stocks';
         }
         
         batchButton.innerHTML = `
@@ -205,45 +188,8 @@ const DTIUI = (function() {
         const indexSelect = document.createElement('select');
         indexSelect.id = 'index-selector';
         
-        // Add index options
-        const niftyOption = document.createElement('option');
-        niftyOption.value = 'nifty50';
-        niftyOption.textContent = 'Nifty 50 (India)';
-        niftyOption.selected = true;
-        indexSelect.appendChild(niftyOption);
-        
-        // Add Nifty Next 50 option
-        const niftyNextOption = document.createElement('option');
-        niftyNextOption.value = 'niftyNext50';
-        niftyNextOption.textContent = 'Nifty Next 50 (India)';
-        indexSelect.appendChild(niftyNextOption);
-        
-        const ftseOption = document.createElement('option');
-        ftseOption.value = 'ftse100';
-        ftseOption.textContent = 'FTSE 100 (UK)';
-        indexSelect.appendChild(ftseOption);
-
-	const ftse250Option = document.createElement('option');
-	ftse250Option.value = 'ftse250';
-	ftse250Option.textContent = 'FTSE 250 (UK)';
-	indexSelect.appendChild(ftse250Option);
-
-	const niftyMidcapOption = document.createElement('option');
-	niftyMidcapOption.value = 'niftyMidcap150';
-	niftyMidcapOption.textContent = 'Nifty Midcap 150 (India)';
-	indexSelect.appendChild(niftyMidcapOption);
-
-	// Add this new code right after
-	const usStocksOption = document.createElement('option');
-	usStocksOption.value = 'usStocks';
-	usStocksOption.textContent = 'US Stocks (NYSE/NASDAQ)';
-	indexSelect.appendChild(usStocksOption);
-        
-        // Add Market Indices option
-        const indicesOption = document.createElement('option');
-        indicesOption.value = 'indices';
-        indicesOption.textContent = 'Market Indices';
-        indexSelect.appendChild(indicesOption);
+        // Add index options (filled once the universes have loaded)
+        populateIndexSelector(indexSelect);
         
         // Add event listener for index change
         indexSelect.addEventListener('change', function() {
@@ -343,6 +289,7 @@ const DTIUI = (function() {
                 // Get period from selector
                 const periodSelector = document.getElementById('period-selector');
                 const period = periodSelector ? periodSelector.value : '5y';
+                const interval = DTIData.getSelectedInterval();
                 
                 // Find stock name for notification
                 const stockList = DTIData.getCurrentStockList();
@@ -350,7 +297,7 @@ const DTIUI = (function() {
                 const stockName = selectedStock ? selectedStock.name : symbol;
                 
                 // Fetch stock data 
-                const data = await DTIData.fetchStockData(symbol, period);
+                const data = await DTIData.fetchStockData(symbol, period, interval);
                 
                 if (!data) {
                     throw new Error('Failed to fetch stock data');
@@ -412,29 +359,51 @@ const DTIUI = (function() {
         const periodSelect = document.createElement('select');
         periodSelect.id = 'period-selector';
         
-        // Add period options
-        const periods = [
-            { value: '1mo', text: '1 Month' },
-            { value: '3mo', text: '3 Months' },
-            { value: '6mo', text: '6 Months' },
-            { value: '1y', text: '1 Year' },
-            { value: '2y', text: '2 Years' },
-            { value: '5y', text: '5 Years' },
-            { value: 'max', text: 'Max Available' }
+        // Add period options for daily bars
+        fillPeriodOptions(periodSelect, '1d');
+        
+        periodDiv.appendChild(periodLabel);
+        periodDiv.appendChild(periodSelect);
+        
+        // Add the interval selector (intraday bars only cover shorter periods)
+        const intervalLabel = document.createElement('label');
+        intervalLabel.htmlFor = 'interval-selector';
+        intervalLabel.textContent = 'Bar Interval';
+        intervalLabel.style.marginTop = '8px';
+        
+        const intervalSelect = document.createElement('select');
+        intervalSelect.id = 'interval-selector';
+        
+        const intervals = [
+            { value: '1d', text: 'Daily' },
+            { value: '60m', text: '60 Minutes' },
+            { value: '15m', text: '15 Minutes' },
+            { value: '5m', text: '5 Minutes' }
         ];
         
-        periods.forEach(period => {
+        intervals.forEach(interval => {
             const option = document.createElement('option');
-            option.value = period.value;
-            option.textContent = period.text;
-            if (period.value === '5y') {
-                option.selected = true;
-            }
-            periodSelect.appendChild(option);
+            option.value = interval.value;
+            option.textContent = interval.text;
+            intervalSelect.appendChild(option);
         });
         
-        periodDiv.appendChild(periodLabel);
-        periodDiv.appendChild(periodSelect);
+        intervalSelect.addEventListener('change', function() {
+            fillPeriodOptions(periodSelect, this.value);
+        });
+        
+        periodDiv.appendChild(intervalLabel);
+        periodDiv.appendChild(intervalSelect);
+        
+        // Add the adjusted prices option (splits and dividends)
+        const adjustedWrapper = document.createElement('div');
+        adjustedWrapper.className = 'checkbox-wrapper';
+        adjustedWrapper.style.marginTop = '8px';
+        adjustedWrapper.innerHTML = `
+            <input type="checkbox" id="adjusted-prices">
+            <label for="adjusted-prices">Adjust for splits &amp; dividends</label>
+        `;
+        periodDiv.appendChild(adjustedWrapper);
         
         // Append elements to the Data Import section
         const dataImportSection = document.querySelector('.parameters-section:last-child');
@@ -457,6 +426,21 @@ const DTIUI = (function() {
         
         dataImportSection.appendChild(statusDiv);
         
+        // Fill the selectors once the stock lists have loaded from the backend
+        DTIData.loadUniverses()
+            .then(() => {
+                populateScanTypeSelector(document.getElementById('scan-type-selector'));
+                populateIndexSelector(indexSelect);
+                DTIBacktester.currentStockIndex = indexSelect.value || DTIBacktester.currentStockIndex;
+                populateStockSelector(select);
+                updateBatchButtonText();
+                loadLatestScan();
+            })
+            .catch(error => {
+                console.error('Error loading stock lists:', error);
+                DTIBacktester.utils.showNotification('Could not load stock lists from the backend: ' + error.message, 'error');
+            });
+        
         // Add spinner animation style
         const spinnerStyle = document.createElement('style');
         spinnerStyle.textContent = `
@@ -471,6 +455,49 @@ const DTIUI = (function() {
         document.head.appendChild(spinnerStyle);
     }
 
+    /**
+     * Fill the period selector with the periods available for an interval
+     * Yahoo Finance serves 5m/15m bars for the last 60 days and 60m bars for the last 730 days
+     * @param {HTMLElement} periodSelect - The period select element
+     * @param {string} interval - Bar interval
+     */
+    function fillPeriodOptions(periodSelect, interval) {
+        const periodsByInterval = {
+            '1d': [
+                { value: '1mo', text: '1 Month' },
+                { value: '3mo', text: '3 Months' },
+                { value: '6mo', text: '6 Months' },
+                { value: '1y', text: '1 Year' },
+                { value: '2y', text: '2 Years' },
+                { value: '5y', text: '5 Years', selected: true },
+                { value: 'max', text: 'Max Available' }
+            ],
+            '60m': [
+                { value: '1mo', text: '1 Month' },
+                { value: '3mo', text: '3 Months' },
+                { value: '6mo', text: '6 Months', selected: true },
+                { value: '1y', text: '1 Year' }
+            ],
+            '15m': [
+                { value: '5d', text: '5 Days' },
+                { value: '1mo', text: '1 Month', selected: true }
+            ],
+            '5m': [
+                { value: '5d', text: '5 Days' },
+                { value: '1mo', text: '1 Month', selected: true }
+            ]
+        };
+        
+        periodSelect.innerHTML = '';
+        (periodsByInterval[interval] || periodsByInterval['1d']).forEach(period => {
+            const option = document.createElement('option');
+            option.value = period.value;
+            option.textContent = period.text;
+            option.selected = Boolean(period.selected);
+            periodSelect.appendChild(option);
+        });
+    }
+    
     /**
      * Helper function to populate the stock selector based on current index
      * @param {HTMLElement} selectElement - The select element to populate
@@ -523,6 +550,49 @@ const DTIUI = (function() {
                 <p class="no-opportunities">No active buying opportunities found. Try adjusting parameters or running a full scan.</p>
             `;
         }
+        
+        // Show the last server-side scan of the new index straight away
+        loadLatestScan();
+    }
+    
+    /**
+     * Show the opportunities from the newest stored server-side scan of the current index
+     * Skipped if the user has started or finished a scan of their own in the meantime
+     */
+    function loadLatestScan() {
+        const scanTypeSelector = document.getElementById('scan-type-selector');
+        if (scanTypeSelector && scanTypeSelector.value !== 'current') return;
+        
+        const universe = DTIBacktester.currentStockIndex;
+        const previousOpportunities = DTIBacktester.activeTradeOpportunities;
+        
+        DTIData.fetchLatestScan(universe)
+            .then(run => {
+                if (!run || DTIBacktester.isProcessing ||
+                    DTIBacktester.currentStockIndex !== universe ||
+                    DTIBacktester.activeTradeOpportunities !== previousOpportunities) {
+                    return;
+                }
+                
+                // Signal dates arrive as ISO strings; the opportunity cards compare Dates
+                DTIBacktester.activeTradeOpportunities = run.opportunities.map(opportunity => ({
+                    stock: opportunity.stock,
+                    trade: { ...opportunity.trade, signalDate: new Date(opportunity.trade.signalDate) },
+                    data: null
+                }));
+                displayBuyingOpportunities();
+                
+                const title = document.querySelector('#buying-opportunities .card-title');
+                if (title) {
+                    const source = document.createElement('p');
+                    source.className = 'form-hint scan-source';
+                    source.textContent = `From the ${run.trigger} scan completed ${new Date(run.completedAt).toLocaleString()}. Run a scan to refresh.`;
+                    title.insertAdjacentElement('afterend', source);
+                }
+            })
+            .catch(error => {
+                console.warn('Could not load the latest scan:', error.message);
+            });
     }
 
     /**
@@ -532,14 +602,7 @@ const DTIUI = (function() {
         // Create button
         const batchButton = document.createElement('button');
         batchButton.id = 'batch-process-btn';
-        const indexName = 
-	    DTIBacktester.currentStockIndex === 'nifty50' ? 'Nifty 50' : 
-	    DTIBacktester.currentStockIndex === 'niftyNext50' ? 'Nifty Next 50' : 
-	    DTIBacktester.currentStockIndex === 'niftyMidcap150' ? 'Nifty Midcap 150' :
-	    DTIBacktester.currentStockIndex === 'ftse100' ? 'FTSE 100' :
-	    DTIBacktester.currentStockIndex === 'ftse250' ? 'FTSE 250' :
-	    DTIBacktester.currentStockIndex === 'usStocks' ? 'US Stocks' :
-	    DTIBacktester.currentStockIndex === 'indices' ? 'Market Indices' : 'Nifty 50';            
+        const indexName = DTIData.getUniverseName(DTIBacktester.currentStockIndex);            
         batchButton.innerHTML = `
             <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                 <polyline points="17 1 21 5 17 9"></polyline>
@@ -559,6 +622,13 @@ const DTIUI = (function() {
                 return;
             }
             
+            const config = getBacktestConfig();
+            const validation = DTIBacktest.validateParameters(config);
+            if (!validation.isValid) {
+                DTIBacktester.utils.showNotification('Invalid parameters: ' + validation.errors.join(', '), 'error');
+                return;
+            }
+            
             this.disabled = true;
             
             // Get scan type and update text accordingly
@@ -595,7 +665,7 @@ const DTIUI = (function() {
                 const originalIndex = DTIBacktester.currentStockIndex;
                 
                 // Perform the batch scan
-                await DTIData.fetchAllStocksData();
+                await DTIData.fetchAllStocksData(config);
                 
                 // Restore original getCurrentStockList method
                 if (scanType !== 'current') {
@@ -670,21 +740,16 @@ const DTIUI = (function() {
     function getIndexDisplayNameFromSymbol(symbol) {
         if (!symbol) return 'Unknown';
         
-        if (symbol.endsWith('.NS')) {
-            if (DTIData.getStockLists().nifty50.some(stock => stock.symbol === symbol)) {
-                return 'Nifty 50';
-            } else if (DTIData.getStockLists().niftyNext50.some(stock => stock.symbol === symbol)) {
-                return 'Nifty Next 50';
-            } else if (DTIData.getStockLists().niftyMidcap150.some(stock => stock.symbol === symbol)) {
-                return 'Nifty Midcap 150';
-            }
+        // Use the first universe (in display order) the symbol belongs to
+        const stockLists = DTIData.getStockLists();
+        const universe = DTIData.getUniverses().find(item =>
+            (stockLists[item.id] || []).some(stock => stock.symbol === symbol));
+        
+        if (universe) {
+            return universe.name;
+        } else if (symbol.endsWith('.NS')) {
             return 'India';
         } else if (symbol.endsWith('.L')) {
-            if (DTIData.getStockLists().ftse100.some(stock => stock.symbol === symbol)) {
-                return 'FTSE 100';
-            } else if (DTIData.getStockLists().ftse250.some(stock => stock.symbol === symbol)) {
-                return 'FTSE 250';
-            }
             return 'UK';
         } else if (!symbol.includes('.')) {
             return 'US Stocks';
@@ -704,13 +769,7 @@ const DTIUI = (function() {
         const scanType = scanTypeSelector ? scanTypeSelector.value : 'current';
         const scanTypeName = scanTypeSelector && scanType !== 'current' 
             ? scanTypeSelector.options[scanTypeSelector.selectedIndex].text 
-            : (DTIBacktester.currentStockIndex === 'nifty50' ? 'Nifty 50' : 
-               DTIBacktester.currentStockIndex === 'niftyNext50' ? 'Nifty Next 50' : 
-               DTIBacktester.currentStockIndex === 'niftyMidcap150' ? 'Nifty Midcap 150' :
-               DTIBacktester.currentStockIndex === 'ftse100' ? 'FTSE 100' :
-               DTIBacktester.currentStockIndex === 'ftse250' ? 'FTSE 250' :
-               DTIBacktester.currentStockIndex === 'usStocks' ? 'US Stocks' :
-               DTIBacktester.currentStockIndex === 'indices' ? 'Market Indices' : 'Nifty 50');
+            : DTIData.getUniverseName(DTIBacktester.currentStockIndex);
         
         if (!opportunitiesContainer || DTIBacktester.activeTradeOpportunities.length === 0) {
             if (opportunitiesContainer) {
@@ -977,6 +1036,23 @@ const DTIUI = (function() {
         DTIBacktester.updateActiveTradesCount();
     }
     
+    /**
+     * Build the engine configuration from the parameter inputs
+     * @returns {Object} - Configuration for DTIBacktest.runBacktest and friends
+     */
+    function getBacktestConfig() {
+        return {
+            r: parseInt(document.getElementById('r').value),
+            s: parseInt(document.getElementById('s').value),
+            u: parseInt(document.getElementById('u').value),
+            entryThreshold: parseFloat(document.getElementById('entry-threshold').value),
+            takeProfitPercent: parseFloat(document.getElementById('take-profit').value),
+            stopLossPercent: parseFloat(document.getElementById('stop-loss').value),
+            maxHoldingDays: parseInt(document.getElementById('max-days').value),
+            enable7DayDTI: document.getElementById('enable-weekly-dti').checked
+        };
+    }
+    
     /**
      * Create and update charts with enhanced interactive features
      * @param {Array} dates - Array of date strings
@@ -993,8 +1069,10 @@ const DTIUI = (function() {
         const daily7DayDTI = sevenDayDTIData.daily7DayDTI;
         
         // Get trades for chart markers
-        const enable7DayDTI = document.getElementById('enable-weekly-dti').checked;
-        const trades = DTIBacktest.backtest(dates, prices, dti, sevenDayDTIData);
+        const config = getBacktestConfig();
+        const enable7DayDTI = config.enable7DayDTI;
+        const backtestResult = DTIBacktest.backtestWithActiveDetection(dates, prices, dti, sevenDayDTIData, config);
+        const trades = [...backtestResult.completedTrades, ...(backtestResult.activeTrade ? [backtestResult.activeTrade] : [])];
         
         // Generate trade markers and metadata
         const {
@@ -1007,10 +1085,10 @@ const DTIUI = (function() {
         
         // Create horizontal line at zero for DTI and entry threshold line
         const zeroLine = Array(dates.length).fill(0);
-        const entryThresholdLine = Array(dates.length).fill(parseFloat(document.getElementById('entry-threshold').value));
+        const entryThresholdLine = Array(dates.length).fill(config.entryThreshold);
         
-        // Get warm-up period info
-        const warmupInfo = DTIBacktester.warmupInfo || { enabled: false };
+        // Get warm-up period info from the backtest
+        const warmupInfo = backtestResult.warmupInfo || { enabled: false };
         
         // Calculate price percentage changes to enhance visualization
         const pricePercentageChange = prices.map((price, i) => {
@@ -1805,7 +1883,7 @@ const DTIUI = (function() {
                 </div>
                 <div class="stat-item">
                     <div class="stat-value">0%</div>
-                    <div class="stat-label">Total Return</div>
+                    <div class="stat-label">Total Return (sum of trades)</div>
                 </div>
             `;
             return;
@@ -1847,7 +1925,7 @@ const DTIUI = (function() {
             </div>
             <div class="stat-item ${totalReturnClass}">
                 <div class="stat-value ${totalProfit > 0 ? 'positive' : totalProfit < 0 ? 'negative' : ''}">${totalProfit.toFixed(2)}%</div>
-                <div class="stat-label">Total Return</div>
+                <div class="stat-label">Total Return (sum of trades)</div>
             </div>
             <div class="stat-item">
                 <div class="stat-value">${avgHoldingDays}</div>
@@ -1993,9 +2071,8 @@ function displayTrades(trades) {
         const prices = DTIBacktester.priceChart.data.datasets[0].data;
         
         // Get parameters for DTI calculation
-        const r = parseInt(document.getElementById('r').value);
-        const s = parseInt(document.getElementById('s').value);
-        const u = parseInt(document.getElementById('u').value);
+        const config = getBacktestConfig();
+        const { r, s, u } = config;
         
         // Calculate new DTI values
         const high = prices; // We don't have separate high values, use price as approximation
@@ -2005,7 +2082,7 @@ function displayTrades(trades) {
         
         // Run backtest with new parameters
         const daily7DayDTI = sevenDayDTIData.daily7DayDTI;
-        const trades = DTIBacktest.backtest(dates, prices, dti, sevenDayDTIData);
+        const trades = DTIBacktest.backtest(dates, prices, dti, sevenDayDTIData, config);
         
         // Generate new trade markers
         const {
@@ -2017,7 +2094,7 @@ function displayTrades(trades) {
         } = DTIBacktest.generateTradeMarkers(dates, prices, trades);
         
         // Calculate new threshold line based on the entry threshold parameter
-        const entryThresholdLine = Array(dates.length).fill(parseFloat(document.getElementById('entry-threshold').value));
+        const entryThresholdLine = Array(dates.length).fill(config.entryThreshold);
         
         // Update price chart
         if (DTIBacktester.priceChart) {
@@ -2066,7 +2143,7 @@ function displayTrades(trades) {
         parameterInputs.forEach(input => {
             input.addEventListener('change', function() {
                 // Validate parameters first
-                const validation = DTIBacktest.validateParameters();
+                const validation = DTIBacktest.validateParameters(getBacktestConfig());
                 if (!validation.isValid) {
                     // Show error message
                     DTIBacktester.utils.showNotification('Invalid parameters: ' + validation.errors.join(', '), 'error');
@@ -3046,6 +3123,893 @@ function updateChartDateRange(range) {
         });
     }
     
+    // Parameters the optimizer can search, with the input each one applies to
+    const OPTIMIZER_PARAMS = [
+        { key: 'r', label: 'EMA r', inputId: 'r', integer: true },
+        { key: 's', label: 'EMA s', inputId: 's', integer: true },
+        { key: 'u', label: 'EMA u', inputId: 'u', integer: true },
+        { key: 'entryThreshold', label: 'Entry threshold', inputId: 'entry-threshold' },
+        { key: 'takeProfitPercent', label: 'Take profit %', inputId: 'take-profit' },
+        { key: 'stopLossPercent', label: 'Stop loss %', inputId: 'stop-loss' },
+        { key: 'maxHoldingDays', label: 'Max days', inputId: 'max-days', integer: true }
+    ];
+    
+    // Metrics in the results table and heatmap; lowerIsBetter flips the heatmap colours.
+    // score is the search objective's value rather than a performance metric
+    const OPTIMIZER_METRICS = [
+        { key: 'score', label: 'Objective' },
+        { key: 'totalReturn', label: 'Sum of returns %' },
+        { key: 'winRate', label: 'Win rate %' },
+        { key: 'avgProfit', label: 'Avg profit %' },
+        { key: 'profitFactor', label: 'Profit factor' },
+        { key: 'maxDrawdown', label: 'Max drawdown % (compounded)', lowerIsBetter: true },
+        { key: 'sharpeRatio', label: 'Sharpe' },
+        { key: 'cagr', label: 'CAGR %' },
+        { key: 'returnOverMaxDrawdown', label: 'Compounded return / DD' },
+        { key: 'totalTrades', label: 'Trades', integer: true }
+    ];
+    
+    // Larger grid searches take minutes even in the worker pool; budgeted searches have no limit
+    const MAX_OPTIMIZER_COMBINATIONS = 50000;
+    
+    // Rows rendered in the results table (the heatmap always uses every result)
+    const OPTIMIZER_TABLE_ROWS = 100;
+    
+    // Results of the last optimization and the table's sort order
+    const optimizerState = {
+        running: false,
+        ranges: null,
+        results: [],
+        objective: 'score',
+        sortKey: 'score',
+        sortDescending: true
+    };
+    
+    /**
+     * Parse an optimizer range field: a list (7, 14, 21), ranges with a step (5:15:5) or both
+     * @param {string} text - Field value
+     * @param {Object} param - Entry from OPTIMIZER_PARAMS
+     * @returns {Array} - Sorted unique values; empty when the field is blank
+     */
+    function parseRangeValues(text, param) {
+        const values = [];
+        
+        text.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const bounds = part.split(':').map(Number);
+            
+            if (bounds.length === 1 && !isNaN(bounds[0])) {
+                values.push(bounds[0]);
+            } else if (bounds.length === 3 && bounds.every(value => !isNaN(value)) && bounds[2] > 0 && bounds[0] <= bounds[1]) {
+                const [from, to, step] = bounds;
+                for (let i = 0; from + i * step <= to + 1e-9; i++) {
+                    values.push(Math.round((from + i * step) * 1e6) / 1e6);
+                }
+            } else {
+                throw new Error(`${param.label}: "${part}" isn't a number or a from:to:step range`);
+            }
+        });
+        
+        if (param.integer && values.some(value => !Number.isInteger(value))) {
+            throw new Error(`${param.label} values must be whole numbers`);
+        }
+        
+        return [...new Set(values)].sort((a, b) => a - b);
+    }
+    
+    /**
+     * Read the optimizer range fields
+     * @returns {Object} - Values per parameter key (empty arrays keep the current input)
+     */
+    function readOptimizerRanges() {
+        const ranges = {};
+        
+        OPTIMIZER_PARAMS.forEach(param => {
+            ranges[param.key] = parseRangeValues(document.getElementById(`optimize-${param.key}`).value, param);
+        });
+        
+        return ranges;
+    }
+    
+    /**
+     * Resolve the optimizer fields against the current inputs and check every value
+     * @param {Object} baseConfig - Configuration from the parameter inputs
+     * @returns {Object} - { ranges, combinations } with a value list for every parameter
+     */
+    function resolveOptimizerRanges(baseConfig) {
+        const ranges = DTIBacktest.resolveParamRanges(readOptimizerRanges(), baseConfig);
+        
+        OPTIMIZER_PARAMS.forEach(param => {
+            ranges[param.key].forEach(value => {
+                const validation = DTIBacktest.validateParameters({ ...baseConfig, [param.key]: value });
+                if (!validation.isValid) {
+                    throw new Error(`${param.label} ${value}: ${validation.errors.join(', ')}`);
+                }
+            });
+        });
+        
+        const combinations = OPTIMIZER_PARAMS.reduce((count, param) => count * ranges[param.key].length, 1);
+        return { ranges, combinations };
+    }
+    
+    /**
+     * Read the search strategy, objective and budget fields
+     * @returns {Object} - Options for DTIWorkers.optimize
+     * @throws {Error} - If the budget or time limit isn't valid
+     */
+    function readOptimizerOptions() {
+        const strategy = document.getElementById('optimizer-strategy').value || 'grid';
+        const objective = document.getElementById('optimizer-objective').value || 'score';
+        
+        if (!DTIBacktest.SEARCH_STRATEGIES[strategy].budgeted) {
+            return { strategy, objective };
+        }
+        
+        const maxEvaluations = Number(document.getElementById('optimizer-budget').value);
+        if (!Number.isInteger(maxEvaluations) || maxEvaluations <= 0) {
+            throw new Error('Budget must be a whole number of backtests');
+        }
+        
+        const timeLimitText = document.getElementById('optimizer-time-limit').value.trim();
+        const timeLimit = timeLimitText === '' ? 0 : Number(timeLimitText);
+        if (isNaN(timeLimit) || timeLimit < 0) {
+            throw new Error('Time limit must be a number of seconds');
+        }
+        
+        return { strategy, objective, maxEvaluations, timeLimitMs: timeLimit * 1000 };
+    }
+    
+    /**
+     * Show how many combinations the current ranges would test
+     */
+    function updateOptimizerCount() {
+        const countLabel = document.getElementById('optimizer-count');
+        const budgeted = DTIBacktest.SEARCH_STRATEGIES[document.getElementById('optimizer-strategy').value || 'grid'].budgeted;
+        
+        document.getElementById('optimizer-budget').disabled = !budgeted;
+        document.getElementById('optimizer-time-limit').disabled = !budgeted;
+        
+        try {
+            const { combinations } = resolveOptimizerRanges(getBacktestConfig());
+            
+            if (budgeted) {
+                const { maxEvaluations } = readOptimizerOptions();
+                countLabel.textContent = `Up to ${Math.min(maxEvaluations, combinations).toLocaleString()} of ${combinations.toLocaleString()} combinations`;
+                countLabel.classList.remove('negative');
+            } else {
+                countLabel.textContent = `${combinations.toLocaleString()} combinations`;
+                countLabel.classList.toggle('negative', combinations > MAX_OPTIMIZER_COMBINATIONS);
+            }
+        } catch (error) {
+            countLabel.textContent = error.message;
+            countLabel.classList.add('negative');
+        }
+    }
+    
+    /**
+     * Value of a table or heatmap column for one result
+     * @param {Object} result - { params, metrics, score } from the optimizer
+     * @param {string} key - OPTIMIZER_METRICS key
+     * @returns {number} - The value
+     */
+    function getResultValue(result, key) {
+        return key === 'score' ? result.score : result.metrics[key];
+    }
+    
+    /**
+     * Format a metric value for the optimizer table and heatmap
+     * @param {number} value - Metric value
+     * @param {Object} metric - Entry from OPTIMIZER_METRICS
+     * @returns {string} - Display text
+     */
+    function formatOptimizerValue(value, metric) {
+        if (value === Infinity) return '∞';
+        if (typeof value !== 'number' || isNaN(value)) return '-';
+        return metric.integer ? String(Math.round(value)) : value.toFixed(2);
+    }
+    
+    /**
+     * Parameters that took more than one value in the last search
+     * @returns {Array} - Entries from OPTIMIZER_PARAMS
+     */
+    function getSearchedParams() {
+        return OPTIMIZER_PARAMS.filter(param => optimizerState.ranges && optimizerState.ranges[param.key].length > 1);
+    }
+    
+    /**
+     * Set up the optimizer panel: range fields, metric choices and event handlers
+     */
+    function initOptimizer() {
+        const rangesContainer = document.getElementById('optimizer-ranges');
+        if (!rangesContainer) return;
+        
+        rangesContainer.innerHTML = OPTIMIZER_PARAMS.map(param => `
+            <div class="parameter-group">
+                <label for="optimize-${param.key}">${param.label}</label>
+                <input type="text" id="optimize-${param.key}" value="${DTIBacktest.DEFAULT_PARAM_RANGES[param.key].join(', ')}">
+            </div>
+        `).join('');
+        
+        document.getElementById('heatmap-metric').innerHTML = OPTIMIZER_METRICS
+            .map(metric => `<option value="${metric.key}">${metric.label}</option>`)
+            .join('');
+        
+        document.getElementById('optimizer-strategy').innerHTML = Object.keys(DTIBacktest.SEARCH_STRATEGIES)
+            .map(key => `<option value="${key}">${DTIBacktest.SEARCH_STRATEGIES[key].label}</option>`)
+            .join('');
+        document.getElementById('optimizer-objective').innerHTML = Object.keys(DTIBacktest.OBJECTIVES)
+            .map(key => `<option value="${key}">${DTIBacktest.OBJECTIVES[key].label}</option>`)
+            .join('');
+        
+        rangesContainer.addEventListener('input', updateOptimizerCount);
+        ['optimizer-strategy', 'optimizer-budget', 'optimizer-time-limit'].forEach(id => {
+            document.getElementById(id).addEventListener('input', updateOptimizerCount);
+            document.getElementById(id).addEventListener('change', updateOptimizerCount);
+        });
+        document.getElementById('optimizer-run-btn').addEventListener('click', runOptimization);
+        ['heatmap-x', 'heatmap-y', 'heatmap-metric', 'heatmap-aggregate'].forEach(id => {
+            document.getElementById(id).addEventListener('change', renderOptimizerHeatmap);
+        });
+        
+        // Sort by a column, or apply a row to the parameter inputs
+        document.getElementById('optimizer-table').addEventListener('click', function(event) {
+            const header = event.target.closest('th[data-sort]');
+            if (header) {
+                const key = header.dataset.sort;
+                optimizerState.sortDescending = optimizerState.sortKey === key ? !optimizerState.sortDescending : true;
+                optimizerState.sortKey = key;
+                renderOptimizerTable();
+                return;
+            }
+            
+            const applyButton = event.target.closest('button[data-result]');
+            if (applyButton) {
+                applyOptimizerResult(optimizerState.results[parseInt(applyButton.dataset.result)].params);
+            }
+        });
+        
+        updateOptimizerCount();
+    }
+    
+    /**
+     * Wrap a progress display so it redraws at most once per frame, and not after the run ends
+     * @param {function} showProgress - Called with (completed, total)
+     * @returns {function} - Progress callback for the worker pool
+     */
+    function createFrameProgress(showProgress) {
+        let pendingProgress = null;
+        
+        return function(completed, total) {
+            if (!pendingProgress) {
+                requestAnimationFrame(() => {
+                    if (optimizerState.running) {
+                        showProgress(pendingProgress.completed, pendingProgress.total);
+                    }
+                    pendingProgress = null;
+                });
+            }
+            pendingProgress = { completed, total };
+        };
+    }
+    
+    /**
+     * Search the parameter ranges on the loaded stock in the worker pool
+     */
+    async function runOptimization() {
+        const series = DTIBacktester.currentSeries;
+        if (!series) {
+            DTIBacktester.utils.showNotification('Load a stock or upload a CSV before optimizing', 'warning');
+            return;
+        }
+        if (optimizerState.running) {
+            return;
+        }
+        
+        const baseConfig = getBacktestConfig();
+        const validation = DTIBacktest.validateParameters(baseConfig);
+        if (!validation.isValid) {
+            DTIBacktester.utils.showNotification('Invalid parameters: ' + validation.errors.join(', '), 'error');
+            return;
+        }
+        
+        let search;
+        let options;
+        try {
+            search = resolveOptimizerRanges(baseConfig);
+            options = readOptimizerOptions();
+        } catch (error) {
+            DTIBacktester.utils.showNotification(error.message, 'error');
+            return;
+        }
+        
+        const strategy = DTIBacktest.SEARCH_STRATEGIES[options.strategy];
+        const objectiveLabel = DTIBacktest.OBJECTIVES[options.objective].label;
+        
+        if (!strategy.budgeted && search.combinations > MAX_OPTIMIZER_COMBINATIONS) {
+            DTIBacktester.utils.showNotification(`${search.combinations.toLocaleString()} combinations is too many; narrow the ranges to ${MAX_OPTIMIZER_COMBINATIONS.toLocaleString()} or fewer`, 'warning');
+            return;
+        }
+        
+        const runButton = document.getElementById('optimizer-run-btn');
+        const statusDiv = document.getElementById('optimizer-status');
+        const showProgress = (completed, total) => {
+            const percentComplete = total > 0 ? Math.round((completed / total) * 100) : 0;
+            const description = strategy.budgeted
+                ? `${strategy.label} over ${search.combinations.toLocaleString()} combinations on ${series.dates.length} bars: ${completed.toLocaleString()}/${total.toLocaleString()} backtests`
+                : `Testing ${total.toLocaleString()} combinations on ${series.dates.length} bars: ${completed.toLocaleString()}/${total.toLocaleString()}`;
+            statusDiv.innerHTML = `
+                <div>${description}</div>
+                <div class="progress-bar"><div class="progress" style="width: ${percentComplete}%"></div></div>
+            `;
+        };
+        
+        optimizerState.running = true;
+        runButton.disabled = true;
+        statusDiv.style.display = 'block';
+        showProgress(0, strategy.budgeted ? Math.min(options.maxEvaluations, search.combinations) : search.combinations);
+        
+        const onProgress = createFrameProgress(showProgress);
+        
+        try {
+            const startedAt = Date.now();
+            const { bestResult, allResults, search: summary } = await DTIWorkers.optimize(series, search.ranges, baseConfig, onProgress, options);
+            
+            optimizerState.ranges = search.ranges;
+            optimizerState.results = allResults;
+            optimizerState.objective = options.objective;
+            
+            const bestText = bestResult.params
+                ? `Best ${objectiveLabel} (${formatOptimizerValue(bestResult.score, OPTIMIZER_METRICS[0])}): ${OPTIMIZER_PARAMS.map(param => `${param.label} ${bestResult.params[param.key]}`).join(', ')}`
+                : 'No combination made at least 5 trades';
+            const elapsedText = `${((Date.now() - startedAt) / 1000).toFixed(1)}s`;
+            const summaryText = strategy.budgeted
+                ? `${strategy.label}: tested ${allResults.length.toLocaleString()} of ${search.combinations.toLocaleString()} combinations in ${elapsedText}${summary.stoppedBy === 'time' ? ', stopped at the time limit' : ''}`
+                : `Tested ${allResults.length.toLocaleString()} combinations in ${elapsedText}`;
+            statusDiv.innerHTML = `
+                <div>${summaryText}</div>
+                <div style="margin-top: 8px; font-size: 12px;">${bestText}</div>
+            `;
+            renderOptimizerResults();
+            
+            DTIBacktester.utils.showNotification('Optimization complete', 'success');
+        } catch (error) {
+            console.error('Optimization failed:', error);
+            statusDiv.innerHTML = `<div class="negative">Optimization failed: ${error.message}</div>`;
+            DTIBacktester.utils.showNotification('Optimization failed: ' + error.message, 'error');
+        } finally {
+            optimizerState.running = false;
+            runButton.disabled = false;
+        }
+    }
+    
+    /**
+     * Show the results section with heatmap axes for the searched parameters
+     */
+    function renderOptimizerResults() {
+        const searched = getSearchedParams();
+        const axisOptions = searched.map(param => `<option value="${param.key}">${param.label}</option>`).join('');
+        const xSelect = document.getElementById('heatmap-x');
+        const ySelect = document.getElementById('heatmap-y');
+        
+        xSelect.innerHTML = axisOptions;
+        ySelect.innerHTML = axisOptions;
+        if (searched.length > 1) {
+            xSelect.value = searched[0].key;
+            ySelect.value = searched[1].key;
+        }
+        
+        document.getElementById('optimizer-results').style.display = 'block';
+        renderOptimizerHeatmap();
+        renderOptimizerTable();
+    }
+    
+    /**
+     * Draw the chosen metric across two parameters, taking the best or average over the rest
+     * A broad region of similar colour is a stable plateau; a lone bright cell is a lucky spike
+     */
+    function renderOptimizerHeatmap() {
+        const container = document.getElementById('optimizer-heatmap');
+        const xKey = document.getElementById('heatmap-x').value;
+        const yKey = document.getElementById('heatmap-y').value;
+        const metric = OPTIMIZER_METRICS.find(item => item.key === document.getElementById('heatmap-metric').value) || OPTIMIZER_METRICS[0];
+        const average = document.getElementById('heatmap-aggregate').value === 'average';
+        
+        if (getSearchedParams().length < 2 || !xKey || !yKey || xKey === yKey) {
+            container.innerHTML = '<p class="form-hint">Search at least two parameters and pick different axes to see a heatmap.</p>';
+            return;
+        }
+        
+        // Collect the metric for every result in each cell; budgeted searches leave some values untested
+        const testedX = new Set(optimizerState.results.map(result => result.params[xKey]));
+        const testedY = new Set(optimizerState.results.map(result => result.params[yKey]));
+        const xValues = optimizerState.ranges[xKey].filter(value => testedX.has(value));
+        const yValues = optimizerState.ranges[yKey].filter(value => testedY.has(value));
+        const cells = new Map();
+        optimizerState.results.forEach(result => {
+            const cellKey = `${result.params[xKey]}|${result.params[yKey]}`;
+            if (!cells.has(cellKey)) cells.set(cellKey, []);
+            cells.get(cellKey).push(getResultValue(result, metric.key));
+        });
+        
+        const cellValue = values => {
+            if (!values || values.length === 0) return NaN;
+            if (average) return values.reduce((sum, value) => sum + value, 0) / values.length;
+            return metric.lowerIsBetter ? Math.min(...values) : Math.max(...values);
+        };
+        
+        const grid = yValues.map(y => xValues.map(x => cellValue(cells.get(`${x}|${y}`))));
+        const finite = grid.flat().filter(value => isFinite(value));
+        const min = Math.min(...finite);
+        const max = Math.max(...finite);
+        
+        // Red for the worst cells through to green for the best
+        const cellColor = value => {
+            if (isNaN(value)) return 'transparent';
+            let position = !isFinite(value) ? (value > 0 ? 1 : 0) : (max > min ? (value - min) / (max - min) : 0.5);
+            if (metric.lowerIsBetter) position = 1 - position;
+            return `hsl(${Math.round(position * 120)}, 65%, 82%)`;
+        };
+        
+        const xLabel = OPTIMIZER_PARAMS.find(param => param.key === xKey).label;
+        const yLabel = OPTIMIZER_PARAMS.find(param => param.key === yKey).label;
+        const aggregateLabel = average ? 'average' : 'best';
+        
+        container.innerHTML = `
+            <table class="optimizer-heatmap-table">
+                <thead>
+                    <tr>
+                        <th>${yLabel} ↓ / ${xLabel} →</th>
+                        ${xValues.map(x => `<th>${x}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${yValues.map((y, row) => `
+                        <tr>
+                            <th>${y}</th>
+                            ${xValues.map((x, column) => `
+                                <td style="background-color: ${cellColor(grid[row][column])}" title="${xLabel} ${x}, ${yLabel} ${y}: ${aggregateLabel} ${metric.label.toLowerCase()} ${formatOptimizerValue(grid[row][column], metric)}">
+                                    ${formatOptimizerValue(grid[row][column], metric)}
+                                </td>
+                            `).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    /**
+     * Render the sorted results table (top rows only)
+     */
+    function renderOptimizerTable() {
+        const table = document.getElementById('optimizer-table');
+        const searched = getSearchedParams();
+        const paramColumns = searched.length > 0 ? searched : OPTIMIZER_PARAMS;
+        const { sortKey, sortDescending } = optimizerState;
+        const isParam = OPTIMIZER_PARAMS.some(param => param.key === sortKey);
+        
+        const sortValue = result => {
+            const value = isParam ? result.params[sortKey] : getResultValue(result, sortKey);
+            return isNaN(value) ? -Infinity : value;
+        };
+        const rows = optimizerState.results
+            .map((result, index) => ({ result, index }))
+            .sort((a, b) => (sortDescending ? sortValue(b.result) - sortValue(a.result) : sortValue(a.result) - sortValue(b.result)) || a.index - b.index)
+            .slice(0, OPTIMIZER_TABLE_ROWS);
+        
+        const header = (key, label) => {
+            const arrow = key === sortKey ? (sortDescending ? ' ▼' : ' ▲') : '';
+            const title = key === 'score' ? ` title="${DTIBacktest.OBJECTIVES[optimizerState.objective].label}"` : '';
+            return `<th data-sort="${key}" class="sortable"${title}>${label}${arrow}</th>`;
+        };
+        
+        table.querySelector('thead').innerHTML = `
+            <tr>
+                ${paramColumns.map(param => header(param.key, param.label)).join('')}
+                ${OPTIMIZER_METRICS.map(metric => header(metric.key, metric.label)).join('')}
+                <th></th>
+            </tr>
+        `;
+        
+        table.querySelector('tbody').innerHTML = rows.map(({ result, index }) => `
+            <tr>
+                ${paramColumns.map(param => `<td>${result.params[param.key]}</td>`).join('')}
+                ${OPTIMIZER_METRICS.map(metric => {
+                    const value = getResultValue(result, metric.key);
+                    const signClass = metric.key === 'totalReturn' || metric.key === 'avgProfit'
+                        ? (value >= 0 ? 'positive' : 'negative')
+                        : '';
+                    return `<td class="${signClass}">${formatOptimizerValue(value, metric)}</td>`;
+                }).join('')}
+                <td><button class="btn-outline" data-result="${index}">Apply</button></td>
+            </tr>
+        `).join('');
+        
+        document.getElementById('optimizer-table-note').textContent = optimizerState.results.length > OPTIMIZER_TABLE_ROWS
+            ? `Showing the top ${OPTIMIZER_TABLE_ROWS} of ${optimizerState.results.length.toLocaleString()} combinations. Click a column to sort.`
+            : 'Click a column to sort.';
+    }
+    
+    /**
+     * Copy a result's parameters into the inputs and rerun the backtest
+     * @param {Object} params - Parameter values from an optimizer result
+     */
+    function applyOptimizerResult(params) {
+        OPTIMIZER_PARAMS.forEach(param => {
+            if (params[param.key] !== undefined) {
+                document.getElementById(param.inputId).value = params[param.key];
+            }
+        });
+        
+        // One change event reruns the backtest with every new value
+        document.getElementById('r').dispatchEvent(new Event('change'));
+        updateOptimizerCount();
+        
+        DTIBacktester.utils.showNotification(
+            `Applied ${OPTIMIZER_PARAMS.map(param => `${param.label} ${params[param.key]}`).join(', ')}`,
+            'success'
+        );
+    }
+    
+    // Chart of the last walk-forward's stitched out-of-sample equity
+    let walkForwardChart = null;
+    
+    /**
+     * Set up the walk-forward panel
+     */
+    function initWalkForward() {
+        const runButton = document.getElementById('walk-forward-run-btn');
+        if (!runButton) return;
+        
+        runButton.addEventListener('click', runWalkForward);
+    }
+    
+    /**
+     * Walk-forward the loaded stock with the optimizer's ranges and search settings
+     */
+    async function runWalkForward() {
+        const series = DTIBacktester.currentSeries;
+        if (!series) {
+            DTIBacktester.utils.showNotification('Load a stock or upload a CSV before running a walk-forward', 'warning');
+            return;
+        }
+        if (optimizerState.running) {
+            return;
+        }
+        
+        const baseConfig = getBacktestConfig();
+        const validation = DTIBacktest.validateParameters(baseConfig);
+        if (!validation.isValid) {
+            DTIBacktester.utils.showNotification('Invalid parameters: ' + validation.errors.join(', '), 'error');
+            return;
+        }
+        
+        let search;
+        let options;
+        let windows;
+        try {
+            search = resolveOptimizerRanges(baseConfig);
+            options = {
+                ...readOptimizerOptions(),
+                inSampleBars: Number(document.getElementById('walk-forward-in-sample').value),
+                outOfSampleBars: Number(document.getElementById('walk-forward-out-of-sample').value),
+                anchored: document.getElementById('walk-forward-windows').value === 'anchored'
+            };
+            windows = DTIBacktest.createWalkForwardWindows(series.dates.length, options);
+        } catch (error) {
+            DTIBacktester.utils.showNotification(error.message, 'error');
+            return;
+        }
+        
+        if (!DTIBacktest.SEARCH_STRATEGIES[options.strategy].budgeted && search.combinations > MAX_OPTIMIZER_COMBINATIONS) {
+            DTIBacktester.utils.showNotification(`${search.combinations.toLocaleString()} combinations per window is too many; narrow the ranges or pick a budgeted search`, 'warning');
+            return;
+        }
+        
+        const runButton = document.getElementById('walk-forward-run-btn');
+        const statusDiv = document.getElementById('walk-forward-status');
+        const showProgress = (completed, total) => {
+            const percentComplete = total > 0 ? Math.round((completed / total) * 100) : 0;
+            statusDiv.innerHTML = `
+                <div>Optimizing ${windows.length} in-sample windows: ${completed.toLocaleString()}/${total.toLocaleString()} backtests</div>
+                <div class="progress-bar"><div class="progress" style="width: ${percentComplete}%"></div></div>
+            `;
+        };
+        
+        optimizerState.running = true;
+        runButton.disabled = true;
+        statusDiv.style.display = 'block';
+        showProgress(0, DTIBacktest.countSearchBacktests(search.ranges, baseConfig, options) * windows.length);
+        
+        try {
+            const startedAt = Date.now();
+            const report = await DTIWorkers.walkForward(series, search.ranges, baseConfig, options, createFrameProgress(showProgress));
+            const { metrics } = report;
+            
+            statusDiv.innerHTML = `
+                <div>${report.windows.length} windows in ${((Date.now() - startedAt) / 1000).toFixed(1)}s. Out-of-sample: ${metrics.totalTrades} trades, sum of trade returns <span class="${metrics.totalReturn >= 0 ? 'positive' : 'negative'}">${metrics.totalReturn.toFixed(2)}%</span>, max drawdown of compounded equity ${metrics.maxDrawdown.toFixed(2)}%</div>
+                <div style="margin-top: 8px; font-size: 12px;">Walk-forward efficiency: ${formatEfficiency(report.efficiency)} (out-of-sample return per bar as a share of in-sample; near 1 means the optimized parameters kept working on unseen data)</div>
+            `;
+            renderWalkForward(report, search.ranges);
+            
+            DTIBacktester.utils.showNotification('Walk-forward complete', 'success');
+        } catch (error) {
+            console.error('Walk-forward failed:', error);
+            statusDiv.innerHTML = `<div class="negative">Walk-forward failed: ${error.message}</div>`;
+            DTIBacktester.utils.showNotification('Walk-forward failed: ' + error.message, 'error');
+        } finally {
+            optimizerState.running = false;
+            runButton.disabled = false;
+        }
+    }
+    
+    /**
+     * Format a walk-forward efficiency ratio
+     * @param {number|null} efficiency - Ratio, or null when the in-sample return wasn't positive
+     * @returns {string} - Display text
+     */
+    function formatEfficiency(efficiency) {
+        return efficiency === null ? '-' : efficiency.toFixed(2);
+    }
+    
+    /**
+     * Draw the stitched out-of-sample equity and the per-window table
+     * @param {Object} report - From DTIWorkers.walkForward
+     * @param {Object} ranges - Searched values per parameter
+     */
+    function renderWalkForward(report, ranges) {
+        const searched = OPTIMIZER_PARAMS.filter(param => ranges[param.key].length > 1);
+        document.getElementById('walk-forward-results').style.display = 'block';
+        
+        if (walkForwardChart) {
+            walkForwardChart.destroy();
+        }
+        
+        walkForwardChart = new Chart(document.getElementById('walk-forward-chart').getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: report.equityCurve.map(point => point.date),
+                datasets: [{
+                    label: 'Out-of-sample equity',
+                    data: report.equityCurve.map(point => point.equity),
+                    borderColor: 'rgba(37, 99, 235, 1)',
+                    backgroundColor: 'rgba(37, 99, 235, 0.1)',
+                    borderWidth: 2,
+                    pointRadius: 2,
+                    fill: true
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: {
+                        grid: {
+                            display: false
+                        },
+                        ticks: {
+                            maxTicksLimit: 8,
+                            maxRotation: 0
+                        }
+                    },
+                    y: {
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.05)'
+                        },
+                        title: {
+                            display: true,
+                            text: 'Equity (start = 100)'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: false
+                    }
+                }
+            }
+        });
+        
+        document.querySelector('#walk-forward-table tbody').innerHTML = report.windows.map(windowReport => {
+            const outOfSampleReturn = windowReport.outOfSampleMetrics.totalReturn;
+            const paramsText = windowReport.params
+                ? (searched.length > 0 ? searched : OPTIMIZER_PARAMS).map(param => `${param.label} ${windowReport.params[param.key]}`).join(', ')
+                : 'No combination made at least 5 trades';
+            
+            return `
+                <tr>
+                    <td>${windowReport.inSample.start} – ${windowReport.inSample.end}</td>
+                    <td>${windowReport.outOfSample.start} – ${windowReport.outOfSample.end}</td>
+                    <td>${paramsText}</td>
+                    <td class="${windowReport.inSampleMetrics && windowReport.inSampleMetrics.totalReturn >= 0 ? 'positive' : 'negative'}">${windowReport.inSampleMetrics ? windowReport.inSampleMetrics.totalReturn.toFixed(2) : '-'}</td>
+                    <td class="${outOfSampleReturn >= 0 ? 'positive' : 'negative'}">${outOfSampleReturn.toFixed(2)}</td>
+                    <td>${windowReport.outOfSampleMetrics.totalTrades}</td>
+                    <td>${formatEfficiency(windowReport.efficiency)}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    
+    // Simulation runs past this take long enough, and hold enough paths, to hang the page
+    const MAX_MONTE_CARLO_SIMULATIONS = 20000;
+    
+    // Rows of the Monte Carlo table: result key, label and number format
+    const MONTE_CARLO_ROWS = [
+        { key: 'finalReturn', label: 'Final return %', signed: true },
+        { key: 'maxDrawdown', label: 'Max drawdown %' },
+        { key: 'longestLosingStreak', label: 'Longest losing streak', integer: true }
+    ];
+    
+    // Chart of the last Monte Carlo run, and whether one is in progress
+    let monteCarloChart = null;
+    let monteCarloRunning = false;
+    
+    /**
+     * Set up the Monte Carlo panel
+     */
+    function initMonteCarlo() {
+        const runButton = document.getElementById('monte-carlo-run-btn');
+        if (!runButton) return;
+        
+        runButton.addEventListener('click', runMonteCarloAnalysis);
+    }
+    
+    /**
+     * Simulate the current backtest's trades in the worker pool
+     */
+    async function runMonteCarloAnalysis() {
+        const trades = (DTIBacktester.tradeData || []).filter(trade => trade.exitDate && trade.exitReason);
+        if (trades.length === 0) {
+            DTIBacktester.utils.showNotification('Run a backtest with at least one completed trade first', 'warning');
+            return;
+        }
+        if (monteCarloRunning) {
+            return;
+        }
+        
+        const simulations = Number(document.getElementById('monte-carlo-simulations').value);
+        if (!Number.isInteger(simulations) || simulations <= 0 || simulations > MAX_MONTE_CARLO_SIMULATIONS) {
+            DTIBacktester.utils.showNotification(`Simulations must be a whole number from 1 to ${MAX_MONTE_CARLO_SIMULATIONS.toLocaleString()}`, 'error');
+            return;
+        }
+        
+        const method = document.getElementById('monte-carlo-method').value;
+        const runButton = document.getElementById('monte-carlo-run-btn');
+        const statusDiv = document.getElementById('monte-carlo-status');
+        
+        monteCarloRunning = true;
+        runButton.disabled = true;
+        statusDiv.style.display = 'block';
+        statusDiv.innerHTML = `<div>Simulating ${simulations.toLocaleString()} sequences of ${trades.length} trades...</div>`;
+        
+        try {
+            const result = await DTIWorkers.runMonteCarlo(trades, { simulations, method });
+            const drawdown95 = result.maxDrawdown.percentiles[95];
+            
+            statusDiv.innerHTML = `
+                <div>${result.simulations.toLocaleString()} ${method === 'shuffle' ? 'shuffled' : 'resampled'} sequences of ${result.tradeCount} trades</div>
+                <div style="margin-top: 8px; font-size: 12px;">1 in 20 sequences drew down more than <span class="negative">${drawdown95.toFixed(2)}%</span> (this backtest: ${result.original.maxDrawdown.toFixed(2)}%). Size positions so a drawdown that deep is survivable.</div>
+            `;
+            renderMonteCarlo(result);
+        } catch (error) {
+            console.error('Monte Carlo failed:', error);
+            statusDiv.innerHTML = `<div class="negative">Monte Carlo failed: ${error.message}</div>`;
+            DTIBacktester.utils.showNotification('Monte Carlo failed: ' + error.message, 'error');
+        } finally {
+            monteCarloRunning = false;
+            runButton.disabled = false;
+        }
+    }
+    
+    /**
+     * Draw the equity percentile bands and the distribution table
+     * @param {Object} result - From DTIWorkers.runMonteCarlo
+     */
+    function renderMonteCarlo(result) {
+        document.getElementById('monte-carlo-results').style.display = 'block';
+        
+        if (monteCarloChart) {
+            monteCarloChart.destroy();
+        }
+        
+        // Each upper percentile fills down to the lower one drawn just before it
+        const band = (label, data, fill, color) => ({
+            label,
+            data,
+            borderColor: 'rgba(37, 99, 235, 0.3)',
+            backgroundColor: color,
+            borderWidth: 1,
+            pointRadius: 0,
+            fill
+        });
+        
+        monteCarloChart = new Chart(document.getElementById('monte-carlo-chart').getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: result.equityCurve.map((_, index) => index),
+                datasets: [
+                    band('5th percentile', result.equityBands[5], false, 'transparent'),
+                    band('95th percentile', result.equityBands[95], '-1', 'rgba(37, 99, 235, 0.08)'),
+                    band('25th percentile', result.equityBands[25], false, 'transparent'),
+                    band('75th percentile', result.equityBands[75], '-1', 'rgba(37, 99, 235, 0.18)'),
+                    {
+                        label: 'Median',
+                        data: result.equityBands[50],
+                        borderColor: 'rgba(37, 99, 235, 0.8)',
+                        borderWidth: 1.5,
+                        borderDash: [5, 5],
+                        pointRadius: 0,
+                        fill: false
+                    },
+                    {
+                        label: 'This backtest',
+                        data: result.equityCurve,
+                        borderColor: 'rgba(17, 24, 39, 1)',
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        fill: false
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                scales: {
+                    x: {
+                        grid: {
+                            display: false
+                        },
+                        title: {
+                            display: true,
+                            text: 'Trade'
+                        },
+                        ticks: {
+                            maxTicksLimit: 10,
+                            maxRotation: 0
+                        }
+                    },
+                    y: {
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.05)'
+                        },
+                        title: {
+                            display: true,
+                            text: 'Equity (start = 100)'
+                        }
+                    }
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: context => `${context.dataset.label}: ${context.parsed.y.toFixed(2)}`
+                        }
+                    }
+                }
+            }
+        });
+        
+        const format = (value, row) => row.integer ? String(Math.round(value)) : value.toFixed(2);
+        
+        document.querySelector('#monte-carlo-table tbody').innerHTML = MONTE_CARLO_ROWS.map(row => {
+            const distribution = result[row.key];
+            const cell = value => `<td class="${row.signed ? (value >= 0 ? 'positive' : 'negative') : ''}">${format(value, row)}</td>`;
+            
+            return `
+                <tr>
+                    <th>${row.label}</th>
+                    ${cell(result.original[row.key])}
+                    ${[5, 25, 50, 75, 95].map(p => cell(distribution.percentiles[p])).join('')}
+                    ${row.integer ? `<td>${distribution.mean.toFixed(1)}</td>` : cell(distribution.mean)}
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    
     // Return public API
     return {
         initStockSelector,
@@ -3060,7 +4024,11 @@ function updateChartDateRange(range) {
         updateChartsAfterParameterChange,
         initParameterChangeListeners,
         showTradeDetails,
-        getStocksForSelectedScanType
+        getStocksForSelectedScanType,
+        getBacktestConfig,
+        initOptimizer,
+        initWalkForward,
+        initMonteCarlo
     };
 })();
 
@@ -3098,6 +4066,10 @@ document.addEventListener('DOMContentLoaded', function() {
     if (typeof DTIChartHelpers !== 'undefined') {
         DTIChartHelpers.initParameterChangeListeners();
     }
+    
+    DTIUI.initOptimizer();
+    DTIUI.initWalkForward();
+    DTIUI.initMonteCarlo();
 });
 
 // Extend DTIBacktester initialization with chart controls
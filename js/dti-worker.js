@@ -0,0 +1,59 @@
+/**
+ * DTI Backtester - Engine Worker
+ * Runs indicator calculation, backtests and grid searches off the main thread for DTIWorkers
+ *
+ * Messages in:  { id, type: 'backtest' | 'optimize' | 'search' | 'monteCarlo', payload }
+ * Messages out: { id, progress: { completed, total } } while an optimization or search runs,
+ *               then { id, result } or { id, error }
+ */
+
+importScripts('dti-indicators.js', 'dti-backtest.js');
+
+// Minimum time between progress messages for one task
+const PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * Create a progress callback that posts at most one message per PROGRESS_INTERVAL_MS
+ * @param {number} id - Task id
+ * @returns {function} - (completed, total) callback
+ */
+function createProgressReporter(id) {
+    let lastProgressAt = 0;
+    
+    return function(completed, total) {
+        const now = Date.now();
+        if (completed === total || now - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+            lastProgressAt = now;
+            self.postMessage({ id, progress: { completed, total } });
+        }
+    };
+}
+
+self.onmessage = function(event) {
+    const { id, type, payload } = event.data;
+    
+    try {
+        let result;
+        
+        switch (type) {
+            case 'backtest':
+                result = DTIBacktest.runBacktest(payload.data, payload.config);
+                break;
+            case 'optimize':
+                result = DTIBacktest.findOptimalParameters(payload.data, payload.ranges, payload.baseConfig, createProgressReporter(id), payload.objective);
+                break;
+            case 'search':
+                result = DTIBacktest.searchParameters(payload.data, payload.ranges, payload.baseConfig, payload.options, createProgressReporter(id));
+                break;
+            case 'monteCarlo':
+                result = DTIBacktest.runMonteCarlo(payload.trades, payload.options);
+                break;
+            default:
+                throw new Error(`Unknown task type "${type}"`);
+        }
+        
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
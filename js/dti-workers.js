@@ -0,0 +1,333 @@
+/**
+ * DTI Backtester - Worker Pool Module
+ * Runs backtests and parameter searches in a pool of Web Workers (js/dti-worker.js) so
+ * batch scans and optimizations don't freeze the page. Where workers can't be created
+ * (e.g. the page is opened from file://), tasks run on the main thread one at a time,
+ * yielding to the browser between tasks.
+ */
+
+// Create DTIWorkers module
+const DTIWorkers = (function() {
+    // Worker script, resolved next to this file
+    const WORKER_URL = typeof document !== 'undefined' && document.currentScript
+        ? new URL('dti-worker.js', document.currentScript.src).href
+        : 'js/dti-worker.js';
+    
+    // Leave a core for the page itself, and don't flood small machines
+    const POOL_SIZE = Math.max(1, Math.min(4, ((typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2) - 1));
+    
+    let workers = null;
+    let workersAvailable = typeof Worker !== 'undefined';
+    let inlineBusy = false;
+    let nextTaskId = 1;
+    const queue = [];
+    
+    /**
+     * Run a task with the engine on the current thread
+     * @param {Object} task - Queued task
+     * @returns {*} - Task result
+     */
+    function executeTask(task) {
+        const { type, payload } = task;
+        const reportProgress = (completed, total) => {
+            if (task.onProgress) task.onProgress({ completed, total });
+        };
+        
+        switch (type) {
+            case 'backtest':
+                return DTIBacktest.runBacktest(payload.data, payload.config);
+            case 'optimize':
+                return DTIBacktest.findOptimalParameters(payload.data, payload.ranges, payload.baseConfig, reportProgress, payload.objective);
+            case 'search':
+                return DTIBacktest.searchParameters(payload.data, payload.ranges, payload.baseConfig, payload.options, reportProgress);
+            case 'monteCarlo':
+                return DTIBacktest.runMonteCarlo(payload.trades, payload.options);
+            default:
+                throw new Error(`Unknown task type "${type}"`);
+        }
+    }
+    
+    /**
+     * Start the workers on first use
+     * @returns {boolean} - True if the pool is running
+     */
+    function ensureWorkers() {
+        if (workers || !workersAvailable) {
+            return workersAvailable;
+        }
+        
+        try {
+            workers = [];
+            for (let i = 0; i < POOL_SIZE; i++) {
+                workers.push(createWorker());
+            }
+        } catch (error) {
+            disableWorkers(error);
+        }
+        
+        return workersAvailable;
+    }
+    
+    /**
+     * Create one pool worker
+     * @returns {Object} - { worker, task, ready }
+     */
+    function createWorker() {
+        const slot = { worker: new Worker(WORKER_URL), task: null, ready: false };
+        
+        slot.worker.onmessage = function(event) {
+            const { id, progress, result, error } = event.data;
+            const task = slot.task;
+            slot.ready = true;
+            
+            if (!task || task.id !== id) return;
+            
+            if (progress) {
+                if (task.onProgress) task.onProgress(progress);
+                return;
+            }
+            
+            slot.task = null;
+            if (error) {
+                task.reject(new Error(error));
+            } else {
+                task.resolve(result);
+            }
+            dispatch();
+        };
+        
+        // A worker that fails before answering at all can't load (blocked or missing script)
+        slot.worker.onerror = function(event) {
+            event.preventDefault();
+            
+            if (!slot.ready) {
+                disableWorkers(new Error(event.message || 'Worker failed to start'));
+                return;
+            }
+            
+            const task = slot.task;
+            slot.task = null;
+            if (task) {
+                task.reject(new Error(event.message || 'Worker error'));
+            }
+            dispatch();
+        };
+        
+        return slot;
+    }
+    
+    /**
+     * Fall back to running tasks on the main thread
+     * @param {Error} error - Why the workers can't be used
+     */
+    function disableWorkers(error) {
+        if (!workersAvailable) {
+            return;
+        }
+        
+        console.warn('Web Workers unavailable, running the engine on the main thread:', error.message);
+        workersAvailable = false;
+        
+        // Requeue any task that was handed to a worker
+        (workers || []).forEach(slot => {
+            if (slot.task) queue.unshift(slot.task);
+            slot.worker.terminate();
+        });
+        workers = null;
+        
+        dispatch();
+    }
+    
+    /**
+     * Hand queued tasks to idle workers, or run the next one inline
+     */
+    function dispatch() {
+        if (ensureWorkers()) {
+            workers.forEach(slot => {
+                if (!slot.task && queue.length > 0) {
+                    slot.task = queue.shift();
+                    slot.worker.postMessage({ id: slot.task.id, type: slot.task.type, payload: slot.task.payload });
+                }
+            });
+            return;
+        }
+        
+        if (inlineBusy || queue.length === 0) {
+            return;
+        }
+        
+        inlineBusy = true;
+        const task = queue.shift();
+        
+        // Yield first so the page can repaint between tasks
+        setTimeout(() => {
+            try {
+                task.resolve(executeTask(task));
+            } catch (error) {
+                task.reject(error);
+            }
+            inlineBusy = false;
+            dispatch();
+        }, 0);
+    }
+    
+    /**
+     * Queue a task for the pool
+     * @param {string} type - backtest, optimize, search or monteCarlo
+     * @param {Object} payload - Task input
+     * @param {function} [onProgress] - Called with { completed, total } during optimizations and searches
+     * @returns {Promise} - Resolves with the task result
+     */
+    function runTask(type, payload, onProgress) {
+        return new Promise((resolve, reject) => {
+            queue.push({ id: nextTaskId++, type, payload, onProgress, resolve, reject });
+            dispatch();
+        });
+    }
+    
+    /**
+     * Run the engine on one price series (see DTIBacktest.runBacktest)
+     * @param {Object} data - { dates, high, low, close } arrays
+     * @param {Object} config - Engine configuration
+     * @returns {Promise<Object>} - { config, dti, sevenDayDTIData, completedTrades, activeTrade, metrics }
+     */
+    function runBacktest(data, config) {
+        return runTask('backtest', { data, config });
+    }
+    
+    /**
+     * Optimize one price series in the pool (see DTIBacktest.searchParameters)
+     * A grid search is split by r/s/u so each worker computes the indicators for its own part;
+     * the other strategies choose each step from earlier results, so they run in one worker
+     * @param {Object} data - { dates, high, low, close } arrays
+     * @param {Object} [paramRanges] - Values to test per parameter
+     * @param {Object} [baseConfig] - Configuration for everything not searched
+     * @param {function} [onProgress] - Called with (completed, total) backtests
+     * @param {Object} [options] - Search options: strategy, objective, budget (see DTIBacktest.searchParameters)
+     * @returns {Promise<Object>} - { bestResult, allResults, search }
+     */
+    async function optimize(data, paramRanges, baseConfig, onProgress, options) {
+        const searchOptions = options || {};
+        const strategy = searchOptions.strategy || 'grid';
+        
+        if (strategy !== 'grid') {
+            return runTask('search', { data, ranges: paramRanges, baseConfig, options: searchOptions }, progress => {
+                if (onProgress) onProgress(progress.completed, progress.total);
+            });
+        }
+        
+        const startedAt = Date.now();
+        const ranges = DTIBacktest.resolveParamRanges(paramRanges, baseConfig);
+        const objective = searchOptions.objective || 'score';
+        const parts = [];
+        
+        ranges.r.forEach(r => ranges.s.forEach(s => ranges.u.forEach(u => {
+            parts.push({ ...ranges, r: [r], s: [s], u: [u] });
+        })));
+        
+        const partSize = parts.length > 0 ? Object.keys(ranges).reduce((count, key) => count * parts[0][key].length, 1) : 0;
+        const total = partSize * parts.length;
+        const completedByPart = parts.map(() => 0);
+        
+        const results = await Promise.all(parts.map((partRanges, index) =>
+            runTask('optimize', { data, ranges: partRanges, baseConfig, objective }, progress => {
+                completedByPart[index] = progress.completed;
+                if (onProgress) {
+                    onProgress(completedByPart.reduce((sum, completed) => sum + completed, 0), total);
+                }
+            })
+        ));
+        
+        return {
+            ...DTIBacktest.mergeOptimizationResults(results),
+            search: {
+                strategy,
+                objective,
+                spent: total,
+                spaceSize: total,
+                stoppedBy: 'done',
+                elapsedMs: Date.now() - startedAt
+            }
+        };
+    }
+    
+    /**
+     * Walk-forward optimization in the pool (see DTIBacktest.walkForward)
+     * The in-sample windows don't depend on each other, so each one is searched as its own task
+     * @param {Object} data - { dates, high, low, close } arrays
+     * @param {Object} [paramRanges] - Values to test per parameter
+     * @param {Object} [baseConfig] - Configuration for everything not searched
+     * @param {Object} [options] - Window and search options
+     * @param {function} [onProgress] - Called with (completed, total) backtests across all windows
+     * @returns {Promise<Object>} - Walk-forward report (see DTIBacktest.buildWalkForwardReport)
+     */
+    async function walkForward(data, paramRanges, baseConfig, options, onProgress) {
+        const windows = DTIBacktest.createWalkForwardWindows(data.dates.length, options);
+        const perWindow = DTIBacktest.countSearchBacktests(paramRanges, baseConfig, options);
+        const completedByWindow = windows.map(() => 0);
+        
+        const searches = await Promise.all(windows.map((windowRange, index) => {
+            const inSample = DTIBacktest.sliceBars(data, windowRange.inSample.start, windowRange.inSample.end);
+            
+            return runTask('search', { data: inSample, ranges: paramRanges, baseConfig, options }, progress => {
+                completedByWindow[index] = progress.completed;
+                if (onProgress) {
+                    onProgress(completedByWindow.reduce((sum, completed) => sum + completed, 0), perWindow * windows.length);
+                }
+            });
+        }));
+        
+        return DTIBacktest.buildWalkForwardReport(data, windows, searches, baseConfig);
+    }
+    
+    /**
+     * Monte Carlo simulation of a backtest's trades (see DTIBacktest.runMonteCarlo)
+     * @param {Array} trades - Backtest trades; only completed trades are used
+     * @param {Object} [options] - { simulations, method, seed }
+     * @returns {Promise<Object>} - Simulated distributions and equity bands
+     */
+    function runMonteCarlo(trades, options) {
+        return runTask('monteCarlo', { trades, options });
+    }
+    
+    /**
+     * Stop every worker and reject queued tasks
+     */
+    function terminate() {
+        const pending = queue.splice(0, queue.length);
+        (workers || []).forEach(slot => {
+            if (slot.task) pending.push(slot.task);
+            slot.worker.terminate();
+        });
+        workers = null;
+        
+        pending.forEach(task => task.reject(new Error('Worker pool terminated')));
+    }
+    
+    /**
+     * Describe the pool for status displays
+     * @returns {Object} - { workers: boolean, size, queued }
+     */
+    function getState() {
+        return {
+            workers: workersAvailable,
+            size: workersAvailable ? POOL_SIZE : 1,
+            queued: queue.length
+        };
+    }
+    
+    // Return public API
+    return {
+        runBacktest,
+        optimize,
+        walkForward,
+        runMonteCarlo,
+        terminate,
+        getState
+    };
+})();
+
+// Make DTIWorkers available globally
+if (typeof window !== 'undefined') {
+    window.DTIWorkers = DTIWorkers;
+}
@@ -18,12 +18,67 @@ const TradeCore = (function() {
     const LOCAL_STORAGE_KEY = 'dti_backtester_trades';
     const DATA_VERSION = '1.0.0'; // For versioning the exported data format
     
+    // Currency codes reported by the backend, keyed by stock symbol
+    const CURRENCY_STORAGE_KEY = 'dti_backtester_symbol_currencies';
+    const CURRENCY_SYMBOLS = {
+        INR: '₹',
+        USD: '$',
+        GBP: '£',
+        GBp: '£', // London prices are quoted in pence
+        EUR: '€',
+        JPY: '¥',
+        CAD: '$',
+        AUD: '$',
+        HKD: '$'
+    };
+    let symbolCurrencies = null;
+    
+    /**
+     * Get the currency codes known for each symbol (loaded lazily from localStorage)
+     * @returns {Object} - Map of symbol to ISO currency code
+     */
+    function getSymbolCurrencies() {
+        if (!symbolCurrencies) {
+            try {
+                symbolCurrencies = JSON.parse(localStorage.getItem(CURRENCY_STORAGE_KEY)) || {};
+            } catch (error) {
+                symbolCurrencies = {};
+            }
+        }
+        return symbolCurrencies;
+    }
+    
+    /**
+     * Record the currency the exchange reports for a symbol
+     * @param {string} symbol - Stock symbol
+     * @param {string} currencyCode - ISO currency code (e.g. 'INR')
+     */
+    function setSymbolCurrency(symbol, currencyCode) {
+        const currencies = getSymbolCurrencies();
+        if (!symbol || !currencyCode || currencies[symbol] === currencyCode) return;
+        
+        currencies[symbol] = currencyCode;
+        try {
+            localStorage.setItem(CURRENCY_STORAGE_KEY, JSON.stringify(currencies));
+        } catch (error) {
+            console.warn('Could not save symbol currencies:', error);
+        }
+    }
+    
     /**
      * Get currency symbol based on market index or stock symbol
      * @param {string} market - Market index name or stock symbol
      * @returns {string} - Currency symbol
      */
     function getCurrencySymbol(market) {
+        // Prefer the currency reported by the exchange over guessing from the suffix
+        if (typeof market === 'string' && typeof localStorage !== 'undefined') {
+            const currencyCode = getSymbolCurrencies()[market];
+            if (currencyCode && CURRENCY_SYMBOLS[currencyCode]) {
+                return CURRENCY_SYMBOLS[currencyCode];
+            }
+        }
+        
         // If a specific market index is provided
         if (market === 'usStocks') return '$';
         if (market === 'ftse100') return '£';
@@ -51,17 +106,37 @@ const TradeCore = (function() {
     // For backward compatibility, we keep CURRENCY_SYMBOL as a property but make it use the function
     const CURRENCY_SYMBOL = getCurrencySymbol();
     
-    const PRICE_UPDATE_INTERVAL = 60000; // Update prices every 60 seconds
+    const PRICE_UPDATE_INTERVAL = 60000; // Update prices every 60 seconds (when streaming is unavailable)
+    const TICK_RENDER_DELAY = 1000; // Coalesce UI refreshes for price ticks arriving together
     const MAX_RETRIES = 3; // Maximum retries for fetching data
     
+    // Backend service location (see js/dti-config.js)
+    const BACKEND_URL = DTIConfig.BACKEND_URL;
+    
+    // Server trade journal sync state. localStorage keeps working as the offline copy;
+    // SYNC_STORAGE_KEY remembers the revision and contents of each trade as last stored on the server
+    const SYNC_STORAGE_KEY = 'dti_backtester_trades_synced';
+    const VOLATILE_FIELDS = ['currentPrice', 'currentValue', 'currentPLPercent', 'currentPLValue', 'holdingDays'];
+    let syncedTrades = null;
+    let serverAvailable = null; // null until the first sync attempt
+    let syncPromise = null;
+    let syncQueued = false;
+    
+    // Live price stream (Server-Sent Events) for the symbols of active trades
+    let streamingEnabled = false;
+    let priceStream = null;
+    let streamSymbolsKey = '';
+    let tickRenderTimer = null;
+    
     /**
      * Initialize the trade management system
      */
     function init() {
         console.log("TradeCore initializing...");
         
-        // Load trades from storage
+        // Load trades from storage, then reconcile with the server journal
         loadTradesFromStorage();
+        syncTradesWithServer();
         
         // Ensure all trades have a currency symbol
         allTrades.forEach(trade => {
@@ -84,14 +159,21 @@ const TradeCore = (function() {
             saveTradestoStorage();
         }
         
-        // Set up periodic price updates if we're on the trades page
+        // Set up live price updates if we're on the trades page
         if (isTradesPage()) {
-            const updateInterval = setInterval(updatePrices, PRICE_UPDATE_INTERVAL);
-            
-            // Clean up the interval when navigating away
-            window.addEventListener('beforeunload', function() {
-                clearInterval(updateInterval);
-            });
+            if (typeof EventSource !== 'undefined') {
+                streamingEnabled = true;
+                refreshPriceStream();
+                window.addEventListener('beforeunload', stopPriceStream);
+            } else {
+                // Fall back to polling
+                const updateInterval = setInterval(updatePrices, PRICE_UPDATE_INTERVAL);
+                
+                // Clean up the interval when navigating away
+                window.addEventListener('beforeunload', function() {
+                    clearInterval(updateInterval);
+                });
+            }
         }
         
         console.log(`Initialized with ${allTrades.length} trades (${activeTrades.length} active, ${closedTrades.length} closed)`);
@@ -115,34 +197,9 @@ const TradeCore = (function() {
                 allTrades = JSON.parse(storedTrades);
                 
                 // Convert date strings back to Date objects
-                allTrades.forEach(trade => {
-                    try {
-                        trade.entryDate = new Date(trade.entryDate);
-                        trade.squareOffDate = new Date(trade.squareOffDate);
-                        if (trade.exitDate) {
-                            trade.exitDate = new Date(trade.exitDate);
-                        }
-                    } catch (dateError) {
-                        console.warn("Error parsing date for trade:", dateError, trade);
-                        // Use fallback values if date parsing fails
-                        if (!(trade.entryDate instanceof Date)) trade.entryDate = new Date();
-                        if (!(trade.squareOffDate instanceof Date)) {
-                            trade.squareOffDate = new Date();
-                            trade.squareOffDate.setDate(trade.squareOffDate.getDate() + 30); // Default to 30 days
-                        }
-                    }
-                });
+                allTrades.forEach(reviveTradeDates);
                 
-                // Sort trades with active ones first, then by date (newest first)
-                allTrades.sort((a, b) => {
-                    if (a.status === 'active' && b.status !== 'active') return -1;
-                    if (a.status !== 'active' && b.status === 'active') return 1;
-                    return b.entryDate - a.entryDate;
-                });
-                
-                // Separate active and closed trades
-                activeTrades = allTrades.filter(trade => trade.status === 'active');
-                closedTrades = allTrades.filter(trade => trade.status !== 'active');
+                sortAndSplitTrades();
                 
                 console.log(`Loaded ${allTrades.length} trades (${activeTrades.length} active, ${closedTrades.length} closed)`);
             } catch (error) {
@@ -160,10 +217,58 @@ const TradeCore = (function() {
     }
     
     /**
-     * Save trades to localStorage with error handling
+     * Convert a stored trade's date strings back to Date objects
+     * @param {Object} trade - Trade loaded from storage or the server
+     * @returns {Object} - The same trade
+     */
+    function reviveTradeDates(trade) {
+        try {
+            trade.entryDate = new Date(trade.entryDate);
+            trade.squareOffDate = new Date(trade.squareOffDate);
+            if (trade.exitDate) {
+                trade.exitDate = new Date(trade.exitDate);
+            }
+        } catch (dateError) {
+            console.warn("Error parsing date for trade:", dateError, trade);
+            // Use fallback values if date parsing fails
+            if (!(trade.entryDate instanceof Date)) trade.entryDate = new Date();
+            if (!(trade.squareOffDate instanceof Date)) {
+                trade.squareOffDate = new Date();
+                trade.squareOffDate.setDate(trade.squareOffDate.getDate() + 30); // Default to 30 days
+            }
+        }
+        return trade;
+    }
+    
+    /**
+     * Sort all trades (active first, newest first) and rebuild the active/closed lists
+     */
+    function sortAndSplitTrades() {
+        allTrades.sort((a, b) => {
+            if (a.status === 'active' && b.status !== 'active') return -1;
+            if (a.status !== 'active' && b.status === 'active') return 1;
+            return b.entryDate - a.entryDate;
+        });
+        
+        activeTrades = allTrades.filter(trade => trade.status === 'active');
+        closedTrades = allTrades.filter(trade => trade.status !== 'active');
+    }
+    
+    /**
+     * Save trades to localStorage with error handling, then push changes to the server
      * @returns {boolean} - True if save was successful
      */
     function saveTradestoStorage() {
+        const saved = writeTradesToLocalStorage();
+        syncTradesWithServer();
+        return saved;
+    }
+    
+    /**
+     * Write trades to localStorage only
+     * @returns {boolean} - True if save was successful
+     */
+    function writeTradesToLocalStorage() {
         try {
             localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(allTrades));
             
@@ -171,6 +276,9 @@ const TradeCore = (function() {
             equityCurveData = null;
             drawdownData = null;
             
+            // Follow the symbols of the current active trades
+            refreshPriceStream();
+            
             return true;
         } catch (error) {
             console.error('Error saving trades to storage:', error);
@@ -179,9 +287,319 @@ const TradeCore = (function() {
         }
     }
     
+    /**
+     * (Re)open the price stream when the set of active trade symbols changes
+     * The server polls each symbol once for all clients and pushes ticks as they arrive
+     */
+    function refreshPriceStream() {
+        if (!streamingEnabled) return;
+        
+        const symbols = [...new Set(activeTrades.map(trade => trade.symbol))].sort();
+        const symbolsKey = symbols.join(',');
+        if (symbolsKey === streamSymbolsKey) return;
+        
+        stopPriceStream();
+        streamSymbolsKey = symbolsKey;
+        if (symbols.length === 0) return;
+        
+        priceStream = new EventSource(`${BACKEND_URL}/api/stream/prices?symbols=${symbols.map(encodeURIComponent).join(',')}`);
+        
+        priceStream.addEventListener('price', event => {
+            applyPriceTick(JSON.parse(event.data));
+        });
+        
+        priceStream.addEventListener('quote-error', event => {
+            const { symbol, message } = JSON.parse(event.data);
+            console.warn(`Price stream could not fetch ${symbol}: ${message}`);
+        });
+        
+        // EventSource reconnects by itself
+        priceStream.onerror = () => {
+            console.warn('Price stream interrupted, reconnecting...');
+        };
+        
+        console.log(`Streaming prices for ${symbols.length} symbols`);
+    }
+    
+    /**
+     * Close the price stream
+     */
+    function stopPriceStream() {
+        if (priceStream) {
+            priceStream.close();
+            priceStream = null;
+        }
+        streamSymbolsKey = '';
+    }
+    
+    /**
+     * Apply a streamed price to the active trades for its symbol
+     * Runs the stop loss / target / square-off checks on every tick
+     * @param {Object} quote - Quote from the price stream
+     */
+    function applyPriceTick(quote) {
+        if (typeof quote.price !== 'number') return;
+        
+        if (quote.currency) {
+            setSymbolCurrency(quote.symbol, quote.currency);
+        }
+        
+        const trades = activeTrades.filter(trade => trade.symbol === quote.symbol);
+        if (trades.length === 0) return;
+        
+        trades.forEach(trade => {
+            trade.currentPrice = quote.price;
+            updateTradeStatus(trade);
+        });
+        
+        // Live price fields only, so no server sync is needed
+        writeTradesToLocalStorage();
+        
+        // Refresh the UI once per burst of ticks
+        if (!tickRenderTimer) {
+            tickRenderTimer = setTimeout(() => {
+                tickRenderTimer = null;
+                document.dispatchEvent(new CustomEvent('tradesUpdated'));
+            }, TICK_RENDER_DELAY);
+        }
+    }
+    
+    /**
+     * Get the server state of each synced trade (loaded lazily from localStorage)
+     * @returns {Object} - Map of trade id to { revision, fingerprint }
+     */
+    function getSyncedTrades() {
+        if (!syncedTrades) {
+            try {
+                syncedTrades = JSON.parse(localStorage.getItem(SYNC_STORAGE_KEY)) || {};
+            } catch (error) {
+                syncedTrades = {};
+            }
+        }
+        return syncedTrades;
+    }
+    
+    /**
+     * Serialize a trade's persistent fields for change detection
+     * Live price fields are left out so price updates alone don't trigger writes
+     * @param {Object} trade - Trade to fingerprint
+     * @returns {string} - Stable JSON string
+     */
+    function getTradeFingerprint(trade) {
+        const fields = Object.keys(trade).filter(key => !VOLATILE_FIELDS.includes(key)).sort();
+        return JSON.stringify(trade, fields);
+    }
+    
+    /**
+     * Record a trade as matching the server copy
+     * @param {Object} trade - Trade as stored on the server
+     */
+    function markTradeSynced(trade) {
+        getSyncedTrades()[trade.id] = {
+            revision: trade.revision,
+            fingerprint: getTradeFingerprint(trade)
+        };
+    }
+    
+    /**
+     * Check whether a trade has local changes the server hasn't seen
+     * @param {Object} trade - Local trade
+     * @returns {boolean} - True if the trade needs to be pushed
+     */
+    function isTradeDirty(trade) {
+        const synced = getSyncedTrades()[trade.id];
+        return !synced || synced.fingerprint !== getTradeFingerprint(trade);
+    }
+    
+    /**
+     * Reconcile local trades with the server journal
+     * Runs one sync at a time; calls made while a sync is running queue one more pass
+     * @returns {Promise<boolean>} - True if the server was reachable
+     */
+    function syncTradesWithServer() {
+        if (typeof fetch === 'undefined') {
+            return Promise.resolve(false);
+        }
+        
+        if (syncPromise) {
+            syncQueued = true;
+            return syncPromise;
+        }
+        
+        syncPromise = runTradeSync().finally(() => {
+            syncPromise = null;
+            if (syncQueued) {
+                syncQueued = false;
+                syncTradesWithServer();
+            }
+        });
+        
+        return syncPromise;
+    }
+    
+    /**
+     * Pull the server journal, merge it with local trades and push local changes
+     * Server copies win unless the local trade has unsynced changes; those are written
+     * with the revision they were based on, and a 409 conflict keeps the server copy
+     * @returns {Promise<boolean>} - True if the server was reachable
+     */
+    async function runTradeSync() {
+        const before = allTrades.map(getTradeFingerprint).sort().join('\n');
+        
+        try {
+            const response = await fetch(`${BACKEND_URL}/api/trades`);
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            const { trades: serverTrades } = await response.json();
+            
+            mergeServerTrades(serverTrades);
+            await pushLocalChanges();
+            
+            if (serverAvailable === false) {
+                showNotification('Trade server reachable again, trades synced', 'success');
+            }
+            serverAvailable = true;
+        } catch (error) {
+            console.warn('Trade sync failed, keeping trades in this browser only:', error.message);
+            if (serverAvailable) {
+                showNotification('Trade server unavailable, changes are saved in this browser until it is back', 'warning');
+            }
+            serverAvailable = false;
+            return false;
+        } finally {
+            localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(getSyncedTrades()));
+        }
+        
+        // Refresh the UI if the server changed anything
+        sortAndSplitTrades();
+        writeTradesToLocalStorage();
+        if (allTrades.map(getTradeFingerprint).sort().join('\n') !== before) {
+            document.dispatchEvent(new CustomEvent('tradesUpdated'));
+            updateCountBadges();
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Merge the server's trades into the local list
+     * @param {Array} serverTrades - Trades from GET /api/trades
+     */
+    function mergeServerTrades(serverTrades) {
+        const synced = getSyncedTrades();
+        const serverIds = new Set(serverTrades.map(trade => trade.id));
+        const localById = new Map(allTrades.map(trade => [trade.id, trade]));
+        const merged = [];
+        
+        serverTrades.forEach(serverTrade => {
+            const localTrade = localById.get(serverTrade.id);
+            
+            if (localTrade && isTradeDirty(localTrade)) {
+                merged.push(localTrade); // Edited here, pushed below
+            } else if (!localTrade && synced[serverTrade.id]) {
+                // Deleted here; the delete is pushed below
+            } else {
+                const trade = reviveTradeDates({ ...serverTrade });
+                // Keep the latest live price we have
+                if (localTrade) {
+                    VOLATILE_FIELDS.forEach(field => {
+                        if (localTrade[field] !== undefined) trade[field] = localTrade[field];
+                    });
+                }
+                markTradeSynced(trade);
+                merged.push(trade);
+            }
+        });
+        
+        allTrades.forEach(localTrade => {
+            if (serverIds.has(localTrade.id)) return;
+            
+            if (synced[localTrade.id]) {
+                // Deleted on another device
+                delete synced[localTrade.id];
+            } else {
+                merged.push(localTrade); // Added here, pushed below
+            }
+        });
+        
+        allTrades = merged;
+    }
+    
+    /**
+     * Push new, edited and deleted trades to the server
+     */
+    async function pushLocalChanges() {
+        const synced = getSyncedTrades();
+        
+        for (const trade of allTrades.filter(isTradeDirty)) {
+            // The base revision is the one last seen on the server (none for new trades)
+            const sent = { ...trade, revision: synced[trade.id] ? synced[trade.id].revision : undefined };
+            const response = await fetch(`${BACKEND_URL}/api/trades/${encodeURIComponent(trade.id)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(sent)
+            });
+            const result = await response.json().catch(() => ({}));
+            
+            if (response.ok) {
+                trade.revision = result.revision;
+                trade.updatedAt = result.updatedAt;
+                markTradeSynced({ ...sent, revision: result.revision, updatedAt: result.updatedAt });
+            } else if (response.status === 409) {
+                resolveTradeConflict(trade.id, result.trade);
+            } else {
+                throw new Error(result.message || `Server returned ${response.status}`);
+            }
+        }
+        
+        const localIds = new Set(allTrades.map(trade => trade.id));
+        for (const tradeId of Object.keys(synced).filter(id => !localIds.has(id))) {
+            const response = await fetch(
+                `${BACKEND_URL}/api/trades/${encodeURIComponent(tradeId)}?revision=${synced[tradeId].revision}`,
+                { method: 'DELETE' }
+            );
+            const result = await response.json().catch(() => ({}));
+            
+            if (response.ok || response.status === 404) {
+                delete synced[tradeId];
+            } else if (response.status === 409) {
+                resolveTradeConflict(tradeId, result.trade);
+            } else {
+                throw new Error(result.message || `Server returned ${response.status}`);
+            }
+        }
+    }
+    
+    /**
+     * Replace a local trade with the server copy after a conflicting write
+     * @param {string} tradeId - Trade ID
+     * @param {Object} serverTrade - Current server copy
+     */
+    function resolveTradeConflict(tradeId, serverTrade) {
+        if (!serverTrade) {
+            // Deleted on the server meanwhile; the next sync re-creates it as a new trade
+            delete getSyncedTrades()[tradeId];
+            return;
+        }
+        
+        const trade = reviveTradeDates({ ...serverTrade });
+        const index = allTrades.findIndex(t => t.id === tradeId);
+        
+        if (index !== -1) {
+            allTrades[index] = trade;
+        } else {
+            allTrades.push(trade);
+        }
+        markTradeSynced(trade);
+        
+        console.warn(`Trade ${tradeId} conflicts with the server copy (revision ${trade.revision}), keeping the server copy`);
+        showNotification(`${trade.stockName} was changed on another device; the latest saved version was kept`, 'warning');
+    }
+    
     /**
      * Update current prices for active trades
-     * Uses Yahoo Finance API via CORS proxy
+     * Uses the backend quote service with one batch request for all symbols
      */
 async function updatePrices() {
     if (activeTrades.length === 0) return;
@@ -196,41 +614,36 @@ async function updatePrices() {
     let updatedCount = 0;
     let errorCount = 0;
     
-    // Create an array of promises
-    const updatePromises = symbols.map(async (symbol) => {
-        const trades = activeTrades.filter(trade => trade.symbol === symbol);
-        if (trades.length === 0) return;
+    let prices = {};
+    try {
+        prices = await fetchCurrentPrices(symbols);
+    } catch (error) {
+        console.error('Failed to update prices:', error);
+    }
+    
+    symbols.forEach(symbol => {
+        const price = prices[symbol];
         
-        try {
-            const price = await fetchCurrentPrice(symbol);
-            
-            // Update all trades with this symbol
-            trades.forEach(trade => {
-                trade.currentPrice = price;
-                // Update currency symbol if needed
-                if (!trade.currencySymbol) {
-                    trade.currencySymbol = getCurrencySymbol(
-                        trade.symbol.endsWith('.L') ? 'ftse100' : 
-                        (trade.symbol.includes('.NS') ? 'nifty50' : 
-                        (trade.symbol.includes('.') ? 'nifty50' : 'usStocks'))
-                    );
-                }
-                updateTradeStatus(trade);
-            });
-            
-            updatedCount++;
-            return { symbol, success: true };
-        } catch (error) {
-            console.error(`Failed to update price for ${symbol}:`, error);
-            // Don't update trade.currentPrice here - keep the last known price
+        // Don't update trade.currentPrice here - keep the last known price
+        if (typeof price !== 'number') {
+            console.error(`Failed to update price for ${symbol}`);
             errorCount++;
-            return { symbol, success: false, error: error.message };
+            return;
         }
+        
+        // Update all trades with this symbol
+        activeTrades.filter(trade => trade.symbol === symbol).forEach(trade => {
+            trade.currentPrice = price;
+            // Update currency symbol if needed (uses the exchange currency when known)
+            if (!trade.currencySymbol) {
+                trade.currencySymbol = getCurrencySymbol(trade.symbol);
+            }
+            updateTradeStatus(trade);
+        });
+        
+        updatedCount++;
     });
     
-    // Wait for all updates to complete
-    const results = await Promise.allSettled(updatePromises);
-    
     // Update UI with status
     if (updateStatusElement) {
         if (updatedCount > 0) {
@@ -263,148 +676,65 @@ async function updatePrices() {
 }
     
 /**
- * Fetch current price for a symbol using Alpha Vantage API
- * @param {string} symbol - Stock symbol
+ * Fetch current prices for several symbols from the backend quote service
+ * @param {Array} symbols - Stock symbols
  * @param {number} retryCount - Current retry attempt
- * @returns {Promise<number|null>} - Current price or null if error
+ * @returns {Promise<Object>} - Map of symbol to price (symbols that failed are omitted)
  */
-async function fetchCurrentPrice(symbol, retryCount = 0) {
+async function fetchCurrentPrices(symbols, retryCount = 0) {
     try {
-        // Alpha Vantage API key
-        const apiKey = 'M6KPW3I3EXVKIFW8';
-        
-        // Format the symbol for Alpha Vantage
-        let avSymbol = symbol;
-        
-        // For NSE (India) symbols, try different formats
-        if (symbol.endsWith('.NS')) {
-            // NSE stocks need special handling
-            // Format 1: Try with just the base name (without exchange)
-            avSymbol = symbol.replace('.NS', '');
-            
-            // For Larsen & Toubro specifically
-            if (symbol === 'LT.NS') {
-                // This is a known issue with some Indian symbols
-                // Use a direct stock price lookup function instead of Global Quote
-                console.log(`Using special handling for ${symbol}...`);
-                
-                // Use the TIME_SERIES_DAILY endpoint instead for NSE stocks
-                const response = await fetch(`https://www.alphavantage.co/query?function=TIME_SERIES_DAILY&symbol=${avSymbol}&apikey=${apiKey}`);
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP error! Status: ${response.status}`);
-                }
-                
-                const data = await response.json();
-                
-                // Log the response to debug
-                console.log(`Alpha Vantage response for ${symbol}:`, data);
-                
-                // Check for error responses
-                if (data['Error Message']) {
-                    throw new Error(`Alpha Vantage API error: ${data['Error Message']}`);
-                }
-                
-                if (data['Note'] && data['Note'].includes('API call frequency')) {
-                    console.warn('Alpha Vantage API frequency limit reached:', data['Note']);
-                    if (retryCount < MAX_RETRIES) {
-                        const delay = Math.pow(2, retryCount + 3) * 1000;
-                        await new Promise(resolve => setTimeout(resolve, delay));
-                        return fetchCurrentPrice(symbol, retryCount + 1);
-                    }
-                    throw new Error('API rate limit reached');
-                }
-                
-                // For TIME_SERIES_DAILY, extract the latest price
-                if (data['Time Series (Daily)']) {
-                    // Get the most recent date (first key in the time series)
-                    const dates = Object.keys(data['Time Series (Daily)']);
-                    if (dates.length > 0) {
-                        const latestDate = dates[0];
-                        const latestData = data['Time Series (Daily)'][latestDate];
-                        const price = parseFloat(latestData['4. close']);
-                        
-                        if (!isNaN(price)) {
-                            console.log(`Fetched price for ${symbol}: ${price}`);
-                            return price;
-                        }
-                    }
-                }
-                
-                throw new Error('Could not extract price from TIME_SERIES_DAILY response');
-            }
-        } 
-        // For LSE (London) symbols, use LON: prefix
-        else if (symbol.endsWith('.L')) {
-            avSymbol = 'LON:' + symbol.replace('.L', '');
-        }
-        
-        console.log(`Fetching price for ${symbol} (${avSymbol}) from Alpha Vantage...`);
-        
-        // Make the API request to Alpha Vantage
-        const response = await fetch(`https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${avSymbol}&apikey=${apiKey}`);
+        const requestUrl = `${BACKEND_URL}/api/quote?symbols=${symbols.map(encodeURIComponent).join(',')}`;
+        const response = await fetch(requestUrl);
         
         if (!response.ok) {
-            throw new Error(`HTTP error! Status: ${response.status}`);
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.message || `HTTP error! Status: ${response.status}`);
         }
         
         const data = await response.json();
+        const prices = {};
         
-        // Log the response to debug
-        console.log(`Alpha Vantage response for ${symbol}:`, data);
-        
-        // Check for error responses
-        if (data['Error Message']) {
-            throw new Error(`Alpha Vantage API error: ${data['Error Message']}`);
-        }
-        
-        if (data['Note'] && data['Note'].includes('API call frequency')) {
-            console.warn('Alpha Vantage API frequency limit reached:', data['Note']);
-            if (retryCount < MAX_RETRIES) {
-                const delay = Math.pow(2, retryCount + 3) * 1000;
-                await new Promise(resolve => setTimeout(resolve, delay));
-                return fetchCurrentPrice(symbol, retryCount + 1);
+        Object.entries(data.quotes || {}).forEach(([symbol, quote]) => {
+            prices[symbol] = quote.price;
+            if (quote.currency) {
+                setSymbolCurrency(symbol, quote.currency);
             }
-            throw new Error('API rate limit reached');
-        }
-        
-        // Extract price from Global Quote
-        const quote = data['Global Quote'];
-        if (!quote || !quote['05. price']) {
-            throw new Error('Invalid response structure from Alpha Vantage');
-        }
-        
-        const price = parseFloat(quote['05. price']);
+        });
         
-        if (isNaN(price)) {
-            throw new Error('Invalid price data received');
-        }
+        Object.entries(data.errors || {}).forEach(([symbol, error]) => {
+            console.warn(`No price for ${symbol} (${error.code}): ${error.message}`);
+        });
         
-        console.log(`Fetched price for ${symbol}: ${price}`);
-        return price;
+        return prices;
     } catch (error) {
-        console.error(`Error fetching price for ${symbol}:`, error);
-        
-        // For NSE stocks, try alternative approach if this was the Global Quote approach
-        if (symbol.endsWith('.NS') && !retryCount && symbol !== 'LT.NS') {
-            console.log(`Trying alternative approach for NSE stock ${symbol}...`);
-            // Set a special flag for the retry
-            return fetchCurrentPrice(symbol, MAX_RETRIES + 1);
-        }
+        console.error('Error fetching prices:', error);
         
-        // Normal retry logic
         if (retryCount < MAX_RETRIES) {
-            console.log(`Retrying fetch for ${symbol} (attempt ${retryCount + 1}/${MAX_RETRIES})...`);
+            console.log(`Retrying price fetch (attempt ${retryCount + 1}/${MAX_RETRIES})...`);
             const delay = Math.pow(2, retryCount) * 1000;
             await new Promise(resolve => setTimeout(resolve, delay));
-            return fetchCurrentPrice(symbol, retryCount + 1);
+            return fetchCurrentPrices(symbols, retryCount + 1);
         }
         
-        // If all retries fail, throw the error
-        throw new Error(`Failed to get price for ${symbol} after ${MAX_RETRIES} attempts`);
+        throw new Error(`Failed to get prices after ${MAX_RETRIES} attempts`);
     }
 }
     
+/**
+ * Fetch current price for a single symbol from the backend quote service
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<number>} - Current price
+ */
+async function fetchCurrentPrice(symbol) {
+    const prices = await fetchCurrentPrices([symbol]);
+    
+    if (typeof prices[symbol] !== 'number') {
+        throw new Error(`Failed to get price for ${symbol}`);
+    }
+    
+    return prices[symbol];
+}
+    
     /**
      * Update a trade's status based on current price and conditions
      * @param {Object} trade - Trade object to update
@@ -2174,7 +2504,9 @@ async function fetchCurrentPrice(symbol, retryCount = 0) {
     return {
         init,
         loadTradesFromStorage,
+        syncTradesWithServer,
         updatePrices,
+        fetchCurrentPrice,
         addNewTrade,
         editTrade,
         deleteTrade,
@@ -2194,6 +2526,7 @@ async function fetchCurrentPrice(symbol, retryCount = 0) {
         formatDateForFilename,
         CURRENCY_SYMBOL,
         getCurrencySymbol,
+        setSymbolCurrency,
         
         // New export/import functions
         exportAllTradesJSON,
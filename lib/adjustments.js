@@ -0,0 +1,103 @@
+/**
+ * Corporate action adjustments
+ * Back-adjusts daily bars for splits and dividends so that corporate events
+ * don't show up as price gaps in indicators and backtests
+ */
+
+/**
+ * Get the adjustment factor for every bar
+ * Uses the provider's adjusted close where available, otherwise derives the
+ * factors from the split and dividend events. The adjusted close only holds
+ * for the events known when the bars were fetched; the history store re-fetches
+ * a symbol when a later event arrives, so stored bars never mix the two
+ * @param {Array} bars - Bars sorted oldest first
+ * @param {Array} events - Corporate events { date, type, ratio | amount }
+ * @returns {Array} - Price factor per bar (1 = unadjusted)
+ */
+function getAdjustmentFactors(bars, events = []) {
+  if (hasAdjustedClose(bars)) {
+    return bars.map(bar => bar.adjClose / bar.close);
+  }
+
+  const factors = new Array(bars.length).fill(1);
+  const sortedEvents = [...events].sort((a, b) => b.date.localeCompare(a.date));
+  let cumulative = 1;
+  let barIndex = bars.length - 1;
+
+  // Walk backwards so each event scales every bar before its ex-date
+  for (const event of sortedEvents) {
+    while (barIndex >= 0 && bars[barIndex].date >= event.date) {
+      factors[barIndex] = cumulative;
+      barIndex--;
+    }
+
+    if (event.type === 'split' && event.ratio > 0) {
+      cumulative /= event.ratio;
+    } else if (event.type === 'dividend' && barIndex >= 0) {
+      // Standard dividend adjustment using the close before the ex-date
+      const previousClose = bars[barIndex].close * cumulative;
+      if (previousClose > 0 && event.amount < previousClose) {
+        cumulative *= 1 - event.amount / previousClose;
+      }
+    }
+  }
+
+  while (barIndex >= 0) {
+    factors[barIndex] = cumulative;
+    barIndex--;
+  }
+
+  return factors;
+}
+
+// True when every bar carries a provider-supplied adjusted close
+function hasAdjustedClose(bars) {
+  return bars.length > 0 && bars.every(bar => typeof bar.adjClose === 'number' && bar.close);
+}
+
+/**
+ * Return split/dividend-adjusted copies of the bars
+ * @param {Array} bars - Bars sorted oldest first
+ * @param {Array} events - Corporate events
+ * @returns {Array} - Adjusted bars
+ */
+function adjustBars(bars, events = []) {
+  const factors = getAdjustmentFactors(bars, events);
+
+  // Providers that publish an adjusted close also publish split-adjusted volume
+  const splitFactors = hasAdjustedClose(bars)
+    ? null
+    : getAdjustmentFactors(bars, events.filter(event => event.type === 'split'));
+
+  return bars.map((bar, i) => ({
+    ...bar,
+    open: bar.open * factors[i],
+    high: bar.high * factors[i],
+    low: bar.low * factors[i],
+    close: bar.close * factors[i],
+    // Volume is only scaled by splits (more shares), never by dividends
+    volume: splitFactors && bar.volume ? Math.round(bar.volume / splitFactors[i]) : bar.volume
+  }));
+}
+
+/**
+ * Merge two event lists, later entries replacing earlier ones on the same date and type
+ * @param {Array} existing - Existing events
+ * @param {Array} incoming - New events
+ * @returns {Array} - Merged events sorted by date
+ */
+function mergeEvents(existing = [], incoming = []) {
+  const byKey = new Map();
+
+  [...existing, ...incoming].forEach(event => {
+    byKey.set(`${event.date}_${event.type}`, event);
+  });
+
+  return [...byKey.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = {
+  getAdjustmentFactors,
+  adjustBars,
+  mergeEvents
+};
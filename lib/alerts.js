@@ -0,0 +1,210 @@
+/**
+ * Signal alerts
+ * Sends the new entries found by a stored scan to webhooks and/or email so nobody has to
+ * keep the backtester open. An entry is new when its symbol and signal date weren't among
+ * the previous run's opportunities for the same universe (every entry is new on a
+ * universe's first run).
+ *
+ * Webhooks receive a JSON POST with a Slack/Mattermost-style `text` summary plus the scan
+ * and entries; email goes through any SMTP server (a local stub works for testing).
+ */
+
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+// ISO-style date strings (2024-05-01 or 2024-05-01T00:00:00.000Z) start with the day
+const ISO_DAY_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+/**
+ * Day an entry was signalled
+ * A fresh run holds the engine's Date, a run read back from the scan store its ISO string.
+ * Missing or invalid dates give '' rather than failing the whole alert
+ * @param {Object} trade - Open trade from a scan
+ * @returns {string} - YYYY-MM-DD, or '' when the date is missing or invalid
+ */
+function getSignalDay(trade) {
+  const value = trade ? trade.signalDate : null;
+
+  if (typeof value === 'string' && ISO_DAY_PATTERN.test(value)) {
+    return value.slice(0, 10);
+  }
+  if (value instanceof Date && !isNaN(value.getTime())) {
+    return value.toISOString().slice(0, 10);
+  }
+  return '';
+}
+
+/**
+ * Find the opportunities in a run whose signal wasn't in the previous run
+ * @param {Object} run - Stored scan run
+ * @param {Object|null} previousRun - Previous run of the same universe
+ * @returns {Array} - New opportunities ({ stock, trade })
+ */
+function findNewEntries(run, previousRun) {
+  const signalKey = opportunity => `${opportunity.stock.symbol}|${getSignalDay(opportunity.trade)}`;
+  const previous = new Set(previousRun ? previousRun.opportunities.map(signalKey) : []);
+
+  return run.opportunities.filter(opportunity => !previous.has(signalKey(opportunity)));
+}
+
+/**
+ * Format one entry as a line of text
+ * @param {Object} entry - Opportunity ({ stock, trade })
+ * @returns {string} - e.g. "RELIANCE.NS (Reliance Industries) signal 2025-03-28 @ 1275.40"
+ */
+function formatEntry({ stock, trade }) {
+  const price = typeof trade.entryPrice === 'number' ? ` @ ${trade.entryPrice.toFixed(2)}` : '';
+  return `${stock.symbol} (${stock.name}) signal ${getSignalDay(trade) || 'date unknown'}${price}`;
+}
+
+/**
+ * Describe a webhook without its path, which often carries the secret token
+ * @param {string} url - Webhook URL
+ * @returns {string} - e.g. "https://hooks.slack.com/..."
+ */
+function describeWebhook(url) {
+  try {
+    return `${new URL(url).origin}/...`;
+  } catch (error) {
+    return 'invalid webhook URL';
+  }
+}
+
+/**
+ * Build the alert subject and text body for a run's new entries
+ * @param {Object} run - Stored scan run
+ * @param {Array} entries - New opportunities
+ * @returns {Object} - { subject, text }
+ */
+function buildAlertMessage(run, entries) {
+  const session = run.tradingDate ? ` (${run.tradingDate})` : '';
+  const subject = `DTI: ${entries.length} new ${entries.length === 1 ? 'entry' : 'entries'} in ${run.universe}${session}`;
+  const text = [
+    subject,
+    '',
+    ...entries.map(entry => `- ${formatEntry(entry)}`),
+    '',
+    `${run.trigger === 'scheduled' ? 'Scheduled' : 'Manual'} scan ${run.id}, completed ${run.completedAt}`,
+    `Parameters: r=${run.params.r} s=${run.params.s} u=${run.params.u}, period ${run.period}, interval ${run.interval}`
+  ].join('\n');
+
+  return { subject, text };
+}
+
+/**
+ * Read the alert settings from the environment
+ *   ALERT_WEBHOOKS   - comma-separated webhook URLs
+ *   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (true for port 465), SMTP_USER, SMTP_PASS
+ *   ALERT_EMAIL_FROM, ALERT_EMAIL_TO (comma-separated recipients)
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { webhooks, smtp } where smtp is null unless SMTP_HOST and ALERT_EMAIL_TO are set
+ */
+function readAlertConfig(env) {
+  const list = value => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+  const recipients = list(env.ALERT_EMAIL_TO);
+
+  return {
+    webhooks: list(env.ALERT_WEBHOOKS),
+    smtp: env.SMTP_HOST && recipients.length > 0
+      ? {
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT, 10) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || '' } : undefined,
+        from: env.ALERT_EMAIL_FROM || `DTI Backtester <dti-alerts@${env.SMTP_HOST}>`,
+        to: recipients
+      }
+      : null
+  };
+}
+
+/**
+ * Create an alert notifier for the configured channels
+ * @param {Object} options - { webhooks, smtp, httpPost(url, body), createTransport(options) }
+ * @returns {Object} - { enabled, channels, notify(run, entries) }
+ */
+function createAlertNotifier({
+  webhooks = [],
+  smtp = null,
+  httpPost = (url, body) => axios.post(url, body, { timeout: 10000 }),
+  createTransport = options => nodemailer.createTransport(options)
+}) {
+  const transport = smtp
+    ? createTransport({ host: smtp.host, port: smtp.port, secure: smtp.secure, auth: smtp.auth })
+    : null;
+
+  // Post the alert to one webhook
+  async function sendWebhook(url, run, entries, message) {
+    try {
+      await httpPost(url, {
+        text: message.text,
+        scan: {
+          id: run.id,
+          universe: run.universe,
+          trigger: run.trigger,
+          tradingDate: run.tradingDate,
+          completedAt: run.completedAt,
+          params: run.params
+        },
+        entries: entries.map(({ stock, trade }) => ({ stock, trade }))
+      });
+      return { channel: 'webhook', target: describeWebhook(url), ok: true };
+    } catch (error) {
+      const status = error.response ? ` (HTTP ${error.response.status})` : '';
+      console.error(`Webhook alert to ${describeWebhook(url)} failed${status}:`, error.message);
+      return { channel: 'webhook', target: describeWebhook(url), ok: false, error: `${error.message}${status}` };
+    }
+  }
+
+  // Email the alert to every recipient
+  async function sendEmail(message) {
+    const target = smtp.to.join(', ');
+
+    try {
+      await transport.sendMail({ from: smtp.from, to: smtp.to, subject: message.subject, text: message.text });
+      return { channel: 'email', target, ok: true };
+    } catch (error) {
+      console.error(`Email alert to ${target} failed:`, error.message);
+      return { channel: 'email', target, ok: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send a run's new entries to every channel; failures are reported, not thrown
+   * @param {Object} run - Stored scan run
+   * @param {Array} entries - New opportunities
+   * @returns {Promise<Array>} - Delivery results [{ channel, target, ok, error? }]
+   */
+  async function notify(run, entries) {
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const message = buildAlertMessage(run, entries);
+    const deliveries = webhooks.map(url => sendWebhook(url, run, entries, message));
+    if (transport) {
+      deliveries.push(sendEmail(message));
+    }
+
+    const results = await Promise.all(deliveries);
+    console.log(`Alerted ${entries.length} new entries in ${run.universe}: ${results.filter(result => result.ok).length}/${results.length} deliveries succeeded`);
+    return results;
+  }
+
+  return {
+    enabled: webhooks.length > 0 || Boolean(transport),
+    channels: [
+      ...webhooks.map(url => ({ channel: 'webhook', target: describeWebhook(url) })),
+      ...(smtp ? [{ channel: 'email', target: smtp.to.join(', ') }] : [])
+    ],
+    notify
+  };
+}
+
+module.exports = {
+  getSignalDay,
+  findNewEntries,
+  buildAlertMessage,
+  readAlertConfig,
+  createAlertNotifier
+};
@@ -0,0 +1,112 @@
+/**
+ * Multi-symbol alignment
+ * Puts the bars of several symbols on one shared date index so they can be compared
+ * bar by bar (stock vs index, correlations, portfolio backtests).
+ *
+ * align=union (default) uses every date any symbol traded on; align=intersection keeps
+ * only the dates every symbol traded on, so nothing has to be filled.
+ *
+ * fill decides what a symbol gets on a union date it has no bar for (holidays, suspensions):
+ *   previous (default) - a flat bar at the previous close with zero volume
+ *   null               - null in every column
+ * Dates before a symbol's first bar are always null. Filled positions are flagged in
+ * the symbol's `filled` array.
+ */
+
+const { marketDataError } = require('./market-data-errors');
+
+const ALIGN_MODES = ['union', 'intersection'];
+const FILL_RULES = ['previous', 'null'];
+
+/**
+ * Validate the align and fill options
+ * @param {Object} options - { align, fill }
+ * @returns {Object} - Validated { align, fill }
+ */
+function validateAlignOptions({ align = 'union', fill = 'previous' }) {
+  if (!ALIGN_MODES.includes(align)) {
+    throw marketDataError('INVALID_REQUEST', `Unsupported align "${align}". Valid values: ${ALIGN_MODES.join(', ')}`);
+  }
+
+  if (!FILL_RULES.includes(fill)) {
+    throw marketDataError('INVALID_REQUEST', `Unsupported fill "${fill}". Valid values: ${FILL_RULES.join(', ')}`);
+  }
+
+  return { align, fill };
+}
+
+/**
+ * Build the shared date index
+ * @param {Array} histories - [{ symbol, bars }]
+ * @param {string} align - union or intersection
+ * @returns {Array} - Sorted dates
+ */
+function buildDateIndex(histories, align) {
+  const counts = new Map();
+
+  histories.forEach(({ bars }) => {
+    new Set(bars.map(bar => bar.date)).forEach(date => {
+      counts.set(date, (counts.get(date) || 0) + 1);
+    });
+  });
+
+  return [...counts.keys()]
+    .filter(date => align === 'union' || counts.get(date) === histories.length)
+    .sort();
+}
+
+/**
+ * Align several symbols' bars on a common date index
+ * @param {Array} histories - [{ symbol, bars }] with bars sorted oldest first
+ * @param {Object} options - { align, fill }
+ * @returns {Object} - { dates, series: { [symbol]: { open, high, low, close, volume, filled } } }
+ */
+function alignHistories(histories, { align = 'union', fill = 'previous' } = {}) {
+  const dates = buildDateIndex(histories, align);
+  const series = {};
+
+  histories.forEach(({ symbol, bars }) => {
+    const byDate = new Map(bars.map(bar => [bar.date, bar]));
+    const columns = { open: [], high: [], low: [], close: [], volume: [], filled: [] };
+    let previousClose = null;
+
+    dates.forEach(date => {
+      const bar = byDate.get(date);
+
+      if (bar) {
+        columns.open.push(bar.open);
+        columns.high.push(bar.high);
+        columns.low.push(bar.low);
+        columns.close.push(bar.close);
+        columns.volume.push(bar.volume);
+        columns.filled.push(false);
+        previousClose = bar.close;
+      } else if (fill === 'previous' && previousClose !== null) {
+        columns.open.push(previousClose);
+        columns.high.push(previousClose);
+        columns.low.push(previousClose);
+        columns.close.push(previousClose);
+        columns.volume.push(0);
+        columns.filled.push(true);
+      } else {
+        columns.open.push(null);
+        columns.high.push(null);
+        columns.low.push(null);
+        columns.close.push(null);
+        columns.volume.push(null);
+        columns.filled.push(previousClose !== null);
+      }
+    });
+
+    series[symbol] = columns;
+  });
+
+  return { dates, series };
+}
+
+module.exports = {
+  ALIGN_MODES,
+  FILL_RULES,
+  validateAlignOptions,
+  alignHistories
+};
@@ -0,0 +1,155 @@
+/**
+ * Exchange time helpers
+ * Converts bar timestamps into the exchange's local calendar date/time and
+ * works out how long intraday data stays valid around the trading session
+ */
+
+// Bar length in seconds for each supported interval
+const INTERVAL_SECONDS = {
+  '5m': 5 * 60,
+  '15m': 15 * 60,
+  '60m': 60 * 60,
+  '1d': 24 * 60 * 60
+};
+
+// Shortest time any intraday response is cached for
+const MIN_TTL_SECONDS = 60;
+
+// Intl formatters are expensive to build, so keep one per timezone
+const formatters = new Map();
+
+// Get a YYYY-MM-DD HH:mm formatter for an IANA timezone
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  
+  return formatters.get(timezone);
+}
+
+// Format a timestamp as local parts, falling back to a fixed GMT offset
+function toLocalParts(timestamp, timezone, gmtoffset) {
+  if (timezone) {
+    try {
+      const parts = {};
+      getFormatter(timezone).formatToParts(new Date(timestamp * 1000)).forEach(part => {
+        parts[part.type] = part.value;
+      });
+      return parts;
+    } catch (error) {
+      // Unknown timezone name - fall back to the fixed offset below
+    }
+  }
+  
+  const iso = new Date((timestamp + (gmtoffset || 0)) * 1000).toISOString();
+  return {
+    year: iso.slice(0, 4),
+    month: iso.slice(5, 7),
+    day: iso.slice(8, 10),
+    hour: iso.slice(11, 13),
+    minute: iso.slice(14, 16)
+  };
+}
+
+/**
+ * Format a Unix timestamp as the exchange's local trading date
+ * @param {number} timestamp - Unix seconds
+ * @param {string} [timezone] - IANA timezone of the exchange (e.g. 'Asia/Kolkata')
+ * @param {number} [gmtoffset] - Offset from UTC in seconds, used if the timezone is unknown
+ * @returns {string} - Date as YYYY-MM-DD
+ */
+function formatExchangeDate(timestamp, timezone, gmtoffset = 0) {
+  const parts = toLocalParts(timestamp, timezone, gmtoffset);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Format a Unix timestamp as the exchange's local date and time (intraday bars)
+ * @param {number} timestamp - Unix seconds
+ * @param {string} [timezone] - IANA timezone of the exchange
+ * @param {number} [gmtoffset] - Offset from UTC in seconds, used if the timezone is unknown
+ * @returns {string} - Date and time as YYYY-MM-DD HH:mm
+ */
+function formatExchangeDateTime(timestamp, timezone, gmtoffset = 0) {
+  const parts = toLocalParts(timestamp, timezone, gmtoffset);
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+/**
+ * Get the exchange's local calendar date, weekday and time of day
+ * @param {string} timezone - IANA timezone of the exchange
+ * @param {Date} [now] - Current time
+ * @returns {Object} - { date: 'YYYY-MM-DD', weekday: 0-6 (Sunday = 0), minutes: minutes since midnight }
+ */
+function getExchangeClock(timezone, now = new Date()) {
+  const parts = toLocalParts(Math.floor(now.getTime() / 1000), timezone, 0);
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  
+  return {
+    date,
+    weekday: new Date(`${date}T00:00:00Z`).getUTCDay(),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+/**
+ * Check whether an interval is intraday
+ * @param {string} interval - Interval string (e.g. '15m')
+ * @returns {boolean} - True for minute/hour bars
+ */
+function isIntradayInterval(interval) {
+  return /^\d+[mh]$/.test(interval);
+}
+
+/**
+ * Work out how long intraday data stays valid
+ * While the exchange is open the data expires with the next bar; after the
+ * close it is kept until the next session opens.
+ * @param {string} interval - Interval string (e.g. '5m')
+ * @param {Object} [session] - { start, end } ISO strings of the current regular session
+ * @param {Date} [now] - Current time
+ * @returns {number} - TTL in seconds
+ */
+function getSessionTTL(interval, session, now = new Date()) {
+  const barSeconds = INTERVAL_SECONDS[interval] || MIN_TTL_SECONDS;
+  
+  if (!session || !session.start || !session.end) {
+    return Math.max(barSeconds, MIN_TTL_SECONDS);
+  }
+  
+  const start = new Date(session.start).getTime();
+  const end = new Date(session.end).getTime();
+  const current = now.getTime();
+  
+  // Market open: refresh as soon as the next bar is due
+  if (current >= start && current < end) {
+    return Math.max(barSeconds, MIN_TTL_SECONDS);
+  }
+  
+  // Before today's open: keep until the open
+  if (current < start) {
+    return Math.max(Math.round((start - current) / 1000), MIN_TTL_SECONDS);
+  }
+  
+  // After the close: keep until roughly the same time next day
+  // (Yahoo reports the next session once it is the current one)
+  const nextStart = start + 24 * 60 * 60 * 1000;
+  return Math.max(Math.round((nextStart - current) / 1000), MIN_TTL_SECONDS);
+}
+
+module.exports = {
+  INTERVAL_SECONDS,
+  formatExchangeDate,
+  formatExchangeDateTime,
+  getExchangeClock,
+  isIntradayInterval,
+  getSessionTTL
+};
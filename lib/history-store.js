@@ -0,0 +1,217 @@
+/**
+ * History store
+ * Durable per-symbol store of daily bars. Each symbol is kept once on disk
+ * (covering the longest period requested so far) and refreshed by fetching
+ * only the missing tail from the market data provider.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getPeriodStart } = require('./periods');
+const { mergeEvents } = require('./adjustments');
+
+// Bump when the stored bar format changes so old files are re-fetched
+// (4: files that merged a tail across a split or dividend are on two price bases)
+const STORE_VERSION = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a history store backed by a directory of JSON files
+ * @param {Object} options - { provider, dir, refreshSeconds, logger } where logger defaults to console
+ * @returns {Object} - Store with getDailyHistory(symbol, period)
+ */
+function createHistoryStore({ provider, dir, refreshSeconds, logger = console }) {
+  const storeDir = path.resolve(dir, provider.name);
+  const entries = new Map();
+  const locks = new Map();
+
+  fs.mkdirSync(storeDir, { recursive: true });
+
+  // Path of the JSON file holding a symbol's bars
+  function entryPath(symbol) {
+    return path.join(storeDir, `${encodeURIComponent(symbol)}.json`);
+  }
+
+  // Load a symbol's entry from memory or disk
+  async function loadEntry(symbol) {
+    if (entries.has(symbol)) {
+      return entries.get(symbol);
+    }
+
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(entryPath(symbol), 'utf8'));
+      if (entry.version !== STORE_VERSION) {
+        return null;
+      }
+      entries.set(symbol, entry);
+      return entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Ignoring unreadable history file for ${symbol}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  // Write an entry atomically so a crash never leaves a half-written file
+  async function saveEntry(entry) {
+    const filePath = entryPath(entry.symbol);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    entries.set(entry.symbol, entry);
+    await fs.promises.writeFile(tempPath, JSON.stringify(entry));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  // Fetch the full period and replace whatever was stored
+  async function fetchFull(symbol, period, requiredStart) {
+    logger.log(`History store: fetching ${period} of daily data for ${symbol}`);
+    const history = await provider.fetchHistory(symbol, { period, interval: '1d' });
+
+    const entry = {
+      version: STORE_VERSION,
+      symbol,
+      coveredFrom: requiredStart ? toDateString(requiredStart) : null,
+      refreshedAt: new Date().toISOString(),
+      meta: history.meta || null,
+      bars: history.bars,
+      events: history.events || []
+    };
+
+    await saveEntry(entry);
+    return entry;
+  }
+
+  // Fetch bars from the last stored date onwards and merge them in
+  // The provider adjusts prices for splits and dividends at fetch time, so a corporate event
+  // on or after the last stored bar (which is replaced, as it may have been partial) puts the
+  // stored bars and the tail on different bases: the whole period is fetched again instead.
+  // Events already stored were known when the bars were fetched, so they don't count
+  async function fetchTail(entry, period, requiredStart) {
+    const lastDate = entry.bars.length > 0
+      ? entry.bars[entry.bars.length - 1].date
+      : entry.coveredFrom;
+    const start = new Date(`${lastDate}T00:00:00Z`);
+
+    logger.log(`History store: refreshing ${entry.symbol} from ${lastDate}`);
+    const history = await provider.fetchHistory(entry.symbol, {
+      interval: '1d',
+      start,
+      end: new Date(Date.now() + DAY_MS)
+    });
+
+    const known = new Set(entry.events.map(event => `${event.date}_${event.type}`));
+    const rebasingEvent = (history.events || []).find(event =>
+      event.date >= lastDate && !known.has(`${event.date}_${event.type}`));
+    if (rebasingEvent) {
+      logger.log(`History store: ${entry.symbol} has a ${rebasingEvent.type} on ${rebasingEvent.date}, re-fetching its history`);
+      return fetchFull(entry.symbol, period, requiredStart);
+    }
+
+    // The last stored bar may have been a partial session, so it is replaced too
+    const updated = {
+      ...entry,
+      refreshedAt: new Date().toISOString(),
+      meta: history.meta || entry.meta,
+      bars: mergeBars(entry.bars, history.bars),
+      events: mergeEvents(entry.events, history.events)
+    };
+
+    await saveEntry(updated);
+    return updated;
+  }
+
+  // Run tasks for the same symbol one after another
+  function withLock(symbol, task) {
+    const previous = locks.get(symbol) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    const release = () => {
+      if (locks.get(symbol) === next) locks.delete(symbol);
+    };
+
+    locks.set(symbol, next);
+    next.then(release, release);
+    return next;
+  }
+
+  /**
+   * Get daily bars and corporate events for a period, fetching only what the store is missing
+   * @param {string} symbol - Stock symbol
+   * @param {string} period - Period string (e.g. '5y')
+   * @returns {Promise<Object>} - { symbol, meta, bars, events, stale } covering the period, oldest first.
+   *   stale is true when the provider couldn't be reached and stored bars were served instead
+   */
+  async function getDailyHistory(symbol, period) {
+    const requiredStart = getPeriodStart(period);
+    const { entry, stale } = await withLock(symbol, () => ensureCoverage(symbol, period, requiredStart));
+
+    if (!requiredStart) {
+      return { symbol, meta: entry.meta, bars: entry.bars, events: entry.events, stale };
+    }
+
+    const startDate = toDateString(requiredStart);
+    return {
+      symbol,
+      meta: entry.meta,
+      bars: entry.bars.filter(bar => bar.date >= startDate),
+      events: entry.events.filter(event => event.date >= startDate),
+      stale
+    };
+  }
+
+  // Make sure the stored entry covers the period and is fresh
+  // If the provider is rate limited or down, whatever is stored is served as stale
+  async function ensureCoverage(symbol, period, requiredStart) {
+    const entry = await loadEntry(symbol);
+
+    const covers = entry && entry.bars.length > 0 && (entry.coveredFrom === null ||
+      (requiredStart && toDateString(requiredStart) >= entry.coveredFrom));
+
+    try {
+      if (!covers) {
+        return { entry: await fetchFull(symbol, period, requiredStart), stale: false };
+      }
+
+      if (Date.now() - new Date(entry.refreshedAt).getTime() > refreshSeconds * 1000) {
+        return { entry: await fetchTail(entry, period, requiredStart), stale: false };
+      }
+    } catch (error) {
+      if (!error.retryable || !entry || entry.bars.length === 0) {
+        throw error;
+      }
+
+      logger.warn(`History store: serving stale data for ${symbol} (${error.code})`);
+      return { entry, stale: true };
+    }
+
+    logger.log(`History store hit for ${symbol} (${period})`);
+    return { entry, stale: false };
+  }
+
+  return {
+    getDailyHistory
+  };
+}
+
+// Merge newer bars into stored bars, newer values winning on the same date
+function mergeBars(storedBars, newBars) {
+  if (newBars.length === 0) {
+    return storedBars;
+  }
+
+  const firstNewDate = newBars[0].date;
+  return [
+    ...storedBars.filter(bar => bar.date < firstNewDate),
+    ...newBars
+  ];
+}
+
+// Format a Date as YYYY-MM-DD (UTC)
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+module.exports = {
+  createHistoryStore
+};
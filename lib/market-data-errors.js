@@ -0,0 +1,70 @@
+/**
+ * Market data errors
+ * Typed errors for stock data requests. Each error carries a code, the HTTP status
+ * it maps to and whether retrying the same request later could succeed.
+ */
+
+const ERROR_TYPES = {
+  INVALID_SYMBOL: { status: 400, retryable: false },
+  INVALID_PERIOD: { status: 400, retryable: false },
+  INVALID_INTERVAL: { status: 400, retryable: false },
+  INVALID_FORMAT: { status: 400, retryable: false },
+  INVALID_REQUEST: { status: 400, retryable: false },
+  NOT_FOUND: { status: 404, retryable: false },
+  SYMBOL_NOT_FOUND: { status: 404, retryable: false },
+  NO_DATA: { status: 404, retryable: false },
+  UPSTREAM_RATE_LIMITED: { status: 429, retryable: true },
+  UPSTREAM_UNAVAILABLE: { status: 503, retryable: true },
+  UPSTREAM_ERROR: { status: 502, retryable: false },
+  RECORDING_NOT_FOUND: { status: 500, retryable: false }
+};
+
+/**
+ * Create a typed market data error
+ * @param {string} code - One of the ERROR_TYPES codes
+ * @param {string} message - Error message
+ * @param {Object} [details] - Extra properties (e.g. retryAfter seconds)
+ * @returns {Error} - Error with code, status and retryable properties
+ */
+function marketDataError(code, message, details = {}) {
+  const type = ERROR_TYPES[code] || ERROR_TYPES.UPSTREAM_ERROR;
+  const error = new Error(message);
+
+  error.code = code;
+  error.status = type.status;
+  error.retryable = type.retryable;
+  Object.assign(error, details);
+
+  return error;
+}
+
+/**
+ * Check whether an error is already a typed market data error
+ * @param {Error} error - Any error
+ * @returns {boolean} - True for errors created by marketDataError
+ */
+function isMarketDataError(error) {
+  return Boolean(error && ERROR_TYPES[error.code] && error.status);
+}
+
+/**
+ * Build the JSON body sent for a typed error
+ * @param {Error} error - Typed market data error
+ * @param {string} summary - Short description of the failed operation
+ * @returns {Object} - { error, code, message, retryable }
+ */
+function toErrorResponse(error, summary) {
+  return {
+    error: summary,
+    code: error.code,
+    message: error.message,
+    retryable: error.retryable
+  };
+}
+
+module.exports = {
+  ERROR_TYPES,
+  marketDataError,
+  isMarketDataError,
+  toErrorResponse
+};
@@ -0,0 +1,49 @@
+/**
+ * Period helpers
+ * Converts Yahoo-style range strings (1mo, 5y, ytd, ...) into date ranges
+ */
+
+const VALID_PERIODS = ['1d', '5d', '1mo', '3mo', '6mo', '1y', '2y', '5y', '10y', 'ytd', 'max'];
+
+/**
+ * Get the first date covered by a period ending at the given date
+ * @param {string} period - Period string (e.g. '5y')
+ * @param {Date} [endDate] - End of the period, defaults to now
+ * @returns {Date|null} - Start date, or null for 'max'
+ */
+function getPeriodStart(period, endDate = new Date()) {
+  const start = new Date(endDate.getTime());
+  const match = /^(\d+)(d|mo|y)$/.exec(period);
+  
+  if (period === 'max') {
+    return null;
+  }
+  
+  if (period === 'ytd') {
+    return new Date(Date.UTC(endDate.getUTCFullYear(), 0, 1));
+  }
+  
+  if (!match) {
+    throw new Error(`Unsupported period "${period}"`);
+  }
+  
+  const amount = parseInt(match[1], 10);
+  switch (match[2]) {
+    case 'd':
+      start.setUTCDate(start.getUTCDate() - amount);
+      break;
+    case 'mo':
+      start.setUTCMonth(start.getUTCMonth() - amount);
+      break;
+    case 'y':
+      start.setUTCFullYear(start.getUTCFullYear() - amount);
+      break;
+  }
+  
+  return start;
+}
+
+module.exports = {
+  VALID_PERIODS,
+  getPeriodStart
+};
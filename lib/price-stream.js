@@ -0,0 +1,115 @@
+/**
+ * Price stream
+ * Polls the market data provider once per subscribed symbol, however many clients
+ * are listening, and fans each new price out to every subscriber of that symbol.
+ */
+
+/**
+ * Create a shared price poller
+ * @param {Object} options - { fetchQuote(symbol), intervalSeconds }
+ * @returns {Object} - Stream with subscribe(symbols, listener) and getSymbols()
+ */
+function createPriceStream({ fetchQuote, intervalSeconds }) {
+  // symbol -> { listeners: Set, lastQuote, lastError, polling }
+  const symbols = new Map();
+  let timer = null;
+
+  // Fetch one symbol and notify its listeners when the price or quote time moves
+  async function pollSymbol(symbol) {
+    const entry = symbols.get(symbol);
+    if (!entry || entry.polling) {
+      return;
+    }
+
+    entry.polling = true;
+    try {
+      const quote = await fetchQuote(symbol);
+      const last = entry.lastQuote;
+      entry.lastError = null;
+
+      if (!last || last.price !== quote.price || last.marketTime !== quote.marketTime) {
+        entry.lastQuote = quote;
+        entry.listeners.forEach(listener => listener({ type: 'price', quote }));
+      }
+    } catch (error) {
+      // Report each failure once rather than on every poll
+      if (entry.lastError !== error.message) {
+        entry.lastError = error.message;
+        entry.listeners.forEach(listener => listener({ type: 'error', symbol, message: error.message }));
+      }
+    } finally {
+      entry.polling = false;
+    }
+  }
+
+  // Poll every subscribed symbol
+  function pollAll() {
+    symbols.forEach((entry, symbol) => pollSymbol(symbol));
+  }
+
+  /**
+   * Subscribe a listener to price ticks for some symbols
+   * The latest known price is replayed straight away; new symbols are fetched immediately
+   * @param {Array} symbolList - Symbols to watch
+   * @param {function} listener - Called with { type: 'price', quote } or { type: 'error', symbol, message }
+   * @returns {function} - Unsubscribe function
+   */
+  function subscribe(symbolList, listener) {
+    symbolList.forEach(symbol => {
+      let entry = symbols.get(symbol);
+
+      if (!entry) {
+        entry = { listeners: new Set(), lastQuote: null, lastError: null, polling: false };
+        symbols.set(symbol, entry);
+        entry.listeners.add(listener);
+        pollSymbol(symbol);
+      } else {
+        entry.listeners.add(listener);
+        if (entry.lastQuote) {
+          listener({ type: 'price', quote: entry.lastQuote });
+        } else if (entry.lastError) {
+          listener({ type: 'error', symbol, message: entry.lastError });
+        }
+      }
+    });
+
+    if (!timer) {
+      timer = setInterval(pollAll, intervalSeconds * 1000);
+    }
+
+    return () => {
+      symbolList.forEach(symbol => {
+        const entry = symbols.get(symbol);
+        if (!entry) return;
+
+        entry.listeners.delete(listener);
+        if (entry.listeners.size === 0) {
+          symbols.delete(symbol);
+        }
+      });
+
+      // Stop polling altogether once nobody is listening
+      if (symbols.size === 0 && timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    };
+  }
+
+  /**
+   * Get the symbols currently being polled
+   * @returns {Array} - Symbols with at least one subscriber
+   */
+  function getSymbols() {
+    return [...symbols.keys()];
+  }
+
+  return {
+    subscribe,
+    getSymbols
+  };
+}
+
+module.exports = {
+  createPriceStream
+};
@@ -0,0 +1,258 @@
+/**
+ * CSV directory market data provider
+ * Serves daily bars from a local directory with one <SYMBOL>.csv file per symbol,
+ * in any of the CSV layouts accepted by the backtester's file upload.
+ * Corporate events can be supplied in an optional <SYMBOL>.events.csv file
+ * with date,type,value columns (type is dividend or split, split values like 2:1).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DTIData = require('../../js/dti-data');
+const { getPeriodStart } = require('../periods');
+const { marketDataError } = require('../market-data-errors');
+
+const ADJ_CLOSE_HEADERS = ['adj close', 'adj_close', 'adjclose', 'adjusted close'];
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+/**
+ * Create the CSV directory provider
+ * @param {Object} options - { dataDir, logger } where logger defaults to console
+ * @returns {Object} - Provider implementing fetchHistory
+ */
+function createCsvProvider({ dataDir, logger = console }) {
+  if (!dataDir) {
+    throw new Error('CSV_DATA_DIR must be set to use the csv market data provider');
+  }
+
+  const baseDir = path.resolve(dataDir);
+
+  async function fetchHistory(symbol, { period, interval, start, end }) {
+    if (interval !== '1d') {
+      throw marketDataError('INVALID_INTERVAL', `The csv provider only serves daily data (interval "${interval}" requested)`);
+    }
+
+    const filePath = await findSymbolFile(baseDir, symbol);
+    if (!filePath) {
+      throw marketDataError('SYMBOL_NOT_FOUND', `No CSV file found for ${symbol} in ${baseDir}`);
+    }
+
+    logger.log(`Reading CSV data for ${symbol} from ${filePath}`);
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    const bars = parseCsvBars(text, logger);
+
+    if (bars.length === 0) {
+      throw marketDataError('NO_DATA', `No valid rows in ${filePath}`);
+    }
+
+    // Periods are measured back from the last bar so fixtures stay deterministic
+    const lastDate = new Date(`${bars[bars.length - 1].date}T00:00:00Z`);
+    const rangeStart = start || (period ? getPeriodStart(period, lastDate) : null);
+    const inRange = item => {
+      const itemDate = new Date(`${item.date}T00:00:00Z`);
+      return (!rangeStart || itemDate >= rangeStart) && (!end || itemDate <= end);
+    };
+
+    const events = await readEvents(baseDir, symbol);
+
+    return {
+      symbol,
+      meta: { exchange: null, timezone: null, currency: null },
+      bars: bars.filter(inRange),
+      events: events.filter(inRange)
+    };
+  }
+
+  // The latest close in the file stands in for a live quote
+  async function fetchQuote(symbol) {
+    const { bars } = await fetchHistory(symbol, { period: '5d', interval: '1d' });
+    const last = bars[bars.length - 1];
+    const previous = bars[bars.length - 2];
+
+    return {
+      symbol,
+      price: last.close,
+      previousClose: previous ? previous.close : null,
+      currency: null,
+      exchange: null,
+      timezone: null,
+      marketTime: `${last.date}T00:00:00.000Z`
+    };
+  }
+
+  return {
+    name: 'csv',
+    local: true,
+    fetchHistory,
+    fetchQuote
+  };
+}
+
+// Find <symbol><suffix> in the data directory, ignoring case
+async function findSymbolFile(baseDir, symbol, suffix = '.csv') {
+  const wanted = `${symbol}${suffix}`.toLowerCase();
+  const files = await fs.promises.readdir(baseDir);
+  const match = files.find(file => file.toLowerCase() === wanted);
+
+  return match ? path.join(baseDir, match) : null;
+}
+
+// Read the optional <symbol>.events.csv file
+async function readEvents(baseDir, symbol) {
+  const filePath = await findSymbolFile(baseDir, symbol, '.events.csv');
+  if (!filePath) {
+    return [];
+  }
+
+  const rows = parseCsvText(await fs.promises.readFile(filePath, 'utf8'));
+  const headers = rows[0].map(h => h.trim().toLowerCase());
+  const dateIndex = headers.indexOf('date');
+  const typeIndex = headers.indexOf('type');
+  const valueIndex = headers.indexOf('value');
+
+  return rows.slice(1)
+    .map(row => {
+      const date = parseDateCell(row[dateIndex] || '');
+      const type = (row[typeIndex] || '').trim().toLowerCase();
+      const value = (row[valueIndex] || '').trim();
+
+      if (!date) return null;
+
+      if (type === 'dividend') {
+        const amount = parseNumberCell(value);
+        return isNaN(amount) ? null : { date, type, amount };
+      }
+
+      if (type === 'split') {
+        const [numerator, denominator = '1'] = value.split(/[:/]/);
+        const ratio = parseNumberCell(numerator) / parseNumberCell(denominator);
+        return ratio > 0 ? { date, type, ratio, splitRatio: value } : null;
+      }
+
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Split CSV text into rows, honouring double-quoted fields
+function parseCsvText(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Parse a date cell ("2024-04-22", "22-Apr-24", "04/22/2024") into YYYY-MM-DD
+function parseDateCell(value) {
+  const text = String(value).trim();
+  const dayMonthYear = /^(\d{1,2})-([A-Za-z]{3})-(\d{2,4})$/.exec(text);
+  let date;
+
+  if (dayMonthYear) {
+    let year = parseInt(dayMonthYear[3], 10);
+    if (year < 100) {
+      year += 2000;
+    }
+    const month = MONTHS[dayMonthYear[2].toLowerCase()];
+    if (month === undefined) return null;
+    date = new Date(Date.UTC(year, month, parseInt(dayMonthYear[1], 10)));
+  } else if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    date = new Date(`${text.slice(0, 10)}T00:00:00Z`);
+  } else {
+    const parsed = new Date(text);
+    if (isNaN(parsed.getTime())) return null;
+    date = new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()));
+  }
+
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+// Parse a numeric cell, handling commas used as thousand separators
+function parseNumberCell(value) {
+  if (value === undefined || value === null) return NaN;
+  return parseFloat(String(value).replace(/,/g, ''));
+}
+
+/**
+ * Parse CSV text into sorted daily bars
+ * @param {string} text - CSV file contents
+ * @param {Object} [logger] - Where format detection is logged (default console)
+ * @returns {Array} - Bars sorted oldest first
+ */
+function parseCsvBars(text, logger = console) {
+  const data = parseCsvText(text);
+  const formatInfo = DTIData.detectCSVFormat(data, logger);
+  const volumeIndex = formatInfo.headers.indexOf('volume');
+  const adjCloseIndex = formatInfo.headers.findIndex(header => ADJ_CLOSE_HEADERS.includes(header));
+  const barsByDate = new Map();
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const date = parseDateCell(row[formatInfo.dateIndex] || '');
+    const bar = {
+      date,
+      open: parseNumberCell(row[formatInfo.openIndex]),
+      high: parseNumberCell(row[formatInfo.highIndex]),
+      low: parseNumberCell(row[formatInfo.lowIndex]),
+      close: parseNumberCell(row[formatInfo.closeIndex]),
+      volume: volumeIndex !== -1 ? parseNumberCell(row[volumeIndex]) || 0 : 0
+    };
+
+    if (!date || isNaN(bar.open) || isNaN(bar.high) || isNaN(bar.low) || isNaN(bar.close)) {
+      continue;
+    }
+
+    if (adjCloseIndex !== -1 && !isNaN(parseNumberCell(row[adjCloseIndex]))) {
+      bar.adjClose = parseNumberCell(row[adjCloseIndex]);
+    }
+
+    barsByDate.set(date, bar);
+  }
+
+  return [...barsByDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = {
+  createCsvProvider,
+  parseCsvBars
+};
@@ -0,0 +1,60 @@
+/**
+ * Market data providers
+ *
+ * Every provider exposes the same interface:
+ *   name - provider identifier
+ *   local - true when the data is already on disk (skips the history store)
+ *   fetchHistory(symbol, { period, interval, start, end }) - resolves to { symbol, meta, bars, events }
+ *     where meta is { exchange, timezone, currency, session? }, bars are
+ *     { date, open, high, low, close, volume, adjClose? } sorted oldest first and dated
+ *     in the exchange's local calendar ('YYYY-MM-DD', or 'YYYY-MM-DD HH:mm' for
+ *     intraday intervals), and events are { date, type: 'dividend', amount } or { date, type: 'split', ratio }.
+ *     Either a period ('5y') or a start/end Date range is given.
+ *   fetchQuote(symbol) - resolves to { symbol, price, previousClose, currency, exchange, timezone, marketTime }
+ *
+ * The provider is chosen per deployment with MARKET_DATA_PROVIDER (yahoo | csv).
+ * The csv provider reads <SYMBOL>.csv files from CSV_DATA_DIR.
+ *
+ * MARKET_DATA_MODE=record saves every raw Yahoo response under RECORDINGS_DIR and
+ * MARKET_DATA_MODE=replay serves only from those recordings (no network access).
+ * Both modes bypass the history store so each request maps to one recording.
+ */
+
+const { createYahooProvider, fetchUrl } = require('./yahoo');
+const { createCsvProvider } = require('./csv');
+const { createRecordingClient } = require('./recorder');
+
+const PROVIDERS = {
+  yahoo: ({ logger }) => {
+    const mode = process.env.MARKET_DATA_MODE || 'live';
+    const httpGet = createRecordingClient({
+      mode,
+      dir: process.env.RECORDINGS_DIR || 'data/recordings',
+      httpGet: fetchUrl,
+      logger
+    });
+    
+    return { ...createYahooProvider({ httpGet, logger }), mode, local: mode !== 'live' };
+  },
+  csv: ({ logger }) => createCsvProvider({ dataDir: process.env.CSV_DATA_DIR, logger })
+};
+
+/**
+ * Create the provider configured for this deployment
+ * @param {string} [name] - Provider name, defaults to MARKET_DATA_PROVIDER or 'yahoo'
+ * @param {Object} [options] - { logger } for the provider's progress messages (default console)
+ * @returns {Object} - Market data provider
+ */
+function createProvider(name = process.env.MARKET_DATA_PROVIDER || 'yahoo', { logger = console } = {}) {
+  const factory = PROVIDERS[name.toLowerCase()];
+  
+  if (!factory) {
+    throw new Error(`Unknown market data provider "${name}". Valid values: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  
+  return factory({ logger });
+}
+
+module.exports = {
+  createProvider
+};
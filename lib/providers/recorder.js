@@ -0,0 +1,104 @@
+/**
+ * Upstream response recorder
+ * Wraps a provider's HTTP client so raw upstream responses can be recorded to disk
+ * (MARKET_DATA_MODE=record) and later served back without network access
+ * (MARKET_DATA_MODE=replay). Each recording is one JSON file keyed by the request URL:
+ *   <dir>/<encoded symbol>__<url hash>.json = { url, recordedAt, status, headers, data }
+ * Error responses (404, 429, ...) are recorded too so failures replay the same way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { marketDataError } = require('../market-data-errors');
+
+const MODES = ['live', 'record', 'replay'];
+
+/**
+ * Get the recording file for a request URL
+ * @param {string} dir - Recordings directory
+ * @param {string} symbol - Symbol the request is for (used to keep file names readable)
+ * @param {string} url - Request URL
+ * @returns {string} - File path
+ */
+function recordingPath(dir, symbol, url) {
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+  return path.join(dir, `${encodeURIComponent(symbol)}__${hash}.json`);
+}
+
+/**
+ * Wrap an HTTP GET function with record or replay behaviour
+ * @param {Object} options - { mode, dir, httpGet(url), logger } where logger defaults to console
+ * @returns {function} - get(url, symbol) resolving to { status, data } like the wrapped client
+ */
+function createRecordingClient({ mode, dir, httpGet, logger = console }) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown MARKET_DATA_MODE "${mode}". Valid values: ${MODES.join(', ')}`);
+  }
+
+  if (mode === 'live') {
+    return url => httpGet(url);
+  }
+
+  const baseDir = path.resolve(dir);
+  fs.mkdirSync(baseDir, { recursive: true });
+
+  // Save a response (or error response) as a recording
+  async function save(filePath, url, response) {
+    const recording = {
+      url,
+      recordedAt: new Date().toISOString(),
+      status: response.status,
+      headers: { 'retry-after': response.headers ? response.headers['retry-after'] : undefined },
+      data: response.data
+    };
+
+    await fs.promises.writeFile(filePath, JSON.stringify(recording, null, 2));
+    logger.log(`Recorded ${url} -> ${filePath}`);
+  }
+
+  async function record(url, symbol) {
+    const filePath = recordingPath(baseDir, symbol, url);
+
+    try {
+      const response = await httpGet(url);
+      await save(filePath, url, response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        await save(filePath, url, error.response);
+      }
+      throw error;
+    }
+  }
+
+  async function replay(url, symbol) {
+    const filePath = recordingPath(baseDir, symbol, url);
+    let recording;
+
+    try {
+      recording = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      logger.error(`Replay mode: no recording for ${url} (expected ${filePath})`);
+      throw marketDataError('RECORDING_NOT_FOUND',
+        `Replay mode has no recording for ${url}. Record it first with MARKET_DATA_MODE=record (expected ${filePath})`);
+    }
+
+    // Recorded error responses are rethrown the way the HTTP client reported them
+    if (recording.status >= 400) {
+      const error = new Error(`Request failed with status code ${recording.status} (replayed)`);
+      error.isAxiosError = true;
+      error.response = { status: recording.status, data: recording.data, headers: recording.headers || {} };
+      throw error;
+    }
+
+    return { status: recording.status, data: recording.data };
+  }
+
+  return mode === 'record' ? record : replay;
+}
+
+module.exports = {
+  MODES,
+  createRecordingClient
+};
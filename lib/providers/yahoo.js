@@ -0,0 +1,240 @@
+/**
+ * Yahoo Finance market data provider
+ * Fetches daily/intraday bars from the Yahoo Finance chart API
+ */
+
+const axios = require('axios');
+const { formatExchangeDate, formatExchangeDateTime, isIntradayInterval } = require('../exchange-time');
+const { marketDataError, isMarketDataError } = require('../market-data-errors');
+
+const CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart';
+
+// Give up on a request after this long; a hung connection would otherwise hold every
+// caller waiting on the same fetch (and a circuit breaker's trial request) forever
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Fetch a Yahoo Finance URL
+ * @param {string} url - Request URL
+ * @returns {Promise<Object>} - Axios response (rejects with ECONNABORTED on timeout)
+ */
+function fetchUrl(url) {
+  return axios.get(url, { timeout: REQUEST_TIMEOUT_MS });
+}
+
+/**
+ * Create the Yahoo Finance provider
+ * @param {Object} [options] - { httpGet(url, symbol) } to replace the HTTP client (record/replay)
+ *                             and { logger } for request logging (default console)
+ * @returns {Object} - Provider implementing fetchHistory
+ */
+function createYahooProvider({ httpGet = fetchUrl, logger = console } = {}) {
+  // Yahoo Finance data fetcher (either a range such as '5y' or an explicit start/end)
+  async function fetchHistory(symbol, { period, interval, start, end }) {
+    const range = start
+      ? `period1=${toUnixSeconds(start)}&period2=${toUnixSeconds(end || new Date())}`
+      : `range=${period}`;
+    const url = `${CHART_URL}/${symbol}?${range}&interval=${interval}&includePrePost=false&events=div,splits`;
+    
+    try {
+      logger.log(`Calling Yahoo Finance API: ${url}`);
+      const response = await httpGet(url, symbol);
+      const data = response.data;
+      
+      if (!data.chart || !data.chart.result || data.chart.result.length === 0) {
+        throw marketDataError('NO_DATA', `No data received from Yahoo Finance for ${symbol}`);
+      }
+      
+      return processYahooData(symbol, data, interval);
+    } catch (error) {
+      logger.error(`Yahoo Finance API error: ${error.message}`);
+      if (error.response) {
+        logger.error(`Status: ${error.response.status}, Data:`, error.response.data);
+      }
+      throw toMarketDataError(error, symbol);
+    }
+  }
+  
+  // Latest price from the chart metadata (the quote API needs a session crumb)
+  async function fetchQuote(symbol) {
+    const url = `${CHART_URL}/${symbol}?range=1d&interval=1d&includePrePost=false`;
+    
+    try {
+      logger.log(`Calling Yahoo Finance API: ${url}`);
+      const response = await httpGet(url, symbol);
+      const data = response.data;
+      
+      if (!data.chart || !data.chart.result || data.chart.result.length === 0) {
+        throw marketDataError('NO_DATA', `No data received from Yahoo Finance for ${symbol}`);
+      }
+      
+      return processYahooQuote(symbol, data);
+    } catch (error) {
+      logger.error(`Yahoo Finance API error: ${error.message}`);
+      throw toMarketDataError(error, symbol);
+    }
+  }
+  
+  return {
+    name: 'yahoo',
+    fetchHistory,
+    fetchQuote
+  };
+}
+
+// Map a failed Yahoo Finance request to a typed market data error
+function toMarketDataError(error, symbol) {
+  if (isMarketDataError(error)) {
+    return error;
+  }
+  
+  if (!error.isAxiosError) {
+    return marketDataError('UPSTREAM_ERROR', `Yahoo Finance API error: ${error.message}`);
+  }
+  
+  const response = error.response;
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return marketDataError('UPSTREAM_UNAVAILABLE', `Yahoo Finance did not respond within ${REQUEST_TIMEOUT_MS / 1000}s`);
+  }
+  
+  if (!response) {
+    return marketDataError('UPSTREAM_UNAVAILABLE', `Yahoo Finance unreachable: ${error.message}`);
+  }
+  
+  const chartError = response.data && response.data.chart && response.data.chart.error;
+  const detail = (chartError && chartError.description) || error.message;
+  
+  if (response.status === 404) {
+    return marketDataError('SYMBOL_NOT_FOUND', `Symbol ${symbol} not found: ${detail}`);
+  }
+  
+  if (response.status === 429) {
+    const retryAfter = parseInt(response.headers && response.headers['retry-after'], 10);
+    return marketDataError('UPSTREAM_RATE_LIMITED', 'Yahoo Finance rate limit reached, try again later',
+      isNaN(retryAfter) ? {} : { retryAfter });
+  }
+  
+  if (response.status >= 500) {
+    return marketDataError('UPSTREAM_UNAVAILABLE', `Yahoo Finance returned ${response.status}: ${detail}`);
+  }
+  
+  if (response.status === 400 && /interval|range/i.test(detail)) {
+    return marketDataError('INVALID_INTERVAL', detail);
+  }
+  
+  return marketDataError('UPSTREAM_ERROR', `Yahoo Finance API error: ${detail}`);
+}
+
+// Convert a Date to Unix seconds for the chart API
+function toUnixSeconds(date) {
+  return Math.floor(date.getTime() / 1000);
+}
+
+// Process Yahoo Finance data into bars (intraday bars are stamped with local time too)
+function processYahooData(symbol, yahooData, interval = '1d') {
+  const result = yahooData.chart.result[0];
+  const meta = processYahooMeta(result.meta);
+  const quotes = result.indicators.quote[0];
+  const adjClose = result.indicators.adjclose ? result.indicators.adjclose[0].adjclose : null;
+  const timestamps = result.timestamp || [];
+  const bars = [];
+  const formatBarDate = isIntradayInterval(interval) ? formatExchangeDateTime : formatExchangeDate;
+  
+  for (let i = 0; i < timestamps.length; i++) {
+    // Stamp each bar with the exchange's local trading date, not the UTC date
+    const dateString = formatBarDate(timestamps[i], meta.timezone, meta.gmtoffset);
+    
+    // Skip points with null/undefined values
+    if (quotes.open[i] === null || quotes.high[i] === null || 
+        quotes.low[i] === null || quotes.close[i] === null) {
+      continue;
+    }
+    
+    const bar = {
+      date: dateString,
+      open: quotes.open[i],
+      high: quotes.high[i],
+      low: quotes.low[i],
+      close: quotes.close[i],
+      volume: quotes.volume[i]
+    };
+    
+    if (adjClose && typeof adjClose[i] === 'number') {
+      bar.adjClose = adjClose[i];
+    }
+    
+    bars.push(bar);
+  }
+  
+  return {
+    symbol,
+    meta,
+    bars,
+    events: processYahooEvents(result.events, meta)
+  };
+}
+
+// Extract exchange, timezone, currency and the current session from the chart metadata
+function processYahooMeta(yahooMeta = {}) {
+  const regular = yahooMeta.currentTradingPeriod && yahooMeta.currentTradingPeriod.regular;
+  
+  return {
+    exchange: yahooMeta.exchangeName || null,
+    fullExchangeName: yahooMeta.fullExchangeName || null,
+    timezone: yahooMeta.exchangeTimezoneName || null,
+    gmtoffset: typeof yahooMeta.gmtoffset === 'number' ? yahooMeta.gmtoffset : 0,
+    currency: yahooMeta.currency || null,
+    instrumentType: yahooMeta.instrumentType || null,
+    session: regular ? {
+      start: new Date(regular.start * 1000).toISOString(),
+      end: new Date(regular.end * 1000).toISOString()
+    } : null
+  };
+}
+
+// Process Yahoo Finance dividend and split events
+function processYahooEvents(yahooEvents = {}, meta = {}) {
+  const toDateString = timestamp => formatExchangeDate(timestamp, meta.timezone, meta.gmtoffset);
+  
+  const dividends = Object.values(yahooEvents.dividends || {}).map(dividend => ({
+    date: toDateString(dividend.date),
+    type: 'dividend',
+    amount: dividend.amount
+  }));
+  
+  const splits = Object.values(yahooEvents.splits || {}).map(split => ({
+    date: toDateString(split.date),
+    type: 'split',
+    ratio: split.numerator / split.denominator,
+    splitRatio: split.splitRatio || `${split.numerator}:${split.denominator}`
+  }));
+  
+  return [...dividends, ...splits].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Process Yahoo Finance chart metadata into a quote
+function processYahooQuote(symbol, yahooData) {
+  const yahooMeta = yahooData.chart.result[0].meta || {};
+  const meta = processYahooMeta(yahooMeta);
+  
+  if (typeof yahooMeta.regularMarketPrice !== 'number') {
+    throw marketDataError('NO_DATA', `No price available for ${symbol}`);
+  }
+  
+  return {
+    symbol,
+    price: yahooMeta.regularMarketPrice,
+    previousClose: yahooMeta.chartPreviousClose !== undefined ? yahooMeta.chartPreviousClose : null,
+    currency: meta.currency,
+    exchange: meta.exchange,
+    timezone: meta.timezone,
+    marketTime: yahooMeta.regularMarketTime ? new Date(yahooMeta.regularMarketTime * 1000).toISOString() : null
+  };
+}
+
+module.exports = {
+  createYahooProvider,
+  fetchUrl,
+  processYahooData,
+  processYahooQuote
+};
@@ -0,0 +1,85 @@
+/**
+ * Request validation
+ * Checks symbols, periods, intervals and response formats before a request is served
+ */
+
+const { VALID_PERIODS, getPeriodStart } = require('./periods');
+const { marketDataError } = require('./market-data-errors');
+const { FORMATS } = require('./response-formats');
+
+// Yahoo-style symbols: RELIANCE.NS, M&M.NS, BRK-B, ^NSEI, GC=F
+const SYMBOL_PATTERN = /^[A-Za-z0-9^][A-Za-z0-9.\-&=^]{0,24}$/;
+
+// Supported intervals and how far back each one goes (in days, null = unlimited)
+const INTERVAL_LIMITS = {
+  '5m': 60,
+  '15m': 60,
+  '60m': 730,
+  '1d': null
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a stock symbol
+ * @param {string} symbol - Symbol from the request
+ * @returns {string} - Trimmed symbol
+ */
+function validateSymbol(symbol) {
+  const trimmed = String(symbol || '').trim();
+
+  if (!SYMBOL_PATTERN.test(trimmed)) {
+    throw marketDataError('INVALID_SYMBOL', `"${trimmed}" is not a valid symbol`);
+  }
+
+  return trimmed;
+}
+
+/**
+ * Validate a period/interval combination
+ * Intraday intervals are only available for a limited look-back
+ * @param {Object} params - { period, interval }
+ * @returns {Object} - The validated { period, interval }
+ */
+function validateHistoryParams({ period, interval }) {
+  if (!VALID_PERIODS.includes(period)) {
+    throw marketDataError('INVALID_PERIOD', `Unsupported period "${period}". Valid values: ${VALID_PERIODS.join(', ')}`);
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(INTERVAL_LIMITS, interval)) {
+    throw marketDataError('INVALID_INTERVAL', `Unsupported interval "${interval}". Valid values: ${Object.keys(INTERVAL_LIMITS).join(', ')}`);
+  }
+
+  const maxDays = INTERVAL_LIMITS[interval];
+  if (maxDays !== null) {
+    const now = new Date();
+    const start = getPeriodStart(period, now);
+    const days = start ? (now - start) / DAY_MS : Infinity;
+
+    if (days > maxDays) {
+      throw marketDataError('INVALID_INTERVAL', `Interval "${interval}" is only available for the last ${maxDays} days (period "${period}" requested)`);
+    }
+  }
+
+  return { period, interval };
+}
+
+/**
+ * Validate a response format name
+ * @param {string} format - Format from the request
+ * @returns {string} - The validated format
+ */
+function validateFormat(format) {
+  if (!FORMATS.includes(format)) {
+    throw marketDataError('INVALID_FORMAT', `Unsupported format "${format}". Valid values: ${FORMATS.join(', ')}`);
+  }
+
+  return format;
+}
+
+module.exports = {
+  INTERVAL_LIMITS,
+  validateSymbol,
+  validateHistoryParams,
+  validateFormat
+};
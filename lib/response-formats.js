@@ -0,0 +1,86 @@
+/**
+ * Response formats for historical bars
+ *   rows     - CSV-shaped array of arrays with a header row (the original format)
+ *   objects  - array of { date, open, high, low, close, volume }
+ *   columnar - { dates, open, high, low, close, volume } arrays, ready for DTIIndicators
+ *   csv      - text/csv body
+ */
+
+const FORMATS = ['rows', 'objects', 'columnar', 'csv'];
+
+const COLUMNS = ['date', 'open', 'high', 'low', 'close', 'volume'];
+
+/**
+ * Pick the response format from the format parameter or the Accept header
+ * @param {Object} req - Express request
+ * @returns {string} - Requested format name (not validated)
+ */
+function negotiateFormat(req) {
+  if (req.query.format) {
+    return String(req.query.format).toLowerCase();
+  }
+
+  return req.accepts(['application/json', 'text/csv']) === 'text/csv' ? 'csv' : 'rows';
+}
+
+/**
+ * Convert bars to a JSON response format
+ * @param {Array} bars - Bars sorted oldest first
+ * @param {string} format - rows, objects or columnar
+ * @returns {Array|Object} - Formatted data
+ */
+function formatBars(bars, format) {
+  switch (format) {
+    case 'objects':
+      return bars.map(bar => ({
+        date: bar.date,
+        open: bar.open,
+        high: bar.high,
+        low: bar.low,
+        close: bar.close,
+        volume: bar.volume
+      }));
+    case 'columnar':
+      return {
+        dates: bars.map(bar => bar.date),
+        open: bars.map(bar => bar.open),
+        high: bars.map(bar => bar.high),
+        low: bars.map(bar => bar.low),
+        close: bars.map(bar => bar.close),
+        volume: bars.map(bar => bar.volume)
+      };
+    default:
+      return toCSVRows(bars);
+  }
+}
+
+/**
+ * Convert bars to the CSV-shaped rows returned by the API
+ * @param {Array} bars - Bars sorted oldest first
+ * @returns {Array} - Header row followed by one row per bar
+ */
+function toCSVRows(bars) {
+  return [
+    COLUMNS,
+    ...bars.map(bar => COLUMNS.map(column => bar[column]))
+  ];
+}
+
+/**
+ * Convert bars to CSV text
+ * @param {Array} bars - Bars sorted oldest first
+ * @returns {string} - CSV with a header line
+ */
+function toCSVText(bars) {
+  return toCSVRows(bars)
+    .map(row => row.map(value => (value === null || value === undefined ? '' : value)).join(','))
+    .join('\n') + '\n';
+}
+
+module.exports = {
+  FORMATS,
+  negotiateFormat,
+  formatBars,
+  toCSVRows,
+  toCSVText
+};
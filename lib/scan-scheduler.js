@@ -0,0 +1,163 @@
+/**
+ * Scan scheduler
+ * Runs the DTI scan for each configured universe once per trading day, shortly after its
+ * exchange closes. The schedule is checked every minute against the exchange's local
+ * clock. A session that had already closed when the server started is only scanned with
+ * catchUp, so a restart doesn't kick off a scan of every universe. A universe counts as
+ * scanned for a trading day once a scheduled run for that date is stored.
+ * Exchange holidays aren't known; a holiday run just rescans the previous session.
+ */
+
+const { getExchangeClock } = require('./exchange-time');
+
+// Regular session close for each exchange, in the exchange's local time
+const EXCHANGES = {
+  NSE: { timezone: 'Asia/Kolkata', close: '15:30' },
+  LSE: { timezone: 'Europe/London', close: '16:30' },
+  NYSE: { timezone: 'America/New_York', close: '16:00' }
+};
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Wait before retrying a universe whose scheduled run failed
+const RETRY_DELAY_MS = 15 * 60 * 1000;
+
+/**
+ * Get the trading date a scan is due for, if the exchange has closed today
+ * @param {string} exchange - Exchange code (NSE, LSE, NYSE)
+ * @param {number} delayMinutes - Minutes after the close before scanning
+ * @param {Date} [now] - Current time
+ * @returns {string|null} - Exchange-local YYYY-MM-DD, or null if no scan is due yet
+ */
+function getDueTradingDate(exchange, delayMinutes, now = new Date()) {
+  const session = EXCHANGES[exchange];
+  if (!session) {
+    return null;
+  }
+
+  const [hour, minute] = session.close.split(':').map(Number);
+  const clock = getExchangeClock(session.timezone, now);
+  const weekday = clock.weekday >= 1 && clock.weekday <= 5;
+
+  return weekday && clock.minutes >= hour * 60 + minute + delayMinutes ? clock.date : null;
+}
+
+/**
+ * Create a scheduler for after-close scans
+ * @param {Object} options - { jobs: [{ universe, exchange }], delayMinutes, catchUp,
+ *                           runJob(job, tradingDate), lastTradingDate(universe), now }
+ *                           lastTradingDate resolves to the date of the universe's last
+ *                           stored scheduled run (or null); catchUp also scans sessions
+ *                           that closed before start; now returns the current time
+ * @returns {Object} - { start, stop, check, getState }
+ */
+function createScanScheduler({ jobs, delayMinutes = 30, catchUp = false, runJob, lastTradingDate, now = () => new Date() }) {
+  const state = new Map(jobs.map(job => [job.universe, {
+    ...job,
+    lastTradingDate: undefined,
+    lastRunAt: null,
+    lastError: null,
+    retryAt: 0,
+    skipTradingDate: null
+  }]));
+  let timer = null;
+  let checking = false;
+
+  // Run every due job, one at a time so scans don't compete for the upstream
+  async function check() {
+    if (checking) {
+      return;
+    }
+    checking = true;
+
+    try {
+      for (const job of state.values()) {
+        const tradingDate = getDueTradingDate(job.exchange, delayMinutes, now());
+        if (!tradingDate || tradingDate === job.skipTradingDate || now().getTime() < job.retryAt) {
+          continue;
+        }
+
+        if (job.lastTradingDate === undefined) {
+          job.lastTradingDate = await lastTradingDate(job.universe);
+        }
+        if (job.lastTradingDate && job.lastTradingDate >= tradingDate) {
+          continue;
+        }
+
+        try {
+          console.log(`Scheduled scan of ${job.universe} for ${job.exchange} session ${tradingDate}`);
+          await runJob(job, tradingDate);
+          job.lastTradingDate = tradingDate;
+          job.lastRunAt = new Date().toISOString();
+          job.lastError = null;
+        } catch (error) {
+          console.error(`Scheduled scan of ${job.universe} failed:`, error.message);
+          job.lastError = error.message;
+          job.retryAt = now().getTime() + RETRY_DELAY_MS;
+        }
+      }
+    } finally {
+      checking = false;
+    }
+  }
+
+  /**
+   * Start checking the schedule every minute
+   * Without catchUp, sessions that have already closed are skipped; with it they are
+   * scanned straight away unless a run for them is stored
+   */
+  function start() {
+    if (timer || state.size === 0) {
+      return;
+    }
+    if (!catchUp) {
+      state.forEach(job => {
+        job.skipTradingDate = getDueTradingDate(job.exchange, delayMinutes, now());
+      });
+    }
+    timer = setInterval(check, CHECK_INTERVAL_MS);
+    if (timer.unref) {
+      timer.unref();
+    }
+    if (catchUp) {
+      check();
+    }
+  }
+
+  /**
+   * Stop checking the schedule
+   */
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  /**
+   * Describe the schedule for status responses
+   * @returns {Array} - [{ universe, exchange, close, timezone, lastTradingDate, lastRunAt, lastError }]
+   */
+  function getState() {
+    return [...state.values()].map(job => ({
+      universe: job.universe,
+      exchange: job.exchange,
+      close: EXCHANGES[job.exchange] ? EXCHANGES[job.exchange].close : null,
+      timezone: EXCHANGES[job.exchange] ? EXCHANGES[job.exchange].timezone : null,
+      lastTradingDate: job.lastTradingDate || null,
+      lastRunAt: job.lastRunAt,
+      lastError: job.lastError
+    }));
+  }
+
+  return {
+    start,
+    stop,
+    check,
+    getState
+  };
+}
+
+module.exports = {
+  EXCHANGES,
+  getDueTradingDate,
+  createScanScheduler
+};
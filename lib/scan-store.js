@@ -0,0 +1,164 @@
+/**
+ * Scan store
+ * Keeps the results of server-side scan runs (scheduled or manual) so the backtester page
+ * can show the latest opportunities without rescanning. Each run is one JSON file:
+ *   <dir>/<id>.json = { id, universe, trigger, tradingDate, period, interval, adjusted,
+ *                       params, startedAt, completedAt, totalStocks, processed,
+ *                       opportunities, failures, staleSymbols, warnings }
+ * Only the newest runs per universe are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Build an error carrying an HTTP-friendly code
+ * @param {string} code - NOT_FOUND
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a code property
+ */
+function scanStoreError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Summarise a run for listings (everything except the opportunity and failure lists)
+ * @param {Object} run - Stored run
+ * @returns {Object} - Run summary with opportunity and failure counts
+ */
+function summarizeRun(run) {
+  const { opportunities, failures, staleSymbols, ...summary } = run;
+
+  return {
+    ...summary,
+    opportunityCount: opportunities.length,
+    failureCount: failures.length
+  };
+}
+
+/**
+ * Create a scan store backed by a directory of JSON files
+ * @param {Object} options - { dir, retain } where retain is the number of runs kept per universe
+ * @returns {Object} - Store with list, get, latest and save
+ */
+function createScanStore({ dir, retain = 30 }) {
+  const baseDir = path.resolve(dir);
+  let runs = null;
+  let queue = Promise.resolve();
+
+  // Load every stored run once, newest first
+  async function load() {
+    if (runs) {
+      return runs;
+    }
+
+    let files = [];
+    try {
+      files = (await fs.promises.readdir(baseDir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Unable to read scans directory ${baseDir}: ${error.message}`);
+      }
+    }
+
+    const loaded = await Promise.all(files.map(async file => {
+      try {
+        return JSON.parse(await fs.promises.readFile(path.join(baseDir, file), 'utf8'));
+      } catch (error) {
+        console.error(`Skipping unreadable scan file ${file}: ${error.message}`);
+        return null;
+      }
+    }));
+
+    runs = loaded.filter(Boolean).sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    return runs;
+  }
+
+  // Run changes one after another so pruning never races a save
+  function serialize(task) {
+    const next = queue.catch(() => {}).then(task);
+    queue = next;
+    return next;
+  }
+
+  // Build a sortable, readable id from the start time and universe
+  function createId(run) {
+    return `${run.startedAt.replace(/[-:.]/g, '')}-${run.universe}`;
+  }
+
+  /**
+   * List run summaries, newest first
+   * @param {Object} [options] - { universe, limit }
+   * @returns {Promise<Array>} - Run summaries
+   */
+  async function list({ universe, limit = 50 } = {}) {
+    return (await load())
+      .filter(run => !universe || run.universe === universe)
+      .slice(0, limit)
+      .map(summarizeRun);
+  }
+
+  /**
+   * Get one run by id
+   * @param {string} id - Run id
+   * @returns {Promise<Object>} - Stored run
+   */
+  async function get(id) {
+    const run = (await load()).find(item => item.id === id);
+    if (!run) {
+      throw scanStoreError('NOT_FOUND', `Scan ${id} not found`);
+    }
+    return run;
+  }
+
+  /**
+   * Get the newest run, optionally for one universe or trigger
+   * @param {Object} [options] - { universe, trigger }
+   * @returns {Promise<Object|null>} - Stored run, or null if there is none
+   */
+  async function latest({ universe, trigger } = {}) {
+    return (await load()).find(run =>
+      (!universe || run.universe === universe) && (!trigger || run.trigger === trigger)) || null;
+  }
+
+  /**
+   * Store a completed run and prune old runs of the same universe
+   * @param {Object} run - Run without an id
+   * @returns {Promise<Object>} - Stored run with its id
+   */
+  function save(run) {
+    return serialize(async () => {
+      const all = await load();
+      const stored = { id: createId(run), ...run };
+      const tempPath = path.join(baseDir, `${stored.id}.json.${process.pid}.tmp`);
+
+      await fs.promises.mkdir(baseDir, { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(stored, null, 2));
+      await fs.promises.rename(tempPath, path.join(baseDir, `${stored.id}.json`));
+
+      all.unshift(stored);
+      all.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+
+      const expired = all.filter(item => item.universe === stored.universe).slice(retain);
+      for (const item of expired) {
+        await fs.promises.unlink(path.join(baseDir, `${item.id}.json`)).catch(() => {});
+        all.splice(all.indexOf(item), 1);
+      }
+
+      return stored;
+    });
+  }
+
+  return {
+    list,
+    get,
+    latest,
+    save
+  };
+}
+
+module.exports = {
+  createScanStore
+};
@@ -0,0 +1,220 @@
+/**
+ * DTI Scanner - Server-side scan module
+ * Runs the DTI indicator and backtest over a list of stocks in one request
+ */
+
+const DTIBacktest = require('../js/dti-backtest');
+const { getPeriodStart } = require('./periods');
+const { marketDataError } = require('./market-data-errors');
+
+// Same defaults as the backtester page
+const DEFAULT_PARAMS = DTIBacktest.DEFAULT_CONFIG;
+
+// Number of symbols fetched and processed at the same time
+const SCAN_CONCURRENCY = 5;
+
+/**
+ * Resolve the list of stocks to scan from an index name or a symbol list
+ * Index scans include every stock that was a member at some point in the period, with
+ * its membership periods, so results aren't limited to today's survivors
+ * @param {Object} options - { index, symbols, period }
+ * @param {Object} universeStore - Store holding the index constituent lists
+ * @returns {Promise<Array>} - List of { name, symbol, periods? } objects
+ */
+async function resolveStocks({ index, symbols, period = '5y' }, universeStore) {
+  if (symbols) {
+    const list = Array.isArray(symbols) ? symbols : String(symbols).split(',');
+    return deduplicateStocks(
+      list
+        .map(symbol => symbol.trim().toUpperCase())
+        .filter(Boolean)
+        .map(symbol => ({ name: symbol, symbol }))
+    );
+  }
+
+  // Universe ids (nifty50) and scan types (indian) both resolve through the store
+  try {
+    return await universeStore.resolve(index, { from: getPeriodStart(period) });
+  } catch (error) {
+    throw error.code === 'NOT_FOUND' ? marketDataError('NOT_FOUND', error.message) : error;
+  }
+}
+
+/**
+ * Warn about universes in an index scan that have no membership history
+ * Their current members are scanned over the whole period, so past results are
+ * survivor-biased until a dated list is imported (see lib/universe-store.js)
+ * @param {string} index - Universe or scan type id
+ * @param {Object} universeStore - Store holding the index constituent lists
+ * @returns {Promise<Array>} - Warning messages, empty when every universe has history
+ */
+async function getMembershipWarnings(index, universeStore) {
+  const scanType = (await universeStore.getScanTypes()).find(type => type.id === index);
+  const ids = scanType ? scanType.universes : [index];
+
+  return (await universeStore.list())
+    .filter(universe => ids.includes(universe.id) && !universe.membershipHistory)
+    .map(universe => `${universe.id} has no membership history; today's constituents are used for the whole period (survivorship bias). Import a CSV with From/To columns to fix this`);
+}
+
+/**
+ * Remove duplicate symbols from a combined stock list
+ * @param {Array} stockList - List of stock objects
+ * @returns {Array} - Deduplicated list
+ */
+function deduplicateStocks(stockList) {
+  const seen = new Set();
+  return stockList.filter(stock => {
+    if (seen.has(stock.symbol)) return false;
+    seen.add(stock.symbol);
+    return true;
+  });
+}
+
+/**
+ * Build DTI and trading parameters from query string values
+ * @param {Object} query - Request query object
+ * @returns {Object} - Parsed parameters
+ */
+function parseScanParams(query) {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? fallback : parsed;
+  };
+
+  const params = {
+    r: Math.round(number(query.r, DEFAULT_PARAMS.r)),
+    s: Math.round(number(query.s, DEFAULT_PARAMS.s)),
+    u: Math.round(number(query.u, DEFAULT_PARAMS.u)),
+    entryThreshold: number(query.entryThreshold, DEFAULT_PARAMS.entryThreshold),
+    takeProfitPercent: number(query.takeProfit, DEFAULT_PARAMS.takeProfitPercent),
+    stopLossPercent: number(query.stopLoss, DEFAULT_PARAMS.stopLossPercent),
+    maxHoldingDays: Math.round(number(query.maxDays, DEFAULT_PARAMS.maxHoldingDays)),
+    enable7DayDTI: query.weeklyDti === undefined ? DEFAULT_PARAMS.enable7DayDTI : query.weeklyDti !== 'false'
+  };
+
+  const errors = [];
+  if (params.r <= 0 || params.s <= 0 || params.u <= 0) errors.push('r, s and u must be positive numbers');
+  if (params.takeProfitPercent <= 0) errors.push('takeProfit must be a positive number');
+  if (params.stopLossPercent <= 0) errors.push('stopLoss must be a positive number');
+  if (params.maxHoldingDays <= 0) errors.push('maxDays must be a positive number');
+
+  if (errors.length > 0) {
+    throw marketDataError('INVALID_REQUEST', errors.join('; '));
+  }
+
+  return params;
+}
+
+/**
+ * Run DTI calculation and backtest on CSV-shaped price rows
+ * @param {Array} rows - Array of rows with a header row (date, open, high, low, close, volume)
+ * @param {Object} params - Scan parameters
+ * @returns {Object|null} - Backtest result or null if the data is unusable
+ */
+function analyzeRows(rows, params) {
+  if (!rows || rows.length < 2) {
+    return null;
+  }
+
+  const headers = rows[0];
+  const dateIndex = headers.indexOf('date');
+  const highIndex = headers.indexOf('high');
+  const lowIndex = headers.indexOf('low');
+  const closeIndex = headers.indexOf('close');
+
+  const bars = rows.slice(1)
+    .filter(row => row && row[dateIndex] && !isNaN(parseFloat(row[highIndex])) &&
+      !isNaN(parseFloat(row[lowIndex])) && !isNaN(parseFloat(row[closeIndex])))
+    .sort((a, b) => new Date(a[dateIndex]) - new Date(b[dateIndex]));
+
+  if (bars.length < 2) {
+    return null;
+  }
+
+  const dates = bars.map(row => row[dateIndex]);
+  const high = bars.map(row => parseFloat(row[highIndex]));
+  const low = bars.map(row => parseFloat(row[lowIndex]));
+  const close = bars.map(row => parseFloat(row[closeIndex]));
+
+  return DTIBacktest.runBacktest({ dates, high, low, close }, params);
+}
+
+/**
+ * Summarise a stock's backtest for the scan response
+ * @param {Object} stock - Stock object
+ * @param {Object} result - Backtest result
+ * @returns {Object} - Per-stock summary
+ */
+function summarizeStock(stock, result) {
+  const { equityCurve, ...metrics } = DTIBacktest.calculatePerformanceMetrics(result.completedTrades);
+
+  return {
+    stock,
+    metrics,
+    activeTrade: result.activeTrade,
+    trades: result.completedTrades
+  };
+}
+
+/**
+ * Scan a list of stocks for active DTI opportunities
+ * @param {Array} stocks - List of { name, symbol } objects
+ * @param {Object} options - { params, period, fetchData(symbol, period) }
+ * @returns {Promise<Object>} - Opportunities, per-stock summaries and failures
+ */
+async function runScan(stocks, { params, period, fetchData }) {
+  const summaries = [];
+  const failures = [];
+  const startedAt = new Date();
+
+  for (let i = 0; i < stocks.length; i += SCAN_CONCURRENCY) {
+    const batch = stocks.slice(i, i + SCAN_CONCURRENCY);
+
+    await Promise.all(batch.map(async stock => {
+      try {
+        const rows = await fetchData(stock.symbol, period);
+        const result = analyzeRows(rows, params);
+
+        if (!result) {
+          failures.push({ symbol: stock.symbol, error: 'Not enough data' });
+          return;
+        }
+
+        // Former or later index members only count trades from their membership periods
+        summaries.push(summarizeStock(stock, DTIBacktest.applyMembership(result, stock.periods)));
+      } catch (error) {
+        failures.push({ symbol: stock.symbol, error: error.message });
+      }
+    }));
+  }
+
+  // Keep the response order stable regardless of fetch completion order
+  const order = new Map(stocks.map((stock, index) => [stock.symbol, index]));
+  summaries.sort((a, b) => order.get(a.stock.symbol) - order.get(b.stock.symbol));
+
+  const opportunities = summaries
+    .filter(summary => summary.activeTrade)
+    .map(summary => ({ stock: summary.stock, trade: summary.activeTrade }));
+
+  return {
+    period,
+    params,
+    startedAt: startedAt.toISOString(),
+    completedAt: new Date().toISOString(),
+    totalStocks: stocks.length,
+    processed: summaries.length,
+    opportunities,
+    stocks: summaries,
+    failures
+  };
+}
+
+module.exports = {
+  DEFAULT_PARAMS,
+  resolveStocks,
+  getMembershipWarnings,
+  parseScanParams,
+  analyzeRows,
+  runScan
+};
@@ -0,0 +1,206 @@
+/**
+ * Trade store
+ * File-backed journal of trades shared by every browser that talks to this server.
+ * Trades are keyed by their client-generated id. Each write bumps the trade's
+ * revision so clients can detect when they are editing a stale copy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Build an error carrying an HTTP-friendly code and the stored trade, if any
+ * @param {string} code - NOT_FOUND, CONFLICT or INVALID_TRADE
+ * @param {string} message - Error message
+ * @param {Object} [trade] - Current stored trade (for conflicts)
+ * @returns {Error} - Error with code and trade properties
+ */
+function tradeStoreError(code, message, trade) {
+  const error = new Error(message);
+  error.code = code;
+  if (trade) {
+    error.trade = trade;
+  }
+  return error;
+}
+
+/**
+ * Create a trade store backed by a single JSON file
+ * @param {Object} options - { file }
+ * @returns {Object} - Store with list, get, create, save and remove
+ */
+function createTradeStore({ file }) {
+  const filePath = path.resolve(file);
+  let trades = null;
+  let queue = Promise.resolve();
+
+  // Load the trades file once, starting empty if it doesn't exist yet
+  async function load() {
+    if (trades) {
+      return trades;
+    }
+
+    try {
+      const stored = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      trades = new Map((stored.trades || []).map(trade => [trade.id, trade]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Unable to read trades file ${filePath}: ${error.message}`);
+      }
+      trades = new Map();
+    }
+
+    return trades;
+  }
+
+  // Write the whole journal atomically so a crash never leaves a half-written file
+  async function persist() {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify({ trades: [...trades.values()] }, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  // Run changes one after another so concurrent requests can't interleave
+  function serialize(task) {
+    const next = queue.catch(() => {}).then(task);
+    queue = next;
+    return next;
+  }
+
+  // Stamp a trade with its next revision
+  function stamp(trade, previous) {
+    return {
+      ...trade,
+      revision: previous ? previous.revision + 1 : 1,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  // Reject trades without an id (the id is what conflicts are detected on)
+  function validate(trade) {
+    if (!trade || typeof trade !== 'object' || typeof trade.id !== 'string' || trade.id.trim() === '') {
+      throw tradeStoreError('INVALID_TRADE', 'Trade must be an object with a string id');
+    }
+  }
+
+  // Reject revisions that could never match a stored one, rather than reporting a conflict
+  function validateRevision(revision) {
+    if (revision !== undefined && revision !== null && !(Number.isInteger(revision) && revision > 0)) {
+      throw tradeStoreError('INVALID_TRADE', 'Revision must be a positive whole number');
+    }
+  }
+
+  /**
+   * List all trades
+   * @returns {Promise<Array>} - Stored trades
+   */
+  async function list() {
+    return [...(await load()).values()];
+  }
+
+  /**
+   * Get one trade by id
+   * @param {string} id - Trade id
+   * @returns {Promise<Object>} - Stored trade
+   */
+  async function get(id) {
+    const trade = (await load()).get(id);
+    if (!trade) {
+      throw tradeStoreError('NOT_FOUND', `Trade ${id} not found`);
+    }
+    return trade;
+  }
+
+  /**
+   * Add a new trade; fails with CONFLICT if the id is already taken
+   * @param {Object} trade - Trade with a client-generated id
+   * @returns {Promise<Object>} - Stored trade with revision 1
+   */
+  function create(trade) {
+    return serialize(async () => {
+      validate(trade);
+      const stored = await load();
+
+      if (stored.has(trade.id)) {
+        throw tradeStoreError('CONFLICT', `Trade ${trade.id} already exists`, stored.get(trade.id));
+      }
+
+      const created = stamp(trade);
+      stored.set(created.id, created);
+      await persist();
+      return created;
+    });
+  }
+
+  /**
+   * Create or replace a trade
+   * The trade's revision must match the stored one, and new trades must not carry a revision,
+   * otherwise the write is rejected with CONFLICT and the stored trade
+   * @param {string} id - Trade id
+   * @param {Object} trade - Trade data including the revision it was based on
+   * @returns {Promise<Object>} - Stored trade with its new revision
+   */
+  function save(id, trade) {
+    return serialize(async () => {
+      validate(trade);
+      validateRevision(trade.revision);
+      if (trade.id !== id) {
+        throw tradeStoreError('INVALID_TRADE', `Trade id ${trade.id} does not match ${id}`);
+      }
+
+      const stored = await load();
+      const existing = stored.get(id);
+      const baseRevision = trade.revision || null;
+
+      if ((existing ? existing.revision : null) !== baseRevision) {
+        throw tradeStoreError('CONFLICT', `Trade ${id} was changed by another client`, existing);
+      }
+
+      const saved = stamp(trade, existing);
+      stored.set(id, saved);
+      await persist();
+      return saved;
+    });
+  }
+
+  /**
+   * Delete a trade, optionally only if it is still at the given revision
+   * @param {string} id - Trade id
+   * @param {number} [revision] - Revision the client last saw
+   * @returns {Promise<Object>} - The deleted trade
+   */
+  function remove(id, revision) {
+    return serialize(async () => {
+      validateRevision(revision);
+      const stored = await load();
+      const existing = stored.get(id);
+
+      if (!existing) {
+        throw tradeStoreError('NOT_FOUND', `Trade ${id} not found`);
+      }
+
+      if (revision !== undefined && existing.revision !== revision) {
+        throw tradeStoreError('CONFLICT', `Trade ${id} was changed by another client`, existing);
+      }
+
+      stored.delete(id);
+      await persist();
+      return existing;
+    });
+  }
+
+  return {
+    list,
+    get,
+    create,
+    save,
+    remove
+  };
+}
+
+module.exports = {
+  createTradeStore,
+  tradeStoreError
+};
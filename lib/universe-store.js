@@ -0,0 +1,495 @@
+/**
+ * Universe store
+ * Index constituent lists (Nifty 50, FTSE 100, ...) kept as data files on the server so
+ * rebalances don't need a code release. The directory holds:
+ *   index.json - { universes: [{ id, name, label, exchange? }], scanTypes: [{ id, name, label, universes }] }
+ *                in display order; scan types group several universes for multi-index scans and
+ *                exchange (NSE, LSE, NYSE) is where a universe trades, for scheduled scans
+ *   <id>.json  - { id, updatedAt, source, constituents: [{ name, symbol, from?, to? }] }
+ *
+ * Each constituent row is one membership period: from is the first day in the index and
+ * to the first day out of it (YYYY-MM-DD, missing = open-ended). A stock that left and
+ * rejoined has one row per period, so scans and backtests can include a stock only while
+ * it was actually a member instead of using today's (survivor-biased) list.
+ *
+ * The bundled lists are today's members without dates, so until a universe has membership
+ * history its scans treat every current member as a member for the whole period (summaries
+ * show membershipHistory: false and scans add a warning). To add history, export the
+ * index's changes as a CSV with Symbol, Name, From and To columns and import it; this
+ * replaces the stored rows:
+ *   curl -X PUT -H "Authorization: Bearer $ADMIN_TOKEN" -H "Content-Type: text/csv" \
+ *     --data-binary @nifty50-history.csv "http://localhost:3000/api/universes/nifty50?suffix=.NS"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateSymbol } = require('./request-validation');
+
+const UNIVERSE_ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,39}$/;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Build an error carrying an HTTP-friendly code
+ * @param {string} code - NOT_FOUND or INVALID_UNIVERSE
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a code property
+ */
+function universeStoreError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Split one CSV line into fields, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array} - Field values
+ */
+function splitCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} - Day string
+ */
+function toDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Validate an optional YYYY-MM-DD membership date
+ * @param {string} value - Date from a CSV or request
+ * @param {string} label - Field name for the error message
+ * @returns {string|null} - The day, or null when empty
+ */
+function parseDay(value, label) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (!DAY_PATTERN.test(value) || isNaN(new Date(value).getTime())) {
+    throw universeStoreError('INVALID_UNIVERSE', `${label} "${value}" must be a YYYY-MM-DD date`);
+  }
+
+  return value;
+}
+
+/**
+ * Check whether a membership row covers a day
+ * @param {Object} row - { from, to }
+ * @param {string} day - YYYY-MM-DD
+ * @returns {boolean} - True if the stock was a member on that day
+ */
+function isMemberOn(row, day) {
+  return (!row.from || row.from <= day) && (!row.to || day < row.to);
+}
+
+/**
+ * Group membership rows by symbol, keeping the periods that overlap a date range
+ * @param {Array} rows - Membership rows
+ * @param {Object} [range] - { from, to } as YYYY-MM-DD, either may be null
+ * @returns {Array} - [{ name, symbol, periods: [{ from, to }] }] in first-seen order
+ */
+function groupMembership(rows, { from = null, to = null } = {}) {
+  const stocks = new Map();
+
+  rows
+    .filter(row => (!from || !row.to || row.to > from) && (!to || !row.from || row.from <= to))
+    .forEach(row => {
+      if (!stocks.has(row.symbol)) {
+        stocks.set(row.symbol, { name: row.name, symbol: row.symbol, periods: [] });
+      }
+      const stock = stocks.get(row.symbol);
+      stock.name = row.name;
+      stock.periods.push({ from: row.from || null, to: row.to || null });
+    });
+
+  return [...stocks.values()];
+}
+
+/**
+ * Parse a constituents CSV into membership rows
+ * Needs a header row with a symbol column (Symbol, Ticker or EPIC) and optionally a
+ * name column (Name or Company Name), so exchange downloads can be used as they are.
+ * From/To (or Effective From/Effective To) columns give each row's membership period.
+ * @param {string} text - CSV text
+ * @param {Object} [options] - { suffix } appended to symbols without one (e.g. ".NS")
+ * @returns {Object} - { rows: [{ name, symbol, from?, to? }], dated } where dated is true if
+ *                     the CSV had membership date columns
+ */
+function parseConstituentsCSV(text, { suffix = '' } = {}) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+
+  if (lines.length < 2) {
+    throw universeStoreError('INVALID_UNIVERSE', 'CSV must have a header row and at least one constituent');
+  }
+
+  const headers = splitCSVLine(lines[0]).map(header => header.toLowerCase());
+  const symbolIndex = headers.findIndex(header => ['symbol', 'ticker', 'epic'].includes(header));
+  const nameIndex = headers.findIndex(header => ['name', 'company name', 'company'].includes(header));
+  const fromIndex = headers.findIndex(header => ['from', 'effective from', 'effective_from'].includes(header));
+  const toIndex = headers.findIndex(header => ['to', 'effective to', 'effective_to'].includes(header));
+  const dated = fromIndex !== -1 || toIndex !== -1;
+
+  if (symbolIndex === -1) {
+    throw universeStoreError('INVALID_UNIVERSE', 'CSV header must include a Symbol, Ticker or EPIC column');
+  }
+
+  const seen = new Set();
+  const rows = [];
+
+  lines.slice(1).forEach((line, index) => {
+    const fields = splitCSVLine(line);
+    let symbol = (fields[symbolIndex] || '').toUpperCase();
+
+    if (!symbol) {
+      return;
+    }
+
+    if (suffix && !symbol.includes('.') && !symbol.startsWith('^')) {
+      symbol += suffix;
+    }
+
+    const row = { name: (nameIndex !== -1 && fields[nameIndex]) || symbol, symbol };
+
+    try {
+      validateSymbol(symbol);
+      if (dated) {
+        row.from = parseDay(fields[fromIndex], 'From');
+        row.to = parseDay(fields[toIndex], 'To');
+      }
+    } catch (error) {
+      throw universeStoreError('INVALID_UNIVERSE', `Line ${index + 2}: ${error.message}`);
+    }
+
+    if (row.from && row.to && row.to <= row.from) {
+      throw universeStoreError('INVALID_UNIVERSE', `Line ${index + 2}: To must be after From`);
+    }
+
+    // Without dates each symbol appears once; with dates a symbol can have several periods
+    const key = dated ? `${symbol}|${row.from}|${row.to}` : symbol;
+    if (!seen.has(key)) {
+      seen.add(key);
+      rows.push(row);
+    }
+  });
+
+  if (rows.length === 0) {
+    throw universeStoreError('INVALID_UNIVERSE', 'CSV has no constituents');
+  }
+
+  return { rows, dated };
+}
+
+/**
+ * Apply an undated constituents list as a rebalance effective on a given day
+ * Members that are no longer listed get to = effective, new members get from = effective
+ * and continuing members keep their open row. A universe with no rows yet takes the list
+ * without dates, since when those stocks joined isn't known.
+ * @param {Array} rows - Current membership rows
+ * @param {Array} members - New list of { name, symbol }
+ * @param {string} effective - YYYY-MM-DD the new list applies from
+ * @returns {Array} - Updated membership rows
+ */
+function rebalanceMembership(rows, members, effective) {
+  if (rows.length === 0) {
+    return members.map(({ name, symbol }) => ({ name, symbol }));
+  }
+
+  const listed = new Map(members.map(member => [member.symbol, member]));
+  const open = new Set();
+
+  const updated = rows.map(row => {
+    if (row.to || (row.from && row.from > effective)) {
+      return row;
+    }
+    if (listed.has(row.symbol)) {
+      open.add(row.symbol);
+      return { ...row, name: listed.get(row.symbol).name };
+    }
+    return { ...row, to: effective };
+  });
+
+  members
+    .filter(member => !open.has(member.symbol))
+    .forEach(({ name, symbol }) => updated.push({ name, symbol, from: effective }));
+
+  return updated;
+}
+
+/**
+ * Serialise a universe file with one constituent per line so rebalances diff cleanly
+ * @param {Object} universe - { id, updatedAt, source, constituents } with membership rows
+ * @returns {string} - File contents
+ */
+function serializeUniverse({ id, updatedAt, source, constituents }) {
+  const rows = constituents.map(row => {
+    const record = { name: row.name, symbol: row.symbol };
+    if (row.from) record.from = row.from;
+    if (row.to) record.to = row.to;
+    return `    ${JSON.stringify(record)}`;
+  });
+
+  return [
+    '{',
+    `  "id": ${JSON.stringify(id)},`,
+    `  "updatedAt": ${JSON.stringify(updatedAt)},`,
+    `  "source": ${JSON.stringify(source)},`,
+    '  "constituents": [',
+    rows.join(',\n'),
+    '  ]',
+    '}',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Create a universe store backed by a directory of JSON files
+ * @param {Object} options - { dir }
+ * @returns {Object} - Store with list, get, getScanTypes, resolve and importCSV
+ */
+function createUniverseStore({ dir }) {
+  const baseDir = path.resolve(dir);
+  const manifestPath = path.join(baseDir, 'index.json');
+  const universes = new Map();
+  let manifest = null;
+  let queue = Promise.resolve();
+
+  // Read a JSON file from the universes directory
+  async function readJSON(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Unable to read universe file ${filePath}: ${error.message}`);
+    }
+  }
+
+  // Write a file atomically so a crash never leaves a half-written list
+  async function writeAtomic(filePath, contents) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(baseDir, { recursive: true });
+    await fs.promises.writeFile(tempPath, contents);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  // Run updates one after another so concurrent imports can't interleave
+  function serialize(task) {
+    const next = queue.catch(() => {}).then(task);
+    queue = next;
+    return next;
+  }
+
+  // Load the manifest once
+  async function loadManifest() {
+    if (!manifest) {
+      const stored = await readJSON(manifestPath);
+      manifest = {
+        universes: (stored && stored.universes) || [],
+        scanTypes: (stored && stored.scanTypes) || []
+      };
+    }
+    return manifest;
+  }
+
+  // Load one universe's membership rows, merged with its manifest entry
+  async function loadUniverse(id) {
+    const entry = (await loadManifest()).universes.find(universe => universe.id === id);
+    if (!entry) {
+      throw universeStoreError('NOT_FOUND', `Universe ${id} not found`);
+    }
+
+    if (!universes.has(id)) {
+      const stored = await readJSON(path.join(baseDir, `${id}.json`));
+      universes.set(id, {
+        updatedAt: stored ? stored.updatedAt : null,
+        source: stored ? stored.source : null,
+        constituents: stored ? stored.constituents || [] : []
+      });
+    }
+
+    return { ...entry, ...universes.get(id) };
+  }
+
+  // Shape a universe for a response: members on one day, or every stock with its periods
+  // membershipHistory is false for undated lists (today's members only)
+  function describe(universe, { asOf, history }) {
+    const { constituents: rows, ...summary } = universe;
+    const membershipHistory = rows.some(row => row.from || row.to);
+    const constituents = history
+      ? groupMembership(rows)
+      : rows
+        .filter(row => isMemberOn(row, asOf))
+        .map(row => ({ name: row.name, symbol: row.symbol }));
+
+    return { ...summary, membershipHistory, asOf: history ? null : asOf, count: constituents.length, constituents };
+  }
+
+  /**
+   * List all universes
+   * @param {Object} [options] - { constituents, asOf, history } as for get; constituents
+   *                             includes each list
+   * @returns {Promise<Array>} - [{ id, name, label, count, updatedAt, source, membershipHistory,
+   *                             constituents? }]
+   */
+  async function list({ constituents = false, asOf, history = false } = {}) {
+    const entries = (await loadManifest()).universes;
+    const day = parseDay(asOf, 'asOf') || toDay(new Date());
+
+    return Promise.all(entries.map(async entry => {
+      const summary = describe(await loadUniverse(entry.id), { asOf: day, history });
+      if (!constituents) {
+        delete summary.constituents;
+      }
+      return summary;
+    }));
+  }
+
+  /**
+   * Get one universe with its constituents
+   * @param {string} id - Universe id
+   * @param {Object} [options] - { asOf } YYYY-MM-DD for the members on that day (default
+   *                             today), or { history: true } for every stock with its
+   *                             membership periods
+   * @returns {Promise<Object>} - { id, name, label, count, updatedAt, source, membershipHistory,
+   *                             asOf, constituents }
+   */
+  async function get(id, { asOf, history = false } = {}) {
+    const day = parseDay(asOf, 'asOf') || toDay(new Date());
+    return describe(await loadUniverse(id), { asOf: day, history });
+  }
+
+  /**
+   * List the scan types (groups of universes scanned together)
+   * @returns {Promise<Array>} - [{ id, name, label, universes }]
+   */
+  async function getScanTypes() {
+    return (await loadManifest()).scanTypes;
+  }
+
+  /**
+   * Resolve a universe or scan type id to the stocks that were members during a date range
+   * Former members are included with the periods they were in the index, so a backtest
+   * over the range can skip trades taken while a stock was outside it.
+   * @param {string} id - Universe id (nifty50) or scan type id (indian)
+   * @param {Object} [range] - { from, to } as Dates or null; defaults to all of history
+   * @returns {Promise<Array>} - List of { name, symbol, periods } objects, one per symbol
+   */
+  async function resolve(id, { from = null, to = null } = {}) {
+    const { universes: entries, scanTypes } = await loadManifest();
+    const scanType = scanTypes.find(type => type.id === id);
+    let ids;
+
+    if (entries.some(entry => entry.id === id)) {
+      ids = [id];
+    } else if (scanType) {
+      ids = scanType.universes;
+    } else {
+      const valid = [...entries.map(entry => entry.id), ...scanTypes.map(type => type.id)];
+      throw universeStoreError('NOT_FOUND', `Unknown index "${id}". Valid values: ${valid.join(', ')}`);
+    }
+
+    const lists = await Promise.all(ids.map(universeId => loadUniverse(universeId)));
+    return groupMembership(
+      lists.flatMap(universe => universe.constituents),
+      { from: from ? toDay(from) : null, to: to ? toDay(to) : null }
+    );
+  }
+
+  /**
+   * Update a universe's constituents from a CSV, adding the universe if it is new
+   * A CSV with From/To columns replaces the whole membership history. A plain list of
+   * current members is applied as a rebalance on the effective day (default today), so
+   * stocks that dropped out keep their past membership.
+   * @param {string} id - Universe id
+   * @param {string} csv - CSV text (see parseConstituentsCSV)
+   * @param {Object} [options] - { suffix, effective, name, label, source }; name is required
+   *                             for new universes
+   * @returns {Promise<Object>} - Updated universe with its current members
+   */
+  function importCSV(id, csv, { suffix, effective, name, label, source = 'csv import' } = {}) {
+    return serialize(async () => {
+      if (!UNIVERSE_ID_PATTERN.test(id)) {
+        throw universeStoreError('INVALID_UNIVERSE', `"${id}" is not a valid universe id`);
+      }
+
+      const effectiveDay = parseDay(effective, 'effective') || toDay(new Date());
+      const { rows, dated } = parseConstituentsCSV(csv, { suffix });
+      const current = await loadManifest();
+      const existing = current.universes.find(universe => universe.id === id);
+
+      if (!existing && !name) {
+        throw universeStoreError('INVALID_UNIVERSE', `Universe ${id} is new; a name is required`);
+      }
+
+      const previousRows = existing ? (await loadUniverse(id)).constituents : [];
+      const constituents = dated ? rows : rebalanceMembership(previousRows, rows, effectiveDay);
+
+      const stored = { updatedAt: new Date().toISOString(), source, constituents };
+      await writeAtomic(path.join(baseDir, `${id}.json`), serializeUniverse({ id, ...stored }));
+
+      if (!existing || name || label) {
+        const entry = { ...existing, id, name: name || existing.name, label: label || (existing ? existing.label : name) };
+        const updated = {
+          ...current,
+          universes: existing
+            ? current.universes.map(universe => (universe.id === id ? entry : universe))
+            : [...current.universes, entry]
+        };
+        await writeAtomic(manifestPath, JSON.stringify(updated, null, 2) + '\n');
+        manifest = updated;
+      }
+
+      universes.set(id, stored);
+      console.log(`Universe ${id} updated with ${rows.length} constituents (${dated ? 'membership history' : `rebalance effective ${effectiveDay}`})`);
+
+      return get(id);
+    });
+  }
+
+  return {
+    list,
+    get,
+    getScanTypes,
+    resolve,
+    importCSV
+  };
+}
+
+module.exports = {
+  createUniverseStore,
+  parseConstituentsCSV,
+  serializeUniverse
+};
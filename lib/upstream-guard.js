@@ -0,0 +1,146 @@
+/**
+ * Upstream guard
+ * Protects the market data provider from duplicate and doomed requests:
+ * concurrent requests for the same data share one upstream call, and a circuit
+ * breaker stops calling the upstream for a while after it rate-limits us or fails.
+ */
+
+const { marketDataError } = require('./market-data-errors');
+
+/**
+ * Create a coalescer that shares in-flight promises between identical requests
+ * @returns {Object} - Coalescer with run(key, task)
+ */
+function createRequestCoalescer() {
+  const inFlight = new Map();
+
+  /**
+   * Run a task, or join the one already running under the same key
+   * @param {string} key - Request key
+   * @param {function} task - Returns a promise
+   * @returns {Promise} - Result of the shared task
+   */
+  function run(key, task) {
+    if (inFlight.has(key)) {
+      return inFlight.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(task)
+      .finally(() => inFlight.delete(key));
+
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  return {
+    run,
+    size: () => inFlight.size
+  };
+}
+
+/**
+ * Create a circuit breaker for upstream calls
+ * Retryable failures (429/5xx) open the breaker; while open, calls fail immediately.
+ * After the backoff one trial call is let through: success closes the breaker,
+ * failure opens it again with double the backoff.
+ * @param {Object} options - { name, baseDelaySeconds, maxDelaySeconds }
+ * @returns {Object} - Breaker with exec(task) and getState()
+ */
+function createCircuitBreaker({ name, baseDelaySeconds = 30, maxDelaySeconds = 600 }) {
+  let state = 'closed';
+  let openUntil = 0;
+  let delaySeconds = baseDelaySeconds;
+  let lastError = null;
+
+  // Open the breaker after a retryable failure
+  function trip(error) {
+    if (state === 'open') {
+      return; // Another call already in flight failed the same way
+    }
+
+    const waitSeconds = Math.max(delaySeconds, error.retryAfter || 0);
+
+    state = 'open';
+    openUntil = Date.now() + waitSeconds * 1000;
+    lastError = error;
+    delaySeconds = Math.min(delaySeconds * 2, maxDelaySeconds);
+
+    console.warn(`${name} circuit breaker opened for ${waitSeconds}s after ${error.code}: ${error.message}`);
+  }
+
+  /**
+   * Run an upstream call through the breaker
+   * @param {function} task - Returns a promise for the upstream call
+   * @returns {Promise} - Result of the call
+   */
+  async function exec(task) {
+    if (state === 'open' && Date.now() >= openUntil) {
+      state = 'half-open';
+    } else if (state !== 'closed') {
+      // Open, or half-open with the trial call still running
+      const retryAfter = Math.max(1, Math.ceil((openUntil - Date.now()) / 1000));
+      throw marketDataError(lastError.code,
+        `${name} requests paused after upstream failures (retry in ${retryAfter}s): ${lastError.message}`,
+        { retryAfter });
+    }
+
+    const trial = state === 'half-open';
+
+    try {
+      const result = await task();
+      if (trial || state === 'closed') {
+        state = 'closed';
+        delaySeconds = baseDelaySeconds;
+        lastError = null;
+      }
+      return result;
+    } catch (error) {
+      if (error.retryable) {
+        trip(error);
+      } else if (trial) {
+        // The upstream answered, so it is healthy again
+        state = 'closed';
+        delaySeconds = baseDelaySeconds;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Describe the breaker for health checks
+   * @returns {Object} - { state, retryInSeconds, lastError }
+   */
+  function getState() {
+    return {
+      state,
+      retryInSeconds: state === 'open' ? Math.max(0, Math.ceil((openUntil - Date.now()) / 1000)) : 0,
+      lastError: lastError ? `${lastError.code}: ${lastError.message}` : null
+    };
+  }
+
+  return {
+    exec,
+    getState
+  };
+}
+
+/**
+ * Wrap a provider so every upstream call goes through a circuit breaker
+ * @param {Object} provider - Market data provider
+ * @param {Object} breaker - Circuit breaker
+ * @returns {Object} - Provider with the same interface
+ */
+function guardProvider(provider, breaker) {
+  return {
+    ...provider,
+    fetchHistory: (symbol, options) => breaker.exec(() => provider.fetchHistory(symbol, options)),
+    fetchQuote: symbol => breaker.exec(() => provider.fetchQuote(symbol))
+  };
+}
+
+module.exports = {
+  createRequestCoalescer,
+  createCircuitBreaker,
+  guardProvider
+};
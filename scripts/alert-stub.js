@@ -0,0 +1,109 @@
+/**
+ * Local alert stub
+ * Receives webhook posts and SMTP mail and prints them, for trying out alert settings
+ * without a chat service or mail server:
+ *
+ *   npm run alert-stub
+ *   ALERT_WEBHOOKS=http://localhost:4000/hook SMTP_HOST=localhost SMTP_PORT=2525 \
+ *     ALERT_EMAIL_TO=team@example.com ADMIN_TOKEN=secret npm start
+ *   curl -X POST -H "Authorization: Bearer secret" http://localhost:3000/api/alerts/test
+ *
+ * Ports: ALERT_STUB_HTTP_PORT (4000) and ALERT_STUB_SMTP_PORT (2525).
+ * WEBHOOK_STATUS makes the webhook answer with another status (e.g. 500) to test failures.
+ */
+
+const http = require('http');
+const net = require('net');
+
+const HTTP_PORT = parseInt(process.env.ALERT_STUB_HTTP_PORT, 10) || 4000;
+const SMTP_PORT = parseInt(process.env.ALERT_STUB_SMTP_PORT, 10) || 2525;
+const WEBHOOK_STATUS = parseInt(process.env.WEBHOOK_STATUS, 10) || 200;
+
+// Webhook receiver: print each JSON post
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    console.log(`\n[webhook] ${req.method} ${req.url}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+    res.writeHead(WEBHOOK_STATUS, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: WEBHOOK_STATUS < 400 }));
+  });
+}).listen(HTTP_PORT, () => {
+  console.log(`Webhook stub listening on http://localhost:${HTTP_PORT}/`);
+});
+
+// Minimal SMTP receiver: accepts any sender, recipient and login, prints each message
+net.createServer(socket => {
+  let buffer = '';
+  let message = null;
+  let envelope = { from: null, to: [] };
+
+  const reply = line => socket.write(`${line}\r\n`);
+  reply('220 localhost DTI alert stub');
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      // Collecting the message body until the lone "."
+      if (message !== null) {
+        if (line === '.') {
+          console.log(`\n[smtp] from ${envelope.from} to ${envelope.to.join(', ')}`);
+          console.log(message.join('\n'));
+          message = null;
+          envelope = { from: null, to: [] };
+          reply('250 OK: message received');
+        } else {
+          message.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const command = line.split(' ')[0].toUpperCase();
+      switch (command) {
+        case 'EHLO':
+          reply('250-localhost');
+          reply('250-AUTH PLAIN LOGIN');
+          reply('250 8BITMIME');
+          break;
+        case 'HELO':
+          reply('250 localhost');
+          break;
+        case 'AUTH':
+          reply('235 Authentication successful');
+          break;
+        case 'MAIL':
+          envelope.from = line.slice(line.indexOf(':') + 1).trim();
+          reply('250 OK');
+          break;
+        case 'RCPT':
+          envelope.to.push(line.slice(line.indexOf(':') + 1).trim());
+          reply('250 OK');
+          break;
+        case 'DATA':
+          message = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+          break;
+        case 'QUIT':
+          reply('221 Bye');
+          socket.end();
+          break;
+        default:
+          reply('250 OK');
+      }
+    }
+  });
+
+  socket.on('error', () => {});
+}).listen(SMTP_PORT, () => {
+  console.log(`SMTP stub listening on localhost:${SMTP_PORT}`);
+});
@@ -0,0 +1,386 @@
+/**
+ * DTI command line
+ * Runs the same scan and backtest as the backtester page without a browser or server, for
+ * parameter studies and cron reports:
+ *
+ *   npm run dti -- scan --universe nifty50 --r 14 --s 10 --u 5
+ *   npm run dti -- backtest --symbols AAPL,MSFT --period 10y --take-profit 10 --format csv
+ *   npm run dti -- universes
+ *
+ * Commands:
+ *   scan       Active opportunities (stocks with an open DTI position)
+ *   backtest   Performance metrics per stock, plus an "All stocks" row over every trade
+ *   universes  Known index universes and scan types
+ *
+ * Options:
+ *   --universe <id>          Universe or scan type (default nifty50)
+ *   --symbols <A,B,...>      Scan these symbols instead of a universe
+ *   --period <5y>            History period; --interval <1d>; --adjusted for split/dividend-adjusted prices
+ *   --r, --s, --u            DTI periods (14, 10, 5)
+ *   --entry-threshold <0>    DTI level that triggers an entry
+ *   --take-profit <8>        Take profit %; --stop-loss <5> stop loss %; --max-days <30> holding limit
+ *   --no-weekly-dti          Don't require a rising weekly DTI
+ *   --format <table>         table, json or csv
+ *
+ * Data comes from the configured provider (MARKET_DATA_PROVIDER, CSV_DATA_DIR, ...) and daily
+ * bars share the server's history store (HISTORY_DIR), so repeated runs only fetch new bars.
+ * Progress goes to stderr and results to stdout. The exit code is 1 when nothing could be processed.
+ */
+
+const dotenv = require('dotenv');
+const scanner = require('../lib/scanner');
+const DTIBacktest = require('../js/dti-backtest');
+const { createProvider } = require('../lib/providers');
+const { createHistoryStore } = require('../lib/history-store');
+const { createUniverseStore } = require('../lib/universe-store');
+const { adjustBars } = require('../lib/adjustments');
+const { validateHistoryParams } = require('../lib/request-validation');
+const { toCSVRows } = require('../lib/response-formats');
+
+dotenv.config();
+
+// Progress from the provider and history store goes to stderr so stdout carries nothing but
+// the report and can be piped
+const stderrLogger = {
+  log: (...args) => console.error(...args),
+  warn: (...args) => console.error(...args),
+  error: (...args) => console.error(...args)
+};
+
+const COMMANDS = ['scan', 'backtest', 'universes'];
+const FORMATS = ['table', 'json', 'csv'];
+
+// Columns of each report: [heading, value(row), type]
+const OPPORTUNITY_COLUMNS = [
+  ['Symbol', row => row.stock.symbol],
+  ['Name', row => row.stock.name],
+  ['Signal', row => formatDate(row.trade.signalDate)],
+  ['Entry date', row => formatDate(row.trade.entryDate)],
+  ['Entry', row => row.trade.entryPrice, 'number'],
+  ['Current', row => row.trade.currentPrice, 'number'],
+  ['P/L %', row => row.trade.currentPlPercent, 'number'],
+  ['Days', row => row.trade.holdingDays, 'integer'],
+  ['DTI', row => row.trade.entryDTI, 'number'],
+  ['7-day DTI', row => row.trade.entry7DayDTI, 'number']
+];
+
+const METRIC_COLUMNS = [
+  ['Symbol', row => row.stock.symbol],
+  ['Name', row => row.stock.name],
+  ['Trades', row => row.metrics.totalTrades, 'integer'],
+  ['Win %', row => row.metrics.winRate, 'number'],
+  ['Avg %', row => row.metrics.avgProfit, 'number'],
+  ['Total %', row => row.metrics.totalReturn, 'number'],
+  ['Profit factor', row => row.metrics.profitFactor, 'number'],
+  ['Max DD %', row => row.metrics.maxDrawdown, 'number'],
+  ['Avg days', row => row.metrics.avgHoldingPeriod, 'number'],
+  ['Open', row => (row.activeTrade ? 'yes' : ''), 'text']
+];
+
+const UNIVERSE_COLUMNS = [
+  ['Id', row => row.id],
+  ['Name', row => row.name],
+  ['Type', row => row.type],
+  ['Exchange', row => row.exchange || ''],
+  ['Stocks', row => row.count, 'integer']
+];
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - { command, options } with kebab-case flags as camelCase keys
+ */
+function parseArgs(argv) {
+  const options = {};
+  let command = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      if (command) {
+        throw new Error(`Unexpected argument "${arg}"`);
+      }
+      command = arg;
+      continue;
+    }
+
+    let [key, value] = arg.slice(2).split(/=(.*)/s);
+    if (value === undefined) {
+      const next = argv[i + 1];
+      value = next !== undefined && !next.startsWith('--') ? argv[++i] : 'true';
+    }
+
+    // --no-weekly-dti is --weekly-dti false
+    if (key.startsWith('no-')) {
+      key = key.slice(3);
+      value = 'false';
+    }
+
+    options[key.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = value;
+  }
+
+  return { command, options };
+}
+
+/**
+ * Format a date value as YYYY-MM-DD
+ * @param {string|Date} value - Date or date string
+ * @returns {string} - Day string, or '' when missing
+ */
+function formatDate(value) {
+  if (!value) {
+    return '';
+  }
+  return (value instanceof Date ? value.toISOString() : String(value)).slice(0, 10);
+}
+
+/**
+ * Render rows as an aligned text table
+ * @param {Array} columns - Column definitions
+ * @param {Array} rows - Report rows
+ * @returns {string} - Table text
+ */
+function renderTable(columns, rows) {
+  const cells = rows.map(row => columns.map(([, value, type]) => {
+    const cell = value(row);
+    if (typeof cell !== 'number') {
+      return cell === null || cell === undefined ? '' : String(cell);
+    }
+    if (!isFinite(cell)) {
+      return cell > 0 ? 'inf' : '';
+    }
+    return type === 'integer' ? String(Math.round(cell)) : cell.toFixed(2);
+  }));
+
+  const widths = columns.map(([heading], index) =>
+    Math.max(heading.length, ...cells.map(row => row[index].length)));
+  const alignRight = columns.map(([, , type]) => type === 'number' || type === 'integer');
+
+  const line = values => values
+    .map((cell, index) => (alignRight[index] ? cell.padStart(widths[index]) : cell.padEnd(widths[index])))
+    .join('  ')
+    .trimEnd();
+
+  return [
+    line(columns.map(([heading]) => heading)),
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.map(line)
+  ].join('\n') + '\n';
+}
+
+/**
+ * Render rows as CSV with a header row
+ * @param {Array} columns - Column definitions
+ * @param {Array} rows - Report rows
+ * @returns {string} - CSV text
+ */
+function renderCSV(columns, rows) {
+  const field = value => {
+    if (value === null || value === undefined || (typeof value === 'number' && !isFinite(value))) {
+      return '';
+    }
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns.map(([heading]) => heading), ...rows.map(row => columns.map(([, value]) => value(row)))]
+    .map(values => values.map(field).join(','))
+    .join('\n') + '\n';
+}
+
+/**
+ * Render a report in the requested format
+ * @param {string} format - table, json or csv
+ * @param {Array} columns - Column definitions for table and CSV output
+ * @param {Array} rows - Report rows
+ * @param {Object} json - Document printed for JSON output
+ * @returns {string} - Output text
+ */
+function render(format, columns, rows, json) {
+  if (format === 'json') {
+    return JSON.stringify(json, null, 2) + '\n';
+  }
+  if (format === 'csv') {
+    return renderCSV(columns, rows);
+  }
+  return rows.length > 0 ? renderTable(columns, rows) : 'No results\n';
+}
+
+/**
+ * Build a history loader like the server's: daily bars from remote providers go through the
+ * durable history store, everything else straight to the provider
+ * @returns {Function} - async (symbol, period, interval) => { bars, events }
+ */
+function createHistoryLoader() {
+  const provider = createProvider(undefined, { logger: stderrLogger });
+  const historyStore = createHistoryStore({
+    provider,
+    dir: process.env.HISTORY_DIR || 'data/history',
+    refreshSeconds: parseInt(process.env.CACHE_TTL, 10) || 86400,
+    logger: stderrLogger
+  });
+
+  return (symbol, period, interval) => (interval === '1d' && !provider.local
+    ? historyStore.getDailyHistory(symbol, period)
+    : provider.fetchHistory(symbol, { period, interval }));
+}
+
+/**
+ * Run the DTI scan over the selected universe or symbols
+ * @param {Object} options - Parsed command line options
+ * @param {Object} universeStore - Universe store
+ * @returns {Promise<Object>} - Scan results (see scanner.runScan)
+ */
+async function runScan(options, universeStore) {
+  const { period, interval } = validateHistoryParams({
+    period: options.period || '5y',
+    interval: options.interval || '1d'
+  });
+  const adjusted = options.adjusted === 'true';
+  const params = scanner.parseScanParams(options);
+  const stocks = await scanner.resolveStocks({
+    index: options.universe || 'nifty50',
+    symbols: options.symbols,
+    period
+  }, universeStore);
+  const warnings = options.symbols ? [] : await scanner.getMembershipWarnings(options.universe || 'nifty50', universeStore);
+  const loadHistory = createHistoryLoader();
+
+  warnings.forEach(warning => console.error(`Warning: ${warning}`));
+  console.error(`Scanning ${stocks.length} stocks (period ${period}, interval ${interval}, r=${params.r} s=${params.s} u=${params.u})`);
+
+  const results = await scanner.runScan(stocks, {
+    params,
+    period,
+    fetchData: async (symbol, scanPeriod) => {
+      const history = await loadHistory(symbol, scanPeriod, interval);
+      return toCSVRows(adjusted ? adjustBars(history.bars, history.events) : history.bars);
+    }
+  });
+  results.interval = interval;
+  results.adjusted = adjusted;
+  results.warnings = warnings;
+
+  for (const failure of results.failures) {
+    console.error(`Failed ${failure.symbol}: ${failure.error}`);
+  }
+  console.error(`Processed ${results.processed} of ${results.totalStocks} stocks: ${results.opportunities.length} opportunities`);
+
+  return results;
+}
+
+/**
+ * Combine every stock's completed trades into one performance summary
+ * @param {Array} stocks - Per-stock scan summaries
+ * @returns {Object} - Performance metrics without the equity curve
+ */
+function combineMetrics(stocks) {
+  const trades = stocks
+    .flatMap(summary => summary.trades)
+    .sort((a, b) => new Date(a.exitDate) - new Date(b.exitDate));
+  const { equityCurve, ...metrics } = DTIBacktest.calculatePerformanceMetrics(trades);
+  return metrics;
+}
+
+// Fields shared by the scan and backtest JSON documents
+function describeRun(results) {
+  return {
+    period: results.period,
+    interval: results.interval,
+    adjusted: results.adjusted,
+    params: results.params,
+    startedAt: results.startedAt,
+    completedAt: results.completedAt,
+    totalStocks: results.totalStocks,
+    processed: results.processed,
+    warnings: results.warnings
+  };
+}
+
+/**
+ * Run a command and return its output
+ * @param {string} command - scan, backtest or universes
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<Object>} - { output, ok }
+ */
+async function run(command, options) {
+  const format = options.format || 'table';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unsupported format "${format}". Valid values: ${FORMATS.join(', ')}`);
+  }
+
+  const universeStore = createUniverseStore({
+    dir: process.env.UNIVERSES_DIR || 'data/universes'
+  });
+
+  if (command === 'universes') {
+    const universes = await universeStore.list();
+    const scanTypes = await universeStore.getScanTypes();
+    const rows = [
+      ...universes.map(universe => ({ ...universe, type: 'universe' })),
+      ...scanTypes.map(scanType => ({ ...scanType, type: 'scan type', count: undefined }))
+    ];
+    return { output: render(format, UNIVERSE_COLUMNS, rows, { universes, scanTypes }), ok: true };
+  }
+
+  const results = await runScan(options, universeStore);
+  const ok = results.processed > 0 || results.totalStocks === 0;
+
+  if (command === 'scan') {
+    return {
+      output: render(format, OPPORTUNITY_COLUMNS, results.opportunities, {
+        ...describeRun(results),
+        opportunities: results.opportunities,
+        failures: results.failures
+      }),
+      ok
+    };
+  }
+
+  const overall = combineMetrics(results.stocks);
+  const rows = [
+    ...results.stocks,
+    ...(results.stocks.length > 1 ? [{ stock: { symbol: 'ALL', name: 'All stocks' }, metrics: overall }] : [])
+  ];
+
+  return {
+    output: render(format, METRIC_COLUMNS, rows, {
+      ...describeRun(results),
+      overall,
+      stocks: results.stocks.map(({ stock, metrics, activeTrade }) => ({ stock, metrics, activeTrade })),
+      failures: results.failures
+    }),
+    ok
+  };
+}
+
+/**
+ * Entry point
+ */
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(2);
+  }
+
+  const { command, options } = parsed;
+  if (!COMMANDS.includes(command)) {
+    console.error(`Usage: npm run dti -- <${COMMANDS.join('|')}> [options] (see scripts/dti.js)`);
+    process.exit(2);
+  }
+
+  try {
+    const { output, ok } = await run(command, options);
+    process.stdout.write(output);
+    process.exitCode = ok ? 0 : 1;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -1,9 +1,24 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const NodeCache = require('node-cache');
 const dotenv = require('dotenv');
+const scanner = require('./lib/scanner');
+const { createProvider } = require('./lib/providers');
+const { createHistoryStore } = require('./lib/history-store');
+const { adjustBars } = require('./lib/adjustments');
+const { isIntradayInterval, getSessionTTL } = require('./lib/exchange-time');
+const { createTradeStore, tradeStoreError } = require('./lib/trade-store');
+const { createUniverseStore } = require('./lib/universe-store');
+const { createScanStore } = require('./lib/scan-store');
+const { createScanScheduler } = require('./lib/scan-scheduler');
+const { findNewEntries, readAlertConfig, createAlertNotifier } = require('./lib/alerts');
+const { createPriceStream } = require('./lib/price-stream');
+const { marketDataError, isMarketDataError, toErrorResponse } = require('./lib/market-data-errors');
+const { validateSymbol, validateHistoryParams, validateFormat } = require('./lib/request-validation');
+const { negotiateFormat, formatBars, toCSVRows, toCSVText } = require('./lib/response-formats');
+const { validateAlignOptions, alignHistories } = require('./lib/align');
+const { createRequestCoalescer, createCircuitBreaker, guardProvider } = require('./lib/upstream-guard');
 
 // Load environment variables
 dotenv.config();
@@ -12,15 +27,156 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Set up cache with 24-hour TTL (time to live)
-const cache = new NodeCache({ stdTTL: 86400 });
+// How long data is served before it is refreshed from the provider (24 hours by default)
+const CACHE_TTL = parseInt(process.env.CACHE_TTL, 10) || 86400;
+
+// In-memory cache for intraday intervals and local providers
+const cache = new NodeCache({ stdTTL: CACHE_TTL });
+
+// Short-lived cache for latest prices (60 seconds by default)
+const QUOTE_TTL = parseInt(process.env.QUOTE_TTL, 10) || 60;
+const quoteCache = new NodeCache({ stdTTL: QUOTE_TTL });
+
+// Maximum number of symbols in one batch quote request
+const MAX_QUOTE_SYMBOLS = 100;
+
+// Period, interval and price adjustment used by scheduled scans (default DTI parameters)
+const SCHEDULED_SCAN_OPTIONS = {
+  period: process.env.SCHEDULED_SCAN_PERIOD || '5y',
+  interval: '1d',
+  adjusted: process.env.SCHEDULED_SCAN_ADJUSTED === 'true'
+};
+
+// Maximum number of symbols in one aligned history request
+const MAX_HISTORY_SYMBOLS = 25;
+
+// Last good data for each key, served with stale: true while the upstream is unavailable
+const staleHistory = new NodeCache({ stdTTL: 0, useClones: false });
+const staleQuotes = new NodeCache({ stdTTL: 0, useClones: false });
+
+// Breaker that pauses upstream calls after 429/5xx responses (30 seconds, doubling up to 10 minutes)
+const upstreamBreaker = createCircuitBreaker({
+  name: 'Market data',
+  baseDelaySeconds: parseInt(process.env.BREAKER_BASE_DELAY, 10) || 30,
+  maxDelaySeconds: parseInt(process.env.BREAKER_MAX_DELAY, 10) || 600
+});
+
+// Concurrent requests for the same data share one upstream call
+const coalescer = createRequestCoalescer();
+
+// Market data provider for this deployment (MARKET_DATA_PROVIDER=yahoo|csv)
+const provider = guardProvider(createProvider(), upstreamBreaker);
+
+// Durable per-symbol store of daily bars, refreshed incrementally
+const historyStore = createHistoryStore({
+  provider,
+  dir: process.env.HISTORY_DIR || 'data/history',
+  refreshSeconds: CACHE_TTL
+});
+
+// Trade journal shared by every browser using this server
+const tradeStore = createTradeStore({
+  file: process.env.TRADES_FILE || 'data/trades.json'
+});
+
+// Index constituent lists, updated from CSV without a code release
+const universeStore = createUniverseStore({
+  dir: process.env.UNIVERSES_DIR || 'data/universes'
+});
+
+// Results of scheduled and saved scans (last 30 runs per universe by default)
+const scanStore = createScanStore({
+  dir: process.env.SCANS_DIR || 'data/scans',
+  retain: parseInt(process.env.SCAN_RETENTION, 10) || 30
+});
+
+// Webhook/email alerts for new entries found by stored scans (see lib/alerts.js for settings)
+const alertNotifier = createAlertNotifier(readAlertConfig(process.env));
+
+// After-close scan scheduler, started once the universes are known
+let scanScheduler = null;
+
+// Live prices pushed to the trades page, polled once per symbol for all clients
+// Polls read through the quote cache (and its stale fallback), so by default they
+// run once per quote TTL: polling faster would only re-read the cached price
+const priceStream = createPriceStream({
+  intervalSeconds: parseInt(process.env.PRICE_STREAM_INTERVAL, 10) || QUOTE_TTL,
+  fetchQuote: getQuote
+});
+
+// Keep-alive comment interval for open price streams
+const STREAM_HEARTBEAT_MS = 25000;
+
+// Front end origins from FRONTEND_URL (comma-separated; * allows any, null allows pages opened from disk)
+const FRONTEND_ORIGINS = String(process.env.FRONTEND_URL || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Without FRONTEND_URL any page may read, but only pages served from this machine may write:
+// the trade journal has no login, so any site the user visits could otherwise change it
+const LOCAL_ORIGIN_PATTERN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+const WRITE_METHODS = ['POST', 'PUT', 'DELETE'];
+
+// Check whether a browser page from an origin may make a request
+function isAllowedOrigin(origin, write) {
+  if (FRONTEND_ORIGINS.length > 0) {
+    return FRONTEND_ORIGINS.includes('*') || FRONTEND_ORIGINS.includes(origin);
+  }
+  
+  return !write || LOCAL_ORIGIN_PATTERN.test(origin || '');
+}
+
+// HTTP status for each trade store error code
+const TRADE_ERROR_STATUS = {
+  INVALID_TRADE: 400,
+  NOT_FOUND: 404,
+  CONFLICT: 409
+};
+
+// HTTP status for each universe store error code
+const UNIVERSE_ERROR_STATUS = {
+  INVALID_UNIVERSE: 400,
+  NOT_FOUND: 404
+};
 
 // Configure CORS to allow requests from your frontend domain
-app.use(cors({
-  origin: process.env.FRONTEND_URL || '*',
-  methods: ['GET']
+app.use(cors((req, callback) => {
+  const method = req.method === 'OPTIONS' ? req.get('Access-Control-Request-Method') : req.method;
+  
+  callback(null, {
+    origin: isAllowedOrigin(req.get('Origin'), WRITE_METHODS.includes(method)),
+    methods: ['GET', ...WRITE_METHODS]
+  });
 }));
 
+// Browsers send some cross-origin writes (form-style POSTs) without asking first,
+// so writes from other origins are refused here rather than only left unreadable
+app.use((req, res, next) => {
+  const origin = req.get('Origin');
+  
+  if (origin && WRITE_METHODS.includes(req.method) && !isAllowedOrigin(origin, true)) {
+    return res.status(403).json({
+      error: 'Origin not allowed',
+      message: `Pages from ${origin} may not change data on this server; add the origin to FRONTEND_URL`
+    });
+  }
+  
+  next();
+});
+
+// Parse JSON request bodies (trade journal writes)
+app.use(express.json({ limit: '1mb' }));
+
+// A body that isn't valid JSON (or is too large) is an invalid trade, answered in JSON like other errors
+app.use((error, req, res, next) => {
+  if (error.type !== 'entity.parse.failed' && error.type !== 'entity.too.large') {
+    return next(error);
+  }
+  
+  sendTradeError(res, tradeStoreError('INVALID_TRADE', `Request body rejected: ${error.message}`), 'Invalid request body');
+});
+
 // Add basic security headers
 app.use((req, res, next) => {
   res.setHeader('X-Content-Type-Options', 'nosniff');
@@ -33,109 +189,724 @@ app.use((req, res, next) => {
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests, please try again later.'
+  message: {
+    error: 'Too many requests',
+    code: 'RATE_LIMITED',
+    message: 'Too many requests, please try again later.',
+    retryable: true
+  }
 });
 app.use(apiLimiter);
 
-// Endpoint to fetch stock data from Yahoo Finance
+// Endpoint to fetch stock data from the market data provider
+// adjusted=true returns split/dividend-adjusted bars. meta=true or events=true wrap the
+// rows as { symbol, meta, data, events? } with the exchange/timezone/currency and, for
+// events=true, the dividends and splits in the period
+// format=rows (default) | objects | columnar | csv chooses the shape of the bars; csv
+// (or Accept: text/csv) returns a text/csv download
+// Failures return { error, code, message, retryable } with a status matching the code
 app.get('/api/stock/:symbol', async (req, res) => {
   try {
-    const { symbol } = req.params;
-    const { period = '5y', interval = '1d' } = req.query;
+    const symbol = validateSymbol(req.params.symbol);
+    const { period, interval } = validateHistoryParams({
+      period: req.query.period || '5y',
+      interval: req.query.interval || '1d'
+    });
+    const format = validateFormat(negotiateFormat(req));
+    const adjusted = req.query.adjusted === 'true';
+    
+    const history = await getHistory(symbol, period, interval);
+    if (history.bars.length === 0) {
+      throw marketDataError('NO_DATA', `No ${interval} bars for ${symbol} in period ${period}`);
+    }
     
-    // Create cache key
-    const cacheKey = `${symbol}_${period}_${interval}`;
+    const bars = adjusted ? adjustBars(history.bars, history.events) : history.bars;
     
-    // Check cache first
-    const cachedData = cache.get(cacheKey);
-    if (cachedData) {
-      console.log(`Cache hit for ${cacheKey}`);
-      return res.json(cachedData);
+    // Stale data is flagged in a header for plain responses and in the envelope
+    if (history.stale) {
+      res.set('X-Data-Stale', 'true');
     }
     
-    console.log(`Fetching data for ${symbol} with period ${period} and interval ${interval}`);
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${symbol}_${period}_${interval}${adjusted ? '_adjusted' : ''}.csv"`);
+      return res.send(toCSVText(bars));
+    }
     
-    // Fetch from Yahoo Finance
-    const data = await fetchFromYahoo(symbol, period, interval);
+    const data = formatBars(bars, format);
     
-    // Store in cache
-    cache.set(cacheKey, data);
+    const includeEvents = req.query.events === 'true';
+    if (includeEvents || req.query.meta === 'true') {
+      return res.json({
+        symbol,
+        adjusted,
+        stale: Boolean(history.stale),
+        meta: history.meta || null,
+        data,
+        ...(includeEvents ? { events: history.events || [] } : {})
+      });
+    }
     
     res.json(data);
   } catch (error) {
-    console.error('Error fetching stock data:', error.message);
-    res.status(500).json({ 
-      error: 'Failed to fetch stock data',
-      message: error.message
+    sendMarketDataError(res, error, 'Failed to fetch stock data');
+  }
+});
+
+// Endpoint to fetch several symbols aligned on one date index
+// e.g. /api/history?symbols=RELIANCE.NS,^NSEI&period=1y&align=union&fill=previous
+// Returns { dates, series: { SYMBOL: { open, high, low, close, volume, filled } }, meta, errors }.
+// See lib/align.js for the align and fill rules
+app.get('/api/history', async (req, res) => {
+  try {
+    const symbols = [...new Set(String(req.query.symbols || '')
+      .split(',')
+      .map(symbol => symbol.trim())
+      .filter(Boolean))];
+    
+    if (symbols.length === 0 || symbols.length > MAX_HISTORY_SYMBOLS) {
+      throw marketDataError('INVALID_REQUEST', `Provide between 1 and ${MAX_HISTORY_SYMBOLS} comma-separated symbols`);
+    }
+    
+    symbols.forEach(validateSymbol);
+    const { period, interval } = validateHistoryParams({
+      period: req.query.period || '1y',
+      interval: req.query.interval || '1d'
+    });
+    const { align, fill } = validateAlignOptions(req.query);
+    const adjusted = req.query.adjusted === 'true';
+    
+    const histories = [];
+    const meta = {};
+    const errors = {};
+    const staleSymbols = [];
+    
+    await Promise.all(symbols.map(async symbol => {
+      try {
+        const history = await getHistory(symbol, period, interval);
+        histories.push({
+          symbol,
+          bars: adjusted ? adjustBars(history.bars, history.events) : history.bars
+        });
+        meta[symbol] = history.meta || null;
+        if (history.stale) {
+          staleSymbols.push(symbol);
+        }
+      } catch (error) {
+        errors[symbol] = { code: error.code || 'INTERNAL_ERROR', message: error.message };
+      }
+    }));
+    
+    // Fail the request only if no symbol could be loaded
+    if (histories.length === 0) {
+      const firstError = errors[symbols[0]];
+      throw marketDataError(firstError.code, firstError.message);
+    }
+    
+    // Keep the requested symbol order
+    histories.sort((a, b) => symbols.indexOf(a.symbol) - symbols.indexOf(b.symbol));
+    
+    res.json({
+      symbols: histories.map(history => history.symbol),
+      period,
+      interval,
+      adjusted,
+      align,
+      fill,
+      ...alignHistories(histories, { align, fill }),
+      meta,
+      staleSymbols,
+      errors
     });
+  } catch (error) {
+    sendMarketDataError(res, error, 'Failed to fetch history');
   }
 });
 
-// Yahoo Finance data fetcher
-async function fetchFromYahoo(symbol, period, interval) {
-  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?range=${period}&interval=${interval}&includePrePost=false`;
+// Endpoint to run a DTI scan over an index or a list of symbols
+// e.g. /api/scan?index=nifty50&r=14&s=10&u=5 or /api/scan?symbols=AAPL,MSFT
+// save=true stores an index scan in the scan history (see /api/scans)
+app.get('/api/scan', async (req, res) => {
+  const { index = 'nifty50', symbols } = req.query;
+  let stocks;
+  let params;
+  let period;
+  let interval;
+  let warnings = [];
   
   try {
-    console.log(`Calling Yahoo Finance API: ${url}`);
-    const response = await axios.get(url);
-    const data = response.data;
+    ({ period, interval } = validateHistoryParams({ period: req.query.period || '5y', interval: req.query.interval || '1d' }));
+    stocks = await scanner.resolveStocks({ index, symbols, period }, universeStore);
+    params = scanner.parseScanParams(req.query);
+    if (!symbols) {
+      warnings = await scanner.getMembershipWarnings(index, universeStore);
+    }
+  } catch (error) {
+    return sendMarketDataError(res, error, 'Invalid scan request');
+  }
+  
+  try {
+    const adjusted = req.query.adjusted === 'true';
+    const results = await runIndexScan(stocks, { params, period, interval, adjusted, warnings });
     
-    if (!data.chart || !data.chart.result || data.chart.result.length === 0) {
-      throw new Error('No data received from Yahoo Finance');
+    // save=true keeps an index scan in the scan history like a scheduled run (and alerts)
+    if (req.query.save === 'true' && !symbols) {
+      const { run, alerts } = await saveScanRun(toScanRun(results, { universe: index, trigger: 'manual' }));
+      results.id = run.id;
+      results.newEntries = run.newEntries;
+      results.alerts = alerts;
     }
     
-    return processYahooData(data);
+    res.json(results);
   } catch (error) {
-    console.error(`Yahoo Finance API error: ${error.message}`);
-    if (error.response) {
-      console.error(`Status: ${error.response.status}, Data:`, error.response.data);
+    sendMarketDataError(res, error, 'Failed to run scan');
+  }
+});
+
+// Run the DTI scan over a resolved stock list
+// warnings (e.g. universes without membership history) are logged and returned with the results
+async function runIndexScan(stocks, { params, period, interval, adjusted, warnings = [] }) {
+  console.log(`Running DTI scan over ${stocks.length} stocks with period ${period} and interval ${interval}${adjusted ? ' (adjusted prices)' : ''}`);
+  warnings.forEach(warning => console.warn(`Scan warning: ${warning}`));
+  
+  const staleSymbols = [];
+  const results = await scanner.runScan(stocks, {
+    params,
+    period,
+    fetchData: async (symbol, scanPeriod) => {
+      const history = await getHistory(symbol, scanPeriod, interval);
+      if (history.stale) {
+        staleSymbols.push(symbol);
+      }
+      return toCSVRows(adjusted ? adjustBars(history.bars, history.events) : history.bars);
     }
-    throw new Error(`Yahoo Finance API error: ${error.message}`);
+  });
+  results.interval = interval;
+  results.adjusted = adjusted;
+  results.staleSymbols = staleSymbols;
+  results.warnings = warnings;
+  
+  console.log(`Scan complete: ${results.opportunities.length} opportunities in ${results.processed} stocks`);
+  
+  return results;
+}
+
+// Shape scan results for the scan history (per-stock trade lists are left out)
+function toScanRun(results, { universe, trigger, tradingDate = null }) {
+  return {
+    universe,
+    trigger,
+    tradingDate,
+    period: results.period,
+    interval: results.interval,
+    adjusted: results.adjusted,
+    params: results.params,
+    startedAt: results.startedAt,
+    completedAt: results.completedAt,
+    totalStocks: results.totalStocks,
+    processed: results.processed,
+    opportunities: results.opportunities,
+    failures: results.failures,
+    staleSymbols: results.staleSymbols,
+    warnings: results.warnings
+  };
+}
+
+// Store a scan run and alert on entries that weren't in the universe's previous run
+async function saveScanRun(run) {
+  const previous = await scanStore.latest({ universe: run.universe });
+  const newEntries = findNewEntries(run, previous);
+  const stored = await scanStore.save({ ...run, newEntries: newEntries.map(entry => entry.stock.symbol) });
+  const alerts = alertNotifier.enabled ? await alertNotifier.notify(stored, newEntries) : [];
+  
+  return { run: stored, alerts };
+}
+
+// Scan history endpoints
+// /api/scans lists runs newest first (?universe=nifty50&limit=20) with the schedule;
+// /api/scans/latest?universe=nifty50 and /api/scans/:id return a run with its opportunities
+app.get('/api/scans', async (req, res) => {
+  try {
+    res.json({
+      scans: await scanStore.list({
+        universe: req.query.universe,
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+      }),
+      schedule: scanScheduler ? scanScheduler.getState() : []
+    });
+  } catch (error) {
+    sendScanError(res, error, 'Failed to load scans');
   }
+});
+
+app.get('/api/scans/latest', async (req, res) => {
+  try {
+    const run = await scanStore.latest({ universe: req.query.universe });
+    if (!run) {
+      return res.status(404).json({
+        error: 'Failed to load scan',
+        code: 'NOT_FOUND',
+        message: `No scans stored${req.query.universe ? ` for ${req.query.universe}` : ''}`
+      });
+    }
+    res.json(run);
+  } catch (error) {
+    sendScanError(res, error, 'Failed to load scan');
+  }
+});
+
+app.get('/api/scans/:id', async (req, res) => {
+  try {
+    res.json(await scanStore.get(req.params.id));
+  } catch (error) {
+    sendScanError(res, error, 'Failed to load scan');
+  }
+});
+
+// Send a test alert to every configured channel (admin only)
+// Uses the opportunities of the latest stored scan (?universe= to pick one), or a sample
+// entry if there are none, so webhook and SMTP settings can be checked against a stub
+app.post('/api/alerts/test', requireAdmin, async (req, res) => {
+  if (!alertNotifier.enabled) {
+    return res.status(400).json({
+      error: 'Alerts are not configured',
+      message: 'Set ALERT_WEBHOOKS and/or SMTP_HOST with ALERT_EMAIL_TO'
+    });
+  }
+  
+  try {
+    const latest = await scanStore.latest({ universe: req.query.universe });
+    const run = latest || {
+      id: 'test',
+      universe: req.query.universe || 'test',
+      trigger: 'manual',
+      tradingDate: null,
+      completedAt: new Date().toISOString(),
+      period: '5y',
+      interval: '1d',
+      params: scanner.DEFAULT_PARAMS,
+      opportunities: []
+    };
+    const entries = run.opportunities.length > 0 ? run.opportunities : [{
+      stock: { name: 'Test Stock', symbol: 'TEST' },
+      trade: { signalDate: new Date().toISOString(), entryPrice: 100, currentPrice: 100 }
+    }];
+    
+    res.json({
+      channels: alertNotifier.channels,
+      results: await alertNotifier.notify(run, entries)
+    });
+  } catch (error) {
+    sendScanError(res, error, 'Failed to send test alert');
+  }
+});
+
+// Send a scan store error (unknown ids are 404s)
+function sendScanError(res, error, message) {
+  const status = error.code === 'NOT_FOUND' ? 404 : 500;
+  
+  if (status === 500) {
+    console.error(`${message}:`, error.message);
+  }
+  
+  res.status(status).json({
+    error: message,
+    code: error.code,
+    message: error.message
+  });
 }
 
-// Process Yahoo Finance data
-function processYahooData(yahooData) {
-  const result = yahooData.chart.result[0];
-  const quotes = result.indicators.quote[0];
-  const timestamps = result.timestamp;
-  
-  // Create CSV data
-  let csvData = [
-    ['date', 'open', 'high', 'low', 'close', 'volume']
-  ];
-  
-  for (let i = 0; i < timestamps.length; i++) {
-    const date = new Date(timestamps[i] * 1000);
-    const dateString = date.toISOString().split('T')[0];
-    
-    // Skip points with null/undefined values
-    if (quotes.open[i] === null || quotes.high[i] === null || 
-        quotes.low[i] === null || quotes.close[i] === null) {
-      continue;
+// Endpoint to fetch the latest price for one symbol
+app.get('/api/quote/:symbol', async (req, res) => {
+  try {
+    res.json(await getQuote(validateSymbol(req.params.symbol)));
+  } catch (error) {
+    sendMarketDataError(res, error, 'Failed to fetch quote');
+  }
+});
+
+// Endpoint to fetch latest prices for several symbols
+// e.g. /api/quote?symbols=AAPL,RELIANCE.NS,VOD.L
+app.get('/api/quote', async (req, res) => {
+  const symbols = [...new Set(String(req.query.symbols || '')
+    .split(',')
+    .map(symbol => symbol.trim())
+    .filter(Boolean))];
+  
+  if (symbols.length === 0 || symbols.length > MAX_QUOTE_SYMBOLS) {
+    return sendMarketDataError(res, marketDataError('INVALID_REQUEST', `Provide between 1 and ${MAX_QUOTE_SYMBOLS} comma-separated symbols`), 'Invalid quote request');
+  }
+  
+  const quotes = {};
+  const errors = {};
+  
+  // Fetch in small batches to be gentle on the provider
+  for (let i = 0; i < symbols.length; i += 5) {
+    await Promise.all(symbols.slice(i, i + 5).map(async symbol => {
+      try {
+        quotes[symbol] = await getQuote(validateSymbol(symbol));
+      } catch (error) {
+        errors[symbol] = {
+          code: error.code || 'INTERNAL_ERROR',
+          message: error.message,
+          retryable: Boolean(error.retryable)
+        };
+      }
+    }));
+  }
+  
+  res.json({ quotes, errors });
+});
+
+// Admin-only routes need "Authorization: Bearer <ADMIN_TOKEN>" and are disabled without ADMIN_TOKEN
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(403).json({
+      error: 'Admin routes are disabled',
+      message: 'Set ADMIN_TOKEN on the server to enable admin routes'
+    });
+  }
+  
+  if (req.get('Authorization') !== `Bearer ${process.env.ADMIN_TOKEN}`) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Send the admin token as "Authorization: Bearer <token>"'
+    });
+  }
+  
+  next();
+}
+
+// Index constituent list endpoints
+// /api/universes lists the universes and scan types (constituents=true includes every list);
+// /api/universes/:id returns one universe with its constituents
+// Members are as of today unless asOf=YYYY-MM-DD is given; history=true returns every stock
+// that has been a member with its { from, to } membership periods instead
+app.get('/api/universes', async (req, res) => {
+  try {
+    res.json({
+      universes: await universeStore.list({
+        constituents: req.query.constituents === 'true',
+        asOf: req.query.asOf,
+        history: req.query.history === 'true'
+      }),
+      scanTypes: await universeStore.getScanTypes()
+    });
+  } catch (error) {
+    sendUniverseError(res, error, 'Failed to load universes');
+  }
+});
+
+app.get('/api/universes/:id', async (req, res) => {
+  try {
+    res.json(await universeStore.get(req.params.id, {
+      asOf: req.query.asOf,
+      history: req.query.history === 'true'
+    }));
+  } catch (error) {
+    sendUniverseError(res, error, 'Failed to load universe');
+  }
+});
+
+// Update a universe's constituents from a CSV body (Symbol and Name columns)
+// e.g. curl -X PUT -H "Authorization: Bearer $ADMIN_TOKEN" -H "Content-Type: text/csv" \
+//   --data-binary @ind_nifty50list.csv "http://localhost:3000/api/universes/nifty50?suffix=.NS&effective=2025-03-28"
+// A list of current members is applied as a rebalance on the effective date (default today);
+// a CSV with From/To columns replaces the whole membership history
+// New universes also need ?name= (and optionally &label=). Disabled unless ADMIN_TOKEN is set
+app.put('/api/universes/:id', requireAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    const { suffix, effective, name, label } = req.query;
+    res.json(await universeStore.importCSV(req.params.id, typeof req.body === 'string' ? req.body : '', { suffix, effective, name, label }));
+  } catch (error) {
+    sendUniverseError(res, error, 'Failed to update universe');
+  }
+});
+
+// Send a universe store error with the matching status
+function sendUniverseError(res, error, message) {
+  const status = UNIVERSE_ERROR_STATUS[error.code] || 500;
+  
+  if (status === 500) {
+    console.error(`${message}:`, error.message);
+  }
+  
+  res.status(status).json({
+    error: message,
+    code: error.code,
+    message: error.message
+  });
+}
+
+// Trade journal endpoints
+// Writes send the revision they were based on; a mismatch returns 409 with the stored trade
+app.get('/api/trades', async (req, res) => {
+  try {
+    res.json({ trades: await tradeStore.list() });
+  } catch (error) {
+    sendTradeError(res, error, 'Failed to load trades');
+  }
+});
+
+app.get('/api/trades/:id', async (req, res) => {
+  try {
+    res.json(await tradeStore.get(req.params.id));
+  } catch (error) {
+    sendTradeError(res, error, 'Failed to load trade');
+  }
+});
+
+app.post('/api/trades', async (req, res) => {
+  try {
+    res.status(201).json(await tradeStore.create(req.body));
+  } catch (error) {
+    sendTradeError(res, error, 'Failed to add trade');
+  }
+});
+
+app.put('/api/trades/:id', async (req, res) => {
+  try {
+    res.json(await tradeStore.save(req.params.id, req.body));
+  } catch (error) {
+    sendTradeError(res, error, 'Failed to save trade');
+  }
+});
+
+app.delete('/api/trades/:id', async (req, res) => {
+  const revision = req.query.revision !== undefined ? Number(req.query.revision) : undefined;
+  
+  try {
+    res.json(await tradeStore.remove(req.params.id, revision));
+  } catch (error) {
+    sendTradeError(res, error, 'Failed to delete trade');
+  }
+});
+
+// Send a trade store error with the matching status (conflicts include the stored trade)
+function sendTradeError(res, error, message) {
+  const status = TRADE_ERROR_STATUS[error.code] || 500;
+  
+  if (status === 500) {
+    console.error(`${message}:`, error.message);
+  }
+  
+  res.status(status).json({
+    error: message,
+    code: error.code,
+    message: error.message,
+    trade: error.trade
+  });
+}
+
+// Server-Sent Events stream of price ticks
+// e.g. /api/stream/prices?symbols=AAPL,RELIANCE.NS sends "price" events with a quote
+// whenever the price changes and "quote-error" events when a symbol can't be fetched
+app.get('/api/stream/prices', (req, res) => {
+  let symbols;
+  
+  // Every symbol is polled upstream for as long as the stream is open, so check them first
+  try {
+    symbols = [...new Set(String(req.query.symbols || '')
+      .split(',')
+      .map(symbol => symbol.trim())
+      .filter(Boolean))];
+    
+    if (symbols.length === 0 || symbols.length > MAX_QUOTE_SYMBOLS) {
+      throw marketDataError('INVALID_REQUEST', `Provide between 1 and ${MAX_QUOTE_SYMBOLS} comma-separated symbols`);
     }
     
-    csvData.push([
-      dateString,
-      quotes.open[i],
-      quotes.high[i],
-      quotes.low[i],
-      quotes.close[i],
-      quotes.volume[i]
-    ]);
+    symbols = symbols.map(validateSymbol);
+  } catch (error) {
+    return sendMarketDataError(res, error, 'Invalid stream request');
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write('retry: 5000\n\n');
+  
+  const unsubscribe = priceStream.subscribe(symbols, event => {
+    if (event.type === 'price') {
+      res.write(`event: price\ndata: ${JSON.stringify(event.quote)}\n\n`);
+    } else {
+      res.write(`event: quote-error\ndata: ${JSON.stringify({ symbol: event.symbol, message: event.message })}\n\n`);
+    }
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  
+  console.log(`Price stream opened for ${symbols.join(', ')} (${priceStream.getSymbols().length} symbols polled)`);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Send a market data error with the status for its code (untyped errors are a 500)
+function sendMarketDataError(res, error, summary) {
+  if (!isMarketDataError(error)) {
+    console.error(`${summary}:`, error.message);
+    return res.status(500).json({
+      error: summary,
+      code: 'INTERNAL_ERROR',
+      message: error.message,
+      retryable: false
+    });
+  }
+  
+  console.error(`${summary}: [${error.code}] ${error.message}`);
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.status).json(toErrorResponse(error, summary));
+}
+
+// Get the latest price from the quote cache or the market data provider
+// (the last known price is returned with stale: true while the upstream is unavailable)
+async function getQuote(symbol) {
+  const cachedQuote = quoteCache.get(symbol);
+  if (cachedQuote) {
+    return cachedQuote;
+  }
+  
+  try {
+    return await fetchFreshQuote(symbol);
+  } catch (error) {
+    const staleQuote = staleQuotes.get(symbol);
+    if (error.retryable && staleQuote) {
+      console.warn(`Serving stale quote for ${symbol} (${error.code})`);
+      return { ...staleQuote, stale: true };
+    }
+    throw error;
   }
+}
+
+// Fetch a quote from the provider, sharing the call with concurrent requests for the symbol
+function fetchFreshQuote(symbol) {
+  return coalescer.run(`quote:${symbol}`, async () => {
+    const quote = await provider.fetchQuote(symbol);
+    quoteCache.set(symbol, quote);
+    staleQuotes.set(symbol, quote);
+    return quote;
+  });
+}
+
+// Get bars and corporate events from the history store, the cache or the market data provider
+// Concurrent requests for the same symbol/period/interval share one fetch
+async function getHistory(symbol, period, interval) {
+  // Create cache key
+  const cacheKey = `${symbol}_${period}_${interval}`;
   
-  return csvData;
+  // Daily bars from remote providers go through the durable history store
+  if (interval === '1d' && !provider.local) {
+    return coalescer.run(`history:${cacheKey}`, () => historyStore.getDailyHistory(symbol, period));
+  }
+  
+  // Check cache first
+  const cachedHistory = cache.get(cacheKey);
+  if (cachedHistory) {
+    console.log(`Cache hit for ${cacheKey}`);
+    return cachedHistory;
+  }
+  
+  return coalescer.run(`history:${cacheKey}`, async () => {
+    try {
+      return await fetchHistoryIntoCache(symbol, period, interval, cacheKey);
+    } catch (error) {
+      const stale = staleHistory.get(cacheKey);
+      if (error.retryable && stale) {
+        console.warn(`Serving stale data for ${cacheKey} (${error.code})`);
+        return { ...stale, stale: true };
+      }
+      throw error;
+    }
+  });
+}
+
+// Fetch bars from the provider and cache them
+async function fetchHistoryIntoCache(symbol, period, interval, cacheKey) {
+  console.log(`Fetching data for ${symbol} with period ${period} and interval ${interval}`);
+  
+  // Fetch from the provider
+  const history = await provider.fetchHistory(symbol, { period, interval });
+  staleHistory.set(cacheKey, history);
+  
+  // Store in cache - intraday data expires with the next bar while the market is open
+  if (isIntradayInterval(interval)) {
+    const ttl = getSessionTTL(interval, history.meta && history.meta.session);
+    console.log(`Caching ${cacheKey} for ${ttl} seconds`);
+    cache.set(cacheKey, history, ttl);
+  } else {
+    cache.set(cacheKey, history);
+  }
+  
+  return history;
+}
+
+// Start the after-close scans for SCHEDULED_SCANS (comma-separated universe ids with an
+// exchange; unset or empty disables them), SCAN_DELAY_MINUTES after the close.
+// SCHEDULED_SCANS_CATCH_UP=true also scans sessions that closed before the server started
+async function startScanScheduler() {
+  const wanted = (process.env.SCHEDULED_SCANS || '').split(',').map(id => id.trim()).filter(id => id && id !== 'none');
+  if (wanted.length === 0) {
+    console.log('Scheduled scans disabled (set SCHEDULED_SCANS to a list of universe ids to enable them)');
+    return;
+  }
+  
+  const universes = await universeStore.list();
+  const jobs = universes
+    .filter(universe => universe.exchange && wanted.includes(universe.id))
+    .map(universe => ({ universe: universe.id, exchange: universe.exchange }));
+  
+  wanted
+    .filter(id => !jobs.some(job => job.universe === id))
+    .forEach(id => console.warn(`Scheduled scans: ${id} is not a universe with an exchange, skipping`));
+  
+  scanScheduler = createScanScheduler({
+    jobs,
+    delayMinutes: parseInt(process.env.SCAN_DELAY_MINUTES, 10) || 30,
+    catchUp: process.env.SCHEDULED_SCANS_CATCH_UP === 'true',
+    lastTradingDate: async universe => {
+      const run = await scanStore.latest({ universe, trigger: 'scheduled' });
+      return run ? run.tradingDate : null;
+    },
+    runJob: async ({ universe }, tradingDate) => {
+      const { period, interval, adjusted } = SCHEDULED_SCAN_OPTIONS;
+      const stocks = await scanner.resolveStocks({ index: universe, period }, universeStore);
+      const warnings = await scanner.getMembershipWarnings(universe, universeStore);
+      const results = await runIndexScan(stocks, { params: scanner.DEFAULT_PARAMS, period, interval, adjusted, warnings });
+      await saveScanRun(toScanRun(results, { universe, trigger: 'scheduled', tradingDate }));
+    }
+  });
+  
+  scanScheduler.start();
+  console.log(`Scheduled scans: ${jobs.map(job => `${job.universe} (${job.exchange})`).join(', ') || 'none'}`);
 }
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok' });
+  res.status(200).json({ status: 'ok', upstream: upstreamBreaker.getState() });
 });
 
 // Start server
 app.listen(PORT, () => {
   console.log(`Stock data service running on port ${PORT}`);
+  console.log(`Market data provider: ${provider.name}${provider.mode && provider.mode !== 'live' ? ` (${provider.mode} mode)` : ''}`);
   console.log(`Health check available at http://localhost:${PORT}/health`);
   console.log(`Example request: http://localhost:${PORT}/api/stock/AAPL?period=1mo&interval=1d`);
+  console.log(`Example quote: http://localhost:${PORT}/api/quote?symbols=AAPL,RELIANCE.NS`);
+  console.log(`Example history: http://localhost:${PORT}/api/history?symbols=RELIANCE.NS,^NSEI&period=1y`);
+  console.log(`Example scan: http://localhost:${PORT}/api/scan?index=nifty50&r=14&s=10&u=5`);
+  console.log(`Universes: http://localhost:${PORT}/api/universes`);
+  console.log(`Scan history: http://localhost:${PORT}/api/scans`);
+  console.log(`Trade journal: http://localhost:${PORT}/api/trades`);
+  console.log(`Price stream: http://localhost:${PORT}/api/stream/prices?symbols=AAPL,RELIANCE.NS`);
+  
+  console.log(`Alerts: ${alertNotifier.channels.map(channel => `${channel.channel} (${channel.target})`).join(', ') || 'not configured'}`);
+  
+  startScanScheduler().catch(error => {
+    console.error('Failed to start scheduled scans:', error.message);
+  });
 });
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistoryStore } = require('../lib/history-store');
+const { adjustBars, getAdjustmentFactors } = require('../lib/adjustments');
+
+// Provider publishing an adjusted close that, like Yahoo's, reflects the dividends known at fetch time
+function createDividendProvider() {
+  const provider = {
+    name: 'fake',
+    sessions: ['2024-05-01', '2024-05-02', '2024-05-03'],
+    dividend: null,
+
+    async fetchHistory(symbol, { start }) {
+      const from = start ? start.toISOString().slice(0, 10) : '';
+      const factor = date => (provider.dividend && date < provider.dividend.date ? 1 - provider.dividend.amount / 100 : 1);
+
+      return {
+        meta: { symbol },
+        bars: provider.sessions
+          .filter(date => date >= from)
+          .map(date => ({ date, open: 100, high: 100, low: 100, close: 100, volume: 1000, adjClose: 100 * factor(date) })),
+        events: provider.dividend && provider.dividend.date >= from
+          ? [{ date: provider.dividend.date, type: 'dividend', amount: provider.dividend.amount }]
+          : []
+      };
+    }
+  };
+
+  return provider;
+}
+
+test('adjusted bars reflect a dividend that went ex between two refreshes', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adjustments-'));
+  const provider = createDividendProvider();
+  const store = createHistoryStore({ provider, dir, refreshSeconds: 0 });
+
+  try {
+    await store.getDailyHistory('AAA', 'max');
+
+    provider.sessions.push('2024-05-06');
+    provider.dividend = { date: '2024-05-06', amount: 2 };
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const history = await store.getDailyHistory('AAA', 'max');
+
+    assert.deepStrictEqual(getAdjustmentFactors(history.bars, history.events), [0.98, 0.98, 0.98, 1]);
+    assert.deepStrictEqual(adjustBars(history.bars, history.events).map(bar => bar.close), [98, 98, 98, 100]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('factors are derived from the events when the bars have no adjusted close', () => {
+  const bars = ['2024-05-01', '2024-05-02', '2024-05-03'].map(date => ({ date, close: 100 }));
+
+  assert.deepStrictEqual(getAdjustmentFactors(bars, [{ date: '2024-05-03', type: 'split', ratio: 2 }]), [0.5, 0.5, 1]);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScanStore } = require('../lib/scan-store');
+const { getSignalDay, findNewEntries, buildAlertMessage } = require('../lib/alerts');
+
+// Scan run as the scanner builds it: the engine dates each signal with a Date
+function createRun(opportunities) {
+  return {
+    universe: 'nifty50',
+    trigger: 'scheduled',
+    tradingDate: '2024-05-02',
+    period: '5y',
+    interval: '1d',
+    params: { r: 14, s: 10, u: 5 },
+    startedAt: new Date().toISOString(),
+    completedAt: new Date().toISOString(),
+    opportunities: opportunities.map(([symbol, signalDate]) => ({
+      stock: { symbol, name: symbol },
+      trade: { signalDate: new Date(signalDate), entryPrice: 100 }
+    })),
+    failures: []
+  };
+}
+
+test('a live run only alerts signals missing from the previous run read back from disk', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+
+  try {
+    await createScanStore({ dir }).save(createRun([['AAA', '2024-05-01']]));
+    const previous = await createScanStore({ dir }).latest({ universe: 'nifty50' });
+
+    const run = createRun([['AAA', '2024-05-01'], ['BBB', '2024-05-02']]);
+    assert.deepStrictEqual(findNewEntries(run, previous).map(entry => entry.stock.symbol), ['BBB']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('alert lines show the signal day', () => {
+  const run = createRun([['AAA', '2024-05-01']]);
+  const { text } = buildAlertMessage({ ...run, id: 'run-1' }, run.opportunities);
+
+  assert.match(text, /- AAA \(AAA\) signal 2024-05-01 @ 100\.00/);
+});
+
+test('signal days come from ISO strings or valid Dates, and anything else is blank', () => {
+  assert.strictEqual(getSignalDay({ signalDate: '2024-05-01T00:00:00.000Z' }), '2024-05-01');
+  assert.strictEqual(getSignalDay({ signalDate: '2024-05-01' }), '2024-05-01');
+  assert.strictEqual(getSignalDay({ signalDate: new Date('2024-05-01T12:00:00Z') }), '2024-05-01');
+  assert.strictEqual(getSignalDay({ signalDate: new Date('not a date') }), '');
+  assert.strictEqual(getSignalDay({ signalDate: 'May 1st' }), '');
+  assert.strictEqual(getSignalDay({}), '');
+});
+
+test('an entry without a valid signal date still alerts', () => {
+  const run = createRun([['AAA', 'not a date']]);
+
+  assert.strictEqual(findNewEntries(run, null).length, 1);
+  assert.match(buildAlertMessage({ ...run, id: 'run-1' }, run.opportunities).text, /- AAA \(AAA\) signal date unknown @ 100\.00/);
+});
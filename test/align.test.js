@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateAlignOptions, alignHistories } = require('../lib/align');
+
+const bar = (date, close) => ({ date, open: close, high: close, low: close, close, volume: 10 });
+
+// AAA trades every day; BBB starts late and misses 05-03
+const HISTORIES = [
+  { symbol: 'AAA', bars: [bar('2024-05-01', 1), bar('2024-05-02', 2), bar('2024-05-03', 3), bar('2024-05-06', 4)] },
+  { symbol: 'BBB', bars: [bar('2024-05-02', 20), bar('2024-05-06', 40)] }
+];
+
+test('union fills gaps with the previous close and leaves dates before the first bar null', () => {
+  const { dates, series } = alignHistories(HISTORIES);
+
+  assert.deepStrictEqual(dates, ['2024-05-01', '2024-05-02', '2024-05-03', '2024-05-06']);
+  assert.deepStrictEqual(series.BBB.close, [null, 20, 20, 40]);
+  assert.deepStrictEqual(series.BBB.volume, [null, 10, 0, 10]);
+  assert.deepStrictEqual(series.BBB.filled, [false, false, true, false]);
+  assert.deepStrictEqual(series.AAA.filled, [false, false, false, false]);
+});
+
+test('fill=null leaves gaps empty but still flags them', () => {
+  const { series } = alignHistories(HISTORIES, { fill: 'null' });
+
+  assert.deepStrictEqual(series.BBB.close, [null, 20, null, 40]);
+  assert.deepStrictEqual(series.BBB.filled, [false, false, true, false]);
+});
+
+test('intersection keeps only the dates every symbol traded on', () => {
+  const { dates, series } = alignHistories(HISTORIES, { align: 'intersection' });
+
+  assert.deepStrictEqual(dates, ['2024-05-02', '2024-05-06']);
+  assert.deepStrictEqual(series.AAA.close, [2, 4]);
+});
+
+test('unknown align and fill options are typed errors', () => {
+  assert.deepStrictEqual(validateAlignOptions({}), { align: 'union', fill: 'previous' });
+  assert.throws(() => validateAlignOptions({ align: 'outer' }), { code: 'INVALID_REQUEST' });
+  assert.throws(() => validateAlignOptions({ fill: 'zero' }), { code: 'INVALID_REQUEST' });
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCsvProvider, parseCsvBars } = require('../lib/providers/csv');
+
+// Data directory with one symbol's bars (out of order, one day twice) and its events
+function createDataDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-provider-'));
+
+  fs.writeFileSync(path.join(dir, 'aaa.csv'), [
+    'Date,Open,High,Low,Close,Adj Close,Volume',
+    '2024-01-03,11,12,10,11.5,11,"1,200"',
+    '2023-01-02,9,10,8,9.5,9,900',
+    '2024-01-02,10,11,9,10.5,10,1000',
+    '2024-01-02,10,11,9,10.75,10.25,1100',
+    'not a date,1,1,1,1,1,1'
+  ].join('\n'));
+  fs.writeFileSync(path.join(dir, 'AAA.events.csv'), [
+    'date,type,value',
+    '2024-01-03,split,2:1',
+    '2023-06-01,dividend,0.5',
+    '2023-07-01,bonus,1'
+  ].join('\n'));
+
+  return dir;
+}
+
+test('parseCsvBars sorts bars, keeps the last row per date and skips invalid rows', () => {
+  const bars = parseCsvBars('Date,Open,High,Low,Close\n2024-01-03,2,3,1,2.5\n2024-01-02,1,2,0.5,1.5\nx,1,1,1,1\n');
+
+  assert.deepStrictEqual(bars.map(bar => [bar.date, bar.close, bar.volume]), [['2024-01-02', 1.5, 0], ['2024-01-03', 2.5, 0]]);
+});
+
+test('fetchHistory finds the file case-insensitively and reads adjusted closes and events', async () => {
+  const dir = createDataDir();
+
+  try {
+    const history = await createCsvProvider({ dataDir: dir }).fetchHistory('AAA', { period: 'max', interval: '1d' });
+
+    assert.deepStrictEqual(history.bars.map(bar => [bar.date, bar.close, bar.adjClose, bar.volume]), [
+      ['2023-01-02', 9.5, 9, 900],
+      ['2024-01-02', 10.75, 10.25, 1100],
+      ['2024-01-03', 11.5, 11, 1200]
+    ]);
+    assert.deepStrictEqual(history.events, [
+      { date: '2023-06-01', type: 'dividend', amount: 0.5 },
+      { date: '2024-01-03', type: 'split', ratio: 2, splitRatio: '2:1' }
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('periods are measured back from the last bar in the file', async () => {
+  const dir = createDataDir();
+
+  try {
+    const history = await createCsvProvider({ dataDir: dir }).fetchHistory('AAA', { period: '1mo', interval: '1d' });
+
+    assert.deepStrictEqual(history.bars.map(bar => bar.date), ['2024-01-02', '2024-01-03']);
+    assert.deepStrictEqual(history.events.map(event => event.type), ['split']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('fetchQuote serves the last close', async () => {
+  const dir = createDataDir();
+
+  try {
+    const quote = await createCsvProvider({ dataDir: dir }).fetchQuote('aaa');
+
+    assert.strictEqual(quote.price, 11.5);
+    assert.strictEqual(quote.previousClose, 10.75);
+    assert.strictEqual(quote.marketTime, '2024-01-03T00:00:00.000Z');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('progress goes to the injected logger instead of the console', async () => {
+  const dir = createDataDir();
+  const messages = [];
+  const logger = { log: message => messages.push(message), warn: assert.fail, error: assert.fail };
+  const consoleLog = console.log;
+  console.log = assert.fail;
+
+  try {
+    await createCsvProvider({ dataDir: dir, logger }).fetchHistory('AAA', { period: 'max', interval: '1d' });
+  } finally {
+    console.log = consoleLog;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  assert.match(messages[0], /^Reading CSV data for AAA/);
+  assert.ok(messages.includes('Detected headers:'));
+});
+
+test('unknown symbols and intraday intervals are typed errors', async () => {
+  const dir = createDataDir();
+  const provider = createCsvProvider({ dataDir: dir });
+
+  try {
+    await assert.rejects(provider.fetchHistory('BBB', { period: '1y', interval: '1d' }), { code: 'SYMBOL_NOT_FOUND' });
+    await assert.rejects(provider.fetchHistory('AAA', { period: '1y', interval: '5m' }), { code: 'INVALID_INTERVAL' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the data directory is required', () => {
+  assert.throws(() => createCsvProvider({}), /CSV_DATA_DIR/);
+});
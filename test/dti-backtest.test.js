@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DTIBacktest = require('../js/dti-backtest');
+
+// Weekday bars oscillating around 100 (a year by default), enough to trade after the warm-up
+function createSeries(bars = 260) {
+  const dates = [];
+  const close = [];
+  const day = new Date('2023-01-02T00:00:00Z');
+
+  while (dates.length < bars) {
+    if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) {
+      dates.push(day.toISOString().slice(0, 10));
+      close.push(100 + 10 * Math.sin(dates.length / 5));
+    }
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+
+  return { dates, high: close.map(price => price + 1), low: close.map(price => price - 1), close };
+}
+
+test('the warm-up period is returned with the result instead of stored globally', () => {
+  global.DTIBacktester = {};
+
+  try {
+    const result = DTIBacktest.runBacktest(createSeries(), { enable7DayDTI: false });
+
+    assert.strictEqual(result.warmupInfo.enabled, true);
+    assert.strictEqual(result.warmupInfo.startDate.toISOString().slice(0, 10), '2023-01-02');
+    assert.strictEqual(result.warmupInfo.endDate.toISOString().slice(0, 10), '2023-07-02');
+    assert.ok(result.completedTrades.length > 0 && result.completedTrades.every(trade => trade.entryDate >= '2023-07-02'));
+    assert.strictEqual(global.DTIBacktester.warmupInfo, undefined);
+  } finally {
+    delete global.DTIBacktester;
+  }
+});
+
+test('invalid inputs give an empty result without a warm-up period', () => {
+  const result = DTIBacktest.backtestWithActiveDetection(['2023-01-02'], [], [], {});
+
+  assert.deepStrictEqual(result, { completedTrades: [], activeTrade: null, warmupInfo: null });
+});
+
+// Completed trade a week long with the given return
+function trade(entryDate, plPercent) {
+  const exitDate = new Date(new Date(entryDate).getTime() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return { entryDate, exitDate, plPercent, exitReason: plPercent > 0 ? 'Take Profit' : 'Stop Loss' };
+}
+
+test('max drawdown is measured on compounded equity from the starting 100', () => {
+  const metrics = DTIBacktest.calculatePerformanceMetrics([trade('2024-01-01', -10), trade('2024-02-01', 15)]);
+
+  // 100 -> 90 -> 103.5: the first loss is a 10% drawdown from the starting equity
+  assert.strictEqual(metrics.maxDrawdown, 10);
+  assert.strictEqual(metrics.totalReturn, 5);
+  assert.deepStrictEqual(metrics.equityCurve.map(value => Number(value.toFixed(6))), [100, 90, 103.5]);
+});
+
+test('return over max drawdown divides the compounded return by the drawdown', () => {
+  const metrics = DTIBacktest.calculatePerformanceMetrics([trade('2024-01-01', -10), trade('2024-02-01', 15)]);
+  const noDrawdown = DTIBacktest.calculatePerformanceMetrics([trade('2024-01-01', 5)]);
+
+  assert.ok(Math.abs(metrics.returnOverMaxDrawdown - 0.35) < 1e-9);
+  assert.strictEqual(noDrawdown.returnOverMaxDrawdown, Infinity);
+});
+
+test('a grid search tries every combination and keeps the best by the objective', () => {
+  const ranges = { r: [7, 14], s: [5, 10], u: [5], entryThreshold: [-20, 0] };
+  const result = DTIBacktest.searchParameters(createSeries(520), ranges, { enable7DayDTI: false }, { objective: 'sharpeRatio' });
+  const qualifying = result.allResults.filter(candidate => candidate.metrics.totalTrades >= 5);
+
+  assert.strictEqual(result.allResults.length, 8);
+  assert.strictEqual(result.search.objective, 'sharpeRatio');
+  assert.ok(qualifying.length > 0);
+  assert.strictEqual(result.bestResult.score, Math.max(...qualifying.map(candidate => candidate.score)));
+});
+
+test('budgeted searches stay within the budget and repeat exactly with a seed', () => {
+  const ranges = { r: [7, 10, 14, 18], s: [5, 8, 10], u: [3, 5], takeProfitPercent: [5, 8, 10] };
+  const run = strategy => DTIBacktest.searchParameters(createSeries(520), ranges, { enable7DayDTI: false }, { strategy, maxEvaluations: 12, seed: 7 });
+
+  for (const strategy of ['random', 'genetic', 'halving']) {
+    const first = run(strategy);
+
+    assert.ok(first.search.spent <= 12, `${strategy} spent ${first.search.spent}`);
+    assert.deepStrictEqual(run(strategy).allResults.map(result => result.params), first.allResults.map(result => result.params));
+  }
+});
+
+test('unknown strategies and objectives are rejected', () => {
+  assert.throws(() => DTIBacktest.searchParameters(createSeries(), {}, {}, { strategy: 'annealing' }), /Unknown search strategy/);
+  assert.throws(() => DTIBacktest.searchParameters(createSeries(), {}, {}, { objective: 'luck' }), /Unknown objective/);
+});
+
+test('walk-forward windows roll or anchor, with out-of-sample windows covering the rest', () => {
+  assert.deepStrictEqual(DTIBacktest.createWalkForwardWindows(10, { inSampleBars: 4, outOfSampleBars: 3 }), [
+    { inSample: { start: 0, end: 4 }, outOfSample: { start: 4, end: 7 } },
+    { inSample: { start: 3, end: 7 }, outOfSample: { start: 7, end: 10 } }
+  ]);
+  assert.deepStrictEqual(
+    DTIBacktest.createWalkForwardWindows(9, { inSampleBars: 4, outOfSampleBars: 3, anchored: true }).map(windowRange => windowRange.inSample),
+    [{ start: 0, end: 4 }, { start: 0, end: 7 }]
+  );
+  assert.throws(() => DTIBacktest.createWalkForwardWindows(4, { inSampleBars: 4 }), /needs more than 4 bars/);
+  assert.throws(() => DTIBacktest.createWalkForwardWindows(10, { outOfSampleBars: 1.5 }), /whole numbers/);
+});
+
+test('walk-forward only trades each out-of-sample window and stitches the equity curve', () => {
+  const data = createSeries(520);
+  const progress = [];
+  const report = DTIBacktest.walkForward(
+    data,
+    { r: [7, 14], entryThreshold: [-20, 0] },
+    { enable7DayDTI: false },
+    { inSampleBars: 260, outOfSampleBars: 130 },
+    (completed, total) => progress.push([completed, total])
+  );
+
+  assert.strictEqual(report.windows.length, 2);
+  assert.deepStrictEqual(progress[progress.length - 1], [8, 8]);
+  assert.ok(report.trades.length > 0);
+  report.trades.forEach(trade => {
+    const { outOfSample } = report.windows[trade.window];
+    assert.ok(trade.entryDate >= outOfSample.start && trade.exitDate <= outOfSample.end, `${trade.entryDate} outside window ${trade.window}`);
+  });
+  assert.deepStrictEqual(report.equityCurve[0], { date: data.dates[260], equity: 100 });
+  assert.strictEqual(report.equityCurve.length, report.trades.length + 1);
+  assert.strictEqual(report.metrics.totalTrades, report.trades.length);
+});
+
+// Trades with a mix of wins and losses for the Monte Carlo simulation
+const MONTE_CARLO_TRADES = [8, -5, 8, -5, -5, 8, 3, -2, 8, -5].map((plPercent, index) =>
+  trade(`2024-${String(index + 1).padStart(2, '0')}-01`, plPercent));
+
+test('shuffled sequences keep the final return and only vary the path', () => {
+  const result = DTIBacktest.runMonteCarlo(MONTE_CARLO_TRADES, { method: 'shuffle', simulations: 200, seed: 1 });
+
+  assert.ok(Math.abs(result.finalReturn.min - result.original.finalReturn) < 1e-9);
+  assert.ok(Math.abs(result.finalReturn.max - result.original.finalReturn) < 1e-9);
+  assert.ok(result.maxDrawdown.max > result.maxDrawdown.min);
+  assert.strictEqual(result.tradeCount, 10);
+  assert.strictEqual(result.equityCurve.length, 11);
+  assert.strictEqual(result.equityBands[95].length, 11);
+});
+
+test('a seed repeats the simulation exactly and resampling varies the final return', () => {
+  const run = seed => DTIBacktest.runMonteCarlo(MONTE_CARLO_TRADES, { simulations: 200, seed });
+  const result = run(42);
+  const { percentiles } = result.finalReturn;
+
+  assert.deepStrictEqual(run(42), result);
+  assert.notDeepStrictEqual(run(43).finalReturn, result.finalReturn);
+  assert.ok(percentiles[5] < percentiles[50] && percentiles[50] < percentiles[95]);
+});
+
+test('Monte Carlo rejects bad options and needs a completed trade', () => {
+  assert.throws(() => DTIBacktest.runMonteCarlo(MONTE_CARLO_TRADES, { method: 'bootstrap' }), /Unknown Monte Carlo method/);
+  assert.throws(() => DTIBacktest.runMonteCarlo(MONTE_CARLO_TRADES, { simulations: 1.5 }), /positive whole number/);
+  assert.throws(() => DTIBacktest.runMonteCarlo([{ entryDate: '2024-01-01', plPercent: 5 }]), /at least one completed trade/);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistoryStore } = require('../lib/history-store');
+const { adjustBars } = require('../lib/adjustments');
+
+// Provider serving a fixed set of sessions, split-adjusting its prices at fetch time like Yahoo
+function createSplittingProvider() {
+  const provider = {
+    name: 'fake',
+    sessions: ['2024-05-01', '2024-05-02', '2024-05-03'],
+    split: null,
+    fetches: [],
+
+    async fetchHistory(symbol, { period, start }) {
+      provider.fetches.push(start ? 'tail' : period);
+      const from = start ? start.toISOString().slice(0, 10) : '';
+      const events = provider.split ? [{ date: provider.split.date, type: 'split', ratio: provider.split.ratio }] : [];
+      const factor = date => (provider.split && date < provider.split.date ? 1 / provider.split.ratio : 1);
+
+      return {
+        meta: { symbol },
+        bars: provider.sessions
+          .filter(date => date >= from)
+          .map(date => {
+            const price = provider.split && date >= provider.split.date ? 50 : 100;
+            return { date, open: price * factor(date), high: price * factor(date), low: price * factor(date), close: price * factor(date), volume: 1000, adjClose: price * factor(date) };
+          }),
+        events: events.filter(event => event.date >= from)
+      };
+    }
+  };
+
+  return provider;
+}
+
+test('a split between two refreshes re-fetches the history instead of merging the tail', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-store-'));
+  const provider = createSplittingProvider();
+  const store = createHistoryStore({ provider, dir, refreshSeconds: 0 });
+
+  try {
+    await store.getDailyHistory('AAA', 'max');
+
+    // 2:1 split effective from the next session
+    provider.sessions.push('2024-05-06', '2024-05-07');
+    provider.split = { date: '2024-05-06', ratio: 2 };
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const history = await store.getDailyHistory('AAA', 'max');
+
+    assert.deepStrictEqual(provider.fetches, ['max', 'tail', 'max']);
+    assert.deepStrictEqual(history.bars.map(bar => bar.close), [50, 50, 50, 50, 50]);
+    assert.deepStrictEqual(adjustBars(history.bars, history.events).map(bar => bar.close), [50, 50, 50, 50, 50]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a refresh without corporate events merges the tail', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-store-'));
+  const provider = createSplittingProvider();
+  const store = createHistoryStore({ provider, dir, refreshSeconds: 0 });
+
+  try {
+    await store.getDailyHistory('AAA', 'max');
+    provider.sessions.push('2024-05-06');
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const history = await store.getDailyHistory('AAA', 'max');
+
+    assert.deepStrictEqual(provider.fetches, ['max', 'tail']);
+    assert.deepStrictEqual(history.bars.map(bar => bar.date), ['2024-05-01', '2024-05-02', '2024-05-03', '2024-05-06']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a split dated on the last stored bar re-fetches the history once', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-store-'));
+  const provider = createSplittingProvider();
+  const store = createHistoryStore({ provider, dir, refreshSeconds: 0 });
+
+  try {
+    await store.getDailyHistory('AAA', 'max');
+
+    // The last stored session turns out to be the ex-date
+    provider.split = { date: '2024-05-03', ratio: 2 };
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const history = await store.getDailyHistory('AAA', 'max');
+
+    // Once stored, the split no longer triggers a re-fetch
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.getDailyHistory('AAA', 'max');
+
+    assert.deepStrictEqual(provider.fetches, ['max', 'tail', 'max', 'tail']);
+    assert.deepStrictEqual(history.bars.map(bar => bar.close), [50, 50, 50]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
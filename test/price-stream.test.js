@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPriceStream } = require('../lib/price-stream');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('subscribers of a symbol share one poll and only hear price changes', async () => {
+  const fetches = [];
+  let price = 100;
+  const stream = createPriceStream({
+    intervalSeconds: 0.05,
+    fetchQuote: async symbol => {
+      fetches.push(symbol);
+      return { symbol, price, marketTime: 't' };
+    }
+  });
+  const first = [];
+  const second = [];
+
+  const unsubscribeFirst = stream.subscribe(['AAA'], event => first.push(event.quote.price));
+  await wait(10);
+  const unsubscribeSecond = stream.subscribe(['AAA'], event => second.push(event.quote.price));
+  await wait(70);
+  price = 101;
+  await wait(60);
+
+  unsubscribeFirst();
+  unsubscribeSecond();
+  const fetchCount = fetches.length;
+  await wait(80);
+
+  assert.ok(fetchCount >= 2 && fetchCount <= 4, `${fetchCount} fetches`);
+  assert.deepStrictEqual(first, [100, 101]);
+  assert.deepStrictEqual(second, [100, 101]);
+  assert.strictEqual(fetches.length, fetchCount, 'polling stops once nobody listens');
+  assert.deepStrictEqual(stream.getSymbols(), []);
+});
+
+test('a failing symbol is reported once until it recovers', async () => {
+  let failing = true;
+  const stream = createPriceStream({
+    intervalSeconds: 0.02,
+    fetchQuote: async symbol => {
+      if (failing) throw new Error('upstream down');
+      return { symbol, price: 5, marketTime: 't' };
+    }
+  });
+  const events = [];
+
+  const unsubscribe = stream.subscribe(['AAA'], event => events.push(event.type));
+  await wait(70);
+  failing = false;
+  await wait(40);
+  unsubscribe();
+
+  assert.deepStrictEqual(events, ['error', 'price']);
+});
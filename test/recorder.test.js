@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRecordingClient } = require('../lib/providers/recorder');
+
+const URL_OK = 'https://example.test/chart/AAA?range=1y';
+const URL_MISSING = 'https://example.test/chart/ZZZ?range=1y';
+
+// Upstream stub: AAA answers, anything else is a 404
+async function upstream(url) {
+  if (url === URL_OK) {
+    return { status: 200, data: { price: 42 } };
+  }
+
+  const error = new Error('Request failed with status code 404');
+  error.isAxiosError = true;
+  error.response = { status: 404, data: { chart: { error: { description: 'No data found' } } }, headers: {} };
+  throw error;
+}
+
+test('recorded responses, including errors, replay without the upstream', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-'));
+
+  try {
+    const record = createRecordingClient({ mode: 'record', dir, httpGet: upstream });
+    await record(URL_OK, 'AAA');
+    await assert.rejects(record(URL_MISSING, 'ZZZ'));
+
+    const replay = createRecordingClient({ mode: 'replay', dir, httpGet: () => assert.fail('replay must not call the upstream') });
+
+    assert.deepStrictEqual(await replay(URL_OK, 'AAA'), { status: 200, data: { price: 42 } });
+    await assert.rejects(replay(URL_MISSING, 'ZZZ'), error =>
+      error.isAxiosError && error.response.status === 404 && error.response.data.chart.error.description === 'No data found');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('replaying an unrecorded request is a typed error', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-'));
+
+  try {
+    const replay = createRecordingClient({ mode: 'replay', dir, httpGet: upstream });
+    await assert.rejects(replay(URL_OK, 'AAA'), { code: 'RECORDING_NOT_FOUND' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('live mode passes straight through and unknown modes are refused', async () => {
+  const live = createRecordingClient({ mode: 'live', dir: 'unused', httpGet: upstream });
+
+  assert.deepStrictEqual(await live(URL_OK, 'AAA'), { status: 200, data: { price: 42 } });
+  assert.throws(() => createRecordingClient({ mode: 'mock', dir: 'unused', httpGet: upstream }), /Unknown MARKET_DATA_MODE/);
+});
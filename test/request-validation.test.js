@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateSymbol, validateHistoryParams } = require('../lib/request-validation');
+
+test('validateSymbol accepts Yahoo-style symbols and trims them', () => {
+  ['RELIANCE.NS', 'M&M.NS', 'BRK-B', '^NSEI', 'GC=F'].forEach(symbol => {
+    assert.strictEqual(validateSymbol(` ${symbol} `), symbol);
+  });
+});
+
+test('validateSymbol rejects anything else as INVALID_SYMBOL', () => {
+  ['', 'bad symbol', '../etc', 'A'.repeat(26), undefined].forEach(symbol => {
+    assert.throws(() => validateSymbol(symbol), { code: 'INVALID_SYMBOL', status: 400, retryable: false });
+  });
+});
+
+test('validateHistoryParams checks the period and interval', () => {
+  assert.deepStrictEqual(validateHistoryParams({ period: '5y', interval: '1d' }), { period: '5y', interval: '1d' });
+  assert.throws(() => validateHistoryParams({ period: '7y', interval: '1d' }), { code: 'INVALID_PERIOD' });
+  assert.throws(() => validateHistoryParams({ period: '1y', interval: '1m' }), { code: 'INVALID_INTERVAL' });
+});
+
+test('intraday intervals are limited to their look-back', () => {
+  assert.deepStrictEqual(validateHistoryParams({ period: '1mo', interval: '5m' }), { period: '1mo', interval: '5m' });
+  assert.throws(() => validateHistoryParams({ period: '1y', interval: '15m' }), { code: 'INVALID_INTERVAL' });
+  assert.throws(() => validateHistoryParams({ period: 'max', interval: '60m' }), { code: 'INVALID_INTERVAL' });
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { negotiateFormat, formatBars, toCSVText } = require('../lib/response-formats');
+const { validateFormat } = require('../lib/request-validation');
+
+const BARS = [
+  { date: '2024-05-01', open: 1, high: 2, low: 0.5, close: 1.5, volume: 100, adjClose: 1.4 },
+  { date: '2024-05-02', open: 1.5, high: 2.5, low: 1, close: 2, volume: null }
+];
+
+// Minimal stand-in for an Express request
+const request = (query, accept) => ({
+  query,
+  accepts: types => (accept && types.includes(accept) ? accept : types[0])
+});
+
+test('rows keep the original CSV-shaped layout', () => {
+  assert.deepStrictEqual(formatBars(BARS, 'rows'), [
+    ['date', 'open', 'high', 'low', 'close', 'volume'],
+    ['2024-05-01', 1, 2, 0.5, 1.5, 100],
+    ['2024-05-02', 1.5, 2.5, 1, 2, null]
+  ]);
+});
+
+test('objects and columnar carry only the bar columns', () => {
+  assert.deepStrictEqual(formatBars(BARS, 'objects')[0], { date: '2024-05-01', open: 1, high: 2, low: 0.5, close: 1.5, volume: 100 });
+  assert.deepStrictEqual(formatBars(BARS, 'columnar'), {
+    dates: ['2024-05-01', '2024-05-02'],
+    open: [1, 1.5],
+    high: [2, 2.5],
+    low: [0.5, 1],
+    close: [1.5, 2],
+    volume: [100, null]
+  });
+});
+
+test('csv text leaves missing values empty', () => {
+  assert.strictEqual(toCSVText(BARS), 'date,open,high,low,close,volume\n2024-05-01,1,2,0.5,1.5,100\n2024-05-02,1.5,2.5,1,2,\n');
+});
+
+test('the format parameter wins over the Accept header', () => {
+  assert.strictEqual(negotiateFormat(request({ format: 'Columnar' }, 'text/csv')), 'columnar');
+  assert.strictEqual(negotiateFormat(request({}, 'text/csv')), 'csv');
+  assert.strictEqual(negotiateFormat(request({})), 'rows');
+});
+
+test('unknown formats are a typed error', () => {
+  assert.strictEqual(validateFormat('objects'), 'objects');
+  assert.throws(() => validateFormat('xml'), { code: 'INVALID_FORMAT', status: 400 });
+});
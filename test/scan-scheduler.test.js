@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getDueTradingDate, createScanScheduler } = require('../lib/scan-scheduler');
+
+// NSE closes at 15:30 IST (10:00 UTC); 2026-10-19 is a Monday
+const AFTER_CLOSE = '2026-10-19T11:00:00Z';
+
+// Build a scheduler for one NSE job on a clock the test moves
+function createTestScheduler({ catchUp = false, stored = null, runJob }) {
+  const clock = { now: new Date(AFTER_CLOSE) };
+  const scheduler = createScanScheduler({
+    jobs: [{ universe: 'nifty50', exchange: 'NSE' }],
+    delayMinutes: 30,
+    catchUp,
+    runJob,
+    lastTradingDate: async () => stored,
+    now: () => clock.now
+  });
+  return { scheduler, clock };
+}
+
+test('a session is due once the close plus the delay has passed on a weekday', () => {
+  assert.strictEqual(getDueTradingDate('NSE', 30, new Date('2026-10-19T10:20:00Z')), null);
+  assert.strictEqual(getDueTradingDate('NSE', 30, new Date('2026-10-19T10:30:00Z')), '2026-10-19');
+  assert.strictEqual(getDueTradingDate('NSE', 30, new Date('2026-10-18T12:00:00Z')), null);
+  assert.strictEqual(getDueTradingDate('XETRA', 30, new Date(AFTER_CLOSE)), null);
+});
+
+test('without catch-up a session that closed before start is not scanned', async () => {
+  const runs = [];
+  const { scheduler, clock } = createTestScheduler({ runJob: async (job, tradingDate) => runs.push(tradingDate) });
+
+  try {
+    scheduler.start();
+    await scheduler.check();
+    assert.deepStrictEqual(runs, []);
+
+    clock.now = new Date('2026-10-20T11:00:00Z');
+    await scheduler.check();
+    await scheduler.check();
+    assert.deepStrictEqual(runs, ['2026-10-20']);
+  } finally {
+    scheduler.stop();
+  }
+});
+
+test('catch-up scans a closed session at start unless a run for it is stored', async () => {
+  let ran;
+  const started = new Promise(resolve => {
+    ran = resolve;
+  });
+  const { scheduler } = createTestScheduler({ catchUp: true, stored: '2026-10-16', runJob: async (job, tradingDate) => ran(tradingDate) });
+
+  try {
+    scheduler.start();
+    assert.strictEqual(await started, '2026-10-19');
+  } finally {
+    scheduler.stop();
+  }
+
+  const skipped = createTestScheduler({ catchUp: true, stored: '2026-10-19', runJob: async () => assert.fail('should not run') });
+  await skipped.scheduler.check();
+  assert.strictEqual(skipped.scheduler.getState()[0].lastTradingDate, '2026-10-19');
+});
+
+test('a failed run is retried after the retry delay', async () => {
+  let attempts = 0;
+  const { scheduler, clock } = createTestScheduler({
+    runJob: async () => {
+      attempts++;
+      if (attempts === 1) {
+        throw new Error('upstream down');
+      }
+    }
+  });
+
+  await scheduler.check();
+  assert.strictEqual(scheduler.getState()[0].lastError, 'upstream down');
+
+  clock.now = new Date('2026-10-19T11:05:00Z');
+  await scheduler.check();
+  assert.strictEqual(attempts, 1);
+
+  clock.now = new Date('2026-10-19T11:20:00Z');
+  await scheduler.check();
+  assert.strictEqual(attempts, 2);
+  assert.strictEqual(scheduler.getState()[0].lastTradingDate, '2026-10-19');
+  assert.strictEqual(scheduler.getState()[0].lastError, null);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScanStore } = require('../lib/scan-store');
+
+// Run a test against a store in a fresh directory
+async function withStore(options, run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-store-'));
+
+  try {
+    await run(createScanStore({ dir, ...options }), dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Build a run started on a given minute
+function scanRun(universe, minute, trigger = 'scheduled') {
+  return {
+    universe,
+    trigger,
+    startedAt: `2026-10-19T11:${String(minute).padStart(2, '0')}:00.000Z`,
+    opportunities: [{ stock: { symbol: 'AAA' } }],
+    failures: [],
+    staleSymbols: []
+  };
+}
+
+test('runs are listed newest first as summaries and reloaded from disk', () => withStore({}, async (store, dir) => {
+  const first = await store.save(scanRun('nifty50', 1));
+  await store.save(scanRun('ftse100', 2, 'manual'));
+
+  const reopened = createScanStore({ dir });
+  const summaries = await reopened.list();
+
+  assert.deepStrictEqual(summaries.map(run => run.universe), ['ftse100', 'nifty50']);
+  assert.strictEqual(summaries[0].opportunityCount, 1);
+  assert.strictEqual(summaries[0].opportunities, undefined);
+  assert.deepStrictEqual((await reopened.get(first.id)).opportunities, first.opportunities);
+  await assert.rejects(reopened.get('missing'), { code: 'NOT_FOUND' });
+}));
+
+test('latest filters by universe and trigger', () => withStore({}, async store => {
+  await store.save(scanRun('nifty50', 1));
+  await store.save(scanRun('nifty50', 2, 'manual'));
+
+  assert.strictEqual((await store.latest({ universe: 'nifty50' })).trigger, 'manual');
+  assert.strictEqual((await store.latest({ universe: 'nifty50', trigger: 'scheduled' })).startedAt, scanRun('nifty50', 1).startedAt);
+  assert.strictEqual(await store.latest({ universe: 'ftse100' }), null);
+}));
+
+test('only the newest runs of each universe are kept', () => withStore({ retain: 2 }, async (store, dir) => {
+  for (let minute = 1; minute <= 3; minute++) {
+    await store.save(scanRun('nifty50', minute));
+  }
+  await store.save(scanRun('ftse100', 4));
+
+  assert.strictEqual((await store.list({ universe: 'nifty50' })).length, 2);
+  assert.strictEqual(fs.readdirSync(dir).length, 3);
+  assert.strictEqual((await store.list({ limit: 1 }))[0].universe, 'ftse100');
+}));
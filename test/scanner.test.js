@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const scanner = require('../lib/scanner');
+
+// Universe store stub knowing a single index, part of a scan type with an undated universe
+const universeStore = {
+  async list() {
+    return [{ id: 'nifty50', membershipHistory: true }, { id: 'niftyNext50', membershipHistory: false }];
+  },
+  async getScanTypes() {
+    return [{ id: 'indian', universes: ['nifty50', 'niftyNext50'] }];
+  },
+  async resolve(id) {
+    if (id !== 'nifty50') {
+      const error = new Error(`Unknown index "${id}". Valid values: nifty50`);
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+    return [{ name: 'Reliance', symbol: 'RELIANCE.NS', periods: [{ from: null, to: null }] }];
+  }
+};
+
+test('resolveStocks turns a symbol list into unique upper-case stocks', async () => {
+  const stocks = await scanner.resolveStocks({ symbols: 'aapl, msft,AAPL,' }, universeStore);
+
+  assert.deepStrictEqual(stocks, [{ name: 'AAPL', symbol: 'AAPL' }, { name: 'MSFT', symbol: 'MSFT' }]);
+});
+
+test('an unknown index is a typed NOT_FOUND error', async () => {
+  assert.strictEqual((await scanner.resolveStocks({ index: 'nifty50' }, universeStore)).length, 1);
+  await assert.rejects(scanner.resolveStocks({ index: 'nosuch' }, universeStore), { code: 'NOT_FOUND', status: 404 });
+});
+
+test('universes without membership history get a survivorship warning', async () => {
+  assert.deepStrictEqual(await scanner.getMembershipWarnings('nifty50', universeStore), []);
+
+  const warnings = await scanner.getMembershipWarnings('indian', universeStore);
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /^niftyNext50 has no membership history/);
+});
+
+test('invalid scan parameters are a typed INVALID_REQUEST error', () => {
+  assert.strictEqual(scanner.parseScanParams({ r: '20', weeklyDti: 'false' }).r, 20);
+  assert.throws(() => scanner.parseScanParams({ r: '-1' }), { code: 'INVALID_REQUEST', status: 400 });
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTradeStore } = require('../lib/trade-store');
+
+// Run a test against a store in a fresh directory
+async function withStore(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trade-store-'));
+  const file = path.join(dir, 'trades.json');
+
+  try {
+    await run(createTradeStore({ file }), file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('each write bumps the revision and is persisted', () => withStore(async (store, file) => {
+  const created = await store.create({ id: 't1', symbol: 'AAA' });
+  const saved = await store.save('t1', { ...created, symbol: 'BBB' });
+
+  assert.strictEqual(created.revision, 1);
+  assert.strictEqual(saved.revision, 2);
+  assert.deepStrictEqual((await createTradeStore({ file }).list()).map(trade => [trade.id, trade.symbol, trade.revision]), [['t1', 'BBB', 2]]);
+}));
+
+test('writes based on a stale revision conflict and carry the stored trade', () => withStore(async store => {
+  const created = await store.create({ id: 't1', symbol: 'AAA' });
+  await store.save('t1', { ...created, symbol: 'BBB' });
+
+  await assert.rejects(store.save('t1', { ...created, symbol: 'CCC' }), error =>
+    error.code === 'CONFLICT' && error.trade.symbol === 'BBB');
+  await assert.rejects(store.remove('t1', 1), { code: 'CONFLICT' });
+  await assert.rejects(store.create({ id: 't1' }), { code: 'CONFLICT' });
+}));
+
+test('saving a new id creates it, but only without a revision', () => withStore(async store => {
+  assert.strictEqual((await store.save('t2', { id: 't2' })).revision, 1);
+  await assert.rejects(store.save('t3', { id: 't3', revision: 4 }), { code: 'CONFLICT' });
+}));
+
+test('revisions that are not positive whole numbers are invalid, not conflicts', () => withStore(async store => {
+  await store.create({ id: 't1' });
+
+  await assert.rejects(store.save('t1', { id: 't1', revision: '1' }), { code: 'INVALID_TRADE' });
+  await assert.rejects(store.save('t1', { id: 't1', revision: 1.5 }), { code: 'INVALID_TRADE' });
+  await assert.rejects(store.remove('t1', NaN), { code: 'INVALID_TRADE' });
+  assert.strictEqual((await store.remove('t1', 1)).id, 't1');
+}));
+
+test('trades need a string id matching the route', () => withStore(async store => {
+  await assert.rejects(store.create({ symbol: 'AAA' }), { code: 'INVALID_TRADE' });
+  await assert.rejects(store.save('t1', { id: 't2' }), { code: 'INVALID_TRADE' });
+  await assert.rejects(store.get('missing'), { code: 'NOT_FOUND' });
+}));
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUniverseStore, parseConstituentsCSV } = require('../lib/universe-store');
+
+// Run a test against a store in a fresh directory with two universes grouped as one scan type
+async function withStore(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'universe-store-'));
+  const write = (name, data) => fs.writeFileSync(path.join(dir, name), JSON.stringify(data));
+
+  write('index.json', {
+    universes: [{ id: 'alpha', name: 'Alpha', label: 'Alpha' }, { id: 'beta', name: 'Beta', label: 'Beta' }],
+    scanTypes: [{ id: 'both', name: 'Both', label: 'Both', universes: ['alpha', 'beta'] }]
+  });
+  write('alpha.json', {
+    id: 'alpha',
+    constituents: [
+      { name: 'Aaa', symbol: 'AAA.NS', from: '2020-01-01' },
+      { name: 'Bbb', symbol: 'BBB.NS', from: '2020-01-01', to: '2022-01-01' },
+      { name: 'Bbb', symbol: 'BBB.NS', from: '2023-01-01' },
+      { name: 'Ccc', symbol: 'CCC.NS', to: '2021-01-01' }
+    ]
+  });
+  write('beta.json', { id: 'beta', constituents: [{ name: 'Ddd', symbol: 'DDD.L' }] });
+
+  try {
+    await run(createUniverseStore({ dir }), dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('get returns the members on the asOf day', () => withStore(async store => {
+  const symbols = async asOf => (await store.get('alpha', { asOf })).constituents.map(stock => stock.symbol);
+
+  assert.deepStrictEqual(await symbols('2020-06-01'), ['AAA.NS', 'BBB.NS', 'CCC.NS']);
+  assert.deepStrictEqual(await symbols('2022-06-01'), ['AAA.NS']);
+  assert.deepStrictEqual(await symbols('2023-01-01'), ['AAA.NS', 'BBB.NS']);
+  await assert.rejects(store.get('alpha', { asOf: '01/06/2022' }), { code: 'INVALID_UNIVERSE' });
+  await assert.rejects(store.get('gamma'), { code: 'NOT_FOUND' });
+}));
+
+test('history groups each stock with its membership periods', () => withStore(async store => {
+  const universe = await store.get('alpha', { history: true });
+  const bbb = universe.constituents.find(stock => stock.symbol === 'BBB.NS');
+
+  assert.strictEqual(universe.asOf, null);
+  assert.strictEqual(universe.count, 3);
+  assert.deepStrictEqual(bbb.periods, [{ from: '2020-01-01', to: '2022-01-01' }, { from: '2023-01-01', to: null }]);
+}));
+
+test('list summarises every universe, flags undated lists and only includes constituents on request', () => withStore(async store => {
+  const summaries = await store.list({ asOf: '2022-06-01' });
+  const withMembers = await store.list({ asOf: '2022-06-01', constituents: true });
+
+  assert.deepStrictEqual(summaries.map(summary => [summary.id, summary.count, summary.membershipHistory]), [['alpha', 1, true], ['beta', 1, false]]);
+  assert.strictEqual(summaries[0].constituents, undefined);
+  assert.deepStrictEqual(withMembers[1].constituents, [{ name: 'Ddd', symbol: 'DDD.L' }]);
+}));
+
+test('resolve keeps the stocks that were members during the range', () => withStore(async store => {
+  const symbols = async (id, range) => (await store.resolve(id, range)).map(stock => stock.symbol);
+
+  assert.deepStrictEqual(await symbols('alpha', { from: new Date('2021-06-01'), to: new Date('2022-06-01') }), ['AAA.NS', 'BBB.NS']);
+  assert.deepStrictEqual(await symbols('alpha', { from: new Date('2022-06-01'), to: new Date('2022-12-01') }), ['AAA.NS']);
+  assert.deepStrictEqual(await symbols('both'), ['AAA.NS', 'BBB.NS', 'CCC.NS', 'DDD.L']);
+  await assert.rejects(store.resolve('gamma'), error => error.code === 'NOT_FOUND' && /alpha, beta, both/.test(error.message));
+}));
+
+test('an undated import is applied as a rebalance on the effective day', () => withStore(async (store, dir) => {
+  const updated = await store.importCSV('alpha', 'Symbol,Name\nAAA,Aaa Ltd\nEEE,Eee', { suffix: '.NS', effective: '2024-01-01' });
+  const history = await store.get('alpha', { history: true });
+  const periods = symbol => history.constituents.find(stock => stock.symbol === symbol).periods;
+
+  assert.deepStrictEqual(updated.constituents.map(stock => stock.name), ['Aaa Ltd', 'Eee']);
+  assert.deepStrictEqual(periods('BBB.NS'), [{ from: '2020-01-01', to: '2022-01-01' }, { from: '2023-01-01', to: '2024-01-01' }]);
+  assert.deepStrictEqual(periods('EEE.NS'), [{ from: '2024-01-01', to: null }]);
+  assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'alpha.json'), 'utf8')).source, 'csv import');
+}));
+
+test('a dated import replaces the history and new universes need a name', () => withStore(async (store, dir) => {
+  await assert.rejects(store.importCSV('gamma', 'Symbol\nFFF'), { code: 'INVALID_UNIVERSE' });
+
+  await store.importCSV('gamma', 'Symbol,From,To\nFFF,2019-01-01,2021-01-01\nGGG,2021-01-01,', { name: 'Gamma' });
+  const reopened = createUniverseStore({ dir });
+
+  assert.deepStrictEqual((await reopened.get('gamma', { asOf: '2020-01-01' })).constituents, [{ name: 'FFF', symbol: 'FFF' }]);
+  assert.deepStrictEqual((await reopened.list()).map(summary => summary.id), ['alpha', 'beta', 'gamma']);
+}));
+
+test('invalid CSVs and ids are rejected', () => withStore(async store => {
+  await assert.rejects(store.importCSV('alpha', 'Symbol'), { code: 'INVALID_UNIVERSE' });
+  await assert.rejects(store.importCSV('../alpha', 'Symbol\nAAA'), { code: 'INVALID_UNIVERSE' });
+  assert.throws(() => parseConstituentsCSV('Name\nAaa'), /Symbol, Ticker or EPIC/);
+  assert.throws(() => parseConstituentsCSV('Symbol,From\nAAA,2020-13-45'), /Line 2: From/);
+  assert.throws(() => parseConstituentsCSV('Symbol,From,To\nAAA,2021-01-01,2020-01-01'), /To must be after From/);
+}));
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRequestCoalescer, createCircuitBreaker } = require('../lib/upstream-guard');
+const { marketDataError } = require('../lib/market-data-errors');
+const { createHistoryStore } = require('../lib/history-store');
+const { createYahooProvider } = require('../lib/providers/yahoo');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('concurrent requests for the same key share one call', async () => {
+  const coalescer = createRequestCoalescer();
+  let calls = 0;
+  const task = async () => {
+    calls++;
+    await wait(10);
+    return calls;
+  };
+
+  const results = await Promise.all([coalescer.run('a', task), coalescer.run('a', task), coalescer.run('b', task)]);
+
+  assert.deepStrictEqual(results.sort(), [2, 2, 2]);
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(coalescer.size(), 0);
+});
+
+test('a retryable failure opens the breaker until one trial call succeeds', async () => {
+  const breaker = createCircuitBreaker({ name: 'Test', baseDelaySeconds: 0.05 });
+  let calls = 0;
+  const fail = async () => {
+    calls++;
+    throw marketDataError('UPSTREAM_RATE_LIMITED', 'slow down');
+  };
+
+  await assert.rejects(breaker.exec(fail), { code: 'UPSTREAM_RATE_LIMITED' });
+  await assert.rejects(breaker.exec(fail), /paused after upstream failures/);
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(breaker.getState().state, 'open');
+
+  await wait(60);
+  assert.strictEqual(await breaker.exec(async () => 'ok'), 'ok');
+  assert.strictEqual(breaker.getState().state, 'closed');
+});
+
+test('failures that are not retryable leave the breaker closed', async () => {
+  const breaker = createCircuitBreaker({ name: 'Test', baseDelaySeconds: 0.05 });
+
+  await assert.rejects(breaker.exec(async () => {
+    throw marketDataError('SYMBOL_NOT_FOUND', 'no such symbol');
+  }), { code: 'SYMBOL_NOT_FOUND' });
+  assert.strictEqual(breaker.getState().state, 'closed');
+});
+
+test('a Yahoo request that times out is a retryable UPSTREAM_UNAVAILABLE', async () => {
+  const provider = createYahooProvider({
+    httpGet: async () => {
+      const error = new Error('timeout of 10000ms exceeded');
+      error.isAxiosError = true;
+      error.code = 'ECONNABORTED';
+      throw error;
+    }
+  });
+
+  await assert.rejects(provider.fetchQuote('AAA'), { code: 'UPSTREAM_UNAVAILABLE', retryable: true });
+});
+
+test('the history store serves stored bars as stale while the upstream is unavailable', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upstream-guard-'));
+  let down = false;
+  const provider = {
+    name: 'fake',
+    async fetchHistory() {
+      if (down) throw marketDataError('UPSTREAM_UNAVAILABLE', 'down');
+      return { meta: null, bars: [{ date: '2024-05-01', open: 1, high: 1, low: 1, close: 1, volume: 1 }], events: [] };
+    }
+  };
+  const store = createHistoryStore({ provider, dir, refreshSeconds: 0 });
+
+  try {
+    await store.getDailyHistory('AAA', 'max');
+    down = true;
+    await wait(5);
+
+    const history = await store.getDailyHistory('AAA', 'max');
+    assert.strictEqual(history.stale, true);
+    assert.strictEqual(history.bars.length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});